@@ -5,8 +5,10 @@ const translations = {
     bookingStatus: {
       pending: 'Pending',
       confirmed: 'Confirmed',
+      'in-progress': 'In progress',
       completed: 'Completed',
-      cancelled: 'Cancelled'
+      cancelled: 'Cancelled',
+      'no-show': 'No-show'
     },
     messages: {
       success: {
@@ -28,6 +30,10 @@ const translations = {
         customerNotFound: 'Customer or Service not found',
         bookingNotFound: 'Booking not found',
         customerExists: 'Customer with this email already exists',
+        invalidStatus: '"{{to}}" is not a booking status',
+        statusFinal: 'This booking is {{from}}, its status can no longer change',
+        statusTransition: 'A {{from}} booking cannot be marked {{to}}',
+        statusTooEarly: 'A booking cannot be marked {{to}} before its start time',
         general: 'An error occurred'
       }
     }
@@ -36,8 +42,10 @@ const translations = {
     bookingStatus: {
       pending: 'በመጠባበቅ ላይ',
       confirmed: 'ተረጋግጦል',
+      'in-progress': 'በሂደት ላይ',
       completed: 'ተጠናቅቋል',
-      cancelled: 'ተሰርዟል'
+      cancelled: 'ተሰርዟል',
+      'no-show': 'አልመጣም'
     },
     messages: {
       success: {
@@ -59,6 +67,10 @@ const translations = {
         customerNotFound: 'ደንበኛ ወይም አገልግሎት አልተገኘም',
         bookingNotFound: 'ቦታ ማስያዝ አልተገኘም',
         customerExists: 'በዚህ ኢሜይል ደንበኛ አስቀድሞ አለ',
+        invalidStatus: '"{{to}}" የቦታ ማስያዝ ሁኔታ አይደለም',
+        statusFinal: 'ይህ ቦታ ማስያዝ {{from}} ነው፣ ሁኔታው ከእንግዲህ መቀየር አይችልም',
+        statusTransition: '{{from}} የሆነ ቦታ ማስያዝ {{to}} ተብሎ ሊመዘገብ አይችልም',
+        statusTooEarly: 'ቦታ ማስያዝ ከመጀመሪያ ሰዓቱ በፊት {{to}} ተብሎ ሊመዘገብ አይችልም',
         general: 'ችግር ተፈጥሯል'
       }
     }
@@ -67,8 +79,10 @@ const translations = {
     bookingStatus: {
       pending: 'Eeguu keessa',
       confirmed: 'Mirkaneeffame',
+      'in-progress': 'Hojii irra jira',
       completed: 'Xumurameera',
-      cancelled: 'Haqameera'
+      cancelled: 'Haqameera',
+      'no-show': 'Hin dhufne'
     },
     messages: {
       success: {
@@ -90,6 +104,10 @@ const translations = {
         customerNotFound: 'Maamilaan ykn tajaajilaan hin argamne',
         bookingNotFound: 'Qabannoon hin argamne',
         customerExists: 'Maamilaan imeelii kanaan duraanii jira',
+        invalidStatus: '"{{to}}" haala qabannoo miti',
+        statusFinal: 'Qabannoon kun {{from}} dha, haalli isaa kana booda hin jijjiiramu',
+        statusTransition: 'Qabannoon {{from}} ta\'e {{to}} jedhamee galmaa\'uu hin danda\'u',
+        statusTooEarly: 'Qabannoon sa\'aatii jalqabaa isaa dura {{to}} jedhamee galmaa\'uu hin danda\'u',
         general: 'Dogoggorri uumameera'
       }
     }
@@ -107,8 +125,9 @@ export const languageMiddleware = (req, res, next) => {
   // Set the language, default to 'en' if not supported
   req.language = ['en', 'am', 'or'].includes(langCode) ? langCode : 'en';
   
-  // Add translation helper to request object
-  req.t = (key) => {
+  // Add translation helper to request object; {{name}} placeholders are
+  // filled from params
+  req.t = (key, params = {}) => {
     const keys = key.split('.');
     let value = translations[req.language];
     
@@ -116,12 +135,14 @@ export const languageMiddleware = (req, res, next) => {
       value = value?.[k];
     }
     
-    return value || key; // Return the key if translation not found
+    if (typeof value !== 'string') return value || key; // Return the key if translation not found
+    return value.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => params[name] ?? placeholder);
   };
   
   // Add helper to translate booking status
   req.translateStatus = (status) => {
-    return req.t(`bookingStatus.${status}`) || status;
+    const label = req.t(`bookingStatus.${status}`);
+    return label === `bookingStatus.${status}` ? status : label;
   };
   
   next();
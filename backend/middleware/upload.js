@@ -0,0 +1,31 @@
+import express from 'express';
+import attachmentService from '../services/attachmentService.js';
+
+const readBody = express.raw({
+  type: attachmentService.allowedTypes,
+  limit: attachmentService.maxFileBytes
+});
+
+// Read an uploaded file sent as the raw request body, with its type in
+// Content-Type and its name in ?filename=. Sets req.body to the file's
+// Buffer, or leaves it empty for types that cannot be uploaded (the upload
+// itself rejects those).
+export const receiveUpload = (req, res, next) => {
+  readBody(req, res, (error) => {
+    if (error?.type === 'entity.too.large') {
+      return res.status(413).json({
+        message: `Files cannot be larger than ${attachmentService.maxFileBytes / (1024 * 1024)} MB`
+      });
+    }
+    next(error);
+  });
+};
+
+// The uploaded file as attachmentService.upload expects it
+export const getUploadedFile = (req) => ({
+  data: Buffer.isBuffer(req.body) ? req.body : null,
+  contentType: req.headers['content-type']?.split(';')[0].trim(),
+  filename: req.query.filename
+});
+
+export default receiveUpload;
@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+
+// A file (photo, PDF) attached to a booking or a customer. The file itself
+// lives in storage (see storageService) under storageKey.
+const attachmentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Exactly one of bookingId and customerId is set
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  filename: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [200, 'File name cannot exceed 200 characters']
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  // Bytes, counted against the business's storage quota
+  size: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  // A small WebP copy of an image, shown in lists instead of the original
+  thumbnailKey: String,
+  // Same shape as BookingHistory actors
+  uploadedBy: {
+    type: {
+      type: String,
+      enum: ['owner', 'assistant', 'customer'],
+      required: true
+    },
+    id: mongoose.Schema.Types.ObjectId,
+    name: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+attachmentSchema.index({ bookingId: 1, createdAt: 1 });
+attachmentSchema.index({ customerId: 1, createdAt: 1 });
+attachmentSchema.index({ userId: 1 });
+
+attachmentSchema.pre('validate', function(next) {
+  if (!this.bookingId === !this.customerId) {
+    return next(new Error('An attachment belongs to either a booking or a customer'));
+  }
+  next();
+});
+
+attachmentSchema.virtual('isImage').get(function() {
+  return this.contentType.startsWith('image/');
+});
+
+// Where the file is stored stays on the server
+attachmentSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.storageKey;
+    delete ret.thumbnailKey;
+    return ret;
+  }
+});
+
+// Static adding up the bytes a business has stored
+attachmentSchema.statics.getStorageUsed = async function(userId) {
+  const [result] = await this.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+    { $group: { _id: null, bytes: { $sum: '$size' } } }
+  ]);
+  return result?.bytes || 0;
+};
+
+// Static counting the files a customer added to a booking, and their bytes
+attachmentSchema.statics.getCustomerUploads = async function(bookingId) {
+  const [result] = await this.aggregate([
+    { $match: { bookingId: new mongoose.Types.ObjectId(bookingId), 'uploadedBy.type': 'customer' } },
+    { $group: { _id: null, count: { $sum: 1 }, bytes: { $sum: '$size' } } }
+  ]);
+  return { count: result?.count || 0, bytes: result?.bytes || 0 };
+};
+
+export default mongoose.model('Attachment', attachmentSchema);
@@ -1,4 +1,67 @@
 import mongoose from 'mongoose';
+import SlotHold from './SlotHold.js';
+import ScheduleOverride from './ScheduleOverride.js';
+import BookingHistory from './BookingHistory.js';
+import {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  zonedTimeToUtc,
+  getZonedParts,
+  getZonedDayBounds,
+  getDayOfWeek,
+  toDateString,
+  describeInstant
+} from '../utils/timezone.js';
+
+// One service done in a booking. Name, price and duration are copied from
+// the service as configured when booked (variant, add-ons and surcharges
+// included), so later edits to the service leave it alone.
+const lineItemSchema = new mongoose.Schema({
+  serviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: [1, 'Quantity must be at least 1'],
+    validate: [Number.isInteger, 'Quantity must be a whole number']
+  },
+  // The service's price unless overridden for this booking
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: [0, 'Price must be positive']
+  },
+  // Minutes per unit
+  duration: {
+    type: Number,
+    required: true,
+    min: [0, 'Duration must be positive']
+  },
+  variant: {
+    id: mongoose.Schema.Types.ObjectId,
+    name: String
+  },
+  addOns: [{
+    _id: false,
+    id: mongoose.Schema.Types.ObjectId,
+    name: String,
+    price: Number,
+    duration: Number
+  }],
+  // Day or time-of-day surcharges included in unitPrice
+  surcharges: [{
+    _id: false,
+    name: String,
+    amount: Number
+  }]
+}, { _id: false });
 
 const bookingSchema = new mongoose.Schema({
   userId: {
@@ -16,6 +79,16 @@ const bookingSchema = new mongoose.Schema({
     ref: 'Service',
     required: true
   },
+  // Services done in one visit. When present, serviceId is the first item's
+  // service and duration and totalAmount are worked out from the items.
+  // Bookings made before line items existed have none.
+  lineItems: [lineItemSchema],
+  // Staff member doing the job (the owner or one of their assistants).
+  // Bookings without one belong to the owner.
+  staffId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   date: {
     type: Date,
     required: [true, 'Booking date is required']
@@ -32,7 +105,7 @@ const bookingSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'in-progress', 'completed', 'cancelled'],
+    enum: ['pending', 'confirmed', 'in-progress', 'completed', 'cancelled', 'no-show'],
     default: 'pending'
   },
   notes: {
@@ -40,6 +113,16 @@ const bookingSchema = new mongoose.Schema({
     trim: true,
     maxlength: [500, 'Notes cannot exceed 500 characters']
   },
+  // The customer's answers to the service's intake form, checked by
+  // Service#checkIntakeAnswers. Labels are copied so later form edits
+  // leave them readable.
+  intakeAnswers: [{
+    _id: false,
+    fieldId: mongoose.Schema.Types.ObjectId,
+    label: String,
+    type: { type: String },
+    value: mongoose.Schema.Types.Mixed
+  }],
   totalAmount: {
     type: Number,
     required: [true, 'Total amount is required'],
@@ -47,14 +130,36 @@ const bookingSchema = new mongoose.Schema({
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'overdue', 'cancelled'],
+    enum: ['pending', 'partially_paid', 'paid', 'overdue', 'cancelled'],
     default: 'pending'
   },
+  // Money collected on the booking so far, net of refunds. Kept in step with
+  // its payments by bookingLedgerService; see setAmountPaid.
+  amountPaid: {
+    type: Number,
+    default: 0,
+    min: [0, 'Amount paid must be positive']
+  },
   paymentMethod: {
     type: String,
-    enum: ['cash', 'card', 'bank_transfer', 'other'],
+    enum: ['cash', 'card', 'bank_transfer', 'stripe', 'telebirr', 'mobile_money', 'other'],
     default: 'cash'
   },
+  stripePaymentIntentId: String,
+  // Prepayment asked of customers with a record of no-shows (see
+  // User.noShowDepositThreshold); the booking stays pending until it is paid
+  deposit: {
+    amount: {
+      type: Number,
+      min: [0, 'Deposit must be positive']
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'paid', 'waived']
+    },
+    paymentIntentId: String,
+    paidAt: Date
+  },
   
   // Smart Calendar Features
   startDateTime: {
@@ -65,9 +170,25 @@ const bookingSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  // Prep/clean-up and travel time around the job, copied from the service and
+  // business when booked. The staff member is busy over the blocked range,
+  // while start/end stay the customer-facing appointment.
+  bufferBefore: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  bufferAfter: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  blockedStartDateTime: Date,
+  blockedEndDateTime: Date,
   timezone: {
     type: String,
-    default: 'Africa/Addis_Ababa'
+    default: DEFAULT_TIMEZONE,
+    validate: [isValidTimeZone, 'Please enter a valid IANA timezone']
   },
   
   // Conflict Detection
@@ -89,6 +210,14 @@ const bookingSchema = new mongoose.Schema({
     enum: ['user', 'customer', 'system']
   },
   rescheduleReason: String,
+  cancelledAt: Date,
+  cancelledBy: {
+    type: String,
+    enum: ['user', 'customer', 'system']
+  },
+  cancellationReason: String,
+  completedAt: Date,
+  noShowAt: Date,
   
   // Calendar Display Properties
   calendarColor: {
@@ -109,33 +238,101 @@ const bookingSchema = new mongoose.Schema({
       enum: ['daily', 'weekly', 'monthly']
     },
     interval: Number,
-    endDate: Date
+    endDate: Date,
+    count: Number
+  },
+  // Shared by every occurrence generated from the same recurring rule
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Files the customer added through their manage link, counted by
+  // attachmentService to cap them per booking
+  customerUploads: {
+    count: Number,
+    bytes: Number
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
 });
 
 // Index for better query performance
 bookingSchema.index({ userId: 1, date: 1 });
 bookingSchema.index({ customerId: 1 });
 bookingSchema.index({ serviceId: 1 });
+bookingSchema.index({ 'lineItems.serviceId': 1 });
 bookingSchema.index({ startDateTime: 1, endDateTime: 1 });
 bookingSchema.index({ userId: 1, startDateTime: 1 });
+bookingSchema.index({ seriesId: 1, startDateTime: 1 });
+bookingSchema.index({ userId: 1, staffId: 1, startDateTime: 1 });
+bookingSchema.index({ userId: 1, blockedStartDateTime: 1, blockedEndDateTime: 1 });
+
+// Statuses a booking may move to from each status. completed, cancelled
+// and no-show are final.
+const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'in-progress', 'cancelled', 'no-show'],
+  confirmed: ['in-progress', 'completed', 'cancelled', 'no-show'],
+  'in-progress': ['completed'],
+  completed: [],
+  cancelled: [],
+  'no-show': []
+};
+
+// A job can be started this long before its start time (early arrivals);
+// completing it or marking a no-show has to wait until it has started
+const EARLY_START_MINUTES = 30;
+
+// Upper bound on occurrences generated from a single recurring rule
+const MAX_RECURRING_OCCURRENCES = 100;
+
+// Staff a booking or hold is assigned to; unassigned ones belong to the owner
+const getAssignee = (doc, ownerId) => (doc.staffId || ownerId).toString();
+
+// Range a booking or hold keeps its staff member busy, buffers included
+const getBlockedRange = (doc) => ({
+  start: doc.blockedStartDateTime || doc.startDateTime,
+  end: doc.blockedEndDateTime || doc.endDateTime
+});
+
+// Service, duration and total a set of line items adds up to
+const getLineItemTotals = (lineItems) => ({
+  serviceId: lineItems[0].serviceId,
+  duration: lineItems.reduce((total, item) => total + item.duration * item.quantity, 0),
+  totalAmount: Math.round(lineItems.reduce((total, item) => total + item.unitPrice * item.quantity, 0) * 100) / 100
+});
+
+// "Install socket ×2, Cleaning (3-bedroom)"
+const describeLineItems = (lineItems) => lineItems
+  .map(item => {
+    const name = item.variant?.name ? `${item.name} (${item.variant.name})` : item.name;
+    return item.quantity > 1 ? `${name} ×${item.quantity}` : name;
+  })
+  .join(', ');
+
+// Keep service, duration and total in step with the line items, before the
+// timing and conflict checks below see them
+bookingSchema.pre('validate', function(next) {
+  if (this.lineItems.length > 0 && (this.isNew || this.isModified('lineItems'))) {
+    Object.assign(this, getLineItemTotals(this.lineItems));
+  }
+  // A new total can cover, or no longer cover, what has been paid
+  if (!this.isNew && this.isModified('totalAmount') && this.amountPaid > 0) {
+    this.setAmountPaid(this.amountPaid);
+  }
+  next();
+});
 
 // Pre-save middleware to set start/end DateTime and check conflicts
 bookingSchema.pre('save', async function(next) {
   // Convert date and time to DateTime objects
-  if (this.isModified('date') || this.isModified('time') || this.isModified('duration')) {
-    const [hours, minutes] = this.time.split(':').map(Number);
-    this.startDateTime = new Date(this.date);
-    this.startDateTime.setHours(hours, minutes, 0, 0);
-    
-    this.endDateTime = new Date(this.startDateTime);
-    this.endDateTime.setMinutes(this.endDateTime.getMinutes() + this.duration);
+  const timingFields = ['date', 'time', 'duration', 'timezone', 'bufferBefore', 'bufferAfter'];
+  if (timingFields.some(field => this.isModified(field)) || !this.blockedStartDateTime) {
+    this.syncDateTimes();
   }
   
-  // Check for conflicts if this is a new booking or time has changed
-  if (this.isNew || this.isModified('startDateTime') || this.isModified('endDateTime')) {
+  // Check for conflicts if this is a new booking, its time has changed or it was reassigned
+  if (this.isNew || this.isModified('blockedStartDateTime') || this.isModified('blockedEndDateTime') || this.isModified('staffId')) {
     const conflicts = await this.checkConflicts();
     this.hasConflicts = conflicts.length > 0;
     this.conflictsWith = conflicts.map(booking => booking._id);
@@ -144,97 +341,387 @@ bookingSchema.pre('save', async function(next) {
   next();
 });
 
-// Method to check for time conflicts
+// Fields whose changes are recorded in the booking's history
+const AUDITED_FIELDS = ['status', 'date', 'time', 'duration', 'lineItems', 'staffId', 'notes', 'totalAmount', 'amountPaid', 'paymentStatus', 'paymentMethod'];
+
+const toAuditValue = (field, value) => {
+  if (value === undefined || value === null) return null;
+  if (field === 'date') return toDateString(value);
+  if (field === 'lineItems') return value.length > 0 ? describeLineItems(value) : null;
+  if (value._id) return value._id.toString();
+  return value;
+};
+
+const snapshotAudited = (doc) => Object.fromEntries(
+  AUDITED_FIELDS.map(field => [field, toAuditValue(field, doc.get(field))])
+);
+
+const getAuditAction = (doc, fields) => {
+  if (doc.isNew) return 'created';
+  if (fields.includes('status')) return doc.status === 'cancelled' ? 'cancelled' : 'status_changed';
+  if (['date', 'time', 'duration'].some(field => fields.includes(field))) return 'rescheduled';
+  if (fields.includes('staffId')) return 'reassigned';
+  if (fields.some(field => field.startsWith('payment') || field === 'amountPaid')) return 'payment_updated';
+  return 'updated';
+};
+
+// Remember audited values as loaded, to diff against on save
+bookingSchema.post('init', function() {
+  this.$locals.auditSnapshot = snapshotAudited(this);
+});
+
+// Work out the history entry for this save; it is written once the save succeeds
+bookingSchema.pre('save', function() {
+  const before = this.$locals.auditSnapshot || {};
+  const after = snapshotAudited(this);
+  const changes = AUDITED_FIELDS
+    .filter(field => (this.isNew ? after[field] !== null : String(before[field]) !== String(after[field])))
+    .map(field => ({ field, oldValue: this.isNew ? null : before[field], newValue: after[field] }));
+
+  if (!this.isNew && changes.length === 0) {
+    this.$locals.pendingHistory = null;
+    return;
+  }
+
+  const { actor = { type: 'system' }, reason } = this.$locals.audit || {};
+  const defaultReason = this.isModified('cancellationReason')
+    ? this.cancellationReason
+    : this.isModified('rescheduledAt') ? this.rescheduleReason : undefined;
+
+  this.$locals.pendingHistory = {
+    bookingId: this._id,
+    userId: this.userId,
+    action: getAuditAction(this, changes.map(change => change.field)),
+    actor,
+    changes,
+    reason: reason || defaultReason
+  };
+});
+
+bookingSchema.post('save', async function() {
+  const entry = this.$locals.pendingHistory;
+  this.$locals.pendingHistory = null;
+  this.$locals.audit = null;
+  this.$locals.auditSnapshot = snapshotAudited(this);
+  if (!entry) return;
+
+  // The booking is already saved, so a failed history write must not fail the request
+  try {
+    await BookingHistory.create(entry);
+  } catch (error) {
+    console.error('Booking history error:', error);
+  }
+});
+
+// Method to say who is making the next save and why, for the booking's
+// history. Without it the change is put down to the system.
+bookingSchema.methods.setAuditContext = function(actor, reason) {
+  this.$locals.audit = { actor, reason };
+  return this;
+};
+
+// Method to set what has been collected on the booking and the payment
+// status that follows from it. overdue and cancelled, which are set by hand,
+// stay while nothing has been paid.
+bookingSchema.methods.setAmountPaid = function(amount) {
+  this.amountPaid = Math.max(0, Math.round(amount * 100) / 100);
+  if (this.amountPaid > 0) {
+    this.paymentStatus = this.amountPaid >= this.totalAmount - 0.005 ? 'paid' : 'partially_paid';
+  } else if (['paid', 'partially_paid'].includes(this.paymentStatus)) {
+    this.paymentStatus = this.status === 'cancelled' ? 'cancelled' : 'pending';
+  }
+  return this;
+};
+
+// Method to derive startDateTime/endDateTime (and the blocked range around
+// them) from date, time, duration and buffers.
+// `date` + `time` are the wall clock in the booking's timezone.
+bookingSchema.methods.syncDateTimes = function() {
+  this.startDateTime = zonedTimeToUtc(this.date, this.time, this.timezone);
+  this.endDateTime = new Date(this.startDateTime.getTime() + this.duration * 60000);
+  this.blockedStartDateTime = new Date(this.startDateTime.getTime() - (this.bufferBefore || 0) * 60000);
+  this.blockedEndDateTime = new Date(this.endDateTime.getTime() + (this.bufferAfter || 0) * 60000);
+};
+
+// Method to check for time conflicts on the assignee's calendar. Unassigned
+// bookings are the owner's, as in availability.
 bookingSchema.methods.checkConflicts = async function() {
   const query = {
     userId: this.userId,
+    ...this.constructor.staffQuery(this.userId, this.staffId || this.userId),
     _id: { $ne: this._id }, // Exclude current booking
     status: { $in: ['pending', 'confirmed', 'in-progress'] },
+    // Buffers on both sides count: the blocked ranges must not overlap
+    ...this.constructor.blockedOverlapQuery(this.blockedStartDateTime, this.blockedEndDateTime)
+  };
+  
+  return await this.constructor.find(query);
+};
+
+// Method to check a status change. Returns why it is not allowed, as a
+// message key with the statuses involved, or null when it is.
+bookingSchema.methods.getTransitionError = function(status, now = new Date()) {
+  const params = { from: this.status, to: status };
+  if (!STATUS_TRANSITIONS[status]) return { key: 'messages.error.invalidStatus', params };
+  if (STATUS_TRANSITIONS[this.status].length === 0) return { key: 'messages.error.statusFinal', params };
+  if (!STATUS_TRANSITIONS[this.status].includes(status)) return { key: 'messages.error.statusTransition', params };
+
+  const earliest = status === 'in-progress'
+    ? this.startDateTime.getTime() - EARLY_START_MINUTES * 60000
+    : this.startDateTime.getTime();
+  if (['in-progress', 'completed', 'no-show'].includes(status) && now.getTime() < earliest) {
+    return { key: 'messages.error.statusTooEarly', params };
+  }
+  return null;
+};
+
+// Buffer minutes for a service (or several done in one visit) booked with a
+// business: the longest prep/clean-up time among the services, plus the
+// business's travel time after every job
+bookingSchema.statics.getBuffers = function(services, business) {
+  const list = [].concat(services || []);
+  return {
+    bufferBefore: Math.max(0, ...list.map(service => service.bufferBefore || 0)),
+    bufferAfter: Math.max(0, ...list.map(service => service.bufferAfter || 0)) + ((business && business.travelBufferMinutes) || 0)
+  };
+};
+
+// Line item for a service as configured (see Service#configure). `price`
+// overrides the configured price, surcharges included.
+bookingSchema.statics.lineItemFrom = function(configured, { quantity = 1, price } = {}) {
+  return {
+    serviceId: configured._id,
+    name: configured.name,
+    quantity,
+    unitPrice: price ?? configured.price,
+    duration: configured.duration,
+    variant: configured.variant,
+    addOns: configured.addOns,
+    surcharges: price === undefined ? configured.surcharges : []
+  };
+};
+
+// Line items for a booking from [{ serviceId, variantId, addOnIds, quantity,
+// price }], where price optionally overrides the configured one. Surcharges
+// apply for the business-local `date` and `time` when given. Every service
+// must belong to the business. Returns the items with their totals and the
+// services themselves.
+bookingSchema.statics.buildLineItems = async function(userId, items, { date, time } = {}) {
+  if (!Array.isArray(items) || items.length === 0) {
+    const error = new Error('At least one service is required');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const services = await mongoose.model('Service').find({
+    _id: { $in: items.map(item => item.serviceId) },
+    userId
+  });
+  const servicesById = new Map(services.map(service => [service._id.toString(), service]));
+
+  const lineItems = items.map(item => {
+    const service = servicesById.get(String(item.serviceId));
+    if (!service) {
+      const error = new Error('Service not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    const configured = service.configure({ variantId: item.variantId, addOnIds: item.addOnIds, date, time });
+    return this.lineItemFrom(configured, {
+      quantity: item.quantity !== undefined && item.quantity !== '' ? Number(item.quantity) : 1,
+      price: item.price !== undefined && item.price !== '' && item.price !== null ? Number(item.price) : undefined
+    });
+  });
+
+  return { lineItems, services, ...getLineItemTotals(lineItems) };
+};
+
+// Query fragment matching bookings (or holds) whose blocked range overlaps
+// [blockedStart, blockedEnd). Bookings saved before buffers existed have no
+// blocked range and only occupy their own start/end.
+bookingSchema.statics.blockedOverlapQuery = function(blockedStart, blockedEnd) {
+  return {
     $or: [
-      // New booking starts during existing booking
-      {
-        startDateTime: { $lte: this.startDateTime },
-        endDateTime: { $gt: this.startDateTime }
-      },
-      // New booking ends during existing booking
       {
-        startDateTime: { $lt: this.endDateTime },
-        endDateTime: { $gte: this.endDateTime }
+        blockedStartDateTime: { $lt: blockedEnd },
+        blockedEndDateTime: { $gt: blockedStart }
       },
-      // New booking completely contains existing booking
       {
-        startDateTime: { $gte: this.startDateTime },
-        endDateTime: { $lte: this.endDateTime }
-      },
-      // Existing booking completely contains new booking
-      {
-        startDateTime: { $lte: this.startDateTime },
-        endDateTime: { $gte: this.endDateTime }
+        blockedStartDateTime: { $exists: false },
+        startDateTime: { $lt: blockedEnd },
+        endDateTime: { $gt: blockedStart }
       }
     ]
   };
-  
-  return await this.constructor.find(query);
 };
 
-// Method to get available time slots for a date
-bookingSchema.statics.getAvailableTimeSlots = async function(userId, date, duration = 60) {
-  const user = await mongoose.model('User').findById(userId);
-  if (!user || !user.businessHours) return [];
+// Query fragment matching bookings (or holds) assigned to one staff member.
+// Without a staffId the whole business is treated as one calendar.
+bookingSchema.statics.staffQuery = function(userId, staffId) {
+  if (!staffId) return {};
+  if (staffId.toString() === userId.toString()) {
+    return { staffId: { $in: [staffId, null] } };
+  }
+  return { staffId };
+};
+
+// Method to get available time slots for a date, computed in the business's timezone.
+// Each staff member's working hours are checked separately and the results are
+// merged, so a slot is open while at least one person is free.
+// `options.bufferBefore`/`bufferAfter` are the new job's buffers (see getBuffers).
+// `options.excludeBookingId` ignores a booking that is being moved.
+bookingSchema.statics.getAvailableTimeSlots = async function(userId, date, duration = 60, options = {}) {
+  const bufferBeforeMs = (options.bufferBefore || 0) * 60000;
+  const bufferAfterMs = (options.bufferAfter || 0) * 60000;
+  const User = mongoose.model('User');
+  const user = await User.findById(userId);
+  if (!user) return [];
   
-  const dayOfWeek = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][date.getDay()];
-  const dayHours = user.businessHours[dayOfWeek];
+  let staffMembers = await User.getBookableStaff(userId);
+  if (options.staffId) {
+    staffMembers = staffMembers.filter(member => member._id.toString() === options.staffId.toString());
+  }
   
-  if (!dayHours || !dayHours.isOpen) return [];
+  const timezone = user.timezone || DEFAULT_TIMEZONE;
+  const dateString = toDateString(date);
+  const dayOfWeek = getDayOfWeek(dateString);
+  const overrides = await ScheduleOverride.findForDate(userId, dateString);
   
-  // Get existing bookings for the date
-  const startOfDay = new Date(date);
-  startOfDay.setHours(0, 0, 0, 0);
-  const endOfDay = new Date(date);
-  endOfDay.setHours(23, 59, 59, 999);
+  // Get existing bookings whose blocked range reaches into the business-local
+  // day, widened by the new job's own buffers
+  const { start: startOfDay, end: endOfDay } = getZonedDayBounds(dateString, timezone);
+  const dayOverlap = this.blockedOverlapQuery(
+    new Date(startOfDay.getTime() - bufferBeforeMs),
+    new Date(endOfDay.getTime() + bufferAfterMs)
+  );
   
-  const existingBookings = await this.find({
+  const bookingQuery = {
     userId,
-    startDateTime: { $gte: startOfDay, $lte: endOfDay },
+    ...dayOverlap,
     status: { $in: ['pending', 'confirmed', 'in-progress'] }
-  }).sort({ startDateTime: 1 });
+  };
+  if (options.excludeBookingId) bookingQuery._id = { $ne: options.excludeBookingId };
   
-  // Generate available slots
-  const availableSlots = [];
-  const [startHour, startMinute] = dayHours.start.split(':').map(Number);
-  const [endHour, endMinute] = dayHours.end.split(':').map(Number);
+  const existingBookings = await this.find(bookingQuery).sort({ startDateTime: 1 });
   
-  let currentTime = new Date(date);
-  currentTime.setHours(startHour, startMinute, 0, 0);
+  // Slots held by customers who are mid-checkout are busy too
+  const activeHolds = await SlotHold.find({
+    userId,
+    ...dayOverlap,
+    expiresAt: { $gt: new Date() }
+  });
+  const busyIntervals = [...existingBookings, ...activeHolds];
   
-  const businessEndTime = new Date(date);
-  businessEndTime.setHours(endHour, endMinute, 0, 0);
+  const slotsByStart = new Map();
   
-  while (currentTime < businessEndTime) {
-    const slotEndTime = new Date(currentTime.getTime() + duration * 60000);
+  for (const member of staffMembers) {
+    // Closures and special hours take precedence over the weekly pattern
+    const dayHours = ScheduleOverride.resolveHours(overrides, member, dayOfWeek);
+    if (!dayHours) continue;
     
-    // Check if this slot conflicts with any existing booking
-    const hasConflict = existingBookings.some(booking => {
-      return (currentTime < booking.endDateTime && slotEndTime > booking.startDateTime);
-    });
+    const memberId = member._id.toString();
+    const memberBusy = busyIntervals.filter(busy => getAssignee(busy, userId) === memberId);
+    
+    let currentTime = zonedTimeToUtc(dateString, dayHours.start, timezone);
+    const workEndTime = zonedTimeToUtc(dateString, dayHours.end, timezone);
     
-    if (!hasConflict && slotEndTime <= businessEndTime) {
-      availableSlots.push({
-        startTime: new Date(currentTime),
-        endTime: new Date(slotEndTime),
-        timeString: currentTime.toTimeString().slice(0, 5)
+    while (currentTime < workEndTime) {
+      const slotEndTime = new Date(currentTime.getTime() + duration * 60000);
+      const blockedStart = currentTime.getTime() - bufferBeforeMs;
+      const blockedEnd = slotEndTime.getTime() + bufferAfterMs;
+      
+      // Check if this slot, buffers included, conflicts with any of this
+      // person's bookings or holds
+      const hasConflict = memberBusy.some(busy => {
+        const range = getBlockedRange(busy);
+        return (blockedStart < range.end.getTime() && blockedEnd > range.start.getTime());
       });
+      
+      if (!hasConflict && slotEndTime <= workEndTime) {
+        const key = currentTime.getTime();
+        if (!slotsByStart.has(key)) {
+          slotsByStart.set(key, {
+            startTime: new Date(currentTime),
+            endTime: new Date(slotEndTime),
+            timeString: getZonedParts(currentTime, timezone).time,
+            timezone,
+            staffIds: []
+          });
+        }
+        slotsByStart.get(key).staffIds.push(member._id);
+      }
+      
+      // Move to next 30-minute slot
+      currentTime = new Date(currentTime.getTime() + 30 * 60000);
+    }
+  }
+  
+  return [...slotsByStart.values()].sort((a, b) => a.startTime - b.startTime);
+};
+
+// Expand a recurring rule into occurrence dates, starting with the first booking date
+bookingSchema.statics.generateOccurrenceDates = function(startDate, rule = {}) {
+  const { frequency, endDate, count } = rule;
+  const interval = rule.interval ? Number(rule.interval) : 1;
+  
+  if (!['daily', 'weekly', 'monthly'].includes(frequency)) {
+    throw new Error('Recurring frequency must be daily, weekly or monthly');
+  }
+  if (!Number.isInteger(interval) || interval < 1) {
+    throw new Error('Recurring interval must be a positive whole number');
+  }
+  if (!endDate && !count) {
+    throw new Error('Recurring bookings need an end date or an occurrence count');
+  }
+  
+  const lastDate = endDate ? new Date(endDate) : null;
+  const maxCount = Math.min(count ? Number(count) : MAX_RECURRING_OCCURRENCES, MAX_RECURRING_OCCURRENCES);
+  const dayOfMonth = startDate.getUTCDate();
+  const occurrences = [];
+  
+  for (let index = 0; occurrences.length < maxCount; index++) {
+    const occurrence = new Date(startDate);
+    
+    if (frequency === 'daily') {
+      occurrence.setUTCDate(dayOfMonth + index * interval);
+    } else if (frequency === 'weekly') {
+      occurrence.setUTCDate(dayOfMonth + index * interval * 7);
+    } else {
+      // Clamp to the last day of shorter months (e.g. the 31st becomes the 30th)
+      occurrence.setUTCDate(1);
+      occurrence.setUTCMonth(startDate.getUTCMonth() + index * interval);
+      const daysInMonth = new Date(Date.UTC(occurrence.getUTCFullYear(), occurrence.getUTCMonth() + 1, 0)).getUTCDate();
+      occurrence.setUTCDate(Math.min(dayOfMonth, daysInMonth));
     }
     
-    // Move to next 30-minute slot
-    currentTime.setMinutes(currentTime.getMinutes() + 30);
+    if (lastDate && occurrence > lastDate) break;
+    occurrences.push(occurrence);
   }
   
-  return availableSlots;
+  return occurrences;
 };
 
-// Method to reschedule booking (for drag & drop)
-bookingSchema.methods.reschedule = async function(newStartDateTime, reason = 'Rescheduled via calendar', rescheduledBy = 'user') {
+// Method to build the query for "this / this and following / all" series edits
+bookingSchema.methods.getSeriesQuery = function(scope = 'this') {
+  if (!this.seriesId || scope === 'this') {
+    return { _id: this._id };
+  }
+  
+  const seriesQuery = {
+    seriesId: this.seriesId,
+    status: { $nin: ['completed', 'cancelled'] }
+  };
+  if (scope === 'following') {
+    seriesQuery.startDateTime = { $gte: this.startDateTime };
+  }
+  
+  // Always include the booking the edit was made from, whatever its status
+  return { $or: [{ _id: this._id }, seriesQuery] };
+};
+
+// Method to move the booking to a new start, keeping its length, without
+// saving it (see reschedule)
+bookingSchema.methods.moveTo = function(newStartDateTime, reason = 'Rescheduled via calendar', rescheduledBy = 'user') {
   // Store original times
   this.originalStartDateTime = this.startDateTime;
   this.originalEndDateTime = this.endDateTime;
@@ -246,29 +733,97 @@ bookingSchema.methods.reschedule = async function(newStartDateTime, reason = 'Re
   this.startDateTime = newStartDateTime;
   this.endDateTime = newEndDateTime;
   
-  // Extract date and time
-  this.date = new Date(newStartDateTime);
-  this.date.setHours(0, 0, 0, 0);
-  this.time = newStartDateTime.toTimeString().slice(0, 5);
+  // Extract the business-local date and time
+  const local = getZonedParts(newStartDateTime, this.timezone);
+  this.date = new Date(`${local.date}T00:00:00Z`);
+  this.time = local.time;
   
   // Set reschedule metadata
   this.rescheduledAt = new Date();
   this.rescheduledBy = rescheduledBy;
   this.rescheduleReason = reason;
   
+  this.syncDateTimes();
+  return this;
+};
+
+// Method to reschedule booking (for drag & drop)
+bookingSchema.methods.reschedule = async function(newStartDateTime, reason, rescheduledBy) {
+  this.moveTo(newStartDateTime, reason, rescheduledBy);
   return await this.save();
 };
 
+// Aggregation stages turning matched bookings into one document per service
+// booked: { _id: booking id, item: { serviceId, quantity, unitPrice } }.
+// Bookings made before line items count as one of their service at the
+// booking's total.
+bookingSchema.statics.lineItemStages = function() {
+  return [
+    {
+      $project: {
+        items: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ['$lineItems', []] } }, 0] },
+            '$lineItems',
+            [{ serviceId: '$serviceId', quantity: 1, unitPrice: '$totalAmount' }]
+          ]
+        }
+      }
+    },
+    { $unwind: '$items' },
+    { $project: { item: '$items' } }
+  ];
+};
+
+// Aggregation expression for the money collected on a booking: its amount
+// paid
+bookingSchema.statics.collectedAmountExpression = function() {
+  return { $ifNull: ['$amountPaid', 0] };
+};
+
+// Method naming what the booking is for: its line items, or the single
+// service of bookings made before line items (populate serviceId for those)
+bookingSchema.methods.describeServices = function() {
+  if (this.lineItems?.length > 0) return describeLineItems(this.lineItems);
+  return this.serviceId?.name || '';
+};
+
+// Virtual with the services booked, for lists and calendars
+bookingSchema.virtual('serviceSummary').get(function() {
+  return this.describeServices();
+});
+
+// Virtual listing the statuses the booking can move to right now
+bookingSchema.virtual('nextStatuses').get(function() {
+  if (!this.status || !this.startDateTime) return [];
+  return STATUS_TRANSITIONS[this.status].filter(status => !this.getTransitionError(status));
+});
+
+// Virtual with what is still owed on the booking
+bookingSchema.virtual('balanceDue').get(function() {
+  if (this.totalAmount === undefined) return 0;
+  return Math.max(0, Math.round((this.totalAmount - (this.amountPaid || 0)) * 100) / 100);
+});
+
 // Virtual for getting booking duration in hours
 bookingSchema.virtual('durationHours').get(function() {
   return this.duration / 60;
 });
 
-// Virtual for checking if booking is today
+// Virtual for checking if booking is today (in the booking's timezone)
 bookingSchema.virtual('isToday').get(function() {
-  const today = new Date();
-  const bookingDate = new Date(this.date);
-  return today.toDateString() === bookingDate.toDateString();
+  if (!this.startDateTime) return false;
+  return getZonedParts(new Date(), this.timezone).date === getZonedParts(this.startDateTime, this.timezone).date;
+});
+
+// Virtual exposing start/end as both UTC instants and local wall time
+bookingSchema.virtual('localTime').get(function() {
+  if (!this.startDateTime) return null;
+  return {
+    timezone: this.timezone,
+    start: describeInstant(this.startDateTime, this.timezone),
+    end: describeInstant(this.endDateTime, this.timezone)
+  };
 });
 
 export default mongoose.model('Booking', bookingSchema);
\ No newline at end of file
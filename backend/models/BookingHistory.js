@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+
+// One change to a booking: who made it, which fields changed from what to
+// what, and why. Entries are written by the Booking save hooks (and by the
+// delete route) and never edited or removed afterwards.
+const bookingHistorySchema = new mongoose.Schema({
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['created', 'rescheduled', 'reassigned', 'status_changed', 'cancelled', 'payment_updated', 'updated', 'deleted'],
+    required: true
+  },
+  actor: {
+    type: {
+      type: String,
+      enum: ['owner', 'assistant', 'customer', 'system'],
+      required: true
+    },
+    // The owner or assistant who made the change; customers have no account
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: String
+  },
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    oldValue: mongoose.Schema.Types.Mixed,
+    newValue: mongoose.Schema.Types.Mixed
+  }],
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+bookingHistorySchema.index({ bookingId: 1, createdAt: 1 });
+bookingHistorySchema.index({ userId: 1, createdAt: -1 });
+
+// The trail is append-only
+bookingHistorySchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('Booking history entries cannot be changed'));
+  next();
+});
+
+bookingHistorySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function(next) {
+  next(new Error('Booking history entries cannot be changed'));
+});
+
+// Actor for a change made by a signed-in owner or assistant
+bookingHistorySchema.statics.getStaffActor = async function(userId) {
+  const user = await mongoose.model('User').findById(userId).select('name role');
+  return {
+    type: user?.role === 'assistant' ? 'assistant' : 'owner',
+    id: userId,
+    name: user?.name
+  };
+};
+
+export default mongoose.model('BookingHistory', bookingHistorySchema);
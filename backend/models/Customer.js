@@ -45,12 +45,31 @@ const customerSchema = new mongoose.Schema({
   },
   lastBooking: {
     type: Date
+  },
+  completedBookings: {
+    type: Number,
+    default: 0
+  },
+  noShowCount: {
+    type: Number,
+    default: 0
+  },
+  lastVisit: {
+    type: Date
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
 });
 
 // Index for better query performance
 customerSchema.index({ userId: 1, email: 1 });
 
+// Virtual for the share of finished appointments the customer missed
+customerSchema.virtual('noShowRate').get(function() {
+  const finished = (this.completedBookings || 0) + (this.noShowCount || 0);
+  return finished === 0 ? 0 : Math.round((this.noShowCount / finished) * 100) / 100;
+});
+
 export default mongoose.model('Customer', customerSchema);
\ No newline at end of file
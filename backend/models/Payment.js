@@ -54,6 +54,11 @@ const paymentSchema = new mongoose.Schema({
   telebirrTransactionId: String,
   mobileMoneyReference: String,
   bankTransferReference: String,
+
+  // Checkout provider that collected the payment (see
+  // services/paymentProviders) and its own id for the checkout
+  provider: String,
+  providerReference: String,
   
   // Payment Method
   method: {
@@ -122,6 +127,12 @@ const paymentSchema = new mongoose.Schema({
     amount: Number,
     reason: String,
     stripeRefundId: String,
+    providerRefundId: String, // Telebirr, mobile money
+    manual: Boolean, // paid back outside the app (cash, bank)
+    processedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     processedAt: Date,
     status: {
       type: String,
@@ -197,9 +208,9 @@ paymentSchema.index({ booking: 1 });
 paymentSchema.index({ subscription: 1 });
 paymentSchema.index({ status: 1 });
 paymentSchema.index({ method: 1 });
-paymentSchema.index({ stripePaymentIntentId: 1 });
 paymentSchema.index({ receiptNumber: 1 });
 paymentSchema.index({ type: 1 });
+paymentSchema.index({ provider: 1, status: 1, createdAt: 1 });
 paymentSchema.index({ user: 1, createdAt: -1 });
 
 // Pre-save middleware to generate receipt number
@@ -222,7 +233,9 @@ paymentSchema.pre('save', function(next) {
 
 // Instance methods
 paymentSchema.methods.canRefund = function() {
-  return this.status === 'succeeded' && this.type !== 'refund';
+  return ['succeeded', 'partially_refunded'].includes(this.status) &&
+    !['refund', 'partial_refund'].includes(this.type) &&
+    this.getRemainingRefundable() > 0;
 };
 
 paymentSchema.methods.getTotalRefunded = function() {
@@ -231,24 +244,47 @@ paymentSchema.methods.getTotalRefunded = function() {
   }, 0);
 };
 
+// Refunds still being processed count as given back
 paymentSchema.methods.getRemainingRefundable = function() {
-  return this.amount - this.getTotalRefunded();
+  const pending = this.refunds.reduce((total, refund) => {
+    return refund.status === 'pending' ? total + refund.amount : total;
+  }, 0);
+  return Math.round((this.amount - this.getTotalRefunded() - pending) * 100) / 100;
 };
 
 // Static methods
+
+// Statuses of payments whose money was taken; refunds are then taken off
+// what was collected
+paymentSchema.statics.COLLECTED_STATUSES = ['succeeded', 'partially_refunded', 'refunded'];
+
+// Aggregation expression for the money a payment has brought in: its amount
+// less its succeeded refunds
+paymentSchema.statics.collectedAmountExpression = function() {
+  return {
+    $subtract: ['$amount', {
+      $reduce: {
+        input: { $ifNull: ['$refunds', []] },
+        initialValue: 0,
+        in: { $add: ['$$value', { $cond: [{ $eq: ['$$this.status', 'succeeded'] }, '$$this.amount', 0] }] }
+      }
+    }]
+  };
+};
+
 paymentSchema.statics.getRevenueStats = function(userId, startDate, endDate) {
   return this.aggregate([
     {
       $match: {
         user: new mongoose.Types.ObjectId(userId),
-        status: 'succeeded',
+        status: { $in: this.COLLECTED_STATUSES },
         createdAt: { $gte: startDate, $lte: endDate }
       }
     },
     {
       $group: {
         _id: null,
-        totalRevenue: { $sum: '$amount' },
+        totalRevenue: { $sum: this.collectedAmountExpression() },
         totalTransactions: { $sum: 1 },
         avgTransactionValue: { $avg: '$amount' },
         totalFees: { $sum: { $add: ['$fees.stripe', '$fees.platform', '$fees.processing'] } }
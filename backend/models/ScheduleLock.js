@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+
+// One document per business, used as a mutex around schedule writes
+const scheduleLockSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  lockedUntil: {
+    type: Date,
+    default: () => new Date(0)
+  },
+  token: mongoose.Schema.Types.ObjectId
+});
+
+export default mongoose.model('ScheduleLock', scheduleLockSchema);
@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+import { toDateString } from '../utils/timezone.js';
+
+// A closure (holiday, vacation) or special opening hours for a range of
+// business-local dates, for the whole business or a single staff member.
+// Dates are stored like Booking.date: UTC midnight of the local calendar day.
+const scheduleOverrideSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Set for one person's time off or hours; empty means the whole business
+  staffId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  type: {
+    type: String,
+    enum: ['closed', 'hours'],
+    required: true
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  // Opening hours used instead of the weekly pattern when type is 'hours'
+  start: {
+    type: String,
+    match: [/^([01][0-9]|2[0-3]):[0-5][0-9]$/, 'Please enter valid time format (HH:MM)'],
+    required: function() {
+      return this.type === 'hours';
+    }
+  },
+  end: {
+    type: String,
+    match: [/^([01][0-9]|2[0-3]):[0-5][0-9]$/, 'Please enter valid time format (HH:MM)'],
+    required: function() {
+      return this.type === 'hours';
+    }
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reason cannot exceed 100 characters']
+  }
+}, {
+  timestamps: true
+});
+
+scheduleOverrideSchema.index({ userId: 1, startDate: 1, endDate: 1 });
+
+// Validate the date range and hours
+scheduleOverrideSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date cannot be before start date');
+  }
+  if (this.type === 'hours' && this.start && this.end && this.start >= this.end) {
+    this.invalidate('end', 'Closing time must be after opening time');
+  }
+  next();
+});
+
+// Overrides covering a calendar date, business-wide and per-staff
+scheduleOverrideSchema.statics.findForDate = function(userId, dateValue) {
+  const day = new Date(`${toDateString(dateValue)}T00:00:00Z`);
+  return this.find({
+    userId,
+    startDate: { $lte: day },
+    endDate: { $gte: day }
+  });
+};
+
+// The override that applies to one person on a date (already narrowed with
+// findForDate): their own beats a business-wide one. Without a staffId only
+// business-wide overrides count.
+scheduleOverrideSchema.statics.pickOverride = function(overrides, staffId) {
+  const own = staffId && overrides.find(override => override.staffId && override.staffId.toString() === staffId.toString());
+  return own || overrides.find(override => !override.staffId) || null;
+};
+
+// Working hours for a person on a date: an override if there is one,
+// otherwise their weekly businessHours. Returns null when they are not working.
+scheduleOverrideSchema.statics.resolveHours = function(overrides, member, dayOfWeek) {
+  const override = this.pickOverride(overrides, member._id);
+  if (override) {
+    return override.type === 'closed' ? null : { start: override.start, end: override.end, isOpen: true };
+  }
+
+  const hours = member.businessHours && member.businessHours[dayOfWeek];
+  if (!hours || !hours.isOpen || !hours.start || !hours.end) return null;
+  return hours;
+};
+
+export default mongoose.model('ScheduleOverride', scheduleOverrideSchema);
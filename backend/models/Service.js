@@ -1,4 +1,116 @@
 import mongoose from 'mongoose';
+import { getDayOfWeek } from '../utils/timezone.js';
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const TIME_FORMAT = [/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Please enter valid time format (HH:MM)'];
+
+// A version of the service with its own price and length, e.g. a 1-bedroom
+// vs a 3-bedroom clean. Customers pick one instead of the base service.
+const variantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Variant name is required'],
+    trim: true,
+    maxlength: [100, 'Variant name cannot exceed 100 characters']
+  },
+  price: {
+    type: Number,
+    required: [true, 'Variant price is required'],
+    min: [0, 'Price must be positive']
+  },
+  duration: {
+    type: Number,
+    required: [true, 'Variant duration is required'],
+    min: [15, 'Duration must be at least 15 minutes']
+  }
+});
+
+// Optional extra that adds to the price and the time the job takes
+const addOnSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Add-on name is required'],
+    trim: true,
+    maxlength: [100, 'Add-on name cannot exceed 100 characters']
+  },
+  price: {
+    type: Number,
+    required: [true, 'Add-on price is required'],
+    min: [0, 'Price must be positive']
+  },
+  duration: {
+    type: Number,
+    default: 0,
+    min: [0, 'Duration cannot be negative']
+  }
+});
+
+// Extra charge for jobs starting on certain days and/or at certain times,
+// e.g. weekends or evenings. No days means every day; no start/end means
+// all day.
+const surchargeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Surcharge name is required'],
+    trim: true,
+    maxlength: [100, 'Surcharge name cannot exceed 100 characters']
+  },
+  days: [{
+    type: String,
+    enum: DAYS
+  }],
+  start: {
+    type: String,
+    match: TIME_FORMAT
+  },
+  end: {
+    type: String,
+    match: TIME_FORMAT
+  },
+  // A percentage of the price (variant and add-ons included) or a fixed amount
+  type: {
+    type: String,
+    enum: ['percent', 'fixed'],
+    default: 'percent'
+  },
+  value: {
+    type: Number,
+    required: [true, 'Surcharge amount is required'],
+    min: [0, 'Surcharge cannot be negative']
+  }
+});
+
+const INTAKE_FIELD_TYPES = ['text', 'select', 'checkbox', 'date', 'number'];
+
+// Text in each language the app supports; Amharic and Oromo fall back to
+// English
+const localizedText = (maxlength) => ({
+  en: {
+    type: String,
+    required: [true, 'English text is required'],
+    trim: true,
+    maxlength: [maxlength, `Text cannot exceed ${maxlength} characters`]
+  },
+  am: { type: String, trim: true, maxlength: [maxlength, `Text cannot exceed ${maxlength} characters`] },
+  or: { type: String, trim: true, maxlength: [maxlength, `Text cannot exceed ${maxlength} characters`] }
+});
+
+// A question customers answer when booking the service online ("What is
+// leaking?", "Gate code"). Select answers are stored as the option's
+// English text.
+const intakeFieldSchema = new mongoose.Schema({
+  label: localizedText(200),
+  type: {
+    type: String,
+    enum: INTAKE_FIELD_TYPES,
+    default: 'text'
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  options: [new mongoose.Schema(localizedText(100), { _id: false })]
+});
 
 const serviceSchema = new mongoose.Schema({
   userId: {
@@ -28,10 +140,39 @@ const serviceSchema = new mongoose.Schema({
     required: [true, 'Service duration is required'],
     min: [15, 'Duration must be at least 15 minutes']
   },
-  category: {
+  // Prep and clean-up time around the job; not shown to the customer
+  bufferBefore: {
+    type: Number,
+    default: 0,
+    min: [0, 'Buffer cannot be negative']
+  },
+  bufferAfter: {
+    type: Number,
+    default: 0,
+    min: [0, 'Buffer cannot be negative']
+  },
+  variants: [variantSchema],
+  addOns: [addOnSchema],
+  surcharges: [surchargeSchema],
+  intakeForm: [intakeFieldSchema],
+  // The business's own category (see ServiceCategory); services without one
+  // are listed after the categorised ones
+  categoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceCategory'
+  },
+  // Fixed category from before custom categories, only kept until
+  // ServiceCategory.importLegacy has converted it
+  category: String,
+  // Position within the category on the catalog
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  image: {
     type: String,
-    required: [true, 'Service category is required'],
-    enum: ['repair', 'maintenance', 'installation', 'cleaning', 'consultation', 'other']
+    trim: true,
+    match: [/^https?:\/\/\S+$/, 'Please enter a valid image URL']
   },
   isActive: {
     type: Boolean,
@@ -43,5 +184,116 @@ const serviceSchema = new mongoose.Schema({
 
 // Index for better query performance
 serviceSchema.index({ userId: 1, isActive: 1 });
+serviceSchema.index({ userId: 1, sortOrder: 1 });
+
+// New services go to the end of the catalog
+serviceSchema.pre('save', async function(next) {
+  if (!this.isNew || this.sortOrder) return next();
+
+  const last = await this.constructor.findOne({ userId: this.userId }).sort({ sortOrder: -1 });
+  this.sortOrder = last ? last.sortOrder + 1 : 0;
+  next();
+});
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const validationError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Method listing the surcharges for a job starting at a business-local date
+// and time
+serviceSchema.methods.getSurchargesAt = function(date, time) {
+  const day = getDayOfWeek(date);
+  const minutes = toMinutes(time);
+  return this.surcharges.filter(surcharge => (
+    (surcharge.days.length === 0 || surcharge.days.includes(day)) &&
+    (!surcharge.start || minutes >= toMinutes(surcharge.start)) &&
+    (!surcharge.end || minutes < toMinutes(surcharge.end))
+  ));
+};
+
+// Method working out the service as a customer configured it: the chosen
+// variant (or the base service), add-ons and, when the date and time are
+// known, surcharges. The result can stand in for the service when sizing and
+// reserving slots (it has the same _id, name, duration, price and buffers).
+serviceSchema.methods.configure = function({ variantId, addOnIds = [], date, time } = {}) {
+  const variant = variantId ? this.variants.id(variantId) : null;
+  if (variantId && !variant) {
+    throw validationError(`Unknown option for ${this.name}`);
+  }
+
+  const addOns = [].concat(addOnIds).filter(Boolean).map(addOnId => {
+    const addOn = this.addOns.id(addOnId);
+    if (!addOn) throw validationError(`Unknown add-on for ${this.name}`);
+    return { id: addOn._id, name: addOn.name, price: addOn.price, duration: addOn.duration };
+  });
+
+  const basePrice = (variant ? variant.price : this.price) + addOns.reduce((total, addOn) => total + addOn.price, 0);
+  const surcharges = date && time
+    ? this.getSurchargesAt(date, time).map(surcharge => ({
+      name: surcharge.name,
+      amount: Math.round((surcharge.type === 'fixed' ? surcharge.value : basePrice * surcharge.value / 100) * 100) / 100
+    }))
+    : [];
+
+  return {
+    _id: this._id,
+    name: this.name,
+    price: Math.round((basePrice + surcharges.reduce((total, surcharge) => total + surcharge.amount, 0)) * 100) / 100,
+    duration: (variant ? variant.duration : this.duration) + addOns.reduce((total, addOn) => total + addOn.duration, 0),
+    bufferBefore: this.bufferBefore,
+    bufferAfter: this.bufferAfter,
+    variant: variant ? { id: variant._id, name: variant.name } : undefined,
+    addOns,
+    surcharges
+  };
+};
+
+const toBoolean = (value) => value === true || value === 'true' || value === 'on';
+
+// Method checking a customer's intake form answers, given as
+// { [fieldId]: value }. Returns them as stored on the booking, with each
+// field's English label, or throws a 400 error naming the first bad answer.
+serviceSchema.methods.checkIntakeAnswers = function(answers) {
+  return this.intakeForm.flatMap(field => {
+    const raw = answers?.[field._id];
+    const label = field.label.en;
+
+    if (field.type === 'checkbox') {
+      const checked = toBoolean(raw);
+      if (field.required && !checked) throw validationError(`${label} is required`);
+      return [{ fieldId: field._id, label, type: field.type, value: checked }];
+    }
+
+    if (raw === undefined || raw === null || String(raw).trim() === '') {
+      if (field.required) throw validationError(`${label} is required`);
+      return [];
+    }
+
+    let value = String(raw).trim();
+    if (field.type === 'number') {
+      value = Number(value);
+      if (!Number.isFinite(value)) throw validationError(`${label} must be a number`);
+    } else if (field.type === 'date') {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value))) {
+        throw validationError(`${label} must be a date`);
+      }
+    } else if (field.type === 'select') {
+      if (!field.options.some(option => option.en === value)) {
+        throw validationError(`${label} must be one of the listed options`);
+      }
+    } else if (value.length > 1000) {
+      throw validationError(`${label} cannot exceed 1000 characters`);
+    }
+
+    return [{ fieldId: field._id, label, type: field.type, value }];
+  });
+};
 
 export default mongoose.model('Service', serviceSchema);
\ No newline at end of file
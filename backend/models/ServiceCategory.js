@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+// Names for the fixed categories services had before businesses could set
+// their own, used when converting those services (see importLegacy)
+const LEGACY_CATEGORIES = {
+  repair: { en: 'Repair', am: 'ጥገና', or: 'Suphaa' },
+  maintenance: { en: 'Maintenance', am: 'እንክብካቤ', or: 'Kunuunsa' },
+  installation: { en: 'Installation', am: 'ተከላ', or: 'Dhaabbii' },
+  cleaning: { en: 'Cleaning', am: 'ጽዳት', or: 'Qulqulleessuu' },
+  consultation: { en: 'Consultation', am: 'ምክክር', or: 'Mariisisa' },
+  other: { en: 'Other', am: 'ሌሎች', or: 'Kan biroo' }
+};
+
+const nameField = {
+  type: String,
+  trim: true,
+  maxlength: [50, 'Category name cannot exceed 50 characters']
+};
+
+// A business's own grouping of its services ("Lessons", "Exam prep"), named
+// in each language the app supports. Categories and the services in them
+// are shown in sortOrder.
+const serviceCategorySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Amharic and Oromo names are optional and fall back to English
+  name: {
+    en: {
+      ...nameField,
+      required: [true, 'Category name is required']
+    },
+    am: nameField,
+    or: nameField
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+serviceCategorySchema.index({ userId: 1, sortOrder: 1 });
+
+// New categories go to the end of the list
+serviceCategorySchema.pre('save', async function(next) {
+  if (!this.isNew || this.sortOrder) return next();
+
+  const last = await this.constructor.findOne({ userId: this.userId }).sort({ sortOrder: -1 });
+  this.sortOrder = last ? last.sortOrder + 1 : 0;
+  next();
+});
+
+// Method returning the name in a language, falling back to English
+serviceCategorySchema.methods.getName = function(language) {
+  return this.name[language] || this.name.en;
+};
+
+// Static turning the old fixed `category` values of a business's services
+// into categories of its own and moving the services into them. Does
+// nothing once every service has been converted.
+serviceCategorySchema.statics.importLegacy = async function(userId) {
+  const Service = mongoose.model('Service');
+  const legacyFilter = { userId, category: { $exists: true }, categoryId: { $exists: false } };
+  const values = await Service.distinct('category', legacyFilter);
+  if (values.length === 0) return;
+
+  const existing = await this.find({ userId });
+  const keys = Object.keys(LEGACY_CATEGORIES);
+  const ordered = values.sort((a, b) => keys.indexOf(a) - keys.indexOf(b));
+
+  for (const value of ordered) {
+    const name = LEGACY_CATEGORIES[value] || { en: value };
+    let category = existing.find(option => option.name.en === name.en);
+    if (!category) {
+      category = await this.create({ userId, name });
+    }
+    await Service.updateMany(
+      { ...legacyFilter, category: value },
+      { $set: { categoryId: category._id }, $unset: { category: 1 } }
+    );
+  }
+};
+
+export default mongoose.model('ServiceCategory', serviceCategorySchema);
@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+
+// Short-lived reservation of a time slot while a customer finishes booking
+const slotHoldSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  serviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true
+  },
+  staffId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // The service as the customer configured it (see Service#configure): the
+  // booking is made with these options at the price quoted for the hold
+  variantId: mongoose.Schema.Types.ObjectId,
+  addOnIds: [mongoose.Schema.Types.ObjectId],
+  price: Number,
+  date: {
+    type: Date,
+    required: true
+  },
+  time: {
+    type: String,
+    required: true
+  },
+  duration: {
+    type: Number,
+    required: true
+  },
+  bufferBefore: {
+    type: Number,
+    default: 0
+  },
+  bufferAfter: {
+    type: Number,
+    default: 0
+  },
+  timezone: String,
+  startDateTime: {
+    type: Date,
+    required: true
+  },
+  endDateTime: {
+    type: Date,
+    required: true
+  },
+  // Range the staff member is kept busy, buffers included (see Booking)
+  blockedStartDateTime: {
+    type: Date,
+    required: true
+  },
+  blockedEndDateTime: {
+    type: Date,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// MongoDB removes expired holds on its own; queries still filter on expiresAt
+// because the TTL monitor only runs about once a minute
+slotHoldSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+slotHoldSchema.index({ userId: 1, blockedStartDateTime: 1, blockedEndDateTime: 1 });
+
+// Method to check whether the hold is still valid
+slotHoldSchema.methods.isActive = function() {
+  return this.expiresAt > new Date();
+};
+
+export default mongoose.model('SlotHold', slotHoldSchema);
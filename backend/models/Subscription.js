@@ -1,5 +1,12 @@
 import mongoose from 'mongoose';
 
+// Attachment storage per plan, in megabytes (-1 is unlimited)
+const STORAGE_LIMITS_MB = {
+  free: 100,
+  pro: 2048,
+  business: -1
+};
+
 const subscriptionSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -110,6 +117,12 @@ const subscriptionSchema = new mongoose.Schema({
         }
       }
     },
+    maxStorageMB: {
+      type: Number,
+      default: function() {
+        return STORAGE_LIMITS_MB[this.plan] ?? STORAGE_LIMITS_MB.free;
+      }
+    },
     features: {
       type: [String],
       default: function() {
@@ -227,9 +240,15 @@ subscriptionSchema.statics.getPlanPricing = function(plan, currency = 'USD') {
   return pricing[currency]?.[plan] || null;
 };
 
+// Static giving a plan's storage limit in megabytes, -1 for unlimited
+subscriptionSchema.statics.getStorageLimitMB = function(plan) {
+  return STORAGE_LIMITS_MB[plan] ?? STORAGE_LIMITS_MB.free;
+};
+
 // Pre-save middleware to set limits based on plan
 subscriptionSchema.pre('save', function(next) {
   if (this.isModified('plan')) {
+    this.limits.maxStorageMB = STORAGE_LIMITS_MB[this.plan];
     switch(this.plan) {
       case 'free':
         this.limits.maxBookingsPerMonth = 50;
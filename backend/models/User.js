@@ -1,5 +1,7 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import ScheduleOverride from './ScheduleOverride.js';
+import { DEFAULT_TIMEZONE, isValidTimeZone, getZonedParts } from '../utils/timezone.js';
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -61,6 +63,12 @@ const userSchema = new mongoose.Schema({
     enum: ['en', 'am', 'or'], // English, Amharic, Afan Oromo
     default: 'en'
   },
+  // Calendar used to show and enter dates
+  calendar: {
+    type: String,
+    enum: ['gregorian', 'ethiopian'],
+    default: 'gregorian'
+  },
   
   // Business Hours for Smart Booking
   businessHours: {
@@ -74,8 +82,92 @@ const userSchema = new mongoose.Schema({
   },
   timezone: {
     type: String,
-    default: 'Africa/Addis_Ababa'
+    default: DEFAULT_TIMEZONE,
+    validate: [isValidTimeZone, 'Please enter a valid IANA timezone']
+  },
+  // Currency services are priced in and customers are charged in
+  currency: {
+    type: String,
+    enum: ['ETB', 'USD'],
+    default: 'ETB'
+  },
+  // Minutes kept free after every job to travel to the next customer
+  travelBufferMinutes: {
+    type: Number,
+    default: 0,
+    min: [0, 'Travel buffer cannot be negative'],
+    max: [240, 'Travel buffer cannot exceed 240 minutes']
+  },
+  // Customers can cancel or reschedule online until this many hours before
+  // the appointment; after that they have to contact the business
+  cancellationCutoffHours: {
+    type: Number,
+    default: 24,
+    min: [0, 'Cancellation cutoff cannot be negative'],
+    max: [720, 'Cancellation cutoff cannot exceed 720 hours']
+  },
+  // Customers with at least this many no-shows must prepay a deposit of
+  // depositPercent of the price to book online; 0 never asks for one
+  noShowDepositThreshold: {
+    type: Number,
+    default: 0,
+    min: [0, 'No-show threshold cannot be negative'],
+    max: [20, 'No-show threshold cannot exceed 20']
+  },
+  depositPercent: {
+    type: Number,
+    default: 50,
+    min: [1, 'Deposit must be at least 1%'],
+    max: [100, 'Deposit cannot exceed 100%']
+  },
+  // Cancelling or rescheduling within this many hours of the appointment
+  // costs a share of the price; 0% leaves that change free
+  lateChangeWindowHours: {
+    type: Number,
+    default: 24,
+    min: [0, 'Fee window cannot be negative'],
+    max: [720, 'Fee window cannot exceed 720 hours']
+  },
+  lateCancellationFeePercent: {
+    type: Number,
+    default: 0,
+    min: [0, 'Fee cannot be negative'],
+    max: [100, 'Fee cannot exceed 100%']
+  },
+  lateRescheduleFeePercent: {
+    type: Number,
+    default: 0,
+    min: [0, 'Fee cannot be negative'],
+    max: [100, 'Fee cannot exceed 100%']
+  },
+  
+  // Team members: assistants belong to an owner account and share its data
+  role: {
+    type: String,
+    enum: ['admin', 'assistant'],
+    default: 'admin'
   },
+  permissions: {
+    type: [String],
+    default: ['read', 'write', 'delete', 'manage_billing']
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Whether this person can be assigned bookings; their own businessHours
+  // are their working hours
+  acceptsBookings: {
+    type: Boolean,
+    default: true
+  },
+
+  // The business's customer id at the billing provider (Stripe, or the fake
+  // provider in development), created on its first card payment
+  stripeCustomerId: String,
+  // Bytes of attachment storage in use, counted up and down by
+  // attachmentService. Missing until the first upload after it was added.
+  storageUsedBytes: Number,
   
   isActive: {
     type: Boolean,
@@ -92,6 +184,7 @@ const userSchema = new mongoose.Schema({
 // Indexes for better performance
 userSchema.index({ email: 1 });
 userSchema.index({ googleId: 1 });
+userSchema.index({ ownerId: 1, role: 1 });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -112,6 +205,38 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Deposit a customer must prepay to book a service online, or 0 when the
+// business does not ask them for one
+userSchema.methods.getDepositFor = function(customer, price) {
+  if (!this.noShowDepositThreshold || !customer || customer.noShowCount < this.noShowDepositThreshold) return 0;
+  return Math.round(price * this.depositPercent) / 100;
+};
+
+// Get everyone who can take bookings for a business: the owner and their
+// active assistants, owner first
+userSchema.statics.getBookableStaff = function(ownerId) {
+  return this.find({
+    $or: [{ _id: ownerId }, { ownerId, role: 'assistant' }],
+    isActive: true,
+    acceptsBookings: { $ne: false }
+  }).sort({ createdAt: 1 });
+};
+
+// Check whether [startDateTime, endDateTime) falls inside this person's
+// working hours for that day, read in the given timezone. `overrides` are the
+// ScheduleOverrides for that date (closures and special hours).
+userSchema.methods.isWorkingDuring = function(startDateTime, endDateTime, timezone = DEFAULT_TIMEZONE, overrides = []) {
+  const start = getZonedParts(startDateTime, timezone);
+  const end = getZonedParts(endDateTime, timezone);
+  const hours = ScheduleOverride.resolveHours(overrides, this, start.dayOfWeek);
+
+  if (!hours) return false;
+  if (start.date !== end.date && end.time !== '00:00') return false;
+
+  const endTime = start.date === end.date ? end.time : '24:00';
+  return start.time >= hours.start && endTime <= hours.end;
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
@@ -0,0 +1,113 @@
+import mongoose from 'mongoose';
+
+const TIME_PATTERN = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+
+// A customer waiting for a slot on a fully booked day. When a booking that
+// day is cancelled or moved away, the first matching entry is offered the
+// freed time, held for them until the offer expires.
+const waitlistEntrySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  serviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true
+  },
+  // Business-local day, stored like Booking.date
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  // Start times the customer can make, inclusive; empty means any time
+  windowStart: {
+    type: String,
+    match: [TIME_PATTERN, 'Please enter valid time format (HH:MM)']
+  },
+  windowEnd: {
+    type: String,
+    match: [TIME_PATTERN, 'Please enter valid time format (HH:MM)']
+  },
+  customer: {
+    name: {
+      type: String,
+      required: [true, 'Customer name is required'],
+      trim: true,
+      maxlength: [100, 'Customer name cannot exceed 100 characters']
+    },
+    email: {
+      type: String,
+      required: [true, 'Customer email is required'],
+      lowercase: true,
+      trim: true,
+      match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+    },
+    phone: {
+      type: String,
+      required: [true, 'Customer phone is required'],
+      trim: true,
+      maxlength: [20, 'Phone number cannot exceed 20 characters']
+    }
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  // Intake form answers given when joining, copied to the booking when the
+  // offer is claimed (see Booking.intakeAnswers)
+  intakeAnswers: [{
+    _id: false,
+    fieldId: mongoose.Schema.Types.ObjectId,
+    label: String,
+    type: { type: String },
+    value: mongoose.Schema.Types.Mixed
+  }],
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'booked', 'expired', 'cancelled'],
+    default: 'waiting'
+  },
+  // The slot currently offered, kept free by a SlotHold until expiresAt
+  offer: {
+    holdId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SlotHold'
+    },
+    time: String,
+    offeredAt: Date,
+    expiresAt: Date
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  }
+}, {
+  timestamps: true
+});
+
+waitlistEntrySchema.index({ userId: 1, date: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ status: 1, 'offer.expiresAt': 1 });
+
+waitlistEntrySchema.pre('validate', function(next) {
+  if (this.windowStart && this.windowEnd && this.windowStart > this.windowEnd) {
+    this.invalidate('windowEnd', 'Latest time cannot be before earliest time');
+  }
+  next();
+});
+
+// Check that a slot start time falls inside the customer's window
+waitlistEntrySchema.methods.acceptsTime = function(time) {
+  if (this.windowStart && time < this.windowStart) return false;
+  if (this.windowEnd && time > this.windowEnd) return false;
+  return true;
+};
+
+// Method to check whether the current offer can still be claimed
+waitlistEntrySchema.methods.hasActiveOffer = function() {
+  return this.status === 'offered' && !!this.offer?.expiresAt && this.offer.expiresAt > new Date();
+};
+
+export default mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -1,16 +1,17 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import Booking from '../models/Booking.js';
 import Customer from '../models/Customer.js';
-import Payment from '../models/Payment.js';
 import Service from '../models/Service.js';
 import { protect } from '../middleware/auth.js';
+import paymentRecordService from '../services/paymentRecordService.js';
 
 const router = express.Router();
 
 // Get dashboard analytics
 router.get('/dashboard', protect, async (req, res) => {
   try {
-    const userId = req.user.id;
+    const userId = new mongoose.Types.ObjectId(req.user.userId);
     const now = new Date();
     const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
     const startOfYear = new Date(now.getFullYear(), 0, 1);
@@ -26,21 +27,9 @@ router.get('/dashboard', protect, async (req, res) => {
       createdAt: { $gte: startOfMonth }
     });
 
-    const thisMonthRevenue = await Payment.aggregate([
-      {
-        $match: {
-          userId: userId,
-          status: 'completed',
-          createdAt: { $gte: startOfMonth }
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          total: { $sum: '$amount' }
-        }
-      }
-    ]);
+    // Revenue is what was collected (less refunds) from customers, by when
+    // it was paid
+    const thisMonthRevenue = await paymentRecordService.getRevenue(userId, { from: startOfMonth });
 
     // Recent bookings with localized status
     const recentBookings = await Booking.find({ userId })
@@ -79,39 +68,21 @@ router.get('/dashboard', protect, async (req, res) => {
     const sixMonthsAgo = new Date();
     sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
 
-    const monthlyRevenue = await Payment.aggregate([
-      {
-        $match: {
-          userId: userId,
-          status: 'completed',
-          createdAt: { $gte: sixMonthsAgo }
-        }
-      },
-      {
-        $group: {
-          _id: {
-            year: { $year: '$createdAt' },
-            month: { $month: '$createdAt' }
-          },
-          total: { $sum: '$amount' },
-          count: { $sum: 1 }
-        }
-      },
-      {
-        $sort: { '_id.year': 1, '_id.month': 1 }
-      }
-    ]);
+    const monthlyRevenue = await paymentRecordService.getRevenue(userId, { from: sixMonthsAgo, groupBy: 'month' });
 
     // Top services
     const topServices = await Booking.aggregate([
       { $match: { userId: userId } },
+      ...Booking.lineItemStages(),
       {
         $group: {
-          _id: '$serviceId',
-          bookings: { $sum: 1 },
-          revenue: { $sum: '$totalAmount' }
+          _id: '$item.serviceId',
+          bookings: { $addToSet: '$_id' },
+          quantity: { $sum: '$item.quantity' },
+          revenue: { $sum: { $multiply: ['$item.unitPrice', '$item.quantity'] } }
         }
       },
+      { $addFields: { bookings: { $size: '$bookings' } } },
       { $sort: { bookings: -1 } },
       { $limit: 5 },
       {
@@ -0,0 +1,139 @@
+import express from 'express';
+import Attachment from '../models/Attachment.js';
+import BookingHistory from '../models/BookingHistory.js';
+import auth from '../middleware/auth.js';
+import { receiveUpload, getUploadedFile } from '../middleware/upload.js';
+import attachmentService from '../services/attachmentService.js';
+
+// Send a stored file, shown in the browser where it can be
+export const sendAttachment = async (res, attachment) => {
+  const data = await attachmentService.read(attachment);
+  res.set({
+    'Content-Type': attachment.contentType,
+    'Content-Length': data.length,
+    'Content-Disposition': `inline; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`
+  });
+  res.send(data);
+};
+
+// Send an image's thumbnail, or 404 when it has none
+export const sendThumbnail = async (res, attachment) => {
+  const data = await attachmentService.readThumbnail(attachment);
+  if (!data) {
+    return res.status(404).json({ message: 'This file has no thumbnail' });
+  }
+  res.set({
+    'Content-Type': 'image/webp',
+    'Content-Length': data.length,
+    'Cache-Control': 'private, max-age=86400'
+  });
+  res.send(data);
+};
+
+// Staff routes for the files of one kind of record, mounted under it:
+//   router.use('/:id/attachments', attachmentRoutes(Booking, 'bookingId'))
+// `field` is the Attachment field pointing at the record.
+export const attachmentRoutes = (Model, field) => {
+  const router = express.Router({ mergeParams: true });
+
+  // Whether the record in the URL belongs to the business
+  const findRecord = (req) => Model.exists({ _id: req.params.id, userId: req.user.userId });
+
+  const findAttachment = (req) => Attachment.findOne({
+    _id: req.params.attachmentId,
+    [field]: req.params.id,
+    userId: req.user.userId
+  });
+
+  // List the record's files, oldest first
+  router.get('/', auth, async (req, res) => {
+    try {
+      if (!(await findRecord(req))) {
+        return res.status(404).json({ message: `${Model.modelName} not found` });
+      }
+
+      const attachments = await Attachment.find({ [field]: req.params.id, userId: req.user.userId }).sort({ createdAt: 1 });
+      res.json({
+        success: true,
+        count: attachments.length,
+        attachments
+      });
+    } catch (error) {
+      console.error('Get attachments error:', error);
+      res.status(400).json({ message: error.message });
+    }
+  });
+
+  // Upload a file as the raw request body (see middleware/upload.js)
+  router.post('/', auth, receiveUpload, async (req, res) => {
+    try {
+      if (!(await findRecord(req))) {
+        return res.status(404).json({ message: `${Model.modelName} not found` });
+      }
+
+      const attachment = await attachmentService.upload(
+        { userId: req.user.userId, [field]: req.params.id },
+        getUploadedFile(req),
+        await BookingHistory.getStaffActor(req.user.userId)
+      );
+
+      res.status(201).json({
+        success: true,
+        attachment
+      });
+    } catch (error) {
+      console.error('Upload attachment error:', error);
+      res.status(error.statusCode || 400).json({ message: error.message, ...error.details });
+    }
+  });
+
+  // Download a file
+  router.get('/:attachmentId', auth, async (req, res) => {
+    try {
+      const attachment = await findAttachment(req);
+      if (!attachment) {
+        return res.status(404).json({ message: 'Attachment not found' });
+      }
+      await sendAttachment(res, attachment);
+    } catch (error) {
+      console.error('Download attachment error:', error);
+      res.status(400).json({ message: error.message });
+    }
+  });
+
+  // A small copy of an image for lists
+  router.get('/:attachmentId/thumbnail', auth, async (req, res) => {
+    try {
+      const attachment = await findAttachment(req);
+      if (!attachment) {
+        return res.status(404).json({ message: 'Attachment not found' });
+      }
+      await sendThumbnail(res, attachment);
+    } catch (error) {
+      console.error('Thumbnail error:', error);
+      res.status(400).json({ message: error.message });
+    }
+  });
+
+  router.delete('/:attachmentId', auth, async (req, res) => {
+    try {
+      const attachment = await findAttachment(req);
+      if (!attachment) {
+        return res.status(404).json({ message: 'Attachment not found' });
+      }
+
+      await attachmentService.remove(attachment);
+      res.json({
+        success: true,
+        message: 'Attachment deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete attachment error:', error);
+      res.status(400).json({ message: error.message });
+    }
+  });
+
+  return router;
+};
+
+export default attachmentRoutes;
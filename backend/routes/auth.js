@@ -47,7 +47,15 @@ router.post('/register', async (req, res) => {
         email: user.email,
         businessName: user.businessName,
         businessType: user.businessType,
-        language: user.language
+        language: user.language,
+        calendar: user.calendar,
+        travelBufferMinutes: user.travelBufferMinutes,
+        cancellationCutoffHours: user.cancellationCutoffHours,
+        noShowDepositThreshold: user.noShowDepositThreshold,
+        depositPercent: user.depositPercent,
+        lateChangeWindowHours: user.lateChangeWindowHours,
+        lateCancellationFeePercent: user.lateCancellationFeePercent,
+        lateRescheduleFeePercent: user.lateRescheduleFeePercent
       }
     });
   } catch (error) {
@@ -103,7 +111,15 @@ router.post('/login', async (req, res) => {
         businessName: user.businessName,
         businessType: user.businessType,
         language: user.language,
-        profilePicture: user.profilePicture
+        profilePicture: user.profilePicture,
+        calendar: user.calendar,
+        travelBufferMinutes: user.travelBufferMinutes,
+        cancellationCutoffHours: user.cancellationCutoffHours,
+        noShowDepositThreshold: user.noShowDepositThreshold,
+        depositPercent: user.depositPercent,
+        lateChangeWindowHours: user.lateChangeWindowHours,
+        lateCancellationFeePercent: user.lateCancellationFeePercent,
+        lateRescheduleFeePercent: user.lateRescheduleFeePercent
       }
     });
   } catch (error) {
@@ -217,7 +233,15 @@ router.post('/google/callback', async (req, res) => {
         businessName: user.businessName,
         businessType: user.businessType,
         language: user.language,
-        profilePicture: user.profilePicture
+        profilePicture: user.profilePicture,
+        calendar: user.calendar,
+        travelBufferMinutes: user.travelBufferMinutes,
+        cancellationCutoffHours: user.cancellationCutoffHours,
+        noShowDepositThreshold: user.noShowDepositThreshold,
+        depositPercent: user.depositPercent,
+        lateChangeWindowHours: user.lateChangeWindowHours,
+        lateCancellationFeePercent: user.lateCancellationFeePercent,
+        lateRescheduleFeePercent: user.lateRescheduleFeePercent
       }
     });
   } catch (error) {
@@ -246,7 +270,15 @@ router.get('/me', auth, async (req, res) => {
         language: user.language,
         profilePicture: user.profilePicture,
         businessHours: user.businessHours,
-        timezone: user.timezone
+        timezone: user.timezone,
+        calendar: user.calendar,
+        travelBufferMinutes: user.travelBufferMinutes,
+        cancellationCutoffHours: user.cancellationCutoffHours,
+        noShowDepositThreshold: user.noShowDepositThreshold,
+        depositPercent: user.depositPercent,
+        lateChangeWindowHours: user.lateChangeWindowHours,
+        lateCancellationFeePercent: user.lateCancellationFeePercent,
+        lateRescheduleFeePercent: user.lateRescheduleFeePercent
       }
     });
   } catch (error) {
@@ -266,7 +298,15 @@ router.put('/profile', auth, async (req, res) => {
       address,
       language,
       businessHours,
-      timezone
+      timezone,
+      calendar,
+      travelBufferMinutes,
+      cancellationCutoffHours,
+      noShowDepositThreshold,
+      depositPercent,
+      lateChangeWindowHours,
+      lateCancellationFeePercent,
+      lateRescheduleFeePercent
     } = req.body;
 
     const user = await User.findById(req.user.userId);
@@ -283,6 +323,14 @@ router.put('/profile', auth, async (req, res) => {
     if (language) user.language = language;
     if (businessHours) user.businessHours = businessHours;
     if (timezone) user.timezone = timezone;
+    if (calendar) user.calendar = calendar;
+    if (travelBufferMinutes !== undefined) user.travelBufferMinutes = travelBufferMinutes;
+    if (cancellationCutoffHours !== undefined) user.cancellationCutoffHours = cancellationCutoffHours;
+    if (noShowDepositThreshold !== undefined) user.noShowDepositThreshold = noShowDepositThreshold;
+    if (depositPercent !== undefined) user.depositPercent = depositPercent;
+    if (lateChangeWindowHours !== undefined) user.lateChangeWindowHours = lateChangeWindowHours;
+    if (lateCancellationFeePercent !== undefined) user.lateCancellationFeePercent = lateCancellationFeePercent;
+    if (lateRescheduleFeePercent !== undefined) user.lateRescheduleFeePercent = lateRescheduleFeePercent;
 
     await user.save();
 
@@ -298,7 +346,15 @@ router.put('/profile', auth, async (req, res) => {
         address: user.address,
         language: user.language,
         businessHours: user.businessHours,
-        timezone: user.timezone
+        timezone: user.timezone,
+        calendar: user.calendar,
+        travelBufferMinutes: user.travelBufferMinutes,
+        cancellationCutoffHours: user.cancellationCutoffHours,
+        noShowDepositThreshold: user.noShowDepositThreshold,
+        depositPercent: user.depositPercent,
+        lateChangeWindowHours: user.lateChangeWindowHours,
+        lateCancellationFeePercent: user.lateCancellationFeePercent,
+        lateRescheduleFeePercent: user.lateRescheduleFeePercent
       }
     });
   } catch (error) {
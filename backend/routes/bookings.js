@@ -1,33 +1,116 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import Booking from '../models/Booking.js';
 import Customer from '../models/Customer.js';
 import Service from '../models/Service.js';
+import User from '../models/User.js';
+import BookingHistory from '../models/BookingHistory.js';
+import ScheduleOverride from '../models/ScheduleOverride.js';
 import auth from '../middleware/auth.js';
+import slotReservationService from '../services/slotReservationService.js';
+import waitlistService from '../services/waitlistService.js';
+import bookingStatusService from '../services/bookingStatusService.js';
+import cancellationFeeService from '../services/cancellationFeeService.js';
+import attachmentService from '../services/attachmentService.js';
+import bookingLedgerService from '../services/bookingLedgerService.js';
+import { attachmentRoutes } from './attachments.js';
+import {
+  DEFAULT_TIMEZONE,
+  zonedTimeToUtc,
+  getZonedDayBounds,
+  parseZonedBoundary,
+  describeInstant,
+  getZonedParts,
+  toDateString
+} from '../utils/timezone.js';
 
 const router = express.Router();
 
+const SERIES_SCOPES = ['this', 'following', 'all'];
+
+// Bookings are scheduled in the business's configured timezone
+const getBusinessTimezone = async (userId) => {
+  const user = await User.findById(userId).select('timezone');
+  return user?.timezone || DEFAULT_TIMEZONE;
+};
+
+// Check that a staff member can take this business's bookings
+const isBookableStaff = async (userId, staffId) => {
+  const staffMembers = await User.getBookableStaff(userId);
+  return staffMembers.some(member => member._id.toString() === staffId.toString());
+};
+
+// Closure (holiday, time off) covering a business-local date, for the whole
+// business or the given staff member
+const findClosure = async (userId, date, staffId) => {
+  const overrides = await ScheduleOverride.findForDate(userId, date);
+  const override = ScheduleOverride.pickOverride(overrides, staffId);
+  return override && override.type === 'closed' ? override : null;
+};
+
+// Closures covering any of several { date, staffId }, e.g. a series'
+// occurrences, as { date, closure } in the order given
+const findClosures = async (userId, occurrences) => {
+  const closures = [];
+  for (const { date, staffId } of occurrences) {
+    const closure = await findClosure(userId, date, staffId);
+    if (closure) closures.push({ date: toDateString(date), closure });
+  }
+  return closures;
+};
+
+// Message for an error, localized when it is a rejected status change
+const errorMessage = (req, error) => (error.translationKey
+  ? req.t(error.translationKey, {
+    from: req.translateStatus(error.params.from),
+    to: req.translateStatus(error.params.to)
+  })
+  : error.message);
+
+// Late-change fee this edit costs under the business's policy, checked
+// before the booking is changed
+const getEditFee = (business, booking, { date, time, status }) => {
+  if (status === 'cancelled' && booking.status !== 'cancelled') {
+    return cancellationFeeService.getFee(business, booking, 'cancel');
+  }
+  const moves = (date && toDateString(date) !== toDateString(booking.date)) || (time && time !== booking.time);
+  return moves ? cancellationFeeService.getFee(business, booking, 'reschedule') : null;
+};
+
+const settleDeposit = (booking, depositStatus) => {
+  booking.deposit.status = depositStatus;
+  if (depositStatus === 'paid') booking.deposit.paidAt = new Date();
+};
+
+const closedResponse = (res, dates, closure) => res.status(400).json({
+  message: `Closed on ${dates.join(', ')}${closure.reason ? ` (${closure.reason})` : ''}. Send force: true to book anyway.`,
+  closedDates: dates,
+  closure
+});
+
 // Get all bookings for authenticated user with calendar view support
 router.get('/', auth, async (req, res) => {
   try {
-    const { status, date, startDate, endDate, view = 'list', page = 1, limit = 10 } = req.query;
+    const { status, staffId, date, startDate, endDate, view = 'list', page = 1, limit = 10 } = req.query;
     
     const query = { userId: req.user.userId };
+    const timezone = await getBusinessTimezone(req.user.userId);
     
     // Filter by status
     if (status) query.status = status;
     
+    // Filter by assigned staff member
+    if (staffId) Object.assign(query, Booking.staffQuery(req.user.userId, staffId));
+    
     // Filter by date range for calendar view
     if (startDate && endDate) {
       query.startDateTime = {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate)
+        $gte: parseZonedBoundary(startDate, timezone, 'start'),
+        $lte: parseZonedBoundary(endDate, timezone, 'end')
       };
     } else if (date) {
-      const startOfDay = new Date(date);
-      startOfDay.setHours(0, 0, 0, 0);
-      const endOfDay = new Date(date);
-      endOfDay.setHours(23, 59, 59, 999);
-      query.startDateTime = { $gte: startOfDay, $lte: endOfDay };
+      const { start, end } = getZonedDayBounds(date, timezone);
+      query.startDateTime = { $gte: start, $lte: end };
     }
 
     let bookings;
@@ -38,6 +121,7 @@ router.get('/', auth, async (req, res) => {
       bookings = await Booking.find(query)
         .populate('customerId', 'name email phone')
         .populate('serviceId', 'name price duration')
+        .populate('staffId', 'name')
         .sort({ startDateTime: 1 });
       total = bookings.length;
     } else {
@@ -45,6 +129,7 @@ router.get('/', auth, async (req, res) => {
       bookings = await Booking.find(query)
         .populate('customerId', 'name email phone')
         .populate('serviceId', 'name price duration')
+        .populate('staffId', 'name')
         .sort({ startDateTime: -1 })
         .limit(limit * 1)
         .skip((page - 1) * limit);
@@ -69,18 +154,25 @@ router.get('/', auth, async (req, res) => {
 router.get('/available-slots/:date', auth, async (req, res) => {
   try {
     const { date } = req.params;
-    const { duration = 60 } = req.query;
+    const { duration = 60, staffId, serviceId } = req.query;
+    
+    // With a service, size the slots to it and keep its buffers free
+    const business = await User.findById(req.user.userId);
+    const service = serviceId
+      ? await Service.findOne({ _id: serviceId, userId: req.user.userId })
+      : null;
     
-    const requestedDate = new Date(date);
     const availableSlots = await Booking.getAvailableTimeSlots(
       req.user.userId, 
-      requestedDate, 
-      parseInt(duration)
+      date, 
+      service ? service.duration : parseInt(duration),
+      { staffId, ...Booking.getBuffers(service, business) }
     );
 
     res.json({
       success: true,
-      date: requestedDate,
+      date,
+      timezone: business?.timezone || DEFAULT_TIMEZONE,
       availableSlots
     });
   } catch (error) {
@@ -92,14 +184,23 @@ router.get('/available-slots/:date', auth, async (req, res) => {
 // Check for conflicts when creating/updating a booking
 router.post('/check-conflicts', auth, async (req, res) => {
   try {
-    const { date, time, duration, excludeBookingId } = req.body;
+    const { date, time, duration, staffId, serviceId, lineItems, excludeBookingId } = req.body;
+    
+    // Services size the booking (all of them, for a multi-service booking)
+    const business = await User.findById(req.user.userId);
+    const bundle = lineItems || serviceId
+      ? await Booking.buildLineItems(req.user.userId, lineItems || [{ serviceId }], { date, time })
+      : null;
     
     // Create a temporary booking object to check conflicts
     const tempBooking = new Booking({
       userId: req.user.userId,
+      staffId,
       date: new Date(date),
       time,
-      duration: parseInt(duration),
+      duration: bundle ? bundle.duration : parseInt(duration),
+      ...Booking.getBuffers(bundle?.services, business),
+      timezone: business?.timezone || DEFAULT_TIMEZONE,
       customerId: '507f1f77bcf86cd799439011', // Dummy ID for validation
       serviceId: '507f1f77bcf86cd799439011'
     });
@@ -109,6 +210,8 @@ router.post('/check-conflicts', auth, async (req, res) => {
       tempBooking._id = excludeBookingId;
     }
 
+    tempBooking.syncDateTimes();
+
     const conflicts = await tempBooking.checkConflicts();
 
     res.json({
@@ -124,7 +227,7 @@ router.post('/check-conflicts', auth, async (req, res) => {
     });
   } catch (error) {
     console.error('Check conflicts error:', error);
-    res.status(400).json({ message: error.message });
+    res.status(error.statusCode || 400).json({ message: error.message });
   }
 });
 
@@ -136,7 +239,8 @@ router.get('/:id', auth, async (req, res) => {
       userId: req.user.userId 
     })
       .populate('customerId', 'name email phone address')
-      .populate('serviceId', 'name description price duration');
+      .populate('serviceId', 'name description price duration')
+      .populate('staffId', 'name');
 
     if (!booking) {
       return res.status(404).json({ message: 'Booking not found' });
@@ -152,43 +256,239 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
-// Create new booking with conflict detection
+// Get a booking's change history, oldest first. Still available after the
+// booking is deleted.
+router.get('/:id/history', auth, async (req, res) => {
+  try {
+    const history = await BookingHistory.find({
+      bookingId: req.params.id,
+      userId: req.user.userId
+    }).sort({ createdAt: 1 });
+
+    // Bookings made before history was kept have none
+    if (history.length === 0 && !(await Booking.exists({ _id: req.params.id, userId: req.user.userId }))) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    // Show staff changes by name rather than id
+    const staffIds = history.flatMap(entry => entry.changes
+      .filter(change => change.field === 'staffId')
+      .flatMap(change => [change.oldValue, change.newValue])
+      .filter(Boolean));
+    const staff = await User.find({ _id: { $in: staffIds } }).select('name');
+    const staffNames = Object.fromEntries(staff.map(member => [member._id.toString(), member.name]));
+
+    res.json({
+      success: true,
+      count: history.length,
+      history: history.map(entry => ({
+        ...entry.toObject(),
+        changes: entry.changes.map(change => (change.field === 'staffId'
+          ? { ...change.toObject(), oldValue: staffNames[change.oldValue] || change.oldValue, newValue: staffNames[change.newValue] || change.newValue }
+          : change.toObject()))
+      }))
+    });
+  } catch (error) {
+    console.error('Get booking history error:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Payments made on a booking and what is still owed
+router.get('/:id/payments', auth, async (req, res) => {
+  try {
+    const booking = await Booking.findOne({ _id: req.params.id, userId: req.user.userId });
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    res.json({
+      success: true,
+      ...(await bookingLedgerService.getLedger(booking))
+    });
+  } catch (error) {
+    console.error('Get booking payments error:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Photos and documents on a booking
+router.use('/:id/attachments', attachmentRoutes(Booking, 'bookingId'));
+
+// Create new booking (or a recurring series) with conflict detection
 router.post('/', auth, async (req, res) => {
   try {
-    const { customerId, serviceId, date, time, notes } = req.body;
+    const { customerId, serviceId, lineItems, staffId, date, time, notes, recurringRule, force = false, skipConflicts = false } = req.body;
     
-    // Verify customer and service belong to user
+    // Verify customer and services belong to user. A single serviceId books
+    // one of that service at its usual price.
     const customer = await Customer.findOne({ 
       _id: customerId, 
       userId: req.user.userId 
     });
-    const service = await Service.findOne({ 
-      _id: serviceId, 
-      userId: req.user.userId 
-    });
     
-    if (!customer || !service) {
+    if (!customer) {
       return res.status(404).json({ 
         message: 'Customer or Service not found' 
       });
     }
 
+    const items = lineItems || [{ serviceId }];
+    const bundle = await Booking.buildLineItems(req.user.userId, items, { date, time });
+
+    const business = await User.findById(req.user.userId);
+    const timezone = business?.timezone || DEFAULT_TIMEZONE;
+    const buffers = Booking.getBuffers(bundle.services, business);
+
+    if (staffId && !(await isBookableStaff(req.user.userId, staffId))) {
+      return res.status(404).json({ message: 'Staff member not found' });
+    }
+
+    // Recurring series: every occurrence is assigned someone free at that
+    // time. Occurrences that overlap other bookings are still booked, marked
+    // as conflicting for the owner to sort out, unless the owner asks to skip
+    // them.
+    if (recurringRule) {
+      const occurrenceDates = Booking.generateOccurrenceDates(new Date(date), recurringRule);
+
+      if (!force) {
+        const closures = await findClosures(req.user.userId, occurrenceDates.map(occurrenceDate => ({ date: occurrenceDate, staffId })));
+        if (closures.length > 0) {
+          return closedResponse(res, closures.map(closed => closed.date), closures[0].closure);
+        }
+      }
+
+      const seriesId = new mongoose.Types.ObjectId();
+      const actor = await BookingHistory.getStaffActor(req.user.userId);
+
+      // Occurrences are checked and saved under the schedule lock, like
+      // single bookings, so nothing can take their time in between
+      const { occurrences, conflicts } = await slotReservationService.withScheduleLock(req.user.userId, async () => {
+        const booked = [];
+        const busy = [];
+
+        for (const occurrenceDate of occurrenceDates) {
+          // Day surcharges can differ from one occurrence to the next
+          const occurrenceBundle = await Booking.buildLineItems(req.user.userId, items, { date: occurrenceDate, time });
+          const occurrence = new Booking({
+            userId: req.user.userId,
+            customerId,
+            serviceId: occurrenceBundle.serviceId,
+            lineItems: occurrenceBundle.lineItems,
+            date: occurrenceDate,
+            time,
+            duration: occurrenceBundle.duration,
+            ...buffers,
+            totalAmount: occurrenceBundle.totalAmount,
+            notes,
+            timezone,
+            isRecurring: true,
+            recurringRule,
+            seriesId
+          });
+
+          // The chosen staff member, or whoever is free for this occurrence.
+          // Nobody free leaves it with the chosen one (or the owner), flagged
+          // with what it overlaps when saved.
+          occurrence.syncDateTimes();
+          const freeStaffId = await slotReservationService.pickStaff(
+            business,
+            occurrence,
+            { staffId, requireWorkingHours: false, allowClosed: force }
+          );
+          if (freeStaffId) {
+            occurrence.staffId = freeStaffId;
+          } else {
+            busy.push(occurrence);
+            if (skipConflicts) continue;
+            if (staffId) occurrence.staffId = staffId;
+          }
+          booked.push(occurrence);
+        }
+
+        for (const occurrence of booked) {
+          occurrence.setAuditContext(actor);
+          await occurrence.save();
+        }
+        return { occurrences: booked, conflicts: busy };
+      });
+
+      if (occurrences.length === 0) {
+        return res.status(409).json({ message: 'Time slot conflicts with existing bookings on every date' });
+      }
+
+      await Customer.findByIdAndUpdate(customerId, {
+        $inc: { totalBookings: occurrences.length },
+        lastBooking: new Date()
+      });
+
+      const populatedOccurrences = await Booking.find({ seriesId })
+        .populate('customerId', 'name email phone')
+        .populate('serviceId', 'name price duration')
+        .populate('staffId', 'name')
+        .sort({ startDateTime: 1 });
+
+      const conflictDates = conflicts.map(occurrence => toDateString(occurrence.date));
+      return res.status(201).json({
+        success: true,
+        message: req.t('messages.success.bookingCreated'),
+        seriesId,
+        count: populatedOccurrences.length,
+        conflictDates: skipConflicts ? [] : conflictDates,
+        skippedDates: skipConflicts ? conflictDates : [],
+        booking: populatedOccurrences[0],
+        occurrences: populatedOccurrences
+      });
+    }
+
+    if (!force) {
+      const closure = await findClosure(req.user.userId, date, staffId);
+      if (closure) return closedResponse(res, [toDateString(date)], closure);
+    }
+
     // Create new booking
     const booking = new Booking({
       userId: req.user.userId,
       customerId,
-      serviceId,
+      serviceId: bundle.serviceId,
+      lineItems: bundle.lineItems,
       date: new Date(date),
       time,
-      duration: service.duration,
-      totalAmount: service.price,
-      notes
+      duration: bundle.duration,
+      ...buffers,
+      totalAmount: bundle.totalAmount,
+      notes,
+      timezone
     });
 
-    // Check for conflicts before saving
-    const conflicts = await booking.checkConflicts();
-    if (conflicts.length > 0) {
-      return res.status(400).json({ 
+    booking.setAuditContext(await BookingHistory.getStaffActor(req.user.userId));
+
+    // Assign a free staff member (the requested one, if any) and save under the
+    // schedule lock shared with public bookings, so concurrent requests cannot
+    // double-book anyone
+    booking.syncDateTimes();
+    const assignedStaffId = await slotReservationService.withScheduleLock(req.user.userId, async () => {
+      const freeStaffId = await slotReservationService.pickStaff(
+        business,
+        booking,
+        { staffId, requireWorkingHours: false, allowClosed: force }
+      );
+      if (freeStaffId) {
+        booking.staffId = freeStaffId;
+        await booking.save();
+      }
+      return freeStaffId;
+    });
+
+    if (!assignedStaffId) {
+      const { bookings, holds } = await slotReservationService.findOverlaps(
+        req.user.userId,
+        booking.blockedStartDateTime,
+        booking.blockedEndDateTime,
+        { staffId }
+      );
+      const conflicts = [...bookings, ...holds];
+      return res.status(409).json({ 
         message: 'Time slot conflicts with existing booking',
         conflicts: conflicts.map(conflict => ({
           id: conflict._id,
@@ -198,8 +498,6 @@ router.post('/', auth, async (req, res) => {
       });
     }
 
-    await booking.save();
-
     // Update customer stats
     await Customer.findByIdAndUpdate(customerId, {
       $inc: { totalBookings: 1 },
@@ -208,7 +506,8 @@ router.post('/', auth, async (req, res) => {
 
     const populatedBooking = await Booking.findById(booking._id)
       .populate('customerId', 'name email phone')
-      .populate('serviceId', 'name price duration');
+      .populate('serviceId', 'name price duration')
+      .populate('staffId', 'name');
 
     res.status(201).json({
       success: true,
@@ -217,14 +516,23 @@ router.post('/', auth, async (req, res) => {
     });
   } catch (error) {
     console.error('Create booking error:', error);
-    res.status(400).json({ message: error.message });
+    res.status(error.statusCode || 400).json({ message: error.message });
   }
 });
 
 // Update booking with conflict detection
 router.put('/:id', auth, async (req, res) => {
   try {
-    const { date, time, status, notes, paymentStatus, paymentMethod } = req.body;
+    const { date, time, staffId, lineItems, status, notes, depositStatus, reason, scope = 'this', force = false, waiveFee = false } = req.body;
+
+    // What has been paid follows from the booking's payments
+    if (req.body.paymentStatus !== undefined || req.body.paymentMethod !== undefined) {
+      return res.status(400).json({ message: 'Record money taken for a booking as a payment (POST /api/payments); its payment status follows from its payments' });
+    }
+
+    if (!SERIES_SCOPES.includes(scope)) {
+      return res.status(400).json({ message: 'Scope must be this, following or all' });
+    }
 
     const booking = await Booking.findOne({ 
       _id: req.params.id, 
@@ -235,51 +543,164 @@ router.put('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Booking not found' });
     }
 
-    // If updating time/date, check for conflicts
-    if (date || time) {
+    if (staffId && !(await isBookableStaff(req.user.userId, staffId))) {
+      return res.status(404).json({ message: 'Staff member not found' });
+    }
+
+    // A deposit collected in person, or let go, is settled by hand
+    if (depositStatus && (!booking.deposit?.status || !['paid', 'waived'].includes(depositStatus))) {
+      return res.status(400).json({ message: 'Deposit can only be marked paid or waived on a booking that asks for one' });
+    }
+
+    const actor = await BookingHistory.getStaffActor(req.user.userId);
+    booking.setAuditContext(actor, reason);
+
+    const business = await User.findById(req.user.userId);
+    // Late cancellations and moves cost a fee unless the owner waives it
+    const feeBusiness = waiveFee ? null : business;
+
+    // Replacing the services changes the booking's length, price and buffers
+    const bundle = lineItems
+      ? await Booking.buildLineItems(req.user.userId, lineItems, { date: date || booking.date, time: time || booking.time })
+      : null;
+    const services = bundle && {
+      lineItems: bundle.lineItems,
+      duration: bundle.duration,
+      ...Booking.getBuffers(bundle.services, business)
+    };
+
+    // Dates this booking (or series) occupied before the change, so their
+    // freed time can be offered to the waitlist
+    const freesTime = !!(date || time || staffId || services || status === 'cancelled');
+
+    if (booking.seriesId && scope !== 'this') {
+      const previousDates = freesTime
+        ? (await Booking.find(booking.getSeriesQuery(scope)).select('date')).map(occurrence => occurrence.date)
+        : [];
+      const { occurrences: updatedOccurrences, fees, closures } = await updateSeries(
+        booking,
+        scope,
+        { date, time, staffId, services, status, notes },
+        { actor, reason, business: feeBusiness, force }
+      );
+      if (closures) {
+        return closedResponse(res, closures.map(closed => closed.date), closures[0].closure);
+      }
+      if (freesTime) await waitlistService.offerFreedSlots(req.user.userId, previousDates);
+
+      // A deposit belongs to a single visit, never to the whole series
+      if (depositStatus) settleDeposit(booking, depositStatus);
+      if (booking.isModified()) await booking.save();
+
+      const occurrences = await Booking.find({ _id: { $in: updatedOccurrences.map(occurrence => occurrence._id) } })
+        .populate('customerId', 'name email phone')
+        .populate('serviceId', 'name price duration')
+        .sort({ startDateTime: 1 });
+
+      return res.json({
+        success: true,
+        message: req.t('messages.success.bookingUpdated'),
+        booking: occurrences.find(occurrence => occurrence._id.equals(booking._id)),
+        occurrences,
+        fees
+      });
+    }
+
+    // Moving to a closed date needs to be forced, as when creating
+    if ((date || staffId) && !force) {
+      const closure = await findClosure(req.user.userId, date || booking.date, staffId || booking.staffId);
+      if (closure) return closedResponse(res, [toDateString(date || booking.date)], closure);
+    }
+
+    const previousDate = booking.date;
+    const fee = feeBusiness && getEditFee(feeBusiness, booking, { date, time, status });
+
+    // Updating time/date/services or reassigning moves the booking on the
+    // assignee's calendar
+    const moves = !!(date || time || staffId || services);
+    if (moves) {
       booking.date = date ? new Date(date) : booking.date;
       booking.time = time || booking.time;
-      
-      const conflicts = await booking.checkConflicts();
-      if (conflicts.length > 0) {
-        return res.status(400).json({ 
-          message: 'Updated time conflicts with existing booking',
-          conflicts: conflicts.map(conflict => ({
-            id: conflict._id,
-            startDateTime: conflict.startDateTime,
-            endDateTime: conflict.endDateTime
-          }))
-        });
-      }
+      if (staffId) booking.staffId = staffId;
+      if (services) Object.assign(booking, services);
     }
 
-    // Update other fields
-    if (status) booking.status = status;
+    // Update other fields; status changes must follow the allowed transitions
+    const previousStatus = status && status !== booking.status
+      ? bookingStatusService.applyTransition(booking, status, { reason })
+      : booking.status;
     if (notes !== undefined) booking.notes = notes;
-    if (paymentStatus) booking.paymentStatus = paymentStatus;
-    if (paymentMethod) booking.paymentMethod = paymentMethod;
+    if (depositStatus) settleDeposit(booking, depositStatus);
 
-    await booking.save();
+    // A moved booking is checked against the assignee's calendar and saved
+    // under the schedule lock, so it cannot overlap anything
+    if (moves) {
+      await slotReservationService.saveMoved(booking);
+    } else {
+      await booking.save();
+    }
+    await bookingStatusService.runSideEffects(booking, previousStatus);
+    const feePayment = await cancellationFeeService.chargeFee(feeBusiness, booking, fee);
+
+    if (freesTime) await waitlistService.offerFreedSlots(req.user.userId, previousDate);
 
     const updatedBooking = await Booking.findById(booking._id)
       .populate('customerId', 'name email phone')
-      .populate('serviceId', 'name price duration');
+      .populate('serviceId', 'name price duration')
+      .populate('staffId', 'name');
 
     res.json({
       success: true,
       message: req.t('messages.success.bookingUpdated'),
-      booking: updatedBooking
+      booking: updatedBooking,
+      fee: feePayment || undefined
     });
   } catch (error) {
     console.error('Update booking error:', error);
+    res.status(error.statusCode || 400).json({ message: errorMessage(req, error), conflicts: error.conflicts });
+  }
+});
+
+// Get all occurrences of a recurring series
+router.get('/series/:seriesId', auth, async (req, res) => {
+  try {
+    const occurrences = await Booking.find({
+      seriesId: req.params.seriesId,
+      userId: req.user.userId
+    })
+      .populate('customerId', 'name email phone')
+      .populate('serviceId', 'name price duration')
+      .sort({ startDateTime: 1 });
+
+    if (occurrences.length === 0) {
+      return res.status(404).json({ message: 'Booking series not found' });
+    }
+
+    res.json({
+      success: true,
+      seriesId: req.params.seriesId,
+      count: occurrences.length,
+      occurrences
+    });
+  } catch (error) {
+    console.error('Get booking series error:', error);
     res.status(400).json({ message: error.message });
   }
 });
 
-// Reschedule booking (for drag & drop calendar)
+// Reschedule booking (for drag & drop calendar). Pass `duration` in minutes
+// to resize it as well.
 router.put('/:id/reschedule', auth, async (req, res) => {
   try {
-    const { newStartDateTime, reason = 'Rescheduled via calendar' } = req.body;
+    const { newStartDateTime, date, time, duration, reason = 'Rescheduled via calendar', force = false, waiveFee = false } = req.body;
+
+    if (!newStartDateTime && !(date && time)) {
+      return res.status(400).json({ message: 'New start time or date and time are required' });
+    }
+
+    if (duration !== undefined && (!Number.isInteger(duration) || duration < 15)) {
+      return res.status(400).json({ message: 'Duration must be a whole number of minutes, at least 15' });
+    }
 
     const booking = await Booking.findOne({ 
       _id: req.params.id, 
@@ -290,12 +711,32 @@ router.put('/:id/reschedule', auth, async (req, res) => {
       return res.status(404).json({ message: 'Booking not found' });
     }
 
-    // Use the reschedule method from the model
-    const rescheduledBooking = await booking.reschedule(
-      new Date(newStartDateTime), 
-      reason, 
-      'user'
-    );
+    // Accept either an absolute instant or a business-local date and time
+    const newStart = newStartDateTime
+      ? new Date(newStartDateTime)
+      : zonedTimeToUtc(date, time, booking.timezone);
+
+    if (!force) {
+      const newDate = getZonedParts(newStart, booking.timezone).date;
+      const closure = await findClosure(req.user.userId, newDate, booking.staffId);
+      if (closure) return closedResponse(res, [newDate], closure);
+    }
+
+    const previousDate = booking.date;
+    const business = waiveFee ? null : await User.findById(req.user.userId);
+    const moves = newStart.getTime() !== booking.startDateTime.getTime();
+    const fee = business && moves ? cancellationFeeService.getFee(business, booking, 'reschedule') : null;
+    if (duration !== undefined) booking.duration = duration;
+    booking.setAuditContext(await BookingHistory.getStaffActor(req.user.userId), reason);
+
+    // Move it, then save under the schedule lock unless it now overlaps
+    // another booking or hold
+    booking.moveTo(newStart, reason, 'user');
+    const rescheduledBooking = await slotReservationService.saveMoved(booking);
+
+    const feePayment = await cancellationFeeService.chargeFee(business, rescheduledBooking, fee);
+
+    await waitlistService.offerFreedSlots(req.user.userId, previousDate);
 
     const populatedBooking = await Booking.findById(rescheduledBooking._id)
       .populate('customerId', 'name email phone')
@@ -306,18 +747,21 @@ router.put('/:id/reschedule', auth, async (req, res) => {
       message: 'Booking rescheduled successfully',
       booking: populatedBooking,
       originalTime: rescheduledBooking.originalStartDateTime,
-      newTime: rescheduledBooking.startDateTime
+      newTime: rescheduledBooking.startDateTime,
+      originalLocalTime: describeInstant(rescheduledBooking.originalStartDateTime, rescheduledBooking.timezone),
+      newLocalTime: describeInstant(rescheduledBooking.startDateTime, rescheduledBooking.timezone),
+      fee: feePayment || undefined
     });
   } catch (error) {
     console.error('Reschedule booking error:', error);
-    res.status(400).json({ message: error.message });
+    res.status(error.statusCode || 400).json({ message: error.message, conflicts: error.conflicts });
   }
 });
 
 // Get calendar view data (optimized for calendar display)
 router.get('/calendar/view', auth, async (req, res) => {
   try {
-    const { startDate, endDate } = req.query;
+    const { startDate, endDate, staffId } = req.query;
     
     if (!startDate || !endDate) {
       return res.status(400).json({ 
@@ -325,22 +769,26 @@ router.get('/calendar/view', auth, async (req, res) => {
       });
     }
 
+    const timezone = await getBusinessTimezone(req.user.userId);
+
     const bookings = await Booking.find({
       userId: req.user.userId,
+      ...Booking.staffQuery(req.user.userId, staffId),
       startDateTime: {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate)
+        $gte: parseZonedBoundary(startDate, timezone, 'start'),
+        $lte: parseZonedBoundary(endDate, timezone, 'end')
       },
       status: { $nin: ['cancelled'] }
     })
     .populate('customerId', 'name email phone')
     .populate('serviceId', 'name price duration')
+    .populate('staffId', 'name')
     .sort({ startDateTime: 1 });
 
     // Format for calendar display
     const calendarEvents = bookings.map(booking => ({
       id: booking._id,
-      title: `${booking.customerId?.name || 'Unknown'} - ${booking.serviceId?.name || 'Service'}`,
+      title: `${booking.customerId?.name || 'Unknown'} - ${booking.describeServices() || 'Service'}`,
       start: booking.startDateTime,
       end: booking.endDateTime,
       backgroundColor: booking.calendarColor,
@@ -353,16 +801,22 @@ router.get('/calendar/view', auth, async (req, res) => {
         customerPhone: booking.customerId?.phone,
         serviceId: booking.serviceId?._id,
         serviceName: booking.serviceId?.name,
+        staffId: booking.staffId?._id,
+        staffName: booking.staffId?.name,
         status: booking.status,
         totalAmount: booking.totalAmount,
         paymentStatus: booking.paymentStatus,
         notes: booking.notes,
-        hasConflicts: booking.hasConflicts
+        hasConflicts: booking.hasConflicts,
+        timezone: booking.timezone,
+        localStart: describeInstant(booking.startDateTime, booking.timezone),
+        localEnd: describeInstant(booking.endDateTime, booking.timezone)
       }
     }));
 
     res.json({
       success: true,
+      timezone,
       events: calendarEvents,
       count: calendarEvents.length
     });
@@ -372,10 +826,16 @@ router.get('/calendar/view', auth, async (req, res) => {
   }
 });
 
-// Delete booking
+// Delete booking (pass ?scope=following|all to delete part of a series)
 router.delete('/:id', auth, async (req, res) => {
   try {
-    const booking = await Booking.findOneAndDelete({ 
+    const { scope = 'this' } = req.query;
+
+    if (!SERIES_SCOPES.includes(scope)) {
+      return res.status(400).json({ message: 'Scope must be this, following or all' });
+    }
+
+    const booking = await Booking.findOne({ 
       _id: req.params.id, 
       userId: req.user.userId 
     });
@@ -383,10 +843,27 @@ router.delete('/:id', auth, async (req, res) => {
     if (!booking) {
       return res.status(404).json({ message: 'Booking not found' });
     }
+
+    const deleted = await Booking.find(booking.getSeriesQuery(scope)).select('date');
+    const result = await Booking.deleteMany(booking.getSeriesQuery(scope));
+
+    // The history outlives the booking, ending with who deleted it
+    const actor = await BookingHistory.getStaffActor(req.user.userId);
+    await BookingHistory.insertMany(deleted.map(occurrence => ({
+      bookingId: occurrence._id,
+      userId: req.user.userId,
+      action: 'deleted',
+      actor,
+      reason: req.query.reason
+    })));
+
+    await waitlistService.offerFreedSlots(req.user.userId, deleted.map(occurrence => occurrence.date));
+    await attachmentService.removeAll({ bookingId: { $in: deleted.map(occurrence => occurrence._id) } });
     
     res.json({
       success: true,
-      message: 'Booking deleted successfully'
+      message: 'Booking deleted successfully',
+      deletedCount: result.deletedCount
     });
   } catch (error) {
     console.error('Delete booking error:', error);
@@ -394,4 +871,83 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
+// Apply an edit to several occurrences of a series. Date changes shift every
+// occurrence by the same number of days. When the edit moves or reassigns
+// them, every occurrence has to stay clear of other bookings: they are
+// checked and saved together under the schedule lock, and any overlap
+// rejects the whole edit. Moving any occurrence onto a closed date needs
+// `force`; otherwise nothing is changed and the closures are returned.
+async function updateSeries(booking, scope, { date, time, staffId, services, status, notes }, { actor, reason, business, force }) {
+  const occurrences = await Booking.find(booking.getSeriesQuery(scope)).sort({ startDateTime: 1 });
+  const dateOffset = date ? new Date(date).getTime() - booking.date.getTime() : 0;
+  const moves = !!(dateOffset || time || staffId || services);
+
+  if ((dateOffset || time || staffId) && !force) {
+    const closures = await findClosures(booking.userId, occurrences.map(occurrence => ({
+      date: new Date(occurrence.date.getTime() + dateOffset),
+      staffId: staffId || occurrence.staffId
+    })));
+    if (closures.length > 0) return { closures };
+  }
+
+  // Rescheduling "this and following" splits them off into a new series
+  const hasEarlierOccurrences = scope === 'following' && (date || time) && await Booking.exists({
+    seriesId: booking.seriesId,
+    startDateTime: { $lt: booking.startDateTime }
+  });
+  const newSeriesId = hasEarlierOccurrences ? new mongoose.Types.ObjectId() : null;
+
+  // A status change has to be allowed for every occurrence before any is saved
+  const changesStatus = (occurrence) => status && occurrence.status !== status;
+  for (const occurrence of occurrences) {
+    if (changesStatus(occurrence)) bookingStatusService.assertTransition(occurrence, status);
+  }
+
+  const changes = occurrences.map(occurrence => {
+    const fee = business && getEditFee(business, occurrence, {
+      date: dateOffset ? new Date(occurrence.date.getTime() + dateOffset) : null,
+      time,
+      status
+    });
+    if (dateOffset) occurrence.date = new Date(occurrence.date.getTime() + dateOffset);
+    if (time) occurrence.time = time;
+    if (staffId) occurrence.staffId = staffId;
+    if (services) Object.assign(occurrence, services);
+    const previousStatus = changesStatus(occurrence)
+      ? bookingStatusService.applyTransition(occurrence, status, { reason })
+      : occurrence.status;
+    if (notes !== undefined) occurrence.notes = notes;
+    if (newSeriesId) occurrence.seriesId = newSeriesId;
+    occurrence.setAuditContext(actor, reason);
+    return { occurrence, fee, previousStatus };
+  });
+
+  const saveAll = async () => {
+    for (const { occurrence } of changes) await occurrence.save();
+  };
+  if (moves) {
+    // The occurrences' old times do not count as busy
+    const excludeBookingId = occurrences.map(occurrence => occurrence._id);
+    await slotReservationService.withScheduleLock(booking.userId, async () => {
+      for (const occurrence of occurrences) {
+        occurrence.syncDateTimes();
+        await slotReservationService.assertFree(occurrence, { excludeBookingId });
+      }
+      await saveAll();
+    });
+  } else {
+    await saveAll();
+  }
+
+  const fees = [];
+  for (const { occurrence, fee, previousStatus } of changes) {
+    await bookingStatusService.runSideEffects(occurrence, previousStatus);
+
+    const feePayment = await cancellationFeeService.chargeFee(business, occurrence, fee);
+    if (feePayment) fees.push(feePayment);
+  }
+
+  return { occurrences, fees };
+}
+
 export default router;
\ No newline at end of file
@@ -2,13 +2,15 @@ import express from 'express';
 import Customer from '../models/Customer.js';
 import Booking from '../models/Booking.js';
 import { protect } from '../middleware/auth.js';
+import attachmentService from '../services/attachmentService.js';
+import { attachmentRoutes } from './attachments.js';
 
 const router = express.Router();
 
 // Get all customers for authenticated user
 router.get('/', protect, async (req, res) => {
   try {
-    const customers = await Customer.find({ userId: req.user.id }).sort({ createdAt: -1 });
+    const customers = await Customer.find({ userId: req.user.userId }).sort({ createdAt: -1 });
     res.json({
       success: true,
       count: customers.length,
@@ -26,7 +28,7 @@ router.get('/', protect, async (req, res) => {
 // Get single customer with booking history
 router.get('/:id', protect, async (req, res) => {
   try {
-    const customer = await Customer.findOne({ _id: req.params.id, userId: req.user.id });
+    const customer = await Customer.findOne({ _id: req.params.id, userId: req.user.userId });
     if (!customer) {
       return res.status(404).json({ message: req.t('messages.error.notFound') });
     }
@@ -63,7 +65,7 @@ router.post('/', protect, async (req, res) => {
     
     // Check if customer already exists
     const existingCustomer = await Customer.findOne({ 
-      userId: req.user.id, 
+      userId: req.user.userId, 
       email: email.toLowerCase() 
     });
     
@@ -74,7 +76,7 @@ router.post('/', protect, async (req, res) => {
     }
 
     const customer = await Customer.create({
-      userId: req.user.id,
+      userId: req.user.userId,
       name,
       email,
       phone,
@@ -101,7 +103,7 @@ router.put('/:id', protect, async (req, res) => {
     const { name, email, phone, address, notes } = req.body;
 
     const customer = await Customer.findOneAndUpdate(
-      { _id: req.params.id, userId: req.user.id },
+      { _id: req.params.id, userId: req.user.userId },
       { name, email, phone, address, notes },
       { new: true, runValidators: true }
     );
@@ -123,13 +125,17 @@ router.put('/:id', protect, async (req, res) => {
   }
 });
 
+// Photos and documents on a customer
+router.use('/:id/attachments', attachmentRoutes(Customer, 'customerId'));
+
 // Delete customer
 router.delete('/:id', protect, async (req, res) => {
   try {
-    const customer = await Customer.findOneAndDelete({ _id: req.params.id, userId: req.user.id });
+    const customer = await Customer.findOneAndDelete({ _id: req.params.id, userId: req.user.userId });
     if (!customer) {
       return res.status(404).json({ message: req.t('messages.error.notFound') });
     }
+    await attachmentService.removeAll({ customerId: customer._id });
     res.json({
       success: true,
       message: req.t('messages.success.deleted')
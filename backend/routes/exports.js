@@ -192,7 +192,7 @@ router.get('/templates', authenticateToken, async (req, res) => {
           description: 'Export all booking data with customer and service details',
           fields: [
             'date', 'time', 'customer', 'email', 'phone', 'service', 
-            'duration', 'amount', 'status', 'paymentStatus', 'notes', 'rating'
+            'duration', 'amount', 'amountPaid', 'status', 'paymentStatus', 'notes', 'rating'
           ]
         },
         customers: {
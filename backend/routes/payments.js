@@ -1,8 +1,13 @@
 import express from 'express';
 import Payment from '../models/Payment.js';
 import Booking from '../models/Booking.js';
-import Customer from '../models/Customer.js';
+import BookingHistory from '../models/BookingHistory.js';
 import { protect } from '../middleware/auth.js';
+import mobilePaymentService from '../services/mobilePaymentService.js';
+import bookingLedgerService from '../services/bookingLedgerService.js';
+import paymentRecordService from '../services/paymentRecordService.js';
+import refundService from '../services/refundService.js';
+import mockProvider from '../services/paymentProviders/mock.js';
 
 const router = express.Router();
 
@@ -10,19 +15,8 @@ const router = express.Router();
 router.get('/', protect, async (req, res) => {
   try {
     const { status, method, page = 1, limit = 10 } = req.query;
-    
-    const query = { userId: req.user.id };
-    if (status) query.status = status;
-    if (method) query.method = method;
 
-    const payments = await Payment.find(query)
-      .populate('bookingId', 'date time')
-      .populate('customerId', 'name email')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-
-    const total = await Payment.countDocuments(query);
+    const { payments, total } = await paymentRecordService.list(req.user.userId, { status, method, page, limit });
 
     res.json({
       success: true,
@@ -37,77 +31,204 @@ router.get('/', protect, async (req, res) => {
   }
 });
 
-// Create new payment
+// Record a payment taken for a booking (cash, bank transfer, ...). It can be
+// part of what is owed; the booking is paid once its payments cover the total.
 router.post('/', protect, async (req, res) => {
   try {
-    const { bookingId, amount, method, transactionId, notes } = req.body;
-    
+    const { bookingId, amount, method, transactionId, notes, purpose } = req.body;
+
     // Verify booking belongs to user
-    const booking = await Booking.findOne({ _id: bookingId, userId: req.user.id });
+    const booking = await Booking.findOne({ _id: bookingId, userId: req.user.userId });
     if (!booking) {
       return res.status(404).json({ message: 'Booking not found' });
     }
 
-    const payment = await Payment.create({
-      userId: req.user.id,
-      bookingId,
-      customerId: booking.customerId,
+    const payment = await bookingLedgerService.recordPayment(booking, {
       amount,
       method,
       transactionId,
       notes,
-      status: 'completed',
-      paidAt: new Date()
+      purpose,
+      processedBy: req.user.userId
+    });
+
+    const populatedPayment = await paymentRecordService.populate(Payment.findById(payment._id));
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment recorded successfully',
+      payment: populatedPayment
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({ message: error.message });
+  }
+});
+
+// Telebirr and mobile-money providers that are set up
+router.get('/providers', protect, async (req, res) => {
+  res.json({
+    success: true,
+    providers: mobilePaymentService.getProviders()
+  });
+});
+
+// Start a mobile-money checkout for a booking; send the customer to the
+// returned checkoutUrl
+router.post('/checkout', protect, async (req, res) => {
+  try {
+    const { bookingId, provider, amount, phone, purpose, returnUrl } = req.body;
+
+    const booking = await Booking.findOne({ _id: bookingId, userId: req.user.userId });
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    const { payment, checkoutUrl } = await mobilePaymentService.initiate(booking, {
+      provider,
+      amount: amount === undefined ? undefined : Number(amount),
+      phone,
+      purpose,
+      returnUrl,
+      processedBy: req.user.userId
     });
 
-    // Update booking payment status
-    await Booking.findByIdAndUpdate(bookingId, {
-      paymentStatus: 'paid',
-      paymentMethod: method
+    res.status(201).json({
+      success: true,
+      payment,
+      checkoutUrl
     });
+  } catch (error) {
+    console.error('Start checkout error:', error);
+    res.status(error.statusCode || 400).json({ message: error.message });
+  }
+});
 
-    // Update customer total spent
-    await Customer.findByIdAndUpdate(booking.customerId, {
-      $inc: { totalSpent: amount }
+// Signed callback from a provider when a checkout finishes
+router.post('/notify/:provider', async (req, res) => {
+  try {
+    const payment = await mobilePaymentService.handleNotification(req.params.provider, {
+      headers: req.headers,
+      body: req.body,
+      rawBody: req.rawBody
     });
+    res.json({ received: true, status: payment.status });
+  } catch (error) {
+    console.error('Payment notification error:', error.message);
+    res.status(error.statusCode || 400).json({ message: error.message });
+  }
+});
 
-    const populatedPayment = await Payment.findById(payment._id)
-      .populate('bookingId', 'date time')
-      .populate('customerId', 'name email');
+// Checkout page of the mock provider (PAYMENT_MOCK=true only)
+router.get('/mock/checkout/:reference', (req, res) => {
+  const transaction = mockProvider.isConfigured() && mockProvider.getTransaction(req.params.reference);
+  if (!transaction) {
+    return res.status(404).json({ message: 'Mock transaction not found' });
+  }
+
+  res.send(`<!doctype html>
+<html><body style="font-family: sans-serif; max-width: 24rem; margin: 4rem auto; text-align: center">
+  <h1>Test payment</h1>
+  <p>${transaction.amount} ${transaction.currency}</p>
+  <form method="post">
+    <button name="outcome" value="succeeded">Pay</button>
+    <button name="outcome" value="failed">Fail</button>
+  </form>
+</body></html>`);
+});
+
+router.post('/mock/checkout/:reference', async (req, res) => {
+  try {
+    const transaction = mockProvider.isConfigured() && mockProvider.getTransaction(req.params.reference);
+    if (!transaction) {
+      return res.status(404).json({ message: 'Mock transaction not found' });
+    }
+
+    const outcome = req.body.outcome === 'failed' ? 'failed' : 'succeeded';
+    await mobilePaymentService.handleNotification('mock', mockProvider.complete(req.params.reference, outcome));
+
+    if (transaction.returnUrl) return res.redirect(transaction.returnUrl);
+    res.json({ success: true, status: outcome });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({ message: error.message });
+  }
+});
+
+// Current status of a payment, checked with its provider while it is open
+router.get('/:id/status', protect, async (req, res) => {
+  try {
+    const payment = await paymentRecordService.findForUser(req.user.userId, req.params.id);
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    const current = await mobilePaymentService.refreshStatus(payment);
+    res.json({
+      success: true,
+      status: current.status,
+      payment: current
+    });
+  } catch (error) {
+    console.error('Payment status error:', error);
+    res.status(error.statusCode || 400).json({ message: error.message });
+  }
+});
+
+// Refund all of a payment, or part of it with `amount`
+router.post('/:id/refunds', protect, async (req, res) => {
+  try {
+    const { amount, reason } = req.body;
+
+    const payment = await paymentRecordService.findForUser(req.user.userId, req.params.id);
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    const { payment: refunded, refund } = await refundService.refund(payment, {
+      amount,
+      reason,
+      processedBy: req.user.userId
+    });
 
     res.status(201).json({
       success: true,
-      message: 'Payment recorded successfully',
-      payment: populatedPayment
+      message: refund.status === 'pending'
+        ? 'Refund requested, it is recorded once the provider completes it'
+        : 'Refund recorded successfully',
+      refund,
+      payment: refunded
     });
   } catch (error) {
-    res.status(400).json({ message: error.message });
+    console.error('Refund error:', error);
+    res.status(error.statusCode || 400).json({ message: error.message });
   }
 });
 
-// Update payment
+// Update a payment's notes and reference, or settle a pending cash or fee
+// payment (status succeeded or cancelled)
 router.put('/:id', protect, async (req, res) => {
   try {
     const { status, method, transactionId, notes } = req.body;
 
-    const payment = await Payment.findOneAndUpdate(
-      { _id: req.params.id, userId: req.user.id },
-      { status, method, transactionId, notes },
-      { new: true, runValidators: true }
-    ).populate('bookingId', 'date time')
-     .populate('customerId', 'name email');
-
-    if (!payment) {
+    const existing = await paymentRecordService.findForUser(req.user.userId, req.params.id);
+    if (!existing) {
       return res.status(404).json({ message: 'Payment not found' });
     }
 
+    const { payment, settled } = await paymentRecordService.update(existing, { status, method, transactionId, notes });
+    if (settled) {
+      await bookingLedgerService.applyPayment(payment, {
+        actor: await BookingHistory.getStaffActor(req.user.userId),
+        reason: `Payment of ${payment.amount} marked as paid`
+      });
+    }
+
     res.json({
       success: true,
       message: 'Payment updated successfully',
-      payment
+      payment: await paymentRecordService.populate(Payment.findById(payment._id))
     });
   } catch (error) {
-    res.status(400).json({ message: error.message });
+    res.status(error.statusCode || 400).json({ message: error.message });
   }
 });
 
@@ -1,11 +1,205 @@
 import express from 'express';
 import User from '../models/User.js';
 import Service from '../models/Service.js';
+import ServiceCategory from '../models/ServiceCategory.js';
 import Customer from '../models/Customer.js';
 import Booking from '../models/Booking.js';
+import ScheduleOverride from '../models/ScheduleOverride.js';
+import WaitlistEntry from '../models/WaitlistEntry.js';
+import slotReservationService from '../services/slotReservationService.js';
+import waitlistService from '../services/waitlistService.js';
+import bookingStatusService from '../services/bookingStatusService.js';
+import cancellationFeeService from '../services/cancellationFeeService.js';
+import attachmentService from '../services/attachmentService.js';
+import mobilePaymentService from '../services/mobilePaymentService.js';
+import paymentService from '../services/paymentService.js';
+import Payment from '../models/Payment.js';
+import Attachment from '../models/Attachment.js';
+import { receiveUpload, getUploadedFile } from '../middleware/upload.js';
+import { sendAttachment, sendThumbnail } from './attachments.js';
+import { verifyManageToken, getManageUrl, verifyClaimToken } from '../utils/manageLink.js';
+import { toDateString } from '../utils/timezone.js';
 
 const router = express.Router();
 
+const MODIFIABLE_STATUSES = ['pending', 'confirmed'];
+
+// Load the booking a manage link points to, with its business and service
+const findManagedBooking = async (token) => {
+  const bookingId = verifyManageToken(token);
+  if (!bookingId) return null;
+
+  return Booking.findById(bookingId)
+    .populate('userId', 'businessName phone email timezone language calendar cancellationCutoffHours travelBufferMinutes lateChangeWindowHours lateCancellationFeePercent lateRescheduleFeePercent')
+    .populate('serviceId')
+    .populate('customerId', 'name email phone');
+};
+
+// Hours before the appointment that online changes close
+const getCutoffHours = (business) => business.cancellationCutoffHours ?? 24;
+
+// Customers may change a booking online until the business's cutoff
+const getChangeDeadline = (booking) => {
+  return new Date(booking.startDateTime.getTime() - getCutoffHours(booking.userId) * 60 * 60 * 1000);
+};
+
+// Why the customer can no longer change this booking online, or null
+const getChangeBlocker = (booking) => {
+  if (!MODIFIABLE_STATUSES.includes(booking.status)) {
+    return `This booking is ${booking.status} and can no longer be changed`;
+  }
+  if (new Date() > getChangeDeadline(booking)) {
+    return `Bookings can only be changed online up to ${getCutoffHours(booking.userId)} hours before the appointment. Please contact ${booking.userId.businessName} directly.`;
+  }
+  return null;
+};
+
+// What a managed booking is sized by when it moves: its service, or for a
+// multi-service booking the whole visit (its total length and the longest
+// prep/clean-up among its services)
+const getBookedVisit = async (booking) => {
+  if (!booking.lineItems?.length) return booking.serviceId;
+
+  const services = await Service.find({ _id: { $in: booking.lineItems.map(item => item.serviceId) } });
+  return {
+    _id: booking.serviceId._id,
+    name: booking.describeServices(),
+    duration: booking.duration,
+    ...Booking.getBuffers(services)
+  };
+};
+
+// The service as the customer configured it: variant, add-ons and the
+// surcharges for the chosen time (see Service#configure)
+const configureService = (service, { variantId, addOnIds, date, time }) => service.configure({
+  variantId,
+  addOnIds: typeof addOnIds === 'string' ? addOnIds.split(',') : addOnIds,
+  date,
+  time
+});
+
+// Customers have no account, their history entries carry just the name
+const customerActor = (customer) => ({ type: 'customer', name: customer?.name });
+
+// Booking callback for slotReservationService.reserve: finds or creates the
+// customer and books them into the reserved interval. `service` is the
+// configured service (see configureService).
+const createPublicBooking = (business, service, customerInfo, { reason = 'Booked online', intakeAnswers } = {}) => async (interval) => {
+  let customer = await Customer.findOne({ 
+    userId: business._id, 
+    email: customerInfo.email.toLowerCase() 
+  });
+
+  if (!customer) {
+    customer = await Customer.create({
+      userId: business._id,
+      name: customerInfo.name,
+      email: customerInfo.email,
+      phone: customerInfo.phone,
+      address: customerInfo.address,
+      notes: customerInfo.notes
+    });
+  } else {
+    // Update customer info if provided
+    customer.name = customerInfo.name || customer.name;
+    customer.phone = customerInfo.phone || customer.phone;
+    customer.address = customerInfo.address || customer.address;
+    if (customerInfo.notes) {
+      customer.notes = customerInfo.notes;
+    }
+    await customer.save();
+  }
+
+  // Customers who keep missing appointments prepay part of the price
+  const depositAmount = business.getDepositFor(customer, service.price);
+
+  const booking = new Booking({
+    userId: business._id,
+    customerId: customer._id,
+    serviceId: service._id,
+    lineItems: [Booking.lineItemFrom(service)],
+    staffId: interval.staffId,
+    date: interval.date,
+    time: interval.time,
+    duration: interval.duration,
+    bufferBefore: interval.bufferBefore,
+    bufferAfter: interval.bufferAfter,
+    timezone: interval.timezone,
+    totalAmount: service.price,
+    notes: customerInfo.notes,
+    intakeAnswers,
+    status: 'pending',
+    deposit: depositAmount ? { amount: depositAmount, status: 'pending' } : undefined
+  });
+  booking.setAuditContext(customerActor(customer), reason);
+  await booking.save();
+
+  await Customer.findByIdAndUpdate(customer._id, {
+    $inc: { totalBookings: 1 },
+    lastBooking: new Date()
+  });
+
+  return { booking, customer };
+};
+
+// Start paying the deposit a new booking needs, if any. The deposit is
+// reported even when the payment cannot be started, so the business can
+// still collect it another way.
+const startDeposit = async (booking) => {
+  if (booking.deposit?.status !== 'pending') return undefined;
+
+  const deposit = { amount: booking.deposit.amount };
+  try {
+    const { clientSecret } = await paymentService.createBookingPaymentIntent(booking._id, {
+      amount: booking.deposit.amount,
+      purpose: 'deposit'
+    });
+    deposit.clientSecret = clientSecret;
+  } catch (error) {
+    console.error('Deposit payment error:', error);
+  }
+  return deposit;
+};
+
+const describeManagedBooking = (booking) => ({
+  id: booking._id,
+  date: booking.date,
+  time: booking.time,
+  duration: booking.duration,
+  startDateTime: booking.startDateTime,
+  timezone: booking.timezone,
+  status: booking.status,
+  totalAmount: booking.totalAmount,
+  deposit: booking.deposit?.status ? { amount: booking.deposit.amount, status: booking.deposit.status } : undefined,
+  paymentStatus: booking.paymentStatus,
+  amountPaid: booking.amountPaid || 0,
+  balanceDue: booking.balanceDue,
+  paymentProviders: mobilePaymentService.getProviders(),
+  notes: booking.notes,
+  service: booking.serviceId && { id: booking.serviceId._id, name: booking.describeServices() },
+  lineItems: booking.lineItems.length > 0
+    ? booking.lineItems.map(item => ({ name: item.name, quantity: item.quantity, price: item.unitPrice }))
+    : undefined,
+  customer: booking.customerId && { name: booking.customerId.name },
+  business: {
+    id: booking.userId._id,
+    businessName: booking.userId.businessName,
+    phone: booking.userId.phone,
+    email: booking.userId.email,
+    language: booking.userId.language,
+    calendar: booking.userId.calendar,
+    cancellationCutoffHours: getCutoffHours(booking.userId)
+  },
+  // What cancelling or moving the booking right now would cost
+  fees: {
+    cancel: cancellationFeeService.getFee(booking.userId, booking, 'cancel'),
+    reschedule: cancellationFeeService.getFee(booking.userId, booking, 'reschedule')
+  },
+  feePolicy: cancellationFeeService.describePolicy(booking.userId),
+  changeDeadline: getChangeDeadline(booking),
+  canChange: !getChangeBlocker(booking)
+});
+
 // Get business profile and services (public endpoint)
 router.get('/business/:businessId', async (req, res) => {
   try {
@@ -16,25 +210,82 @@ router.get('/business/:businessId', async (req, res) => {
       return res.status(404).json({ message: 'Business not found' });
     }
 
-    const services = await Service.find({ 
-      userId: businessId, 
-      isActive: true 
-    }).sort({ createdAt: -1 });
+    await ServiceCategory.importLegacy(businessId);
+    const [services, categories] = await Promise.all([
+      Service.find({ userId: businessId, isActive: true }).sort({ sortOrder: 1, createdAt: 1 }),
+      ServiceCategory.find({ userId: businessId }).sort({ sortOrder: 1, createdAt: 1 })
+    ]);
 
     res.json({
       success: true,
       business,
-      services
+      services,
+      categories,
+      feePolicy: cancellationFeeService.describePolicy(business)
     });
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
 });
 
-// Create public booking
+// Hold a time slot for a few minutes while the customer enters their details
+router.post('/holds', async (req, res) => {
+  try {
+    const { businessId, serviceId, variantId, addOnIds, date, time } = req.body;
+
+    if (!date || !time) {
+      return res.status(400).json({ message: 'Date and time are required' });
+    }
+
+    const business = await User.findById(businessId);
+    const service = await Service.findOne({ _id: serviceId, userId: businessId, isActive: true });
+
+    if (!business || !service) {
+      return res.status(404).json({ message: 'Business or Service not found' });
+    }
+
+    const configured = configureService(service, { variantId, addOnIds, date, time });
+    const hold = await slotReservationService.holdSlot(business, configured, date, time);
+
+    res.status(201).json({
+      success: true,
+      hold: {
+        id: hold._id,
+        date: hold.date,
+        time: hold.time,
+        startDateTime: hold.startDateTime,
+        timezone: hold.timezone,
+        expiresAt: hold.expiresAt,
+        duration: configured.duration,
+        price: configured.price,
+        surcharges: configured.surcharges
+      }
+    });
+  } catch (error) {
+    console.error('Create hold error:', error);
+    res.status(error.statusCode || 400).json({ message: error.message });
+  }
+});
+
+// Release a held slot (customer went back or abandoned the form)
+router.delete('/holds/:holdId', async (req, res) => {
+  try {
+    await slotReservationService.releaseHold(req.params.holdId);
+
+    res.json({ success: true, message: 'Hold released' });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Create public booking, confirming a hold when one is given
 router.post('/bookings', async (req, res) => {
   try {
-    const { businessId, serviceId, date, time, customerInfo } = req.body;
+    const { businessId, serviceId, variantId, addOnIds, date, time, holdId, customerInfo, intakeAnswers } = req.body;
+
+    if (!customerInfo || !customerInfo.email) {
+      return res.status(400).json({ message: 'Customer email is required' });
+    }
 
     // Verify business and service exist
     const business = await User.findById(businessId);
@@ -44,113 +295,523 @@ router.post('/bookings', async (req, res) => {
       return res.status(404).json({ message: 'Business or Service not found' });
     }
 
-    // Check for booking conflicts
-    const existingBooking = await Booking.findOne({
-      userId: businessId,
-      date: new Date(date),
-      time,
-      status: { $nin: ['cancelled', 'completed'] }
+    // A hold is booked as it was held; the overlap check and the insert run
+    // under the business's schedule lock, so two requests can never both
+    // claim the same time
+    const selection = {
+      variantId,
+      addOnIds: typeof addOnIds === 'string' ? addOnIds.split(',') : addOnIds,
+      date,
+      time
+    };
+    const configured = holdId
+      ? await slotReservationService.configureHeld(business, service, holdId, selection)
+      : configureService(service, selection);
+    const { booking, customer } = await slotReservationService.reserve(
+      business,
+      configured,
+      { holdId, date, time },
+      createPublicBooking(business, configured, customerInfo, {
+        intakeAnswers: service.checkIntakeAnswers(intakeAnswers)
+      })
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Booking created successfully',
+      booking: {
+        id: booking._id,
+        date: booking.date,
+        time: booking.time,
+        startDateTime: booking.startDateTime,
+        timezone: booking.timezone,
+        service: booking.describeServices(),
+        totalAmount: booking.totalAmount,
+        customer: customer.name,
+        manageUrl: getManageUrl(booking),
+        deposit: await startDeposit(booking)
+      }
     });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({ message: error.message });
+  }
+});
 
-    if (existingBooking) {
-      return res.status(400).json({ message: 'Time slot already booked' });
+// Get bookable time slots for a service on a specific date
+router.get('/availability/:businessId', async (req, res) => {
+  try {
+    const { businessId } = req.params;
+    const { date, serviceId, variantId, addOnIds } = req.query;
+
+    if (!date || !serviceId) {
+      return res.status(400).json({ message: 'Date and service are required' });
     }
 
-    // Find or create customer
-    let customer = await Customer.findOne({ 
-      userId: businessId, 
-      email: customerInfo.email.toLowerCase() 
+    const business = await User.findById(businessId);
+    const service = await Service.findOne({ _id: serviceId, userId: businessId, isActive: true });
+
+    if (!business || !service) {
+      return res.status(404).json({ message: 'Business or Service not found' });
+    }
+
+    // Same overlap-aware logic the dashboard uses, sized to the service as
+    // configured and its buffers; each slot carries its price, surcharges included
+    const configured = configureService(service, { variantId, addOnIds });
+    const now = new Date();
+    const slots = (await Booking.getAvailableTimeSlots(
+      businessId,
+      date,
+      configured.duration,
+      Booking.getBuffers(service, business)
+    ))
+      .filter(slot => slot.startTime > now)
+      .map(slot => ({ ...slot, price: configureService(service, { variantId, addOnIds, date, time: slot.timeString }).price }));
+
+    // Tell the customer why a whole day is unavailable
+    const overrides = await ScheduleOverride.findForDate(businessId, date);
+    const closure = ScheduleOverride.pickOverride(overrides, null);
+
+    res.json({
+      success: true,
+      date,
+      timezone: business.timezone,
+      duration: configured.duration,
+      closed: closure?.type === 'closed',
+      closedReason: closure?.type === 'closed' ? closure.reason : undefined,
+      availableSlots: slots.map(slot => slot.timeString),
+      slots
     });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
 
-    if (!customer) {
-      customer = await Customer.create({
-        userId: businessId,
-        name: customerInfo.name,
-        email: customerInfo.email,
-        phone: customerInfo.phone,
-        address: customerInfo.address,
-        notes: customerInfo.notes
-      });
-    } else {
-      // Update customer info if provided
-      customer.name = customerInfo.name || customer.name;
-      customer.phone = customerInfo.phone || customer.phone;
-      customer.address = customerInfo.address || customer.address;
-      if (customerInfo.notes) {
-        customer.notes = customerInfo.notes;
-      }
-      await customer.save();
-    }
-
-    // Create booking
-    const booking = await Booking.create({
-      userId: businessId,
-      customerId: customer._id,
-      serviceId,
-      date: new Date(date),
-      time,
-      duration: service.duration,
-      totalAmount: service.price,
-      notes: customerInfo.notes,
-      status: 'pending'
+// Booking details for a customer's manage link
+router.get('/manage/:token', async (req, res) => {
+  try {
+    const booking = await findManagedBooking(req.params.token);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found or link has expired' });
+    }
+
+    res.json({
+      success: true,
+      booking: describeManagedBooking(booking)
     });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
 
-    // Update customer stats
-    await Customer.findByIdAndUpdate(customer._id, {
-      $inc: { totalBookings: 1 },
-      lastBooking: new Date()
+// Files the customer attached to their booking (the business's own photos
+// stay private)
+const customerAttachmentsQuery = (booking) => ({ bookingId: booking._id, 'uploadedBy.type': 'customer' });
+
+router.get('/manage/:token/attachments', async (req, res) => {
+  try {
+    const booking = await findManagedBooking(req.params.token);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found or link has expired' });
+    }
+
+    const attachments = await Attachment.find(customerAttachmentsQuery(booking)).sort({ createdAt: 1 });
+    res.json({
+      success: true,
+      count: attachments.length,
+      attachments
     });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Check the manage link before reading the upload, so a bad link is turned
+// away without buffering the file
+const loadUploadBooking = async (req, res, next) => {
+  try {
+    const booking = await findManagedBooking(req.params.token);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found or link has expired' });
+    }
+    if (['cancelled', 'no-show'].includes(booking.status)) {
+      return res.status(403).json({ message: `This booking is ${booking.status}, files can no longer be added` });
+    }
+    res.locals.booking = booking;
+    next();
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// Customer attaches a photo or document, e.g. of the broken appliance
+router.post('/manage/:token/attachments', loadUploadBooking, receiveUpload, async (req, res) => {
+  try {
+    const { booking } = res.locals;
+    const attachment = await attachmentService.upload(
+      { userId: booking.userId._id, bookingId: booking._id },
+      getUploadedFile(req),
+      customerActor(booking.customerId)
+    );
 
     res.status(201).json({
       success: true,
-      message: 'Booking created successfully',
-      booking: {
-        id: booking._id,
-        date: booking.date,
-        time: booking.time,
-        service: service.name,
-        customer: customer.name
-      }
+      attachment
     });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({ message: error.message });
+  }
+});
+
+const findCustomerAttachment = async (req) => {
+  const booking = await findManagedBooking(req.params.token);
+  return booking && Attachment.findOne({
+    _id: req.params.attachmentId,
+    ...customerAttachmentsQuery(booking)
+  });
+};
+
+router.get('/manage/:token/attachments/:attachmentId', async (req, res) => {
+  try {
+    const attachment = await findCustomerAttachment(req);
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+    await sendAttachment(res, attachment);
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
 });
 
-// Get available time slots for a specific date
-router.get('/availability/:businessId', async (req, res) => {
+router.get('/manage/:token/attachments/:attachmentId/thumbnail', async (req, res) => {
+  try {
+    const attachment = await findCustomerAttachment(req);
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+    await sendThumbnail(res, attachment);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Customer pays the booking (or its pending deposit) with Telebirr or
+// mobile money; the page sends them on to the returned checkoutUrl
+router.post('/manage/:token/pay', async (req, res) => {
+  try {
+    const booking = await findManagedBooking(req.params.token);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found or link has expired' });
+    }
+
+    const { payment, checkoutUrl } = await mobilePaymentService.initiate(booking, {
+      provider: req.body.provider,
+      phone: req.body.phone,
+      purpose: booking.deposit?.status === 'pending' ? 'deposit' : 'invoice',
+      returnUrl: getManageUrl(booking),
+      source: 'public_booking'
+    });
+
+    res.status(201).json({
+      success: true,
+      paymentId: payment._id,
+      checkoutUrl
+    });
+  } catch (error) {
+    console.error('Public checkout error:', error);
+    res.status(error.statusCode || 400).json({ message: error.message });
+  }
+});
+
+// Where a payment the customer started stands, checked with the provider
+// while it is open
+router.get('/manage/:token/payments/:paymentId', async (req, res) => {
+  try {
+    const booking = await findManagedBooking(req.params.token);
+    const payment = booking && await Payment.findOne({ _id: req.params.paymentId, booking: booking._id });
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    const current = await mobilePaymentService.refreshStatus(payment);
+    res.json({
+      success: true,
+      status: current.status,
+      amount: current.amount
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({ message: error.message });
+  }
+});
+
+// Slots the customer can move their booking to; its current time counts as free
+router.get('/manage/:token/availability', async (req, res) => {
   try {
-    const { businessId } = req.params;
     const { date } = req.query;
 
     if (!date) {
       return res.status(400).json({ message: 'Date is required' });
     }
 
-    const bookings = await Booking.find({
-      userId: businessId,
-      date: new Date(date),
-      status: { $nin: ['cancelled', 'completed'] }
-    }).select('time');
+    const booking = await findManagedBooking(req.params.token);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found or link has expired' });
+    }
+
+    const business = booking.userId;
+    const service = await getBookedVisit(booking);
+    const now = new Date();
+    const slots = (await Booking.getAvailableTimeSlots(
+      business._id,
+      date,
+      service.duration,
+      { ...Booking.getBuffers(service, business), excludeBookingId: booking._id }
+    )).filter(slot => slot.startTime > now);
+
+    res.json({
+      success: true,
+      date,
+      timezone: business.timezone,
+      availableSlots: slots.map(slot => slot.timeString)
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Customer cancels their booking
+router.post('/manage/:token/cancel', async (req, res) => {
+  try {
+    const booking = await findManagedBooking(req.params.token);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found or link has expired' });
+    }
+
+    const blocker = getChangeBlocker(booking);
+    if (blocker) {
+      return res.status(403).json({ message: blocker });
+    }
+
+    const fee = cancellationFeeService.getFee(booking.userId, booking, 'cancel');
+    const previousStatus = bookingStatusService.applyTransition(booking, 'cancelled', {
+      by: 'customer',
+      reason: req.body.reason
+    });
+    booking.setAuditContext(customerActor(booking.customerId));
+    await booking.save();
+    await bookingStatusService.runSideEffects(booking, previousStatus);
+    const feePayment = await cancellationFeeService.chargeFee(booking.userId, booking, fee, { source: 'public_booking' });
+
+    await waitlistService.offerFreedSlots(booking.userId._id, booking.date);
+
+    res.json({
+      success: true,
+      message: 'Booking cancelled successfully',
+      booking: describeManagedBooking(booking),
+      fee: feePayment ? { amount: feePayment.amount, description: feePayment.description } : undefined
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Customer moves their booking to another available slot
+router.post('/manage/:token/reschedule', async (req, res) => {
+  try {
+    const { date, time, reason = 'Rescheduled by customer' } = req.body;
+
+    if (!date || !time) {
+      return res.status(400).json({ message: 'Date and time are required' });
+    }
+
+    const booking = await findManagedBooking(req.params.token);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found or link has expired' });
+    }
+
+    const blocker = getChangeBlocker(booking);
+    if (blocker) {
+      return res.status(403).json({ message: blocker });
+    }
+
+    const previousDate = booking.date;
+    const movesTime = toDateString(date) !== toDateString(booking.date) || time !== booking.time;
+    const fee = movesTime ? cancellationFeeService.getFee(booking.userId, booking, 'reschedule') : null;
+    booking.setAuditContext(customerActor(booking.customerId), reason);
+    const rescheduled = await slotReservationService.rescheduleBooking(
+      booking.userId,
+      await getBookedVisit(booking),
+      booking,
+      { date, time },
+      reason,
+      'customer'
+    );
+
+    const feePayment = await cancellationFeeService.chargeFee(booking.userId, rescheduled, fee, { source: 'public_booking' });
+
+    await waitlistService.offerFreedSlots(booking.userId._id, previousDate);
+
+    res.json({
+      success: true,
+      message: 'Booking rescheduled successfully',
+      booking: describeManagedBooking(rescheduled),
+      fee: feePayment ? { amount: feePayment.amount, description: feePayment.description } : undefined
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({ message: error.message });
+  }
+});
+
+// Join the waitlist for a fully booked day
+router.post('/waitlist', async (req, res) => {
+  try {
+    const { businessId, serviceId, date, windowStart, windowEnd, customerInfo = {}, intakeAnswers } = req.body;
+
+    if (!date) {
+      return res.status(400).json({ message: 'Date is required' });
+    }
+
+    const business = await User.findById(businessId);
+    const service = await Service.findOne({ _id: serviceId, userId: businessId, isActive: true });
+
+    if (!business || !service) {
+      return res.status(404).json({ message: 'Business or Service not found' });
+    }
+
+    const entry = new WaitlistEntry({
+      userId: business._id,
+      serviceId: service._id,
+      date: new Date(`${toDateString(date)}T00:00:00Z`),
+      windowStart: windowStart || undefined,
+      windowEnd: windowEnd || undefined,
+      customer: {
+        name: customerInfo.name,
+        email: customerInfo.email,
+        phone: customerInfo.phone
+      },
+      notes: customerInfo.notes,
+      intakeAnswers: service.checkIntakeAnswers(intakeAnswers)
+    });
+
+    // Only days with nothing left in the customer's window can be waited for
+    const openSlot = await waitlistService.findSlotFor(business, entry, service);
+    if (openSlot) {
+      return res.status(409).json({
+        message: `${openSlot.timeString} is still free on this day, please book it instead`,
+        availableTime: openSlot.timeString
+      });
+    }
+    await entry.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'You are on the waitlist. We will contact you if a time opens up.',
+      entry: {
+        id: entry._id,
+        date: entry.date,
+        windowStart: entry.windowStart,
+        windowEnd: entry.windowEnd,
+        service: service.name
+      }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({ message: error.message });
+  }
+});
 
-    const bookedTimes = bookings.map(booking => booking.time);
+// Load the waitlist entry a claim link points to
+const findClaimedEntry = async (token) => {
+  const entryId = verifyClaimToken(token);
+  if (!entryId) return null;
 
-    const allTimeSlots = [
-      '09:00', '09:30', '10:00', '10:30', '11:00', '11:30',
-      '12:00', '12:30', '13:00', '13:30', '14:00', '14:30',
-      '15:00', '15:30', '16:00', '16:30', '17:00', '17:30'
-    ];
+  return WaitlistEntry.findById(entryId)
+    .populate('userId', 'businessName phone language calendar')
+    .populate('serviceId', 'name duration price');
+};
 
-    const availableSlots = allTimeSlots.filter(slot => !bookedTimes.includes(slot));
+// Details of a waitlist offer
+router.get('/waitlist/claim/:token', async (req, res) => {
+  try {
+    const entry = await findClaimedEntry(req.params.token);
+    if (!entry || !entry.hasActiveOffer()) {
+      return res.status(410).json({ message: 'This offer has expired or was already claimed' });
+    }
 
     res.json({
       success: true,
-      availableSlots,
-      bookedSlots: bookedTimes
+      offer: {
+        date: entry.date,
+        time: entry.offer.time,
+        expiresAt: entry.offer.expiresAt,
+        service: entry.serviceId && {
+          name: entry.serviceId.name,
+          duration: entry.serviceId.duration,
+          price: entry.serviceId.price
+        },
+        business: {
+          businessName: entry.userId.businessName,
+          phone: entry.userId.phone,
+          language: entry.userId.language,
+          calendar: entry.userId.calendar
+        },
+        customer: { name: entry.customer.name }
+      }
     });
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
 });
 
+// Turn a waitlist offer into a booking
+router.post('/waitlist/claim/:token', async (req, res) => {
+  try {
+    const entry = await findClaimedEntry(req.params.token);
+    if (!entry || !entry.hasActiveOffer()) {
+      return res.status(410).json({ message: 'This offer has expired or was already claimed' });
+    }
+
+    // The service may have been deleted while the offer was open
+    const offered = entry.serviceId && await Service.findById(entry.serviceId._id);
+    if (!offered) {
+      entry.status = 'cancelled';
+      await entry.save();
+      await slotReservationService.releaseHold(entry.offer.holdId);
+      return res.status(410).json({ message: 'This service is no longer offered' });
+    }
+
+    const business = await User.findById(entry.userId._id);
+    const service = await slotReservationService.configureHeld(business, offered, entry.offer.holdId, {});
+
+    const { booking } = await slotReservationService.reserve(
+      business,
+      service,
+      { holdId: entry.offer.holdId },
+      createPublicBooking(business, service, { ...entry.customer.toObject(), notes: entry.notes }, {
+        reason: 'Claimed a waitlist offer',
+        intakeAnswers: entry.intakeAnswers.map(answer => answer.toObject())
+      })
+    );
+
+    entry.status = 'booked';
+    entry.bookingId = booking._id;
+    await entry.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Booking created successfully',
+      booking: {
+        id: booking._id,
+        date: booking.date,
+        time: booking.time,
+        startDateTime: booking.startDateTime,
+        timezone: booking.timezone,
+        service: service.name,
+        manageUrl: getManageUrl(booking),
+        deposit: await startDeposit(booking)
+      }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({ message: error.message });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,138 @@
+import express from 'express';
+import ScheduleOverride from '../models/ScheduleOverride.js';
+import User from '../models/User.js';
+import auth from '../middleware/auth.js';
+import { toDateString } from '../utils/timezone.js';
+
+const router = express.Router();
+
+// Dates arrive as 'YYYY-MM-DD' business-local days
+const toDay = (value) => new Date(`${toDateString(value)}T00:00:00Z`);
+
+// Check that a staff member belongs to this business
+const isOwnStaff = async (userId, staffId) => {
+  const member = await User.findOne({
+    _id: staffId,
+    $or: [{ _id: userId }, { ownerId: userId, role: 'assistant' }]
+  });
+  return !!member;
+};
+
+// Get closures and special hours, optionally limited to a date range
+router.get('/', auth, async (req, res) => {
+  try {
+    const { startDate, endDate, staffId } = req.query;
+
+    const query = { userId: req.user.userId };
+    if (startDate) query.endDate = { $gte: toDay(startDate) };
+    if (endDate) query.startDate = { $lte: toDay(endDate) };
+    if (staffId) query.staffId = staffId;
+
+    const overrides = await ScheduleOverride.find(query)
+      .populate('staffId', 'name')
+      .sort({ startDate: 1 });
+
+    res.json({
+      success: true,
+      count: overrides.length,
+      overrides
+    });
+  } catch (error) {
+    console.error('Get schedule overrides error:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Create a closure or special hours
+router.post('/', auth, async (req, res) => {
+  try {
+    const { staffId, type, startDate, endDate, start, end, reason } = req.body;
+
+    if (!startDate) {
+      return res.status(400).json({ message: 'Start date is required' });
+    }
+
+    if (staffId && !(await isOwnStaff(req.user.userId, staffId))) {
+      return res.status(404).json({ message: 'Staff member not found' });
+    }
+
+    const override = await ScheduleOverride.create({
+      userId: req.user.userId,
+      staffId: staffId || undefined,
+      type,
+      startDate: toDay(startDate),
+      endDate: toDay(endDate || startDate),
+      start: type === 'hours' ? start : undefined,
+      end: type === 'hours' ? end : undefined,
+      reason
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Schedule override created successfully',
+      override
+    });
+  } catch (error) {
+    console.error('Create schedule override error:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Update a closure or special hours
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const { staffId, type, startDate, endDate, start, end, reason } = req.body;
+
+    const override = await ScheduleOverride.findOne({ _id: req.params.id, userId: req.user.userId });
+    if (!override) {
+      return res.status(404).json({ message: 'Schedule override not found' });
+    }
+
+    if (staffId && !(await isOwnStaff(req.user.userId, staffId))) {
+      return res.status(404).json({ message: 'Staff member not found' });
+    }
+
+    if (staffId !== undefined) override.staffId = staffId || undefined;
+    if (type) override.type = type;
+    if (startDate) override.startDate = toDay(startDate);
+    if (endDate) override.endDate = toDay(endDate);
+    if (start !== undefined) override.start = start;
+    if (end !== undefined) override.end = end;
+    if (reason !== undefined) override.reason = reason;
+    if (override.type === 'closed') {
+      override.start = undefined;
+      override.end = undefined;
+    }
+
+    await override.save();
+
+    res.json({
+      success: true,
+      message: 'Schedule override updated successfully',
+      override
+    });
+  } catch (error) {
+    console.error('Update schedule override error:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Delete a closure or special hours
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const override = await ScheduleOverride.findOneAndDelete({ _id: req.params.id, userId: req.user.userId });
+    if (!override) {
+      return res.status(404).json({ message: 'Schedule override not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Schedule override deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete schedule override error:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,115 @@
+import express from 'express';
+import ServiceCategory from '../models/ServiceCategory.js';
+import Service from '../models/Service.js';
+import auth from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Get the business's categories in catalog order
+router.get('/', auth, async (req, res) => {
+  try {
+    await ServiceCategory.importLegacy(req.user.userId);
+    const categories = await ServiceCategory.find({ userId: req.user.userId }).sort({ sortOrder: 1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      count: categories.length,
+      categories
+    });
+  } catch (error) {
+    console.error('Get service categories error:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Create a category at the end of the list
+router.post('/', auth, async (req, res) => {
+  try {
+    const category = await ServiceCategory.create({
+      userId: req.user.userId,
+      name: req.body.name
+    });
+
+    res.status(201).json({
+      success: true,
+      category
+    });
+  } catch (error) {
+    console.error('Create service category error:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Reorder categories: `categoryIds` lists them in their new order
+router.put('/order', auth, async (req, res) => {
+  try {
+    const { categoryIds } = req.body;
+    if (!Array.isArray(categoryIds)) {
+      return res.status(400).json({ message: 'categoryIds must be a list' });
+    }
+
+    await ServiceCategory.bulkWrite(categoryIds.map((categoryId, index) => ({
+      updateOne: {
+        filter: { _id: categoryId, userId: req.user.userId },
+        update: { sortOrder: index }
+      }
+    })));
+
+    const categories = await ServiceCategory.find({ userId: req.user.userId }).sort({ sortOrder: 1, createdAt: 1 });
+    res.json({
+      success: true,
+      categories
+    });
+  } catch (error) {
+    console.error('Reorder service categories error:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Rename a category
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const category = await ServiceCategory.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user.userId },
+      { name: req.body.name },
+      { new: true, runValidators: true }
+    );
+
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    res.json({
+      success: true,
+      category
+    });
+  } catch (error) {
+    console.error('Update service category error:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Delete a category; its services stay, without a category
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const category = await ServiceCategory.findOneAndDelete({ _id: req.params.id, userId: req.user.userId });
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    await Service.updateMany(
+      { userId: req.user.userId, categoryId: category._id },
+      { $unset: { categoryId: 1 } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Category deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete service category error:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+export default router;
@@ -1,13 +1,29 @@
 import express from 'express';
 import Service from '../models/Service.js';
+import ServiceCategory from '../models/ServiceCategory.js';
 import { protect } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// The category to file a service under: undefined leaves it as it is, an
+// empty value takes the service out of its category
+const resolveCategory = async (userId, categoryId) => {
+  if (categoryId === undefined) return undefined;
+  if (!categoryId) return null;
+
+  if (!(await ServiceCategory.exists({ _id: categoryId, userId }))) {
+    const error = new Error('Category not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  return categoryId;
+};
+
 // Get all services for authenticated user
 router.get('/', protect, async (req, res) => {
   try {
-    const services = await Service.find({ userId: req.user.id }).sort({ createdAt: -1 });
+    await ServiceCategory.importLegacy(req.user.userId);
+    const services = await Service.find({ userId: req.user.userId }).sort({ sortOrder: 1, createdAt: 1 });
     res.json({
       success: true,
       count: services.length,
@@ -21,7 +37,7 @@ router.get('/', protect, async (req, res) => {
 // Get single service
 router.get('/:id', protect, async (req, res) => {
   try {
-    const service = await Service.findOne({ _id: req.params.id, userId: req.user.id });
+    const service = await Service.findOne({ _id: req.params.id, userId: req.user.userId });
     if (!service) {
       return res.status(404).json({ message: 'Service not found' });
     }
@@ -37,15 +53,22 @@ router.get('/:id', protect, async (req, res) => {
 // Create new service
 router.post('/', protect, async (req, res) => {
   try {
-    const { name, description, price, duration, category } = req.body;
+    const { name, description, price, duration, bufferBefore, bufferAfter, variants, addOns, surcharges, intakeForm, categoryId, image } = req.body;
     
     const service = await Service.create({
-      userId: req.user.id,
+      userId: req.user.userId,
       name,
       description,
       price,
       duration,
-      category
+      bufferBefore,
+      bufferAfter,
+      variants,
+      addOns,
+      surcharges,
+      intakeForm,
+      categoryId: await resolveCategory(req.user.userId, categoryId) || undefined,
+      image
     });
 
     res.status(201).json({
@@ -53,6 +76,31 @@ router.post('/', protect, async (req, res) => {
       message: 'Service created successfully',
       service
     });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({ message: error.message });
+  }
+});
+
+// Reorder the catalog: `serviceIds` lists services in their new order
+router.put('/order', protect, async (req, res) => {
+  try {
+    const { serviceIds } = req.body;
+    if (!Array.isArray(serviceIds)) {
+      return res.status(400).json({ message: 'serviceIds must be a list' });
+    }
+
+    await Service.bulkWrite(serviceIds.map((serviceId, index) => ({
+      updateOne: {
+        filter: { _id: serviceId, userId: req.user.userId },
+        update: { sortOrder: index }
+      }
+    })));
+
+    const services = await Service.find({ userId: req.user.userId }).sort({ sortOrder: 1, createdAt: 1 });
+    res.json({
+      success: true,
+      services
+    });
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
@@ -61,11 +109,14 @@ router.post('/', protect, async (req, res) => {
 // Update service
 router.put('/:id', protect, async (req, res) => {
   try {
-    const { name, description, price, duration, category, isActive } = req.body;
+    const { name, description, price, duration, bufferBefore, bufferAfter, variants, addOns, surcharges, intakeForm, categoryId, image, isActive } = req.body;
 
     const service = await Service.findOneAndUpdate(
-      { _id: req.params.id, userId: req.user.id },
-      { name, description, price, duration, category, isActive },
+      { _id: req.params.id, userId: req.user.userId },
+      {
+        name, description, price, duration, bufferBefore, bufferAfter, variants, addOns, surcharges, intakeForm, image, isActive,
+        categoryId: await resolveCategory(req.user.userId, categoryId)
+      },
       { new: true, runValidators: true }
     );
 
@@ -79,14 +130,14 @@ router.put('/:id', protect, async (req, res) => {
       service
     });
   } catch (error) {
-    res.status(400).json({ message: error.message });
+    res.status(error.statusCode || 400).json({ message: error.message });
   }
 });
 
 // Delete service
 router.delete('/:id', protect, async (req, res) => {
   try {
-    const service = await Service.findOneAndDelete({ _id: req.params.id, userId: req.user.id });
+    const service = await Service.findOneAndDelete({ _id: req.params.id, userId: req.user.userId });
     if (!service) {
       return res.status(404).json({ message: 'Service not found' });
     }
@@ -0,0 +1,77 @@
+import express from 'express';
+import User from '../models/User.js';
+import auth from '../middleware/auth.js';
+
+const router = express.Router();
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const TIME_PATTERN = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Get everyone who can be assigned bookings, with their working hours
+router.get('/', auth, async (req, res) => {
+  try {
+    const staff = await User.getBookableStaff(req.user.userId)
+      .select('name email role businessHours acceptsBookings');
+
+    res.json({
+      success: true,
+      count: staff.length,
+      staff
+    });
+  } catch (error) {
+    console.error('Get staff error:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Update a staff member's working hours and whether they take bookings
+router.put('/:staffId', auth, async (req, res) => {
+  try {
+    const { businessHours, acceptsBookings } = req.body;
+
+    const member = await User.findOne({
+      _id: req.params.staffId,
+      $or: [{ _id: req.user.userId }, { ownerId: req.user.userId, role: 'assistant' }]
+    });
+
+    if (!member) {
+      return res.status(404).json({ message: 'Staff member not found' });
+    }
+
+    if (businessHours) {
+      for (const day of Object.keys(businessHours)) {
+        if (!DAYS.includes(day)) {
+          return res.status(400).json({ message: `Unknown day: ${day}` });
+        }
+
+        const { start, end, isOpen } = businessHours[day];
+        if (isOpen !== false && (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end) || start >= end)) {
+          return res.status(400).json({ message: `Working hours for ${day} must be a valid HH:MM range` });
+        }
+
+        member.businessHours[day] = { start, end, isOpen: isOpen !== false };
+      }
+    }
+
+    if (typeof acceptsBookings === 'boolean') member.acceptsBookings = acceptsBookings;
+
+    await member.save();
+
+    res.json({
+      success: true,
+      message: 'Staff member updated successfully',
+      staff: {
+        _id: member._id,
+        name: member.name,
+        role: member.role,
+        businessHours: member.businessHours,
+        acceptsBookings: member.acceptsBookings
+      }
+    });
+  } catch (error) {
+    console.error('Update staff error:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+export default router;
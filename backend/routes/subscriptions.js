@@ -1,17 +1,16 @@
 import express from 'express';
-import Stripe from 'stripe';
-import { authenticateToken } from '../middleware/auth.js';
+import auth from '../middleware/auth.js';
 import { requireAdmin, checkFeatureAccess, checkUsageLimit } from '../middleware/rbac.js';
 import paymentService from '../services/paymentService.js';
 import Subscription from '../models/Subscription.js';
 import User from '../models/User.js';
-
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+import Booking from '../models/Booking.js';
+import Attachment from '../models/Attachment.js';
 
 const router = express.Router();
 
 // Get current subscription info
-router.get('/current', authenticateToken, async (req, res) => {
+router.get('/current', auth, async (req, res) => {
   try {
     const subscription = await paymentService.getSubscriptionInfo(req.user.userId);
     
@@ -41,7 +40,8 @@ router.get('/plans', async (req, res) => {
         limits: {
           bookings: 50,
           services: 5,
-          assistants: 0
+          assistants: 0,
+          storageMB: Subscription.getStorageLimitMB('free')
         }
       },
       pro: {
@@ -53,7 +53,8 @@ router.get('/plans', async (req, res) => {
         limits: {
           bookings: 500,
           services: 50,
-          assistants: 3
+          assistants: 3,
+          storageMB: Subscription.getStorageLimitMB('pro')
         }
       },
       business: {
@@ -65,7 +66,8 @@ router.get('/plans', async (req, res) => {
         limits: {
           bookings: -1, // unlimited
           services: -1,
-          assistants: -1
+          assistants: -1,
+          storageMB: Subscription.getStorageLimitMB('business')
         }
       }
     };
@@ -78,7 +80,7 @@ router.get('/plans', async (req, res) => {
 });
 
 // Create subscription
-router.post('/create', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/create', auth, requireAdmin, async (req, res) => {
   try {
     const { planId, paymentMethodId, currency = 'USD' } = req.body;
 
@@ -107,14 +109,14 @@ router.post('/create', authenticateToken, requireAdmin, async (req, res) => {
     });
   } catch (error) {
     console.error('Error creating subscription:', error);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       message: error.message || 'Failed to create subscription' 
     });
   }
 });
 
 // Cancel subscription
-router.post('/cancel', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/cancel', auth, requireAdmin, async (req, res) => {
   try {
     const { immediate = false } = req.body;
 
@@ -130,14 +132,14 @@ router.post('/cancel', authenticateToken, requireAdmin, async (req, res) => {
     });
   } catch (error) {
     console.error('Error cancelling subscription:', error);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       message: error.message || 'Failed to cancel subscription' 
     });
   }
 });
 
 // Get billing history
-router.get('/billing/history', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/billing/history', auth, requireAdmin, async (req, res) => {
   try {
     const subscription = await Subscription.findOne({ userId: req.user.userId });
     
@@ -156,7 +158,7 @@ router.get('/billing/history', authenticateToken, requireAdmin, async (req, res)
 });
 
 // Get usage statistics
-router.get('/usage', authenticateToken, async (req, res) => {
+router.get('/usage', auth, async (req, res) => {
   try {
     const subscription = await Subscription.findOne({ userId: req.user.userId });
     
@@ -168,7 +170,10 @@ router.get('/usage', authenticateToken, async (req, res) => {
     await subscription.resetMonthlyUsage();
 
     const usage = {
-      current: subscription.usage,
+      current: {
+        ...subscription.toObject().usage,
+        storageBytes: await Attachment.getStorageUsed(req.user.userId)
+      },
       limits: subscription.limits,
       plan: subscription.plan,
       status: subscription.status,
@@ -183,7 +188,7 @@ router.get('/usage', authenticateToken, async (req, res) => {
 });
 
 // Update subscription preferences
-router.put('/preferences', authenticateToken, requireAdmin, async (req, res) => {
+router.put('/preferences', auth, requireAdmin, async (req, res) => {
   try {
     const { discount } = req.body;
 
@@ -208,18 +213,16 @@ router.put('/preferences', authenticateToken, requireAdmin, async (req, res) =>
   }
 });
 
-// Webhook endpoint for Stripe
-router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
-  const sig = req.headers['stripe-signature'];
-  const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
-
+// Webhook endpoint for the billing provider, checked against the raw body
+// kept by the JSON parser in app.js
+router.post('/webhook', async (req, res) => {
   let event;
 
   try {
-    event = stripe.webhooks.constructEvent(req.body, sig, endpointSecret);
+    event = await paymentService.constructWebhookEvent(req.rawBody, req.headers);
   } catch (err) {
     console.error('Webhook signature verification failed:', err.message);
-    return res.status(400).send(`Webhook Error: ${err.message}`);
+    return res.status(err.statusCode || 400).send(`Webhook Error: ${err.message}`);
   }
 
   try {
@@ -231,28 +234,32 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
   }
 });
 
-// Create payment intent for booking
-router.post('/payment-intent', authenticateToken, async (req, res) => {
+// Create payment intent for booking, in the business's currency
+router.post('/payment-intent', auth, async (req, res) => {
   try {
-    const { bookingId, currency = 'USD' } = req.body;
+    const { bookingId } = req.body;
 
     if (!bookingId) {
       return res.status(400).json({ message: 'Booking ID is required' });
     }
 
-    const paymentIntent = await paymentService.createBookingPaymentIntent(bookingId, currency);
+    if (!(await Booking.exists({ _id: bookingId, userId: req.user.userId }))) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    const paymentIntent = await paymentService.createBookingPaymentIntent(bookingId);
 
     res.json(paymentIntent);
   } catch (error) {
     console.error('Error creating payment intent:', error);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       message: error.message || 'Failed to create payment intent' 
     });
   }
 });
 
 // Get payment methods
-router.get('/payment-methods', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/payment-methods', auth, requireAdmin, async (req, res) => {
   try {
     const user = await User.findById(req.user.userId);
     if (!user || !user.stripeCustomerId) {
@@ -269,33 +276,26 @@ router.get('/payment-methods', authenticateToken, requireAdmin, async (req, res)
 });
 
 // Create setup intent for adding payment method
-router.post('/setup-intent', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/setup-intent', auth, requireAdmin, async (req, res) => {
   try {
     const user = await User.findById(req.user.userId);
-    let customerId = user.stripeCustomerId;
-
-    // Create customer if not exists
-    if (!customerId) {
-      const customer = await paymentService.createCustomer(user);
-      customerId = customer.id;
-    }
-
+    const customerId = await paymentService.getCustomerId(user);
     const setupIntent = await paymentService.createSetupIntent(customerId);
 
     res.json({
-      clientSecret: setupIntent.client_secret,
+      clientSecret: setupIntent.clientSecret,
       customerId
     });
   } catch (error) {
     console.error('Error creating setup intent:', error);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       message: error.message || 'Failed to create setup intent' 
     });
   }
 });
 
 // Upgrade/downgrade subscription
-router.post('/change-plan', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/change-plan', auth, requireAdmin, async (req, res) => {
   try {
     const { newPlan } = req.body;
 
@@ -329,10 +329,10 @@ router.post('/change-plan', authenticateToken, requireAdmin, async (req, res) =>
       });
     }
 
-    // For upgrades, this would typically involve Stripe subscription modification
+    // For upgrades, this would typically involve modifying the provider's subscription
     res.json({
       message: 'Plan change initiated',
-      note: 'This would typically involve Stripe subscription modification in production'
+      note: 'This would typically involve modifying the billing provider subscription in production'
     });
   } catch (error) {
     console.error('Error changing plan:', error);
@@ -341,7 +341,7 @@ router.post('/change-plan', authenticateToken, requireAdmin, async (req, res) =>
 });
 
 // Get subscription analytics for admin
-router.get('/analytics', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/analytics', auth, requireAdmin, async (req, res) => {
   try {
     const subscription = await Subscription.findOne({ userId: req.user.userId });
     if (!subscription) {
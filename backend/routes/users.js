@@ -56,6 +56,7 @@ router.put('/profile', authenticateToken, async (req, res) => {
       businessAddress,
       businessHours,
       timezone,
+      currency,
       language
     } = req.body;
 
@@ -70,6 +71,7 @@ router.put('/profile', authenticateToken, async (req, res) => {
     if (businessAddress) updateData.businessAddress = businessAddress;
     if (businessHours) updateData.businessHours = businessHours;
     if (timezone) updateData.timezone = timezone;
+    if (currency) updateData.currency = currency;
     if (language && ['en', 'am', 'sw'].includes(language)) {
       updateData.language = language;
     }
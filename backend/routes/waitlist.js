@@ -0,0 +1,108 @@
+import express from 'express';
+import WaitlistEntry from '../models/WaitlistEntry.js';
+import User from '../models/User.js';
+import auth from '../middleware/auth.js';
+import waitlistService from '../services/waitlistService.js';
+import { getClaimUrl } from '../utils/manageLink.js';
+import { toDateString } from '../utils/timezone.js';
+
+const router = express.Router();
+
+// Dates arrive as 'YYYY-MM-DD' business-local days
+const toDay = (value) => new Date(`${toDateString(value)}T00:00:00Z`);
+
+// Open offers carry their claim link so the owner can pass it on themselves
+const withClaimUrl = (entry) => ({
+  ...entry.toObject(),
+  claimUrl: entry.hasActiveOffer() ? getClaimUrl(entry) : undefined
+});
+
+// Get waitlist entries, by default everyone still waiting or holding an offer
+router.get('/', auth, async (req, res) => {
+  try {
+    const { status, startDate, endDate } = req.query;
+
+    const query = {
+      userId: req.user.userId,
+      status: status || { $in: ['waiting', 'offered'] }
+    };
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = toDay(startDate);
+      if (endDate) query.date.$lte = toDay(endDate);
+    }
+
+    const entries = await WaitlistEntry.find(query)
+      .populate('serviceId', 'name duration')
+      .sort({ date: 1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      count: entries.length,
+      entries: entries.map(withClaimUrl)
+    });
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Offer the first free slot in the entry's window right away
+router.post('/:id/offer', auth, async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findOne({ _id: req.params.id, userId: req.user.userId })
+      .populate('serviceId');
+
+    if (!entry) {
+      return res.status(404).json({ message: 'Waitlist entry not found' });
+    }
+
+    if (entry.status !== 'waiting') {
+      return res.status(400).json({ message: `Entry is ${entry.status}, only waiting customers can be offered a slot` });
+    }
+
+    const business = await User.findById(req.user.userId);
+    const offered = await waitlistService.offerSlot(business, entry);
+    if (!offered) {
+      return res.status(409).json({ message: 'No free time in this customer\'s window' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Slot offered to customer',
+      entry: withClaimUrl(offered)
+    });
+  } catch (error) {
+    console.error('Offer waitlist slot error:', error);
+    res.status(error.statusCode || 400).json({ message: error.message });
+  }
+});
+
+// Remove a customer from the waitlist; a pending offer goes to the next person
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findOne({ _id: req.params.id, userId: req.user.userId });
+
+    if (!entry) {
+      return res.status(404).json({ message: 'Waitlist entry not found' });
+    }
+
+    const hadOffer = entry.hasActiveOffer();
+    entry.status = 'cancelled';
+    await entry.save();
+
+    if (hadOffer) {
+      await waitlistService.releaseOffer(entry);
+    }
+
+    res.json({
+      success: true,
+      message: 'Removed from waitlist'
+    });
+  } catch (error) {
+    console.error('Delete waitlist entry error:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,164 @@
+// Bring payments recorded by the old payments route in line with the Payment
+// schema, record a payment for bookings that were only marked paid, work
+// each booking's amount paid out from its payments, then bring the payment
+// indexes in line with the schema.
+//
+//   npm run migrate:payments
+//
+// The old route wrote userId, bookingId, customerId, transactionId, status
+// 'completed' and paidAt, and no type. Safe to run more than once.
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Payment from '../models/Payment.js';
+import Booking from '../models/Booking.js';
+import bookingLedgerService from '../services/bookingLedgerService.js';
+import paymentRecordService, { TRANSACTION_FIELDS } from '../services/paymentRecordService.js';
+
+dotenv.config();
+
+const RENAMED_FIELDS = {
+  userId: 'user',
+  bookingId: 'booking',
+  customerId: 'customer',
+  paidAt: 'processedAt'
+};
+
+const METHODS = Payment.schema.path('method').enumValues;
+
+// Booking.paymentMethod values that are not Payment methods; card payments
+// marked paid by hand have no provider record to refund through
+const BOOKING_METHODS = {
+  card: 'other',
+  stripe: 'other'
+};
+
+const migratePayments = async () => {
+  // The schema no longer has the old fields, so work on the raw collection
+  const payments = Payment.collection;
+
+  for (const [from, to] of Object.entries(RENAMED_FIELDS)) {
+    const renamed = await payments.updateMany(
+      { [from]: { $exists: true }, [to]: { $exists: false } },
+      { $rename: { [from]: to } }
+    );
+    const dropped = await payments.updateMany({ [from]: { $exists: true } }, { $unset: { [from]: '' } });
+    console.log(`${from} -> ${to}: ${renamed.modifiedCount} renamed, ${dropped.modifiedCount} duplicates dropped`);
+  }
+
+  for (const [method, field] of Object.entries(TRANSACTION_FIELDS)) {
+    const moved = await payments.updateMany(
+      { method, transactionId: { $exists: true }, [field]: { $exists: false } },
+      [{ $set: { [field]: '$transactionId' } }, { $unset: 'transactionId' }]
+    );
+    console.log(`transactionId -> ${field}: ${moved.modifiedCount}`);
+  }
+  const kept = await payments.updateMany(
+    { transactionId: { $exists: true } },
+    [{ $set: { 'metadata.transactionId': '$transactionId' } }, { $unset: 'transactionId' }]
+  );
+  console.log(`transactionId -> metadata.transactionId: ${kept.modifiedCount}`);
+
+  const completed = await payments.updateMany({ status: 'completed' }, { $set: { status: 'succeeded' } });
+  console.log(`status completed -> succeeded: ${completed.modifiedCount}`);
+
+  const processed = await payments.updateMany(
+    { status: { $in: Payment.COLLECTED_STATUSES }, processedAt: { $exists: false } },
+    [{ $set: { processedAt: '$createdAt' } }]
+  );
+  console.log(`processedAt set from createdAt: ${processed.modifiedCount}`);
+
+  const typed = await payments.updateMany(
+    { type: { $exists: false } },
+    [{ $set: { type: { $cond: [{ $ifNull: ['$booking', false] }, 'booking', 'one_time'] } } }]
+  );
+  console.log(`type added: ${typed.modifiedCount}`);
+
+  // The old route took any method, such as 'card'
+  const methods = await payments.updateMany({ method: { $nin: METHODS } }, { $set: { method: 'other' } });
+  console.log(`unknown methods -> other: ${methods.modifiedCount}`);
+};
+
+// Bookings used to be marked paid by hand with no payment behind them.
+// Record their total as a payment taken by hand, so they stay paid and keep
+// counting towards revenue now that both follow from payments.
+const recordMarkedPaid = async () => {
+  const bookings = await Booking.find({
+    paymentStatus: 'paid',
+    totalAmount: { $gt: 0 },
+    amountPaid: { $not: { $gt: 0 } }
+  });
+
+  let recorded = 0;
+  for (const booking of bookings) {
+    if (await Payment.exists({ booking: booking._id, type: 'booking', status: { $in: Payment.COLLECTED_STATUSES } })) continue;
+
+    await paymentRecordService.createForBooking(booking, {
+      amount: booking.totalAmount,
+      method: BOOKING_METHODS[booking.paymentMethod] || booking.paymentMethod || 'cash',
+      status: 'succeeded',
+      processedAt: booking.updatedAt || booking.createdAt,
+      notes: 'Recorded from the booking being marked paid'
+    });
+    recorded++;
+  }
+  console.log(`bookings marked paid without payments: ${bookings.length}, payments recorded: ${recorded}`);
+};
+
+// The old route marked a booking paid whatever was paid; work amount paid and
+// payment status out again from the booking's payments
+const syncBookings = async () => {
+  const bookingIds = await Payment.distinct('booking', {
+    type: 'booking',
+    status: { $in: Payment.COLLECTED_STATUSES }
+  });
+
+  let changed = 0;
+  for (const bookingId of bookingIds) {
+    const booking = await Booking.findById(bookingId);
+    if (!booking) continue;
+
+    booking.setAmountPaid(await bookingLedgerService.getCollected(booking._id));
+    if (!booking.isModified()) continue;
+
+    // Only the payment fields, without the booking's save checks and history
+    await Booking.updateOne(
+      { _id: booking._id },
+      { $set: { amountPaid: booking.amountPaid, paymentStatus: booking.paymentStatus } }
+    );
+    changed++;
+  }
+  console.log(`bookings with payments: ${bookingIds.length}, amount paid updated: ${changed}`);
+};
+
+// Older databases have a plain index on stripePaymentIntentId; it has to be
+// unique so that retried card webhooks cannot record a payment twice
+const syncIndexes = async () => {
+  const dropped = await Payment.syncIndexes();
+  console.log(`payment indexes rebuilt: ${dropped.length > 0 ? dropped.join(', ') : 'none'}`);
+};
+
+// The whole migration, on the open connection
+export const migrate = async () => {
+  await migratePayments();
+  await recordMarkedPaid();
+  await syncBookings();
+  await syncIndexes();
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/bizboard');
+  try {
+    await migrate();
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+// Only when run as a script; the tests import migrate
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  run().catch(error => {
+    console.error('Payment migration failed:', error);
+    process.exit(1);
+  });
+}
@@ -1,138 +1,13 @@
-import express from 'express';
 import mongoose from 'mongoose';
-import cors from 'cors';
-import dotenv from 'dotenv';
-import helmet from 'helmet';
-import morgan from 'morgan';
-import rateLimit from 'express-rate-limit';
+import app from './app.js';
 
-// Import routes
-import authRoutes from './routes/auth.js';
-import serviceRoutes from './routes/services.js';
-import customerRoutes from './routes/customers.js';
-import bookingRoutes from './routes/bookings.js';
-import paymentRoutes from './routes/payments.js';
-import analyticsRoutes from './routes/analytics.js';
-import publicRoutes from './routes/public.js';
+// Import services
+import waitlistService from './services/waitlistService.js';
+import mobilePaymentService from './services/mobilePaymentService.js';
+import refundService from './services/refundService.js';
 
-// Import middleware
-import { languageMiddleware } from './middleware/language.js';
-
-dotenv.config();
-
-const app = express();
 const PORT = process.env.PORT || 5000;
 
-// Security middleware
-app.use(helmet());
-
-// CORS configuration - Updated to allow Accept-Language header
-app.use(cors({
-  origin: process.env.CORS_ORIGIN || 'http://localhost:5173',
-  credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Accept-Language']
-}));
-
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: {
-    error: 'Too many requests from this IP, please try again later.'
-  }
-});
-app.use('/api/', limiter);
-
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true }));
-
-// Language detection middleware - add before routes
-app.use('/api/', languageMiddleware);
-
-// Logging middleware
-if (process.env.NODE_ENV !== 'test') {
-  app.use(morgan('combined'));
-}
-
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({ 
-    status: 'OK', 
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    environment: process.env.NODE_ENV
-  });
-});
-
-// API Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/services', serviceRoutes);
-app.use('/api/customers', customerRoutes);
-app.use('/api/bookings', bookingRoutes);
-app.use('/api/payments', paymentRoutes);
-app.use('/api/analytics', analyticsRoutes);
-app.use('/api/public', publicRoutes);
-
-// Feature flags endpoint
-app.get('/api/features', (req, res) => {
-  res.json({
-    googleOAuth: process.env.GOOGLE_CLIENT_ID ? true : false,
-    smartCalendar: true,
-    multilingual: true
-  });
-});
-
-// Global error handling middleware
-app.use((err, req, res, next) => {
-  console.error('Error:', err.message);
-
-  // Handle specific error types
-  if (err.name === 'ValidationError') {
-    return res.status(400).json({
-      message: 'Validation error',
-      errors: Object.values(err.errors).map(e => e.message)
-    });
-  }
-
-  if (err.name === 'CastError') {
-    return res.status(400).json({
-      message: 'Invalid ID format'
-    });
-  }
-
-  if (err.code === 11000) {
-    return res.status(400).json({
-      message: 'Duplicate field value entered'
-    });
-  }
-
-  if (err.name === 'JsonWebTokenError') {
-    return res.status(401).json({
-      message: 'Invalid token'
-    });
-  }
-
-  if (err.name === 'TokenExpiredError') {
-    return res.status(401).json({
-      message: 'Token expired'
-    });
-  }
-
-  // Default error response
-  res.status(err.statusCode || 500).json({
-    message: err.message || 'Internal server error'
-  });
-});
-
-// 404 handler for API routes
-app.use('/api/*', (req, res) => {
-  res.status(404).json({ 
-    message: 'API endpoint not found'
-  });
-});
-
 // MongoDB connection
 const connectDB = async () => {
   try {
@@ -140,6 +15,16 @@ const connectDB = async () => {
     
     await mongoose.connect(mongoURI);
     console.log(`✅ MongoDB connected successfully`);
+
+    // Pass unclaimed waitlist offers on to the next customer
+    setInterval(() => waitlistService.expireOffers(), 60 * 1000);
+
+    // Settle mobile-money payments whose notification never arrived, and
+    // refunds the provider finished after it was asked
+    setInterval(async () => {
+      await mobilePaymentService.reconcilePending();
+      await refundService.reconcilePending();
+    }, 5 * 60 * 1000);
     
     // Start server after successful DB connection
     app.listen(PORT, () => {
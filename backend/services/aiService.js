@@ -3,6 +3,8 @@ import User from '../models/User.js';
 import Booking from '../models/Booking.js';
 import Customer from '../models/Customer.js';
 import Service from '../models/Service.js';
+import ScheduleOverride from '../models/ScheduleOverride.js';
+import { getDayOfWeek } from '../utils/timezone.js';
 
 // Initialize OpenAI client
 const openai = process.env.OPENAI_API_KEY 
@@ -129,15 +131,20 @@ class AIService {
     try {
       const recommendations = [];
       const targetDate = new Date(preferredDate);
-      const dayOfWeek = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][targetDate.getDay()];
+      const dayOfWeek = getDayOfWeek(preferredDate);
       
-      const businessHours = user.businessHours[dayOfWeek];
+      // Holidays and special hours replace the weekly pattern
+      const overrides = await ScheduleOverride.findForDate(user._id, preferredDate);
+      const override = ScheduleOverride.pickOverride(overrides, null);
+      const businessHours = ScheduleOverride.resolveHours(overrides.filter(o => !o.staffId), user, dayOfWeek);
       
-      if (!businessHours.isOpen) {
+      if (!businessHours) {
         return {
           type: 'rule-based',
           recommendations: [],
-          message: `Business is closed on ${dayOfWeek}s`
+          message: override
+            ? `Business is closed on ${preferredDate}${override.reason ? ` (${override.reason})` : ''}`
+            : `Business is closed on ${dayOfWeek}s`
         };
       }
 
@@ -200,8 +207,8 @@ class AIService {
   // Generate available time slots
   generateTimeSlots(businessHours, serviceDuration) {
     const slots = [];
-    const openTime = businessHours.open;
-    const closeTime = businessHours.close;
+    const openTime = businessHours.start;
+    const closeTime = businessHours.end;
 
     const [openHour, openMin] = openTime.split(':').map(Number);
     const [closeHour, closeMin] = closeTime.split(':').map(Number);
@@ -239,11 +246,15 @@ class AIService {
       bufferTime: 0
     };
 
+    // Both the slot and existing bookings keep their prep/travel buffers free
+    const { bufferBefore, bufferAfter } = Booking.getBuffers(service, user);
+    const slotBlockedStart = slot.minutes - bufferBefore;
+    const slotBlockedEnd = slot.endMinutes + bufferAfter;
+    const blockedRanges = existingBookings.map(booking => this.getBlockedMinutes(booking));
+
     // Check availability (base requirement)
-    const isAvailable = !existingBookings.some(booking => {
-      const bookingStart = this.timeToMinutes(booking.time);
-      const bookingEnd = this.timeToMinutes(booking.endTime);
-      return (slot.minutes < bookingEnd && slot.endMinutes > bookingStart);
+    const isAvailable = !blockedRanges.some(range => {
+      return (slotBlockedStart < range.end && slotBlockedEnd > range.start);
     });
 
     if (!isAvailable) {
@@ -281,12 +292,13 @@ class AIService {
     });
     factors.historicalDemand = Math.min(15, sameTimeBookings * 3);
 
-    // Buffer time factor (prefer slots with gaps)
-    const hasBufferBefore = !existingBookings.some(b => 
-      this.timeToMinutes(b.endTime) === slot.minutes - 30
+    // Buffer time factor (prefer slots with at least 30 spare minutes on top
+    // of the required buffers)
+    const hasBufferBefore = !blockedRanges.some(range =>
+      range.end > slotBlockedStart - 30 && range.end <= slotBlockedStart
     );
-    const hasBufferAfter = !existingBookings.some(b => 
-      this.timeToMinutes(b.time) === slot.endMinutes + 30
+    const hasBufferAfter = !blockedRanges.some(range =>
+      range.start >= slotBlockedEnd && range.start < slotBlockedEnd + 30
     );
     
     if (hasBufferBefore && hasBufferAfter) {
@@ -420,6 +432,15 @@ class AIService {
     return Math.min(95, confidence);
   }
 
+  // Minutes-of-day range a booking keeps free, buffers included
+  getBlockedMinutes(booking) {
+    const start = this.timeToMinutes(booking.time);
+    return {
+      start: start - (booking.bufferBefore || 0),
+      end: start + booking.duration + (booking.bufferAfter || 0)
+    };
+  }
+
   // Utility function to convert time string to minutes
   timeToMinutes(timeString) {
     const [hours, minutes] = timeString.split(':').map(Number);
@@ -0,0 +1,236 @@
+import path from 'path';
+import mongoose from 'mongoose';
+import sharp from 'sharp';
+import Attachment from '../models/Attachment.js';
+import Booking from '../models/Booking.js';
+import Subscription from '../models/Subscription.js';
+import User from '../models/User.js';
+import storageService from './storageService.js';
+
+// File types that can be uploaded, with the extension they are stored under
+const ALLOWED_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/heic': '.heic',
+  'application/pdf': '.pdf'
+};
+
+const MB = 1024 * 1024;
+
+// Longest side of a thumbnail, in pixels
+const THUMBNAIL_SIZE = 320;
+
+const isCustomerUpload = (attachment) => attachment.uploadedBy.type === 'customer' && !!attachment.bookingId;
+
+const attachmentError = (message, statusCode, details = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.details = details;
+  return error;
+};
+
+// Start a usage counter on a document from before counters were kept,
+// from what `countExisting` finds stored. Only the first caller sets it.
+const startCounter = async (Model, _id, field, countExisting) => {
+  if (await Model.exists({ _id, [field]: { $exists: false } })) {
+    await Model.updateOne({ _id, [field]: { $exists: false } }, { $set: { [field]: await countExisting() } });
+  }
+};
+
+// Add `amounts` to a document's counters in one conditional update, so that
+// concurrent uploads cannot go over `limits` ({ counter: maximum }) together.
+// Returns whether there was room.
+const claimCounters = async (Model, _id, amounts, limits = {}) => {
+  const withinLimits = Object.entries(limits)
+    .map(([field, limit]) => ({ $lte: [{ $add: [`$${field}`, amounts[field]] }, limit] }));
+  const { modifiedCount } = await Model.updateOne({ _id, $expr: { $and: withinLimits } }, { $inc: amounts });
+  return modifiedCount === 1;
+};
+
+// Take back what claimCounters added, on counters that have been started
+const releaseCounters = (Model, _id, amounts) => Model.updateOne(
+  { _id, ...Object.fromEntries(Object.keys(amounts).map(field => [field, { $exists: true }])) },
+  { $inc: Object.fromEntries(Object.entries(amounts).map(([field, amount]) => [field, -amount])) }
+);
+
+// Photos and documents on bookings and customers, with the plan's storage
+// quota (Subscription.limits.maxStorageMB) reserved on every upload.
+// Customers adding files through their manage link are also held to a
+// number and size of files per booking.
+class AttachmentService {
+  constructor() {
+    this.allowedTypes = Object.keys(ALLOWED_TYPES);
+    this.maxFileBytes = (Number(process.env.ATTACHMENT_MAX_MB) || 10) * MB;
+    this.maxCustomerFiles = Number(process.env.CUSTOMER_ATTACHMENTS_MAX) || 10;
+    this.maxCustomerBytes = (Number(process.env.CUSTOMER_ATTACHMENTS_MAX_MB) || 25) * MB;
+  }
+
+  // Reserve `bytes` of the business's storage, throwing a 403 error when
+  // they would go over its plan. Businesses without a subscription get the
+  // free plan's storage. Give them back with releaseStorage.
+  async reserveStorage(userId, bytes) {
+    const subscription = await Subscription.findOne({ userId });
+    const limitMB = subscription ? subscription.limits.maxStorageMB : Subscription.getStorageLimitMB('free');
+
+    await startCounter(User, userId, 'storageUsedBytes', () => Attachment.getStorageUsed(userId));
+    const limits = limitMB === -1 ? {} : { storageUsedBytes: limitMB * MB };
+    if (await claimCounters(User, userId, { storageUsedBytes: bytes }, limits)) return;
+
+    const { storageUsedBytes } = await User.findById(userId).select('storageUsedBytes');
+    throw attachmentError(`Storage limit of ${limitMB} MB reached for the ${subscription?.plan || 'free'} plan.`, 403, {
+      currentUsage: Math.ceil(storageUsedBytes / MB),
+      limit: limitMB,
+      action: 'upgrade_required'
+    });
+  }
+
+  async releaseStorage(userId, bytes) {
+    await releaseCounters(User, userId, { storageUsedBytes: bytes });
+  }
+
+  // Reserve room for one more customer file of `bytes` on a booking,
+  // throwing a 403 error when the booking has as many as it can take
+  async reserveCustomerUpload(bookingId, bytes) {
+    await startCounter(Booking, bookingId, 'customerUploads', () => Attachment.getCustomerUploads(bookingId));
+    const reserved = await claimCounters(
+      Booking,
+      bookingId,
+      { 'customerUploads.count': 1, 'customerUploads.bytes': bytes },
+      { 'customerUploads.count': this.maxCustomerFiles, 'customerUploads.bytes': this.maxCustomerBytes }
+    );
+    if (!reserved) {
+      throw attachmentError(`A booking can have up to ${this.maxCustomerFiles} files of ${this.maxCustomerBytes / MB} MB in all from the customer`, 403);
+    }
+  }
+
+  async releaseCustomerUpload(bookingId, bytes) {
+    await releaseCounters(Booking, bookingId, { 'customerUploads.count': 1, 'customerUploads.bytes': bytes });
+  }
+
+  // Reserve an upload's room (see reserveStorage and reserveCustomerUpload)
+  async reserve(attachment) {
+    await this.reserveStorage(attachment.userId, attachment.size);
+    if (!isCustomerUpload(attachment)) return;
+
+    try {
+      await this.reserveCustomerUpload(attachment.bookingId, attachment.size);
+    } catch (error) {
+      await this.releaseStorage(attachment.userId, attachment.size);
+      throw error;
+    }
+  }
+
+  async release(attachment) {
+    await this.releaseStorage(attachment.userId, attachment.size);
+    if (isCustomerUpload(attachment)) {
+      await this.releaseCustomerUpload(attachment.bookingId, attachment.size);
+    }
+  }
+
+  // Store a file and record it against a booking or customer.
+  // `target` is { userId, bookingId } or { userId, customerId }.
+  async upload(target, { data, contentType, filename }, uploadedBy) {
+    if (!ALLOWED_TYPES[contentType]) {
+      throw attachmentError('Only images (JPEG, PNG, WebP, HEIC) and PDF files can be uploaded', 415);
+    }
+    if (!data?.length) {
+      throw attachmentError('The file is empty', 400);
+    }
+    if (data.length > this.maxFileBytes) {
+      throw attachmentError(`Files cannot be larger than ${this.maxFileBytes / MB} MB`, 413);
+    }
+
+    const id = new mongoose.Types.ObjectId();
+    const attachment = new Attachment({
+      _id: id,
+      ...target,
+      filename: path.basename(filename || `attachment${ALLOWED_TYPES[contentType]}`).slice(0, 200),
+      contentType,
+      size: data.length,
+      storageKey: `${target.userId}/${id}${ALLOWED_TYPES[contentType]}`,
+      uploadedBy
+    });
+
+    // The room is reserved before anything is written and given back if
+    // the upload fails
+    await this.reserve(attachment);
+    try {
+      await storageService.put(attachment.storageKey, data, contentType);
+      await this.storeThumbnail(attachment, data);
+      return await attachment.save();
+    } catch (error) {
+      await this.removeFiles(attachment).catch(() => {});
+      await this.release(attachment);
+      throw error;
+    }
+  }
+
+  async read(attachment) {
+    return storageService.get(attachment.storageKey);
+  }
+
+  // An image's thumbnail, made now for files uploaded before thumbnails
+  // were. Null when the image cannot be read (such as HEIC, which the image
+  // library does not decode) or the file is not an image.
+  async readThumbnail(attachment) {
+    if (attachment.thumbnailKey) {
+      return storageService.get(attachment.thumbnailKey);
+    }
+    if (!attachment.isImage) return null;
+
+    const thumbnail = await this.storeThumbnail(attachment, await this.read(attachment));
+    if (thumbnail) await attachment.save();
+    return thumbnail;
+  }
+
+  // Shrink an image and store the result as its thumbnail
+  async storeThumbnail(attachment, data) {
+    if (!attachment.isImage) return null;
+
+    let thumbnail;
+    try {
+      thumbnail = await sharp(data)
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .webp()
+        .toBuffer();
+    } catch (error) {
+      console.error(`Cannot make a thumbnail of ${attachment.contentType} attachment ${attachment._id}:`, error.message);
+      return null;
+    }
+
+    const thumbnailKey = `${attachment.userId}/${attachment._id}.thumb.webp`;
+    await storageService.put(thumbnailKey, thumbnail, 'image/webp');
+    attachment.thumbnailKey = thumbnailKey;
+    return thumbnail;
+  }
+
+  async removeFiles(attachment) {
+    await storageService.remove(attachment.storageKey);
+    if (attachment.thumbnailKey) {
+      await storageService.remove(attachment.thumbnailKey);
+    }
+  }
+
+  async remove(attachment) {
+    await this.removeFiles(attachment);
+    const { deletedCount } = await Attachment.deleteOne({ _id: attachment._id });
+    if (deletedCount === 1) await this.release(attachment);
+  }
+
+  // Drop every file of a deleted booking or customer. Never throws, the
+  // record itself is already gone.
+  async removeAll(filter) {
+    try {
+      const attachments = await Attachment.find(filter);
+      for (const attachment of attachments) {
+        await this.remove(attachment);
+      }
+    } catch (error) {
+      console.error('Error removing attachments:', error);
+    }
+  }
+}
+
+export default new AttachmentService();
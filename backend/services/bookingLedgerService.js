@@ -0,0 +1,131 @@
+import Payment from '../models/Payment.js';
+import Booking from '../models/Booking.js';
+import Customer from '../models/Customer.js';
+import BookingHistory from '../models/BookingHistory.js';
+import bookingStatusService from './bookingStatusService.js';
+import paymentRecordService from './paymentRecordService.js';
+
+// Methods that can be recorded by hand from the dashboard; card payments
+// come in through the billing provider
+const RECORDED_METHODS = ['cash', 'bank_transfer', 'telebirr', 'mobile_money', 'wallet', 'other'];
+
+// Payment methods that Booking.paymentMethod names differently
+const BOOKING_METHODS = {
+  stripe_card: 'stripe',
+  stripe_bank: 'stripe',
+  wallet: 'other'
+};
+
+const ledgerError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// What has been paid on each booking. A booking can be paid in several
+// payments (a deposit, instalments, the rest on the day); its amountPaid and
+// paymentStatus are worked out from them here rather than set directly.
+class BookingLedgerService {
+  // The booking's payments, oldest first, with what they add up to
+  async getLedger(booking) {
+    const payments = await Payment.find({ booking: booking._id, type: 'booking' })
+      .sort({ createdAt: 1 });
+
+    return {
+      totalAmount: booking.totalAmount,
+      amountPaid: booking.amountPaid || 0,
+      balanceDue: booking.balanceDue,
+      paymentStatus: booking.paymentStatus,
+      deposit: booking.deposit?.status ? { amount: booking.deposit.amount, status: booking.deposit.status } : undefined,
+      payments
+    };
+  }
+
+  // Money collected on a booking, net of refunds
+  async getCollected(bookingId) {
+    const payments = await Payment.find({
+      booking: bookingId,
+      type: 'booking',
+      status: { $in: Payment.COLLECTED_STATUSES }
+    });
+    return roundAmount(payments.reduce((total, payment) => total + payment.amount - payment.getTotalRefunded(), 0));
+  }
+
+  // Record money the business took for a booking itself: cash at the door,
+  // a bank transfer, a transfer to their own Telebirr account. `purpose:
+  // 'deposit'` pays the deposit the booking is waiting on.
+  async recordPayment(booking, { amount, method, transactionId, notes, purpose, processedBy }) {
+    const total = roundAmount(Number(amount));
+    if (!(total > 0)) throw ledgerError('Amount must be more than zero', 400);
+    if (!RECORDED_METHODS.includes(method)) throw ledgerError('Choose how the payment was made', 400);
+    if (purpose === 'deposit' && booking.deposit?.status !== 'pending') {
+      throw ledgerError('This booking has no deposit to pay', 400);
+    }
+    if (total > booking.balanceDue + 0.005) {
+      throw ledgerError(booking.balanceDue > 0
+        ? `Only ${booking.balanceDue} is still owed on this booking`
+        : 'This booking is already paid', 400);
+    }
+
+    const payment = await paymentRecordService.createForBooking(booking, {
+      amount: total,
+      method,
+      status: 'succeeded',
+      purpose: purpose === 'deposit' ? 'deposit' : 'invoice',
+      transactionId,
+      notes,
+      source: 'dashboard',
+      processedBy
+    });
+
+    await this.applyPayment(payment, {
+      booking,
+      actor: processedBy ? await BookingHistory.getStaffActor(processedBy) : undefined,
+      reason: `Payment of ${total} recorded`
+    });
+    return payment;
+  }
+
+  // Count a settled payment towards what the customer has spent and, for
+  // booking payments, towards its booking (and the deposit it was for).
+  // `paymentMethod` overrides the booking's payment method worked out from
+  // the payment.
+  async applyPayment(payment, { booking, actor = { type: 'system' }, reason, paymentMethod } = {}) {
+    const target = payment.type === 'booking' && (booking || await Booking.findById(payment.booking));
+    if (target) {
+      target.setAmountPaid(await this.getCollected(target._id));
+      target.paymentMethod = paymentMethod || BOOKING_METHODS[payment.method] || payment.method;
+
+      if (payment.metadata?.purpose === 'deposit') {
+        await bookingStatusService.markDepositPaid(target);
+      } else {
+        target.setAuditContext(actor, reason);
+        await target.save();
+      }
+    }
+
+    if (payment.customer) {
+      await Customer.findByIdAndUpdate(payment.customer, {
+        $inc: { totalSpent: payment.amount }
+      });
+    }
+  }
+
+  // Work the booking's amount paid out again from its payments, after a
+  // refund for instance
+  async sync(bookingId, { actor = { type: 'system' }, reason } = {}) {
+    const booking = await Booking.findById(bookingId);
+    if (!booking) return null;
+
+    booking.setAmountPaid(await this.getCollected(booking._id));
+    if (booking.isModified()) {
+      booking.setAuditContext(actor, reason);
+      await booking.save();
+    }
+    return booking;
+  }
+}
+
+export default new BookingLedgerService();
@@ -0,0 +1,87 @@
+import Customer from '../models/Customer.js';
+
+const statusError = ({ key, params }) => {
+  const error = new Error(key);
+  error.statusCode = 400;
+  error.translationKey = key;
+  error.params = params;
+  return error;
+};
+
+class BookingStatusService {
+  // Throw a 400 error carrying the message key when the booking cannot move
+  // to this status (see Booking#getTransitionError)
+  assertTransition(booking, status) {
+    const transitionError = booking.getTransitionError(status);
+    if (transitionError) throw statusError(transitionError);
+  }
+
+  // Check and set a new status with the fields that go with it. The caller
+  // saves the booking and then calls runSideEffects.
+  applyTransition(booking, status, { by = 'user', reason } = {}) {
+    this.assertTransition(booking, status);
+
+    const previousStatus = booking.status;
+    booking.status = status;
+
+    if (status === 'cancelled') {
+      booking.cancelledAt = new Date();
+      booking.cancelledBy = by;
+      booking.cancellationReason = reason;
+    } else if (status === 'completed') {
+      booking.completedAt = new Date();
+    } else if (status === 'no-show') {
+      booking.noShowAt = new Date();
+    }
+
+    return previousStatus;
+  }
+
+  // Record a booking's deposit as paid, which confirms the booking if it was
+  // waiting on it. Saves the booking.
+  async markDepositPaid(booking) {
+    booking.deposit.status = 'paid';
+    booking.deposit.paidAt = new Date();
+    const previousStatus = booking.status === 'pending'
+      ? this.applyTransition(booking, 'confirmed')
+      : booking.status;
+    booking.setAuditContext({ type: 'system' }, 'Deposit paid');
+    await booking.save();
+    await this.runSideEffects(booking, previousStatus);
+  }
+
+  // Follow-up work once a status change has been saved. Never throws, the
+  // change itself has already gone through.
+  async runSideEffects(booking, previousStatus) {
+    if (booking.status === previousStatus) return;
+
+    try {
+      if (booking.status === 'cancelled' || booking.status === 'no-show') {
+        this.cancelReminders(booking);
+      }
+
+      if (booking.status === 'completed') {
+        await Customer.findByIdAndUpdate(booking.customerId._id || booking.customerId, {
+          $inc: { completedBookings: 1 },
+          lastVisit: booking.startDateTime
+        });
+      } else if (booking.status === 'no-show') {
+        await Customer.findByIdAndUpdate(booking.customerId._id || booking.customerId, {
+          $inc: { noShowCount: 1 }
+        });
+      }
+    } catch (error) {
+      console.error('Booking status side effects error:', error);
+    }
+  }
+
+  // Loaded on demand so status changes work without the reminder queue's
+  // Redis connection
+  cancelReminders(booking) {
+    import('./notificationService.js')
+      .then(({ default: notificationService }) => notificationService.cancelScheduledReminders(booking._id))
+      .catch(error => console.error('Error cancelling reminders:', error));
+  }
+}
+
+export default new BookingStatusService();
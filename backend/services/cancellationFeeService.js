@@ -0,0 +1,66 @@
+import paymentRecordService from './paymentRecordService.js';
+
+const ACTIONS = {
+  cancel: { setting: 'lateCancellationFeePercent', label: 'Late cancellation fee' },
+  reschedule: { setting: 'lateRescheduleFeePercent', label: 'Late reschedule fee' }
+};
+
+// Fees for cancelling or moving a booking at short notice, as set by the
+// business (User.lateChangeWindowHours and the two fee percentages)
+class CancellationFeeService {
+  // Fee owed for cancelling or rescheduling this booking at `now`, or null
+  // when the change is free. Checked against the booking's current time,
+  // so call it before moving the booking.
+  getFee(business, booking, action, now = new Date()) {
+    const percent = business?.[ACTIONS[action].setting] || 0;
+    if (!percent || !booking.startDateTime) return null;
+
+    const hoursBefore = (booking.startDateTime.getTime() - now.getTime()) / (60 * 60 * 1000);
+    if (hoursBefore >= (business.lateChangeWindowHours ?? 24)) return null;
+
+    return {
+      action,
+      percent,
+      amount: Math.round(booking.totalAmount * percent) / 100
+    };
+  }
+
+  // Record a fee as a pending one-time payment owed on the booking. Never
+  // throws, the change it is charged for has already been saved.
+  async chargeFee(business, booking, fee, { source = 'dashboard' } = {}) {
+    if (!fee) return null;
+
+    try {
+      return await paymentRecordService.createForBooking(booking, {
+        type: 'one_time',
+        amount: fee.amount,
+        method: 'other',
+        description: `${ACTIONS[fee.action].label} (${fee.percent}% of ${booking.totalAmount})`,
+        metadata: { fee: fee.action, percent: fee.percent },
+        source
+      });
+    } catch (error) {
+      console.error('Error recording late change fee:', error);
+      return null;
+    }
+  }
+
+  // The policy in a sentence for customers, or null when changes are free
+  describePolicy(business) {
+    const hours = business.lateChangeWindowHours ?? 24;
+    const cancelPercent = business.lateCancellationFeePercent || 0;
+    const reschedulePercent = business.lateRescheduleFeePercent || 0;
+    if (!cancelPercent && !reschedulePercent) return null;
+
+    const parts = [];
+    if (cancelPercent) {
+      parts.push(`Free cancellation until ${hours} hours before your appointment, then a ${cancelPercent}% fee.`);
+    }
+    if (reschedulePercent) {
+      parts.push(`Rescheduling within ${hours} hours of the appointment costs ${reschedulePercent}% of the price.`);
+    }
+    return parts.join(' ');
+  }
+}
+
+export default new CancellationFeeService();
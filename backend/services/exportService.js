@@ -8,6 +8,9 @@ import Booking from '../models/Booking.js';
 import Customer from '../models/Customer.js';
 import Service from '../models/Service.js';
 import Subscription from '../models/Subscription.js';
+import paymentRecordService from './paymentRecordService.js';
+import { formatCalendarDate, formatInstantDate } from '../utils/ethiopianCalendar.js';
+import { DEFAULT_TIMEZONE } from '../utils/timezone.js';
 
 class ExportService {
   constructor() {
@@ -15,6 +18,29 @@ class ExportService {
     this.ensureExportDirectory();
   }
 
+  // Dates follow the business's calendar preference and language
+  // (Ethiopian calendar for Amharic and Afan Oromo)
+  formatDate(user, value) {
+    return formatCalendarDate(value, { language: user.language, calendar: user.calendar });
+  }
+
+  formatTimestamp(user, instant) {
+    return formatInstantDate(instant, user.timezone || DEFAULT_TIMEZONE, {
+      language: user.language,
+      calendar: user.calendar
+    });
+  }
+
+  // "Label: answer" pairs of a booking's intake form answers
+  formatIntakeAnswers(user, answers) {
+    return answers.map(answer => {
+      let value = answer.value;
+      if (answer.type === 'checkbox') value = value ? 'Yes' : 'No';
+      if (answer.type === 'date') value = this.formatDate(user, value);
+      return `${answer.label}: ${value}`;
+    }).join('; ');
+  }
+
   async ensureExportDirectory() {
     try {
       await fs.access(this.exportDir);
@@ -61,32 +87,38 @@ class ExportService {
           { id: 'email', title: 'Email' },
           { id: 'phone', title: 'Phone' },
           { id: 'service', title: 'Service' },
+          { id: 'lineItems', title: 'Line Items' },
           { id: 'duration', title: 'Duration (min)' },
           { id: 'amount', title: 'Amount' },
+          { id: 'amountPaid', title: 'Amount Paid' },
           { id: 'status', title: 'Status' },
           { id: 'paymentStatus', title: 'Payment Status' },
           { id: 'paymentMethod', title: 'Payment Method' },
           { id: 'notes', title: 'Notes' },
+          { id: 'intakeAnswers', title: 'Intake Answers' },
           { id: 'rating', title: 'Rating' },
           { id: 'createdAt', title: 'Created At' }
         ]
       });
 
       const records = bookings.map(booking => ({
-        date: new Date(booking.date).toLocaleDateString(),
+        date: this.formatDate(user, booking.date),
         time: booking.time,
         customer: booking.customerId?.name || 'N/A',
         email: booking.customerId?.email || 'N/A',
         phone: booking.customerId?.phone || 'N/A',
-        service: booking.serviceId?.name || 'N/A',
+        service: booking.describeServices() || 'N/A',
+        lineItems: booking.lineItems.map(item => `${item.name} x${item.quantity} @ ${item.unitPrice}`).join('; '),
         duration: booking.duration,
         amount: booking.totalAmount,
+        amountPaid: booking.amountPaid || 0,
         status: booking.status,
         paymentStatus: booking.paymentStatus,
         paymentMethod: booking.paymentMethod,
         notes: booking.notes || '',
+        intakeAnswers: this.formatIntakeAnswers(user, booking.intakeAnswers),
         rating: booking.rating || '',
-        createdAt: booking.createdAt.toLocaleDateString()
+        createdAt: this.formatTimestamp(user, booking.createdAt)
       }));
 
       await csvWriter.writeRecords(records);
@@ -128,7 +160,7 @@ class ExportService {
               $group: {
                 _id: null,
                 totalBookings: { $sum: 1 },
-                totalSpent: { $sum: '$totalAmount' },
+                totalSpent: { $sum: Booking.collectedAmountExpression() },
                 lastBooking: { $max: '$date' },
                 avgRating: { $avg: '$rating' }
               }
@@ -176,9 +208,9 @@ class ExportService {
         totalBookings: customer.totalBookings,
         totalSpent: customer.totalSpent.toFixed(2),
         avgRating: customer.avgRating ? customer.avgRating.toFixed(1) : '',
-        lastBooking: customer.lastBooking ? new Date(customer.lastBooking).toLocaleDateString() : '',
+        lastBooking: customer.lastBooking ? this.formatDate(user, customer.lastBooking) : '',
         notes: customer.notes || '',
-        createdAt: customer.createdAt.toLocaleDateString()
+        createdAt: this.formatTimestamp(user, customer.createdAt)
       }));
 
       await csvWriter.writeRecords(records);
@@ -204,29 +236,8 @@ class ExportService {
       const startDate = filters.startDate ? new Date(filters.startDate) : new Date(new Date().getFullYear(), 0, 1);
       const endDate = filters.endDate ? new Date(filters.endDate) : new Date();
 
-      const revenueData = await Booking.aggregate([
-        {
-          $match: {
-            userId: user._id,
-            date: { $gte: startDate, $lte: endDate },
-            paymentStatus: 'paid'
-          }
-        },
-        {
-          $group: {
-            _id: {
-              year: { $year: '$date' },
-              month: { $month: '$date' },
-              day: { $dayOfMonth: '$date' }
-            },
-            dailyRevenue: { $sum: '$totalAmount' },
-            bookingCount: { $sum: 1 }
-          }
-        },
-        {
-          $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1 }
-        }
-      ]);
+      // Money collected each day, by when it was paid
+      const revenueData = await paymentRecordService.getRevenue(user._id, { from: startDate, to: endDate, groupBy: 'day' });
 
       const filename = `revenue_${user.businessName.replace(/\s+/g, '_')}_${new Date().toISOString().split('T')[0]}.csv`;
       const filepath = path.join(this.exportDir, filename);
@@ -243,9 +254,9 @@ class ExportService {
 
       const records = revenueData.map(item => ({
         date: `${item._id.year}-${item._id.month.toString().padStart(2, '0')}-${item._id.day.toString().padStart(2, '0')}`,
-        revenue: item.dailyRevenue.toFixed(2),
-        bookings: item.bookingCount,
-        averageBookingValue: (item.dailyRevenue / item.bookingCount).toFixed(2)
+        revenue: item.total.toFixed(2),
+        bookings: item.bookings,
+        averageBookingValue: (item.bookings > 0 ? item.total / item.bookings : 0).toFixed(2)
       }));
 
       await csvWriter.writeRecords(records);
@@ -254,8 +265,8 @@ class ExportService {
         filename,
         filepath,
         recordCount: records.length,
-        totalRevenue: revenueData.reduce((sum, item) => sum + item.dailyRevenue, 0),
-        totalBookings: revenueData.reduce((sum, item) => sum + item.bookingCount, 0)
+        totalRevenue: revenueData.reduce((sum, item) => sum + item.total, 0),
+        totalBookings: revenueData.reduce((sum, item) => sum + item.bookings, 0)
       };
 
     } catch (error) {
@@ -316,16 +327,7 @@ class ExportService {
       date: { $gte: startDate, $lte: endDate }
     });
 
-    const totalRevenue = await Booking.aggregate([
-      {
-        $match: {
-          userId: new mongoose.Types.ObjectId(userId),
-          date: { $gte: startDate, $lte: endDate },
-          paymentStatus: 'paid'
-        }
-      },
-      { $group: { _id: null, total: { $sum: '$totalAmount' } } }
-    ]);
+    const totalRevenue = await paymentRecordService.getRevenue(userId, { from: startDate, to: endDate });
 
     const totalCustomers = await Customer.countDocuments({ userId });
 
@@ -347,13 +349,16 @@ class ExportService {
           date: { $gte: startDate, $lte: endDate }
         }
       },
+      ...Booking.lineItemStages(),
       {
         $group: {
-          _id: '$serviceId',
-          count: { $sum: 1 },
-          revenue: { $sum: '$totalAmount' }
+          _id: '$item.serviceId',
+          count: { $addToSet: '$_id' },
+          quantity: { $sum: '$item.quantity' },
+          revenue: { $sum: { $multiply: ['$item.unitPrice', '$item.quantity'] } }
         }
       },
+      { $addFields: { count: { $size: '$count' } } },
       {
         $lookup: {
           from: 'services',
@@ -368,26 +373,8 @@ class ExportService {
     ]);
 
     // Monthly revenue trend
-    const monthlyRevenue = await Booking.aggregate([
-      {
-        $match: {
-          userId: new mongoose.Types.ObjectId(userId),
-          date: { $gte: startDate, $lte: endDate },
-          paymentStatus: 'paid'
-        }
-      },
-      {
-        $group: {
-          _id: {
-            year: { $year: '$date' },
-            month: { $month: '$date' }
-          },
-          revenue: { $sum: '$totalAmount' },
-          bookings: { $sum: 1 }
-        }
-      },
-      { $sort: { '_id.year': 1, '_id.month': 1 } }
-    ]);
+    const monthlyRevenue = (await paymentRecordService.getRevenue(userId, { from: startDate, to: endDate, groupBy: 'month' }))
+      .map(month => ({ _id: month._id, revenue: month.total, bookings: month.bookings }));
 
     return {
       summary: {
@@ -400,8 +387,8 @@ class ExportService {
       topServices,
       monthlyRevenue,
       reportPeriod: {
-        startDate: startDate.toLocaleDateString(),
-        endDate: endDate.toLocaleDateString()
+        startDate,
+        endDate
       }
     };
   }
@@ -441,8 +428,8 @@ class ExportService {
           <div class="header">
             <h1>${user.businessName}</h1>
             <p>${reportType.charAt(0).toUpperCase() + reportType.slice(1)} Business Report</p>
-            <p>Period: ${data.reportPeriod.startDate} - ${data.reportPeriod.endDate}</p>
-            <p>Generated on: ${new Date().toLocaleDateString()}</p>
+            <p>Period: ${this.formatDate(user, data.reportPeriod.startDate)} - ${this.formatDate(user, data.reportPeriod.endDate)}</p>
+            <p>Generated on: ${this.formatTimestamp(user, new Date())}</p>
           </div>
 
           <div class="summary">
@@ -480,10 +467,10 @@ class ExportService {
               <tbody>
                 ${data.recentBookings.map(booking => `
                   <tr>
-                    <td>${new Date(booking.date).toLocaleDateString()}</td>
+                    <td>${this.formatDate(user, booking.date)}</td>
                     <td>${booking.time}</td>
                     <td>${booking.customerId?.name || 'N/A'}</td>
-                    <td>${booking.serviceId?.name || 'N/A'}</td>
+                    <td>${booking.describeServices() || 'N/A'}</td>
                     <td>$${booking.totalAmount.toFixed(2)}</td>
                     <td><span class="status ${booking.status}">${booking.status}</span></td>
                   </tr>
@@ -535,7 +522,7 @@ class ExportService {
                       <td>${monthName}</td>
                       <td>$${month.revenue.toFixed(2)}</td>
                       <td>${month.bookings}</td>
-                      <td>$${(month.revenue / month.bookings).toFixed(2)}</td>
+                      <td>${month.bookings > 0 ? `$${(month.revenue / month.bookings).toFixed(2)}` : '—'}</td>
                     </tr>
                   `;
                 }).join('')}
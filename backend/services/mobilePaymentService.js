@@ -0,0 +1,191 @@
+import mongoose from 'mongoose';
+import Payment from '../models/Payment.js';
+import Customer from '../models/Customer.js';
+import bookingLedgerService from './bookingLedgerService.js';
+import paymentRecordService from './paymentRecordService.js';
+import { getProvider, getConfiguredProviders } from './paymentProviders/index.js';
+import { providerError, getApiOrigin } from './paymentProviders/http.js';
+
+// Payments still waiting on the provider
+const OPEN_STATUSES = ['pending', 'processing'];
+
+// Notifications can be lost, so open payments are checked with the provider
+// after a few minutes, and given up on after a day
+const POLL_AFTER_MS = 2 * 60 * 1000;
+const EXPIRE_AFTER_MS = 24 * 60 * 60 * 1000;
+
+// A payment given up on has this error code; the customer may still finish
+// paying it afterwards
+const EXPIRED_QUERY = { status: 'cancelled', 'errorDetails.code': 'expired' };
+
+// Whether the provider reported at least the payment's amount
+const coversAmount = (amount, payment) => Number.isFinite(amount) && amount + 0.005 >= payment.amount;
+
+// Booking payments through Telebirr and other mobile-money checkouts. A
+// Payment is recorded as pending when the checkout starts and settled from
+// the provider's signed notification, or by asking the provider.
+class MobilePaymentService {
+  getProviders() {
+    return getConfiguredProviders().map(({ name, label, method }) => ({ name, label, method }));
+  }
+
+  // Start paying for a booking. Without an `amount` this is the pending
+  // deposit for `purpose: 'deposit'`, otherwise what is still owed.
+  // Returns the pending payment and the URL to send the customer to.
+  async initiate(booking, { provider: providerName, amount, phone, purpose = 'invoice', returnUrl, source = 'dashboard', processedBy } = {}) {
+    const provider = getProvider(providerName);
+    if (!provider) throw providerError(`Payment provider "${providerName}" is not available`, 400);
+
+    if (['cancelled', 'no-show'].includes(booking.status)) {
+      throw providerError(`This booking is ${booking.status} and cannot be paid`, 400);
+    }
+    if (purpose === 'deposit' && booking.deposit?.status !== 'pending') {
+      throw providerError('This booking has no deposit to pay', 400);
+    }
+    if (purpose !== 'deposit' && booking.paymentStatus === 'paid') {
+      throw providerError('This booking is already paid', 400);
+    }
+
+    const total = amount ?? (purpose === 'deposit' ? booking.deposit.amount : booking.balanceDue);
+    if (!(total > 0)) throw providerError('Amount must be more than zero', 400);
+    if (purpose !== 'deposit' && total > booking.balanceDue + 0.005) {
+      throw providerError(`Only ${booking.balanceDue} is still owed on this booking`, 400);
+    }
+
+    const customer = await Customer.findById(booking.customerId._id || booking.customerId);
+
+    const payment = await paymentRecordService.createForBooking(booking, {
+      amount: total,
+      method: provider.method,
+      provider: provider.name,
+      purpose,
+      billingDetails: customer ? { name: customer.name, email: customer.email, phone: phone || customer.phone } : undefined,
+      source,
+      processedBy
+    });
+
+    try {
+      const { checkoutUrl, providerReference } = await provider.initiate({
+        reference: payment._id.toString(),
+        amount: total,
+        currency: payment.currency,
+        description: payment.description,
+        phone: phone || customer?.phone,
+        notifyUrl: `${getApiOrigin()}/api/payments/notify/${provider.name}`,
+        returnUrl
+      });
+
+      payment.providerReference = providerReference;
+      await payment.save();
+      return { payment, checkoutUrl };
+    } catch (error) {
+      payment.status = 'failed';
+      payment.failedAt = new Date();
+      payment.errorDetails = { message: error.message };
+      await payment.save();
+      throw error;
+    }
+  }
+
+  // A provider's callback. Throws 401 for a bad signature and 404 for a
+  // payment we do not know.
+  async handleNotification(providerName, request) {
+    const provider = getProvider(providerName);
+    if (!provider) throw providerError(`Payment provider "${providerName}" is not available`, 404);
+
+    const result = await provider.verifyNotification(request);
+    const payment = mongoose.isValidObjectId(result.reference)
+      ? await Payment.findOne({ _id: result.reference, provider: provider.name })
+      : null;
+    if (!payment) throw providerError('Payment not found', 404);
+
+    return this.reconcile(payment, result);
+  }
+
+  // Ask the provider how an open payment stands and settle it if it has
+  // finished
+  async refreshStatus(payment) {
+    if (!OPEN_STATUSES.includes(payment.status)) return payment;
+
+    const provider = getProvider(payment.provider);
+    if (!provider) return payment;
+
+    const result = await provider.queryStatus({
+      reference: payment._id.toString(),
+      providerReference: payment.providerReference
+    });
+    return this.reconcile(payment, result);
+  }
+
+  // Settle an open payment from what the provider reported. Notifications
+  // and polling can both report the same payment, only the first one to
+  // settle it updates the booking. A payment given up on after a day is
+  // still marked paid when the provider says it succeeded, as the customer
+  // has been charged.
+  async reconcile(payment, { status, transactionId, amount }) {
+    const late = status === 'succeeded' && payment.status === 'cancelled' && payment.errorDetails?.code === 'expired';
+    if (status === 'pending' || !(OPEN_STATUSES.includes(payment.status) || late)) return payment;
+
+    const provider = getProvider(payment.provider);
+    const update = { $set: {} };
+    if (transactionId) update.$set[provider?.transactionField || 'mobileMoneyReference'] = transactionId;
+
+    if (status === 'succeeded' && !coversAmount(amount, payment)) {
+      Object.assign(update.$set, {
+        status: 'failed',
+        failedAt: new Date(),
+        errorDetails: { code: 'amount_mismatch', message: `Provider reported ${amount ?? 'no amount'} of ${payment.amount}` }
+      });
+    } else if (status === 'succeeded') {
+      Object.assign(update.$set, { status: 'succeeded', processedAt: new Date() });
+      if (late) update.$unset = { failedAt: '', errorDetails: '' };
+    } else {
+      Object.assign(update.$set, { status: 'failed', failedAt: new Date() });
+    }
+
+    const settled = await Payment.findOneAndUpdate(
+      { _id: payment._id, ...(late ? EXPIRED_QUERY : { status: { $in: OPEN_STATUSES } }) },
+      update,
+      { new: true }
+    );
+    if (!settled) return Payment.findById(payment._id);
+
+    if (settled.status === 'succeeded') {
+      await bookingLedgerService.applyPayment(settled, {
+        reason: `Paid ${settled.amount} with ${provider?.label || settled.provider}`
+      });
+    }
+    return settled;
+  }
+
+  // Check open payments whose notification has not arrived, and cancel
+  // those that have been open for a day. Run periodically from server.js.
+  async reconcilePending() {
+    const now = Date.now();
+    try {
+      await Payment.updateMany(
+        { provider: { $exists: true }, status: { $in: OPEN_STATUSES }, createdAt: { $lt: new Date(now - EXPIRE_AFTER_MS) } },
+        {
+          status: 'cancelled',
+          failedAt: new Date(),
+          errorDetails: { code: 'expired', message: 'No answer from the provider within a day' }
+        }
+      );
+
+      const payments = await Payment.find({
+        provider: { $in: getConfiguredProviders().map(provider => provider.name) },
+        status: { $in: OPEN_STATUSES },
+        createdAt: { $lt: new Date(now - POLL_AFTER_MS) }
+      });
+      for (const payment of payments) {
+        await this.refreshStatus(payment).catch(error => {
+          console.error(`Error checking payment ${payment._id}:`, error.message);
+        });
+      }
+    } catch (error) {
+      console.error('Error reconciling payments:', error);
+    }
+  }
+}
+
+export default new MobilePaymentService();
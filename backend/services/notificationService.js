@@ -5,6 +5,11 @@ import Redis from 'redis';
 import User from '../models/User.js';
 import Booking from '../models/Booking.js';
 import Customer from '../models/Customer.js';
+import WaitlistEntry from '../models/WaitlistEntry.js';
+import { DEFAULT_TIMEZONE, getZonedParts } from '../utils/timezone.js';
+import { formatCalendarDate, formatInstantDate } from '../utils/ethiopianCalendar.js';
+import { getManageUrl, getClaimUrl } from '../utils/manageLink.js';
+import cancellationFeeService from './cancellationFeeService.js';
 
 // Initialize Redis client for Bull queue
 const redis = Redis.createClient({
@@ -92,9 +97,8 @@ class NotificationService {
 
       if (!settings) return;
 
-      const bookingDateTime = new Date(booking.date);
-      const [hours, minutes] = booking.time.split(':').map(Number);
-      bookingDateTime.setHours(hours, minutes, 0, 0);
+      // startDateTime is the UTC instant computed in the business's timezone
+      const bookingDateTime = new Date(booking.startDateTime);
 
       // Calculate reminder time
       const reminderTime = new Date(bookingDateTime.getTime() - (settings.reminderHoursBefore * 60 * 60 * 1000));
@@ -280,9 +284,52 @@ class NotificationService {
     }
   }
 
+  // Offer a freed slot to a waitlisted customer. Sent straight away rather
+  // than queued: the offer only lasts a short while.
+  async sendWaitlistOffer(entryId) {
+    try {
+      const entry = await WaitlistEntry.findById(entryId).populate('userId serviceId');
+
+      if (!entry || !entry.hasActiveOffer()) return;
+
+      const user = entry.userId;
+      const claimUrl = getClaimUrl(entry);
+
+      if (entry.customer.email && this.emailTransporter) {
+        await this.emailTransporter.sendMail({
+          from: `"${user.businessName}" <${process.env.SMTP_USER}>`,
+          to: entry.customer.email,
+          subject: `A spot opened up - ${user.businessName}`,
+          html: this.getEmailWaitlistOfferTemplate(entry, user, entry.serviceId, claimUrl)
+        });
+      }
+
+      if (entry.customer.phone && twilioClient) {
+        await twilioClient.messages.create({
+          body: this.getSMSWaitlistOfferTemplate(entry, user, entry.serviceId, claimUrl),
+          from: process.env.TWILIO_PHONE_NUMBER,
+          to: entry.customer.phone
+        });
+      }
+
+    } catch (error) {
+      console.error('Error sending waitlist offer:', error);
+      throw error;
+    }
+  }
+
+  // Booking date as seen on the business's wall clock, in the Ethiopian
+  // calendar for Amharic/Afan Oromo businesses
+  formatBookingDate(booking, user) {
+    return formatInstantDate(booking.startDateTime || booking.date, booking.timezone || DEFAULT_TIMEZONE, {
+      language: user?.language,
+      calendar: user?.calendar
+    });
+  }
+
   // Email templates
   getEmailReminderTemplate(booking, user, customer, service) {
-    const bookingDate = new Date(booking.date).toLocaleDateString();
+    const bookingDate = this.formatBookingDate(booking, user);
     const bookingTime = booking.time;
 
     return `
@@ -310,7 +357,7 @@ class NotificationService {
               
               <div class="booking-details">
                 <h3>Appointment Details:</h3>
-                <p><strong>Service:</strong> ${service.name}</p>
+                <p><strong>Service:</strong> ${booking.describeServices()}</p>
                 <p><strong>Date:</strong> ${bookingDate}</p>
                 <p><strong>Time:</strong> ${bookingTime}</p>
                 <p><strong>Duration:</strong> ${booking.duration} minutes</p>
@@ -332,8 +379,9 @@ class NotificationService {
   }
 
   getEmailConfirmationTemplate(booking, user, customer, service) {
-    const bookingDate = new Date(booking.date).toLocaleDateString();
+    const bookingDate = this.formatBookingDate(booking, user);
     const bookingTime = booking.time;
+    const feePolicy = cancellationFeeService.describePolicy(user);
 
     return `
       <!DOCTYPE html>
@@ -361,7 +409,7 @@ class NotificationService {
               
               <div class="booking-details">
                 <h3>Appointment Details:</h3>
-                <p><strong>Service:</strong> ${service.name}</p>
+                <p><strong>Service:</strong> ${booking.describeServices()}</p>
                 <p><strong>Date:</strong> ${bookingDate}</p>
                 <p><strong>Time:</strong> ${bookingTime}</p>
                 <p><strong>Duration:</strong> ${booking.duration} minutes</p>
@@ -369,6 +417,8 @@ class NotificationService {
                 ${booking.notes ? `<p><strong>Notes:</strong> ${booking.notes}</p>` : ''}
               </div>
 
+              <p>Need to change plans? <a href="${getManageUrl(booking)}">View, reschedule or cancel your booking</a>.</p>
+              ${feePolicy ? `<p><strong>Cancellation policy:</strong> ${feePolicy}</p>` : ''}
               <p>We look forward to serving you. If you have any questions, please don't hesitate to contact us.</p>
             </div>
             <div class="footer">
@@ -381,19 +431,73 @@ class NotificationService {
     `;
   }
 
+  getEmailWaitlistOfferTemplate(entry, user, service, claimUrl) {
+    const offerDate = formatCalendarDate(entry.date, { language: user.language, calendar: user.calendar });
+    const expiresAt = getZonedParts(entry.offer.expiresAt, user.timezone || DEFAULT_TIMEZONE);
+    const expiresDate = formatCalendarDate(expiresAt.date, { language: user.language, calendar: user.calendar });
+
+    return `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <style>
+            .container { max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif; }
+            .header { background: #2563eb; color: white; padding: 20px; text-align: center; }
+            .content { padding: 20px; }
+            .booking-details { background: #f3f4f6; padding: 15px; border-radius: 8px; margin: 20px 0; }
+            .footer { background: #f9fafb; padding: 15px; text-align: center; font-size: 12px; color: #6b7280; }
+            .button { display: inline-block; background: #2563eb; color: white; padding: 12px 24px; border-radius: 8px; text-decoration: none; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>A Spot Opened Up</h1>
+            </div>
+            <div class="content">
+              <h2>Hello ${entry.customer.name},</h2>
+              <p>Good news! A time you were waiting for at <strong>${user.businessName}</strong> is now free.</p>
+
+              <div class="booking-details">
+                <p><strong>Service:</strong> ${service.name}</p>
+                <p><strong>Date:</strong> ${offerDate}</p>
+                <p><strong>Time:</strong> ${entry.offer.time}</p>
+              </div>
+
+              <p>We are holding it for you until ${expiresAt.time} on ${expiresDate}. After that it goes to the next person on the waitlist.</p>
+              <p><a class="button" href="${claimUrl}">Claim this time</a></p>
+            </div>
+            <div class="footer">
+              <p>Sent by ${user.businessName}</p>
+              <p>Powered by BizBoard</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `;
+  }
+
   // SMS templates
   getSMSReminderTemplate(booking, user, customer, service) {
-    const bookingDate = new Date(booking.date).toLocaleDateString();
+    const bookingDate = this.formatBookingDate(booking, user);
     const bookingTime = booking.time;
 
-    return `Reminder: You have an appointment with ${user.businessName} tomorrow (${bookingDate}) at ${bookingTime} for ${service.name}. Contact: ${user.phone}`;
+    return `Reminder: You have an appointment with ${user.businessName} tomorrow (${bookingDate}) at ${bookingTime} for ${booking.describeServices()}. Contact: ${user.phone}`;
   }
 
   getSMSConfirmationTemplate(booking, user, customer, service) {
-    const bookingDate = new Date(booking.date).toLocaleDateString();
+    const bookingDate = this.formatBookingDate(booking, user);
     const bookingTime = booking.time;
 
-    return `✓ Booking confirmed with ${user.businessName} on ${bookingDate} at ${bookingTime} for ${service.name}. Total: $${booking.totalAmount}`;
+    return `✓ Booking confirmed with ${user.businessName} on ${bookingDate} at ${bookingTime} for ${booking.describeServices()}. Total: $${booking.totalAmount}. Manage: ${getManageUrl(booking)}`;
+  }
+
+  getSMSWaitlistOfferTemplate(entry, user, service, claimUrl) {
+    const offerDate = formatCalendarDate(entry.date, { language: user.language, calendar: user.calendar });
+    const expiresAt = getZonedParts(entry.offer.expiresAt, user.timezone || DEFAULT_TIMEZONE);
+
+    return `${user.businessName}: a spot opened up on ${offerDate} at ${entry.offer.time} for ${service.name}. Claim it by ${expiresAt.time}: ${claimUrl}`;
   }
 
   // Cancel scheduled reminders
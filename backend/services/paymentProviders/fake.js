@@ -0,0 +1,176 @@
+import crypto from 'crypto';
+import { providerError, signatureMatches } from './http.js';
+
+// An in-memory billing provider for development and tests
+// (BILLING_PROVIDER=fake), so subscriptions and card payments work without
+// a Stripe account. Nothing leaves the process: payments succeed when told
+// to, subscriptions are active straight away and webhooks are built with
+// webhook() and signed with FAKE_WEBHOOK_SECRET.
+
+const MONTH_MS = 30 * 24 * 60 * 60 * 1000;
+
+const state = {
+  customers: new Map(),
+  paymentIntents: new Map(),
+  subscriptions: new Map(),
+  refunds: new Map()
+};
+let counter = 0;
+// What new refunds come back as; see setRefundStatus
+let refundStatus = 'succeeded';
+
+const newId = (prefix) => `fake_${prefix}_${++counter}`;
+const secret = () => process.env.FAKE_WEBHOOK_SECRET || 'fake-webhook-secret';
+const sign = (rawBody) => crypto.createHmac('sha256', secret()).update(rawBody).digest('hex');
+
+const find = (map, id, what) => {
+  const item = map.get(id);
+  if (!item) throw providerError(`No such ${what}: ${id}`, 404);
+  return item;
+};
+
+const fakeProvider = {
+  name: 'fake',
+  bookingMethod: 'card',
+
+  isConfigured() {
+    return true;
+  },
+
+  async createCustomer({ email, name, metadata }) {
+    const customer = { id: newId('cus'), email, name, metadata, paymentMethods: [], defaultPaymentMethod: null };
+    state.customers.set(customer.id, customer);
+    return { id: customer.id };
+  },
+
+  async attachPaymentMethod(customerId, paymentMethodId) {
+    const customer = find(state.customers, customerId, 'customer');
+    if (!customer.paymentMethods.includes(paymentMethodId)) customer.paymentMethods.push(paymentMethodId);
+    customer.defaultPaymentMethod = paymentMethodId;
+  },
+
+  async listPaymentMethods(customerId) {
+    const customer = find(state.customers, customerId, 'customer');
+    return customer.paymentMethods.map(id => ({ id, brand: 'visa', last4: '4242', expMonth: 12, expYear: 2030 }));
+  },
+
+  async createSetupIntent(customerId) {
+    find(state.customers, customerId, 'customer');
+    const id = newId('seti');
+    return { id, clientSecret: `${id}_secret` };
+  },
+
+  async createPaymentIntent({ amount, currency, customerId, metadata, description }) {
+    const id = newId('pi');
+    const paymentIntent = { id, amount, currency, customerId, metadata, description, status: 'requires_payment_method', refunded: 0 };
+    state.paymentIntents.set(id, paymentIntent);
+    return { id, clientSecret: `${id}_secret`, status: paymentIntent.status };
+  },
+
+  async createSubscription({ customerId, metadata }) {
+    find(state.customers, customerId, 'customer');
+    const now = Date.now();
+    const subscription = {
+      id: newId('sub'),
+      status: 'active',
+      currentPeriodStart: new Date(now),
+      currentPeriodEnd: new Date(now + MONTH_MS),
+      cancelAtPeriodEnd: false,
+      clientSecret: undefined,
+      metadata: metadata || {}
+    };
+    state.subscriptions.set(subscription.id, subscription);
+    return { ...subscription };
+  },
+
+  async updateSubscription(id, { cancelAtPeriodEnd }) {
+    const subscription = find(state.subscriptions, id, 'subscription');
+    subscription.cancelAtPeriodEnd = Boolean(cancelAtPeriodEnd);
+    return { ...subscription };
+  },
+
+  async cancelSubscription(id) {
+    const subscription = find(state.subscriptions, id, 'subscription');
+    subscription.status = 'cancelled';
+    return { ...subscription };
+  },
+
+  async retrieveSubscription(id) {
+    return { ...find(state.subscriptions, id, 'subscription') };
+  },
+
+  async createRefund({ paymentIntentId, amount, reason, metadata }) {
+    const paymentIntent = find(state.paymentIntents, paymentIntentId, 'payment intent');
+    if (paymentIntent.status !== 'succeeded') {
+      throw providerError('Only succeeded payments can be refunded', 400);
+    }
+
+    const refundAmount = amount ?? paymentIntent.amount - paymentIntent.refunded;
+    if (refundAmount <= 0 || paymentIntent.refunded + refundAmount > paymentIntent.amount + 0.005) {
+      throw providerError('Refund is more than what is left of the payment', 400);
+    }
+
+    paymentIntent.refunded += refundAmount;
+    const refund = { id: newId('re'), paymentIntentId, amount: refundAmount, reason, metadata, status: refundStatus };
+    state.refunds.set(refund.id, refund);
+    return this.retrieveRefund(refund.id);
+  },
+
+  async retrieveRefund(id) {
+    const { status, amount, metadata } = find(state.refunds, id, 'refund');
+    return { id, status, amount, metadata: metadata || {} };
+  },
+
+  async constructWebhookEvent(rawBody, headers) {
+    if (!rawBody || !signatureMatches(headers['x-fake-signature'], sign(rawBody))) {
+      throw providerError('Webhook signature verification failed', 400);
+    }
+    return JSON.parse(rawBody.toString());
+  },
+
+  // Test helpers
+
+  // A signed webhook request, as { headers, rawBody, event }
+  webhook(type, object) {
+    const event = { id: newId('evt'), type, object };
+    const rawBody = Buffer.from(JSON.stringify(event));
+    return { headers: { 'x-fake-signature': sign(rawBody) }, rawBody, event };
+  },
+
+  // The customer pays: marks the intent succeeded and returns its webhook
+  succeedPaymentIntent(id) {
+    const paymentIntent = find(state.paymentIntents, id, 'payment intent');
+    paymentIntent.status = 'succeeded';
+    return this.webhook('payment_intent.succeeded', {
+      id,
+      amount: paymentIntent.amount,
+      currency: paymentIntent.currency,
+      metadata: paymentIntent.metadata || {}
+    });
+  },
+
+  // Make new refunds come back pending (or failed), like a card refund the
+  // bank takes days over
+  setRefundStatus(status) {
+    refundStatus = status;
+  },
+
+  // The provider finishes a refund: sets its status and returns its webhook
+  finishRefund(id, status = 'succeeded') {
+    const refund = find(state.refunds, id, 'refund');
+    refund.status = status;
+    if (status === 'failed') find(state.paymentIntents, refund.paymentIntentId, 'payment intent').refunded -= refund.amount;
+    return this.webhook('refund.updated', { id, status, amount: refund.amount, metadata: refund.metadata || {} });
+  },
+
+  getPaymentIntent(id) {
+    return state.paymentIntents.get(id) || null;
+  },
+
+  reset() {
+    Object.values(state).forEach(map => map.clear());
+    refundStatus = 'succeeded';
+  }
+};
+
+export default fakeProvider;
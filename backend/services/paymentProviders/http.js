@@ -0,0 +1,43 @@
+// Shared helpers for talking to payment providers
+import crypto from 'crypto';
+
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+
+export const providerError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Whether a received signature matches the expected one, compared in
+// constant time
+export const signatureMatches = (signature, expected) => {
+  const received = Buffer.from(String(signature || ''));
+  const wanted = Buffer.from(expected);
+  return received.length === wanted.length && crypto.timingSafeEqual(received, wanted);
+};
+
+// Send a JSON request and return the JSON response. Network failures and
+// error responses become 502 errors naming the provider.
+export const requestJson = async (label, url, { method = 'POST', headers = {}, body } = {}) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+  } catch (error) {
+    throw providerError(`${label} could not be reached: ${error.message}`, 502);
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw providerError(`${label} request failed (${response.status}): ${data.message || data.errorMsg || response.statusText}`, 502);
+  }
+  return data;
+};
+
+// Public URL of this API, which providers call back
+export const getApiOrigin = () => process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
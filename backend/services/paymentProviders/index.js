@@ -0,0 +1,97 @@
+import telebirrProvider from './telebirr.js';
+import mobileMoneyProvider from './mobileMoney.js';
+import mockProvider from './mock.js';
+import stripeProvider from './stripe.js';
+import fakeProvider from './fake.js';
+import { providerError } from './http.js';
+
+// Checkout providers: payment services that take the customer to their own
+// page (or phone prompt) and report back to us. Each provider is an object
+// with
+//   name                 key used in routes and stored as Payment.provider
+//   label                shown to customers
+//   method               Payment.method of the payments it collects
+//   transactionField     Payment field that keeps the provider's transaction id
+//   isConfigured(): boolean
+//   initiate({ reference, amount, currency, description, phone, notifyUrl, returnUrl })
+//     -> Promise<{ checkoutUrl, providerReference }>
+//   verifyNotification({ headers, body, rawBody })
+//     -> Promise<{ reference, status, transactionId, amount }>, throws a 401
+//        error when the signature does not match
+//   queryStatus({ reference, providerReference })
+//     -> Promise<{ status, transactionId, amount }>
+//   refund({ reference, transactionId, refundReference, amount, reason })
+//     -> Promise<{ id, status, amount }>
+//   queryRefund({ reference, refundReference, refundId })
+//     -> Promise<{ id, status }>, how a refund that was still pending ended
+// `reference` is our Payment id and `status` is one of pending, succeeded
+// or failed. A succeeded payment needs the `amount` paid; without it the
+// payment fails as an amount mismatch.
+const providers = new Map();
+
+export const registerProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+// A configured provider by name, or null
+export const getProvider = (name) => {
+  const provider = providers.get(name);
+  return provider?.isConfigured() ? provider : null;
+};
+
+export const getConfiguredProviders = () => {
+  return [...providers.values()].filter(provider => provider.isConfigured());
+};
+
+// Billing providers: card payments, saved cards and plan subscriptions.
+// One is in use at a time, chosen with BILLING_PROVIDER (stripe by default,
+// or fake for development and tests). Amounts are in major units (birr,
+// dollars) and each provider is an object with
+//   name, bookingMethod (Booking.paymentMethod of card payments)
+//   isConfigured(): boolean
+//   createCustomer({ email, name, metadata }) -> { id }
+//   attachPaymentMethod(customerId, paymentMethodId), also made the default
+//   listPaymentMethods(customerId) -> [{ id, brand, last4, expMonth, expYear }]
+//   createSetupIntent(customerId) -> { id, clientSecret }
+//   createPaymentIntent({ amount, currency, customerId, metadata, description })
+//     -> { id, clientSecret, status }
+//   createSubscription({ customerId, name, amount, currency, interval, metadata })
+//     -> subscription
+//   updateSubscription(id, { cancelAtPeriodEnd }) -> subscription
+//   cancelSubscription(id) -> subscription
+//   retrieveSubscription(id) -> subscription
+//   createRefund({ paymentIntentId, amount, reason, metadata })
+//     -> { id, status, amount }
+//   retrieveRefund(id) -> { id, status, amount, metadata }
+//   constructWebhookEvent(rawBody, headers) -> { id, type, object }, throws
+//     a 400 error when the signature does not match
+// A subscription is { id, status (a Subscription.status), currentPeriodStart,
+// currentPeriodEnd, cancelAtPeriodEnd, clientSecret, metadata }. Webhook
+// events are one of subscription.updated (object: a subscription),
+// subscription.deleted, invoice.paid ({ id, customerId, amount, currency,
+// paidAt }), invoice.payment_failed ({ id, customerId }) and
+// payment_intent.succeeded ({ id, amount, currency, metadata }) and
+// refund.updated ({ id, status, amount, metadata }); others keep the
+// provider's own type. Refund statuses are pending, succeeded or failed.
+const billingProviders = new Map();
+
+export const registerBillingProvider = (provider) => {
+  billingProviders.set(provider.name, provider);
+};
+
+export const getBillingProvider = () => {
+  const name = process.env.BILLING_PROVIDER || 'stripe';
+  const provider = billingProviders.get(name);
+  if (!provider) throw providerError(`Unknown billing provider: ${name}`, 500);
+  if (!provider.isConfigured()) throw providerError('Card payments are not configured', 503);
+  return provider;
+};
+
+registerProvider(telebirrProvider);
+registerProvider(mobileMoneyProvider);
+registerProvider(mockProvider);
+
+registerBillingProvider(stripeProvider);
+registerBillingProvider(fakeProvider);
+
+export default { registerProvider, getProvider, getConfiguredProviders, registerBillingProvider, getBillingProvider };
@@ -0,0 +1,94 @@
+import crypto from 'crypto';
+import { providerError, getApiOrigin, signatureMatches } from './http.js';
+
+// A stand-in mobile-money provider for development and tests, enabled with
+// PAYMENT_MOCK=true. Transactions live in memory. Its checkout page
+// (routes/payments.js) lets you pay or fail a payment by hand, and tests can
+// call complete() to get the signed notification a real provider would send.
+
+const transactions = new Map();
+
+const secret = () => process.env.MOCK_PAYMENT_SECRET || 'mock-payment-secret';
+const signBody = (rawBody) => crypto.createHmac('sha256', secret()).update(rawBody).digest('hex');
+
+const mockProvider = {
+  name: 'mock',
+  label: 'Test payment',
+  method: 'mobile_money',
+  transactionField: 'mobileMoneyReference',
+
+  isConfigured() {
+    return process.env.PAYMENT_MOCK === 'true';
+  },
+
+  async initiate({ reference, amount, currency, returnUrl }) {
+    const providerReference = `mock_${crypto.randomBytes(8).toString('hex')}`;
+    transactions.set(reference, { reference, providerReference, amount, currency, returnUrl, status: 'pending' });
+
+    return {
+      checkoutUrl: `${getApiOrigin()}/api/payments/mock/checkout/${reference}`,
+      providerReference
+    };
+  },
+
+  getTransaction(reference) {
+    return transactions.get(reference) || null;
+  },
+
+  // Settle a transaction and return the notification for it, as
+  // { headers, body, rawBody } ready for verifyNotification
+  complete(reference, status = 'succeeded') {
+    const transaction = transactions.get(reference);
+    if (!transaction) throw providerError('Mock transaction not found', 404);
+
+    transaction.status = status;
+    const body = {
+      reference,
+      id: transaction.providerReference,
+      status,
+      amount: transaction.amount
+    };
+    const rawBody = Buffer.from(JSON.stringify(body));
+    return { headers: { 'x-signature': signBody(rawBody) }, body, rawBody };
+  },
+
+  async verifyNotification({ headers, body, rawBody }) {
+    if (!rawBody || !signatureMatches(headers['x-signature'], signBody(rawBody))) {
+      throw providerError('Invalid mock notification signature', 401);
+    }
+    return {
+      reference: body.reference,
+      status: body.status,
+      transactionId: body.id,
+      amount: body.amount
+    };
+  },
+
+  async refund({ reference, refundReference, amount }) {
+    const transaction = transactions.get(reference);
+    if (!transaction || transaction.status !== 'succeeded') {
+      throw providerError('Only paid mock transactions can be refunded', 400);
+    }
+    transaction.refunded = (transaction.refunded || 0) + amount;
+    const refund = { id: `mock_refund_${crypto.randomBytes(8).toString('hex')}`, status: 'succeeded', amount };
+    transaction.refunds = { ...transaction.refunds, [refundReference]: refund };
+    return refund;
+  },
+
+  async queryRefund({ reference, refundReference }) {
+    const refund = transactions.get(reference)?.refunds?.[refundReference];
+    return refund ? { id: refund.id, status: refund.status } : { status: 'failed' };
+  },
+
+  async queryStatus({ reference }) {
+    const transaction = transactions.get(reference);
+    if (!transaction) return { status: 'failed' };
+    return {
+      status: transaction.status,
+      transactionId: transaction.providerReference,
+      amount: transaction.amount
+    };
+  }
+};
+
+export default mockProvider;
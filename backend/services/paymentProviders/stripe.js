@@ -0,0 +1,223 @@
+import { providerError } from './http.js';
+
+// Stripe as the billing provider (STRIPE_SECRET_KEY, STRIPE_WEBHOOK_SECRET).
+// Stripe counts money in cents; everything here takes and returns whole
+// units like the rest of the app.
+
+// Stripe subscription statuses as Subscription.status values
+const SUBSCRIPTION_STATUSES = {
+  active: 'active',
+  trialing: 'trial',
+  past_due: 'past_due',
+  unpaid: 'past_due',
+  incomplete: 'past_due',
+  incomplete_expired: 'expired',
+  canceled: 'cancelled',
+  paused: 'paused'
+};
+
+// Stripe refund statuses as Payment refund statuses
+const REFUND_STATUSES = {
+  succeeded: 'succeeded',
+  pending: 'pending',
+  requires_action: 'pending',
+  failed: 'failed',
+  canceled: 'failed'
+};
+
+const toCents = (amount) => Math.round(amount * 100);
+const fromCents = (amount) => amount / 100;
+const fromTimestamp = (seconds) => (seconds ? new Date(seconds * 1000) : undefined);
+
+let client = null;
+
+// Loaded on demand so the app runs without the Stripe SDK when another
+// provider is in use
+const getClient = async () => {
+  if (!client) {
+    const { default: Stripe } = await import('stripe');
+    client = new Stripe(process.env.STRIPE_SECRET_KEY);
+  }
+  return client;
+};
+
+const toSubscription = (subscription) => ({
+  id: subscription.id,
+  status: SUBSCRIPTION_STATUSES[subscription.status] || 'active',
+  currentPeriodStart: fromTimestamp(subscription.current_period_start),
+  currentPeriodEnd: fromTimestamp(subscription.current_period_end),
+  cancelAtPeriodEnd: subscription.cancel_at_period_end,
+  clientSecret: subscription.latest_invoice?.payment_intent?.client_secret,
+  metadata: subscription.metadata || {}
+});
+
+const toRefund = (refund) => ({
+  id: refund.id,
+  status: REFUND_STATUSES[refund.status] || 'pending',
+  amount: fromCents(refund.amount),
+  metadata: refund.metadata || {}
+});
+
+const toEvent = (event) => {
+  const object = event.data.object;
+
+  switch (event.type) {
+    case 'customer.subscription.updated':
+      return { id: event.id, type: 'subscription.updated', object: toSubscription(object) };
+    case 'customer.subscription.deleted':
+      return { id: event.id, type: 'subscription.deleted', object: toSubscription(object) };
+    case 'invoice.payment_succeeded':
+      return {
+        id: event.id,
+        type: 'invoice.paid',
+        object: {
+          id: object.id,
+          customerId: object.customer,
+          amount: fromCents(object.amount_paid),
+          currency: object.currency,
+          paidAt: fromTimestamp(object.status_transitions?.paid_at) || new Date(),
+          metadata: object.metadata || {}
+        }
+      };
+    case 'invoice.payment_failed':
+      return {
+        id: event.id,
+        type: 'invoice.payment_failed',
+        object: { id: object.id, customerId: object.customer, metadata: object.metadata || {} }
+      };
+    case 'payment_intent.succeeded':
+      return {
+        id: event.id,
+        type: 'payment_intent.succeeded',
+        object: {
+          id: object.id,
+          amount: fromCents(object.amount_received ?? object.amount),
+          currency: object.currency,
+          metadata: object.metadata || {}
+        }
+      };
+    // Refunds that did not finish straight away (pending, requires_action)
+    case 'charge.refund.updated':
+    case 'refund.updated':
+      return { id: event.id, type: 'refund.updated', object: toRefund(object) };
+    default:
+      return { id: event.id, type: event.type, object: { metadata: object?.metadata || {} } };
+  }
+};
+
+const stripeProvider = {
+  name: 'stripe',
+  bookingMethod: 'stripe',
+
+  isConfigured() {
+    return Boolean(process.env.STRIPE_SECRET_KEY);
+  },
+
+  async createCustomer({ email, name, metadata }) {
+    const stripe = await getClient();
+    const customer = await stripe.customers.create({ email, name, metadata });
+    return { id: customer.id };
+  },
+
+  async attachPaymentMethod(customerId, paymentMethodId) {
+    const stripe = await getClient();
+    await stripe.paymentMethods.attach(paymentMethodId, { customer: customerId });
+    await stripe.customers.update(customerId, {
+      invoice_settings: { default_payment_method: paymentMethodId }
+    });
+  },
+
+  async listPaymentMethods(customerId) {
+    const stripe = await getClient();
+    const paymentMethods = await stripe.paymentMethods.list({ customer: customerId, type: 'card' });
+    return paymentMethods.data.map(method => ({
+      id: method.id,
+      brand: method.card?.brand,
+      last4: method.card?.last4,
+      expMonth: method.card?.exp_month,
+      expYear: method.card?.exp_year
+    }));
+  },
+
+  async createSetupIntent(customerId) {
+    const stripe = await getClient();
+    const setupIntent = await stripe.setupIntents.create({
+      customer: customerId,
+      payment_method_types: ['card']
+    });
+    return { id: setupIntent.id, clientSecret: setupIntent.client_secret };
+  },
+
+  async createPaymentIntent({ amount, currency, customerId, metadata, description }) {
+    const stripe = await getClient();
+    const paymentIntent = await stripe.paymentIntents.create({
+      amount: toCents(amount),
+      currency: currency.toLowerCase(),
+      customer: customerId,
+      metadata,
+      description
+    });
+    return { id: paymentIntent.id, clientSecret: paymentIntent.client_secret, status: paymentIntent.status };
+  },
+
+  async createSubscription({ customerId, name, amount, currency, interval, metadata }) {
+    const stripe = await getClient();
+    const subscription = await stripe.subscriptions.create({
+      customer: customerId,
+      items: [{
+        price_data: {
+          currency: currency.toLowerCase(),
+          product_data: { name },
+          unit_amount: toCents(amount),
+          recurring: { interval }
+        }
+      }],
+      payment_behavior: 'default_incomplete',
+      expand: ['latest_invoice.payment_intent'],
+      metadata
+    });
+    return toSubscription(subscription);
+  },
+
+  async updateSubscription(id, { cancelAtPeriodEnd }) {
+    const stripe = await getClient();
+    return toSubscription(await stripe.subscriptions.update(id, { cancel_at_period_end: cancelAtPeriodEnd }));
+  },
+
+  async cancelSubscription(id) {
+    const stripe = await getClient();
+    return toSubscription(await stripe.subscriptions.cancel(id));
+  },
+
+  async retrieveSubscription(id) {
+    const stripe = await getClient();
+    return toSubscription(await stripe.subscriptions.retrieve(id));
+  },
+
+  async createRefund({ paymentIntentId, amount, reason, metadata }) {
+    const stripe = await getClient();
+    const refund = await stripe.refunds.create({
+      payment_intent: paymentIntentId,
+      amount: amount === undefined ? undefined : toCents(amount),
+      metadata: { ...metadata, reason }
+    });
+    return toRefund(refund);
+  },
+
+  async retrieveRefund(id) {
+    const stripe = await getClient();
+    return toRefund(await stripe.refunds.retrieve(id));
+  },
+
+  async constructWebhookEvent(rawBody, headers) {
+    const stripe = await getClient();
+    try {
+      const event = stripe.webhooks.constructEvent(rawBody, headers['stripe-signature'], process.env.STRIPE_WEBHOOK_SECRET);
+      return toEvent(event);
+    } catch (error) {
+      throw providerError(`Webhook signature verification failed: ${error.message}`, 400);
+    }
+  }
+};
+
+export default stripeProvider;
@@ -0,0 +1,217 @@
+import crypto from 'crypto';
+import { providerError, requestJson } from './http.js';
+
+// Telebirr H5 web checkout through the Fabric merchant API. Requests are
+// signed with the merchant's RSA private key and Telebirr's notifications
+// are checked against Telebirr's public key (SHA256WithRSA, PSS padding).
+//
+//   TELEBIRR_BASE_URL        Fabric API, e.g. https://<host>/apiaccess/payment/gateway
+//   TELEBIRR_WEB_BASE_URL    Checkout page, e.g. https://<host>/payment/web/paygate?
+//   TELEBIRR_FABRIC_APP_ID   X-APP-Key
+//   TELEBIRR_APP_SECRET
+//   TELEBIRR_MERCHANT_APP_ID
+//   TELEBIRR_MERCHANT_CODE   Short code
+//   TELEBIRR_PRIVATE_KEY     Merchant private key (PEM, \n escapes allowed)
+//   TELEBIRR_PUBLIC_KEY      Telebirr public key (PEM)
+
+const SIGN_TYPE = 'SHA256WithRSA';
+
+// Fields that are sent but never signed
+const UNSIGNED_FIELDS = ['sign', 'sign_type', 'header', 'refund_info', 'openType', 'raw_request', 'biz_content'];
+
+const SUCCEEDED = ['Completed', 'PAY_SUCCESS', 'SUCCESS'];
+const FAILED = ['Failure', 'PAY_FAILED', 'Expired', 'ORDER_CLOSED', 'FAILED'];
+const REFUND_SUCCEEDED = ['REFUND_SUCCESS', 'SUCCESS', 'Completed'];
+const REFUND_FAILED = ['REFUND_FAILED', 'FAILED', 'Failure'];
+
+const config = () => ({
+  baseUrl: process.env.TELEBIRR_BASE_URL,
+  webBaseUrl: process.env.TELEBIRR_WEB_BASE_URL,
+  fabricAppId: process.env.TELEBIRR_FABRIC_APP_ID,
+  appSecret: process.env.TELEBIRR_APP_SECRET,
+  merchantAppId: process.env.TELEBIRR_MERCHANT_APP_ID,
+  merchantCode: process.env.TELEBIRR_MERCHANT_CODE,
+  privateKey: process.env.TELEBIRR_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+  publicKey: process.env.TELEBIRR_PUBLIC_KEY?.replace(/\\n/g, '\n')
+});
+
+// The string Telebirr signs: every field (with those of biz_content pulled
+// up to the top) sorted by name as key=value pairs joined with &
+const signingString = (request) => {
+  const fields = { ...request, ...request.biz_content };
+  return Object.keys(fields)
+    .filter(key => !UNSIGNED_FIELDS.includes(key) && fields[key] !== undefined && fields[key] !== '')
+    .sort()
+    .map(key => `${key}=${fields[key]}`)
+    .join('&');
+};
+
+const pssOptions = (key) => ({
+  key,
+  padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+  saltLength: 32
+});
+
+const sign = (request) => {
+  return crypto.sign('sha256', Buffer.from(signingString(request)), pssOptions(config().privateKey)).toString('base64');
+};
+
+const nonce = () => crypto.randomBytes(16).toString('hex');
+const timestamp = () => Math.floor(Date.now() / 1000).toString();
+
+const toStatus = (tradeStatus) => {
+  if (SUCCEEDED.includes(tradeStatus)) return 'succeeded';
+  if (FAILED.includes(tradeStatus)) return 'failed';
+  return 'pending';
+};
+
+const toRefundStatus = (refundStatus) => {
+  if (REFUND_SUCCEEDED.includes(refundStatus)) return 'succeeded';
+  if (REFUND_FAILED.includes(refundStatus)) return 'failed';
+  return 'pending';
+};
+
+const telebirrProvider = {
+  name: 'telebirr',
+  label: 'telebirr',
+  method: 'telebirr',
+  transactionField: 'telebirrTransactionId',
+
+  isConfigured() {
+    const { baseUrl, webBaseUrl, fabricAppId, appSecret, merchantAppId, merchantCode, privateKey, publicKey } = config();
+    return Boolean(baseUrl && webBaseUrl && fabricAppId && appSecret && merchantAppId && merchantCode && privateKey && publicKey);
+  },
+
+  // Fabric calls need a short-lived token
+  async getToken() {
+    const { baseUrl, fabricAppId, appSecret } = config();
+    const data = await requestJson('telebirr', `${baseUrl}/payment/v1/token`, {
+      headers: { 'X-APP-Key': fabricAppId },
+      body: { appSecret }
+    });
+    return data.token;
+  },
+
+  async call(path, method, bizContent) {
+    const { baseUrl, fabricAppId } = config();
+    const request = {
+      timestamp: timestamp(),
+      nonce_str: nonce(),
+      method,
+      version: '1.0',
+      biz_content: bizContent
+    };
+    request.sign = sign(request);
+    request.sign_type = SIGN_TYPE;
+
+    const data = await requestJson('telebirr', `${baseUrl}${path}`, {
+      headers: { 'X-APP-Key': fabricAppId, Authorization: await this.getToken() },
+      body: request
+    });
+    if (data.result && data.result !== 'SUCCESS') {
+      throw providerError(`telebirr ${method} failed: ${data.msg || data.errorMsg || data.result}`, 502);
+    }
+    return data.biz_content || {};
+  },
+
+  async initiate({ reference, amount, currency, description, notifyUrl, returnUrl }) {
+    const { webBaseUrl, merchantAppId, merchantCode } = config();
+    const { prepay_id: prepayId } = await this.call('/payment/v1/merchant/preOrder', 'payment.preorder', {
+      notify_url: notifyUrl,
+      redirect_url: returnUrl,
+      appid: merchantAppId,
+      merch_code: merchantCode,
+      merch_order_id: reference,
+      trade_type: 'Checkout',
+      title: description.slice(0, 64),
+      total_amount: amount.toFixed(2),
+      trans_currency: currency,
+      timeout_express: '120m',
+      business_type: 'BuyGoods',
+      payee_identifier: merchantCode,
+      payee_identifier_type: '04',
+      payee_type: '5000'
+    });
+    if (!prepayId) throw providerError('telebirr did not return a prepay id', 502);
+
+    // The checkout page takes its own signed request
+    const checkout = {
+      appid: merchantAppId,
+      merch_code: merchantCode,
+      nonce_str: nonce(),
+      prepay_id: prepayId,
+      timestamp: timestamp()
+    };
+    const query = `${signingString(checkout)}&sign=${encodeURIComponent(sign(checkout))}&sign_type=${SIGN_TYPE}`;
+
+    return {
+      checkoutUrl: `${webBaseUrl}${query}&version=1.0&trade_type=Checkout`,
+      providerReference: prepayId
+    };
+  },
+
+  async verifyNotification({ body }) {
+    let valid = false;
+    try {
+      valid = Boolean(body?.sign) && crypto.verify(
+        'sha256',
+        Buffer.from(signingString(body)),
+        pssOptions(config().publicKey),
+        Buffer.from(body.sign, 'base64')
+      );
+    } catch (error) {
+      valid = false;
+    }
+    if (!valid) throw providerError('Invalid telebirr notification signature', 401);
+
+    return {
+      reference: body.merch_order_id,
+      status: toStatus(body.trade_status),
+      transactionId: body.payment_order_id || body.trans_id,
+      amount: Number(body.total_amount)
+    };
+  },
+
+  async queryStatus({ reference }) {
+    const { merchantAppId, merchantCode } = config();
+    const order = await this.call('/payment/v1/merchant/queryOrder', 'payment.queryorder', {
+      appid: merchantAppId,
+      merch_code: merchantCode,
+      merch_order_id: reference
+    });
+
+    return {
+      status: toStatus(order.order_status || order.trade_status),
+      transactionId: order.payment_order_id || order.trans_id,
+      amount: order.total_amount === undefined ? undefined : Number(order.total_amount)
+    };
+  },
+
+  async refund({ reference, refundReference, amount, reason }) {
+    const { merchantAppId, merchantCode } = config();
+    const refund = await this.call('/payment/v1/merchant/refund', 'payment.refund', {
+      appid: merchantAppId,
+      merch_code: merchantCode,
+      merch_order_id: reference,
+      refund_request_no: refundReference,
+      refund_reason: reason || 'Refund',
+      refund_amount: amount.toFixed(2),
+      refund_currency: 'ETB'
+    });
+
+    return { id: refund.refund_order_id || refundReference, status: toRefundStatus(refund.refund_status), amount };
+  },
+
+  async queryRefund({ reference, refundReference }) {
+    const { merchantAppId, merchantCode } = config();
+    const refund = await this.call('/payment/v1/merchant/queryRefund', 'payment.queryrefund', {
+      appid: merchantAppId,
+      merch_code: merchantCode,
+      merch_order_id: reference,
+      refund_request_no: refundReference
+    });
+    return { id: refund.refund_order_id || refundReference, status: toRefundStatus(refund.refund_status) };
+  }
+};
+
+export default telebirrProvider;
@@ -0,0 +1,182 @@
+import mongoose from 'mongoose';
+import Payment from '../models/Payment.js';
+import User from '../models/User.js';
+import { formatCalendarDate } from '../utils/ethiopianCalendar.js';
+import { DEFAULT_TIMEZONE } from '../utils/timezone.js';
+
+// Where each method keeps the payer's transaction reference; other methods
+// keep it in metadata.transactionId
+export const TRANSACTION_FIELDS = {
+  telebirr: 'telebirrTransactionId',
+  mobile_money: 'mobileMoneyReference',
+  bank_transfer: 'bankTransferReference'
+};
+
+// Payments that are money from customers, as opposed to the business's own
+// subscription
+const REVENUE_TYPES = ['booking', 'one_time'];
+
+// Methods settled by the business itself, so a pending one can be marked
+// paid or cancelled by hand
+const MANUAL_METHODS = ['cash', 'bank_transfer', 'telebirr', 'mobile_money', 'wallet', 'other'];
+
+const paymentError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+// Payment documents: creating them for bookings, listing, editing and adding
+// up what they brought in. Routes and services go through here rather than
+// writing Payment fields themselves.
+class PaymentRecordService {
+  // A payment for a booking, with its business, customer and description
+  // filled in from the booking. `purpose` is invoice or deposit for booking
+  // payments; other `type`s (such as a one_time fee) pass their own
+  // description.
+  async createForBooking(booking, { amount, method, status = 'pending', type = 'booking', purpose = 'invoice', transactionId, ...fields }) {
+    return Payment.create({
+      user: booking.userId._id || booking.userId,
+      customer: booking.customerId._id || booking.customerId,
+      booking: booking._id,
+      type,
+      amount,
+      originalAmount: booking.totalAmount,
+      method,
+      status,
+      processedAt: status === 'succeeded' ? new Date() : undefined,
+      description: fields.description ?? await this.describeBooking(booking, purpose),
+      ...fields,
+      ...this.referenceFields(method, transactionId),
+      metadata: {
+        ...(type === 'booking' ? { purpose } : {}),
+        ...fields.metadata,
+        ...(transactionId && !TRANSACTION_FIELDS[method] ? { transactionId } : {})
+      }
+    });
+  }
+
+  // "Payment for booking on Sep 11, 2026", dated in the business's calendar
+  // and language like its notifications and exports
+  async describeBooking(booking, purpose = 'invoice') {
+    const business = await User.findById(booking.userId._id || booking.userId).select('language calendar');
+    const date = formatCalendarDate(booking.date, { language: business?.language, calendar: business?.calendar });
+    return `${purpose === 'deposit' ? 'Deposit' : 'Payment'} for booking on ${date}`;
+  }
+
+  referenceFields(method, transactionId) {
+    const field = TRANSACTION_FIELDS[method];
+    return field && transactionId ? { [field]: transactionId } : {};
+  }
+
+  // The business's payments, newest first
+  async list(userId, { status, method, page = 1, limit = 10 } = {}) {
+    const query = { user: userId };
+    if (status) query.status = status;
+    if (method) query.method = method;
+
+    const [payments, total] = await Promise.all([
+      this.populate(Payment.find(query))
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      Payment.countDocuments(query)
+    ]);
+    return { payments, total };
+  }
+
+  async findForUser(userId, id) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return Payment.findOne({ _id: id, user: userId });
+  }
+
+  populate(query) {
+    return query
+      .populate('booking', 'date time totalAmount amountPaid paymentStatus')
+      .populate('customer', 'name email');
+  }
+
+  // Edit a payment: its notes and reference, and for a pending payment the
+  // business settles itself (cash, a late fee) its method and whether it was
+  // paid or cancelled. Provider payments settle from the provider, and paid
+  // ones change through refunds. `settled` says the payment was just paid.
+  async update(payment, { status, method, transactionId, notes }) {
+    const manual = !payment.provider && !payment.stripePaymentIntentId && MANUAL_METHODS.includes(payment.method);
+
+    if ((method && method !== payment.method) || (status && status !== payment.status)) {
+      if (payment.status !== 'pending' || !manual) {
+        throw paymentError('Only pending cash, bank and other manual payments can change method or status; refund a paid payment instead', 400);
+      }
+    }
+    if (method && method !== payment.method) {
+      if (!MANUAL_METHODS.includes(method)) throw paymentError('Choose how the payment was made', 400);
+      payment.method = method;
+    }
+    if (transactionId !== undefined) {
+      Object.assign(payment, this.referenceFields(payment.method, transactionId));
+      if (!TRANSACTION_FIELDS[payment.method]) {
+        payment.metadata = { ...payment.metadata, transactionId };
+      }
+    }
+    if (notes !== undefined) payment.notes = notes;
+
+    let settled = false;
+    if (status && status !== payment.status) {
+      if (status === 'succeeded') {
+        payment.processedAt = new Date();
+        settled = true;
+      } else if (status === 'cancelled') {
+        payment.failedAt = new Date();
+      } else {
+        throw paymentError('A pending payment can only be marked succeeded or cancelled', 400);
+      }
+      payment.status = status;
+    }
+
+    await payment.save();
+    return { payment, settled };
+  }
+
+  // Money collected from customers between `from` and `to` (by when it was
+  // paid, less refunds), in one total or by `groupBy` day or month. Each
+  // group has its total, the payments in it and how many bookings they were
+  // for. Days and months are the business's, in its timezone.
+  async getRevenue(userId, { from, to, groupBy } = {}) {
+    const processedAt = {};
+    if (from) processedAt.$gte = from;
+    if (to) processedAt.$lte = to;
+
+    let _id = null;
+    if (groupBy === 'month' || groupBy === 'day') {
+      const business = await User.findById(userId).select('timezone');
+      const paidOn = { date: '$processedAt', timezone: business?.timezone || DEFAULT_TIMEZONE };
+      _id = { year: { $year: paidOn }, month: { $month: paidOn } };
+      if (groupBy === 'day') _id.day = { $dayOfMonth: paidOn };
+    }
+
+    return Payment.aggregate([
+      {
+        $match: {
+          user: toObjectId(userId),
+          type: { $in: REVENUE_TYPES },
+          status: { $in: Payment.COLLECTED_STATUSES },
+          ...(from || to ? { processedAt } : {})
+        }
+      },
+      {
+        $group: {
+          _id,
+          total: { $sum: Payment.collectedAmountExpression() },
+          count: { $sum: 1 },
+          bookings: { $addToSet: '$booking' }
+        }
+      },
+      { $addFields: { bookings: { $size: { $setDifference: ['$bookings', [null]] } } } },
+      { $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1 } }
+    ]);
+  }
+}
+
+export default new PaymentRecordService();
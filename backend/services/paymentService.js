@@ -1,15 +1,26 @@
-import Stripe from 'stripe';
 import User from '../models/User.js';
 import Subscription from '../models/Subscription.js';
 import Booking from '../models/Booking.js';
+import bookingLedgerService from './bookingLedgerService.js';
+import paymentRecordService from './paymentRecordService.js';
+import refundService from './refundService.js';
+import { getBillingProvider } from './paymentProviders/index.js';
 
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+// Keep errors that already say what is wrong (such as no billing provider
+// being configured), hide provider details behind `message` otherwise
+const paymentError = (error, message) => (error.statusCode ? error : new Error(message));
 
+// Card payments and plan subscriptions through the billing provider chosen
+// with BILLING_PROVIDER (see services/paymentProviders)
 class PaymentService {
-  // Create Stripe customer
+  get provider() {
+    return getBillingProvider();
+  }
+
+  // Create the business's customer at the billing provider
   async createCustomer(user) {
     try {
-      const customer = await stripe.customers.create({
+      const customer = await this.provider.createCustomer({
         email: user.email,
         name: user.name,
         metadata: {
@@ -24,56 +35,39 @@ class PaymentService {
 
       return customer;
     } catch (error) {
-      console.error('Error creating Stripe customer:', error);
-      throw new Error('Failed to create payment customer');
+      console.error('Error creating payment customer:', error);
+      throw paymentError(error, 'Failed to create payment customer');
     }
   }
 
+  // The business's customer id at the billing provider, created on first use
+  async getCustomerId(user) {
+    if (user.stripeCustomerId) return user.stripeCustomerId;
+    const customer = await this.createCustomer(user);
+    return customer.id;
+  }
+
   // Create subscription
   async createSubscription(userId, planId, paymentMethodId, currency = 'USD') {
     try {
       const user = await User.findById(userId);
       if (!user) throw new Error('User not found');
 
-      let customerId = user.stripeCustomerId;
-      if (!customerId) {
-        const customer = await this.createCustomer(user);
-        customerId = customer.id;
-      }
+      const customerId = await this.getCustomerId(user);
 
-      // Attach payment method to customer
-      await stripe.paymentMethods.attach(paymentMethodId, {
-        customer: customerId,
-      });
-
-      // Set as default payment method
-      await stripe.customers.update(customerId, {
-        invoice_settings: {
-          default_payment_method: paymentMethodId,
-        },
-      });
+      // Attach the card and make it the default
+      await this.provider.attachPaymentMethod(customerId, paymentMethodId);
 
       // Get plan pricing
       const planPricing = Subscription.getPlanPricing(planId, currency);
       if (!planPricing) throw new Error('Invalid plan');
 
-      // Create subscription
-      const subscription = await stripe.subscriptions.create({
-        customer: customerId,
-        items: [{
-          price_data: {
-            currency: currency.toLowerCase(),
-            product_data: {
-              name: `BizBoard ${planId.charAt(0).toUpperCase() + planId.slice(1)} Plan`,
-            },
-            unit_amount: planPricing.monthly * 100, // Stripe expects cents
-            recurring: {
-              interval: 'month',
-            },
-          },
-        }],
-        payment_behavior: 'default_incomplete',
-        expand: ['latest_invoice.payment_intent'],
+      const subscription = await this.provider.createSubscription({
+        customerId,
+        name: `BizBoard ${planId.charAt(0).toUpperCase() + planId.slice(1)} Plan`,
+        amount: planPricing.monthly,
+        currency,
+        interval: 'month',
         metadata: {
           userId: userId.toString(),
           plan: planId
@@ -88,8 +82,8 @@ class PaymentService {
           status: 'active',
           stripeCustomerId: customerId,
           stripeSubscriptionId: subscription.id,
-          currentPeriodStart: new Date(subscription.current_period_start * 1000),
-          currentPeriodEnd: new Date(subscription.current_period_end * 1000),
+          currentPeriodStart: subscription.currentPeriodStart,
+          currentPeriodEnd: subscription.currentPeriodEnd,
           pricing: {
             amount: planPricing.monthly,
             currency,
@@ -109,12 +103,12 @@ class PaymentService {
 
       return {
         subscriptionId: subscription.id,
-        clientSecret: subscription.latest_invoice.payment_intent.client_secret,
+        clientSecret: subscription.clientSecret,
         status: subscription.status
       };
     } catch (error) {
       console.error('Error creating subscription:', error);
-      throw new Error('Failed to create subscription');
+      throw paymentError(error, 'Failed to create subscription');
     }
   }
 
@@ -125,12 +119,12 @@ class PaymentService {
       if (!subscription) throw new Error('Subscription not found');
 
       if (immediate) {
-        await stripe.subscriptions.cancel(subscription.stripeSubscriptionId);
+        await this.provider.cancelSubscription(subscription.stripeSubscriptionId);
         subscription.status = 'cancelled';
         subscription.cancelledAt = new Date();
       } else {
-        await stripe.subscriptions.update(subscription.stripeSubscriptionId, {
-          cancel_at_period_end: true
+        await this.provider.updateSubscription(subscription.stripeSubscriptionId, {
+          cancelAtPeriodEnd: true
         });
         subscription.cancelAtPeriodEnd = true;
       }
@@ -144,76 +138,87 @@ class PaymentService {
       return subscription;
     } catch (error) {
       console.error('Error cancelling subscription:', error);
-      throw new Error('Failed to cancel subscription');
+      throw paymentError(error, 'Failed to cancel subscription');
     }
   }
 
-  // Create payment intent for booking invoice
-  async createBookingPaymentIntent(bookingId, currency = 'USD') {
+  // Create payment intent for what is still owed on a booking, in the
+  // business's currency. Pass `amount` to charge part of it, and `purpose:
+  // 'deposit'` for a no-show deposit.
+  async createBookingPaymentIntent(bookingId, { amount, purpose = 'invoice' } = {}) {
     try {
       const booking = await Booking.findById(bookingId).populate('userId customerId');
       if (!booking) throw new Error('Booking not found');
 
       const user = booking.userId;
-      let customerId = user.stripeCustomerId;
-
-      if (!customerId) {
-        const customer = await this.createCustomer(user);
-        customerId = customer.id;
-      }
+      const customerId = await this.getCustomerId(user);
 
-      const paymentIntent = await stripe.paymentIntents.create({
-        amount: booking.totalAmount * 100, // Convert to cents
-        currency: currency.toLowerCase(),
-        customer: customerId,
+      const paymentIntent = await this.provider.createPaymentIntent({
+        amount: amount ?? booking.balanceDue,
+        currency: user.currency,
+        customerId,
         metadata: {
           bookingId: bookingId.toString(),
           customerId: booking.customerId._id.toString(),
-          serviceProvider: user.businessName
+          serviceProvider: user.businessName,
+          purpose
         },
-        description: `Payment for booking on ${new Date(booking.date).toLocaleDateString()}`
+        description: await paymentRecordService.describeBooking(booking, purpose)
       });
 
       // Update booking with payment intent
-      booking.stripePaymentIntentId = paymentIntent.id;
-      booking.paymentMethod = 'stripe';
+      if (purpose === 'deposit') {
+        booking.deposit.paymentIntentId = paymentIntent.id;
+      } else {
+        booking.stripePaymentIntentId = paymentIntent.id;
+        booking.paymentMethod = this.provider.bookingMethod;
+      }
       await booking.save();
 
       return {
-        clientSecret: paymentIntent.client_secret,
+        clientSecret: paymentIntent.clientSecret,
         paymentIntentId: paymentIntent.id
       };
     } catch (error) {
       console.error('Error creating payment intent:', error);
-      throw new Error('Failed to create payment intent');
+      throw paymentError(error, 'Failed to create payment intent');
     }
   }
 
+  // Check a webhook request's signature and turn it into an event for
+  // handleWebhook
+  async constructWebhookEvent(rawBody, headers) {
+    return this.provider.constructWebhookEvent(rawBody, headers);
+  }
+
   // Handle webhook events
   async handleWebhook(event) {
     try {
       switch (event.type) {
-        case 'customer.subscription.updated':
-          await this.handleSubscriptionUpdated(event.data.object);
+        case 'subscription.updated':
+          await this.handleSubscriptionUpdated(event.object);
           break;
-        case 'customer.subscription.deleted':
-          await this.handleSubscriptionDeleted(event.data.object);
+        case 'subscription.deleted':
+          await this.handleSubscriptionDeleted(event.object);
           break;
-        case 'invoice.payment_succeeded':
-          await this.handleInvoicePaymentSucceeded(event.data.object);
+        case 'invoice.paid':
+          await this.handleInvoicePaymentSucceeded(event.object);
           break;
         case 'invoice.payment_failed':
-          await this.handleInvoicePaymentFailed(event.data.object);
+          await this.handleInvoicePaymentFailed(event.object);
           break;
         case 'payment_intent.succeeded':
-          await this.handlePaymentIntentSucceeded(event.data.object);
+          await this.handlePaymentIntentSucceeded(event.object);
+          break;
+        case 'refund.updated':
+          await refundService.handleRefundUpdated(event.object);
           break;
         default:
           console.log(`Unhandled event type: ${event.type}`);
       }
 
       // Log webhook event
-      const userId = event.data.object.metadata?.userId;
+      const userId = event.object.metadata?.userId;
       if (userId) {
         await Subscription.findOneAndUpdate(
           { userId },
@@ -242,9 +247,9 @@ class PaymentService {
       { userId },
       {
         status: subscription.status,
-        currentPeriodStart: new Date(subscription.current_period_start * 1000),
-        currentPeriodEnd: new Date(subscription.current_period_end * 1000),
-        cancelAtPeriodEnd: subscription.cancel_at_period_end
+        currentPeriodStart: subscription.currentPeriodStart,
+        currentPeriodEnd: subscription.currentPeriodEnd,
+        cancelAtPeriodEnd: subscription.cancelAtPeriodEnd
       }
     );
 
@@ -272,8 +277,7 @@ class PaymentService {
   }
 
   async handleInvoicePaymentSucceeded(invoice) {
-    const customerId = invoice.customer;
-    const user = await User.findOne({ stripeCustomerId: customerId });
+    const user = await User.findOne({ stripeCustomerId: invoice.customerId });
     if (!user) return;
 
     await Subscription.findOneAndUpdate(
@@ -282,10 +286,10 @@ class PaymentService {
         $push: {
           invoices: {
             stripeInvoiceId: invoice.id,
-            amount: invoice.amount_paid / 100,
+            amount: invoice.amount,
             currency: invoice.currency,
             status: 'paid',
-            paidAt: new Date(invoice.status_transitions.paid_at * 1000)
+            paidAt: invoice.paidAt
           }
         }
       }
@@ -293,8 +297,7 @@ class PaymentService {
   }
 
   async handleInvoicePaymentFailed(invoice) {
-    const customerId = invoice.customer;
-    const user = await User.findOne({ stripeCustomerId: customerId });
+    const user = await User.findOne({ stripeCustomerId: invoice.customerId });
     if (!user) return;
 
     await Subscription.findOneAndUpdate(
@@ -307,41 +310,57 @@ class PaymentService {
     });
   }
 
+  // Record a card payment on its booking. Webhooks can be delivered more
+  // than once, even at the same time: the unique stripePaymentIntentId lets
+  // only the first delivery record the payment.
   async handlePaymentIntentSucceeded(paymentIntent) {
     const bookingId = paymentIntent.metadata.bookingId;
     if (!bookingId) return;
 
-    await Booking.findByIdAndUpdate(bookingId, {
-      paymentStatus: 'paid',
-      paymentMethod: 'stripe'
+    const booking = await Booking.findById(bookingId);
+    if (!booking) return;
+
+    // A paid deposit also confirms the booking it was asked for
+    const purpose = paymentIntent.metadata.purpose === 'deposit' ? 'deposit' : 'invoice';
+    let payment;
+    try {
+      payment = await paymentRecordService.createForBooking(booking, {
+        amount: paymentIntent.amount,
+        currency: paymentIntent.currency,
+        method: 'stripe_card',
+        stripePaymentIntentId: paymentIntent.id,
+        status: 'succeeded',
+        purpose
+      });
+    } catch (error) {
+      if (error.code === 11000) return;
+      throw error;
+    }
+
+    await bookingLedgerService.applyPayment(payment, {
+      booking,
+      reason: `Paid ${payment.amount} by card`,
+      paymentMethod: this.provider.bookingMethod
     });
   }
 
   // Get payment methods for customer
   async getPaymentMethods(customerId) {
     try {
-      const paymentMethods = await stripe.paymentMethods.list({
-        customer: customerId,
-        type: 'card',
-      });
-      return paymentMethods.data;
+      return await this.provider.listPaymentMethods(customerId);
     } catch (error) {
       console.error('Error fetching payment methods:', error);
-      throw new Error('Failed to fetch payment methods');
+      throw paymentError(error, 'Failed to fetch payment methods');
     }
   }
 
   // Create setup intent for saving payment method
   async createSetupIntent(customerId) {
     try {
-      const setupIntent = await stripe.setupIntents.create({
-        customer: customerId,
-        payment_method_types: ['card'],
-      });
-      return setupIntent;
+      return await this.provider.createSetupIntent(customerId);
     } catch (error) {
       console.error('Error creating setup intent:', error);
-      throw new Error('Failed to create setup intent');
+      throw paymentError(error, 'Failed to create setup intent');
     }
   }
 
@@ -351,20 +370,20 @@ class PaymentService {
       const subscription = await Subscription.findOne({ userId });
       if (!subscription) return null;
 
-      let stripeSubscription = null;
+      let providerSubscription = null;
       if (subscription.stripeSubscriptionId) {
-        stripeSubscription = await stripe.subscriptions.retrieve(subscription.stripeSubscriptionId);
+        providerSubscription = await this.provider.retrieveSubscription(subscription.stripeSubscriptionId);
       }
 
       return {
         ...subscription.toObject(),
-        stripeData: stripeSubscription
+        providerData: providerSubscription
       };
     } catch (error) {
       console.error('Error fetching subscription info:', error);
-      throw new Error('Failed to fetch subscription info');
+      throw paymentError(error, 'Failed to fetch subscription info');
     }
   }
 }
 
-export default new PaymentService();
\ No newline at end of file
+export default new PaymentService();
@@ -0,0 +1,243 @@
+import mongoose from 'mongoose';
+import Payment from '../models/Payment.js';
+import Customer from '../models/Customer.js';
+import BookingHistory from '../models/BookingHistory.js';
+import bookingLedgerService from './bookingLedgerService.js';
+import { getProvider, getBillingProvider } from './paymentProviders/index.js';
+
+// Refunds the provider has had this long without finishing are asked about
+// on the next check; younger ones may still be on their way to it
+const QUERY_AFTER_MS = 2 * 60 * 1000;
+
+const refundError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Aggregation expression adding up a payment's refunds with one of
+// `statuses`
+const refundedExpression = (statuses) => ({
+  $reduce: {
+    input: { $ifNull: ['$refunds', []] },
+    initialValue: 0,
+    in: { $add: ['$$value', { $cond: [{ $in: ['$$this.status', statuses] }, '$$this.amount', 0] }] }
+  }
+});
+
+class RefundService {
+  // Give back all (no `amount`) or part of a payment, through the provider
+  // that collected it or recorded as paid back by hand. Returns the payment
+  // and the new refund, which stays pending until the provider finishes it.
+  async refund(payment, { amount, reason, processedBy } = {}) {
+    if (!payment.canRefund()) {
+      throw refundError('Only paid payments with an amount left to refund can be refunded', 400);
+    }
+
+    const remaining = payment.getRemainingRefundable();
+    const refundAmount = amount === undefined || amount === '' ? remaining : roundAmount(Number(amount));
+    if (!(refundAmount > 0)) {
+      throw refundError('Refund amount must be more than zero', 400);
+    }
+    if (refundAmount > remaining) {
+      throw refundError(`At most ${remaining} ${payment.currency} of this payment can still be refunded`, 400);
+    }
+
+    const refund = await this.reserve(payment, { amount: refundAmount, reason, processedBy });
+
+    let result;
+    try {
+      result = await this.sendRefund(payment, refund);
+    } catch (error) {
+      await Payment.updateOne({ _id: payment._id }, { $pull: { refunds: { _id: refund._id } } });
+      throw error;
+    }
+
+    const { status, ...fields } = result;
+    const updated = await this.settle(payment._id, refund._id, status, fields);
+    if (status === 'failed') {
+      throw refundError('The payment provider declined the refund', 502);
+    }
+    return { payment: updated, refund: updated.refunds.id(refund._id) };
+  }
+
+  // Set a refund aside as pending, as long as what is left of the payment
+  // still covers it, so two refunds at once cannot both take the last of it
+  async reserve(payment, { amount, reason, processedBy }) {
+    const refund = {
+      _id: new mongoose.Types.ObjectId(),
+      amount,
+      reason,
+      processedBy,
+      processedAt: new Date(),
+      status: 'pending'
+    };
+
+    const reserved = await Payment.findOneAndUpdate(
+      {
+        _id: payment._id,
+        status: { $in: ['succeeded', 'partially_refunded'] },
+        $expr: { $gte: [{ $subtract: ['$amount', refundedExpression(['succeeded', 'pending'])] }, amount - 0.005] }
+      },
+      { $push: { refunds: refund } },
+      { new: true }
+    );
+    if (!reserved) {
+      const current = await Payment.findById(payment._id);
+      const left = Math.max(0, current?.getRemainingRefundable() || 0);
+      throw refundError(`At most ${left} ${payment.currency} of this payment can still be refunded`, 400);
+    }
+    return reserved.refunds.id(refund._id);
+  }
+
+  // Ask the payment's provider for the money back. Returns the provider's
+  // refund id and status for the refund record. Payments the provider has
+  // a transaction for (a card payment intent, a Telebirr or mobile-money
+  // checkout) are refunded through it; anything recorded by hand, whatever
+  // its method, is paid back by hand and only recorded here.
+  async sendRefund(payment, refund) {
+    // Card payments through the billing provider
+    if (payment.stripePaymentIntentId) {
+      const result = await getBillingProvider().createRefund({
+        paymentIntentId: payment.stripePaymentIntentId,
+        amount: refund.amount,
+        reason: refund.reason,
+        metadata: { paymentId: payment._id.toString(), refundId: refund._id.toString() }
+      });
+      return { stripeRefundId: result.id, status: result.status };
+    }
+
+    // Telebirr and mobile money
+    if (payment.provider) {
+      const provider = getProvider(payment.provider);
+      if (!provider) {
+        throw refundError(`${payment.provider} is not set up, so this payment cannot be refunded through it`, 503);
+      }
+
+      const result = await provider.refund({
+        reference: payment._id.toString(),
+        transactionId: payment[provider.transactionField],
+        refundReference: refund._id.toString(),
+        amount: refund.amount,
+        reason: refund.reason
+      });
+      return { providerRefundId: result.id, status: result.status };
+    }
+
+    return { manual: true, status: 'succeeded' };
+  }
+
+  // Record what became of a pending refund, with the provider's `fields`
+  // (its refund id). Only the first report that finishes it counts, as the
+  // webhook, the poll and the request itself can all report the same refund;
+  // a succeeded refund then comes off the payment, what the customer spent
+  // and the booking. Returns the payment.
+  async settle(paymentId, refundId, status, fields = {}) {
+    const set = { 'refunds.$.status': status };
+    for (const [field, value] of Object.entries(fields)) {
+      if (value !== undefined) set[`refunds.$.${field}`] = value;
+    }
+
+    const updated = await Payment.findOneAndUpdate(
+      { _id: paymentId, refunds: { $elemMatch: { _id: refundId, status: 'pending' } } },
+      { $set: set },
+      { new: true }
+    );
+    if (!updated) return Payment.findById(paymentId);
+    if (status !== 'succeeded') return updated;
+
+    // Worked out from the refunds as stored, in case another one finished
+    // at the same time
+    const refunded = await Payment.findByIdAndUpdate(paymentId, [{
+      $set: {
+        status: {
+          $cond: [{ $gte: [refundedExpression(['succeeded']), { $subtract: ['$amount', 0.005] }] }, 'refunded', 'partially_refunded']
+        },
+        refundedAt: '$$NOW'
+      }
+    }], { new: true });
+
+    const refund = refunded.refunds.id(refundId);
+    await this.applyRefund(refunded, refund.amount, refund.processedBy);
+    return refunded;
+  }
+
+  // A card refund changed at the billing provider (see
+  // paymentService.handleWebhook)
+  async handleRefundUpdated({ id, status, metadata }) {
+    if (status === 'pending') return;
+
+    const payment = metadata?.refundId
+      ? await Payment.findOne({ 'refunds._id': metadata.refundId })
+      : await Payment.findOne({ 'refunds.stripeRefundId': id });
+    const refund = payment?.refunds.find(item => item._id.toString() === metadata?.refundId || item.stripeRefundId === id);
+    if (!refund) return;
+
+    await this.settle(payment._id, refund._id, status, { stripeRefundId: id });
+  }
+
+  // How a pending refund stands at its provider, or null when it cannot be
+  // asked
+  async queryRefund(payment, refund) {
+    if (refund.stripeRefundId) {
+      return getBillingProvider().retrieveRefund(refund.stripeRefundId);
+    }
+
+    const provider = payment.provider && getProvider(payment.provider);
+    if (!provider?.queryRefund) return null;
+    return provider.queryRefund({
+      reference: payment._id.toString(),
+      refundReference: refund._id.toString(),
+      refundId: refund.providerRefundId
+    });
+  }
+
+  // Ask the providers about refunds they have not finished, in case their
+  // webhook is lost or they do not send one (Telebirr, mobile money). Run
+  // periodically from server.js.
+  async reconcilePending() {
+    try {
+      const before = new Date(Date.now() - QUERY_AFTER_MS);
+      const payments = await Payment.find({
+        refunds: { $elemMatch: { status: 'pending', processedAt: { $lt: before } } }
+      });
+
+      for (const payment of payments) {
+        const pending = payment.refunds.filter(refund => refund.status === 'pending' && refund.processedAt < before);
+        for (const refund of pending) {
+          try {
+            const result = await this.queryRefund(payment, refund);
+            if (result && result.status !== 'pending') {
+              await this.settle(payment._id, refund._id, result.status);
+            }
+          } catch (error) {
+            console.error(`Error checking refund ${refund._id} of payment ${payment._id}:`, error.message);
+          }
+        }
+      }
+    } catch (error) {
+      console.error('Error reconciling refunds:', error);
+    }
+  }
+
+  // Money given back no longer counts towards what the customer spent or
+  // what has been paid on the booking
+  async applyRefund(payment, amount, processedBy) {
+    if (payment.customer) {
+      await Customer.findByIdAndUpdate(payment.customer, [
+        { $set: { totalSpent: { $max: [0, { $subtract: ['$totalSpent', amount] }] } } }
+      ]);
+    }
+
+    if (payment.booking && payment.type === 'booking') {
+      await bookingLedgerService.sync(payment.booking, {
+        actor: processedBy ? await BookingHistory.getStaffActor(processedBy) : undefined,
+        reason: 'Payment refunded'
+      });
+    }
+  }
+}
+
+export default new RefundService();
@@ -0,0 +1,351 @@
+import mongoose from 'mongoose';
+import Booking from '../models/Booking.js';
+import SlotHold from '../models/SlotHold.js';
+import ScheduleLock from '../models/ScheduleLock.js';
+import User from '../models/User.js';
+import ScheduleOverride from '../models/ScheduleOverride.js';
+import { DEFAULT_TIMEZONE, zonedTimeToUtc, toDateString, getZonedParts } from '../utils/timezone.js';
+
+const HOLD_DURATION_MINUTES = 10;
+const LOCK_TTL_MS = 10 * 1000;
+const LOCK_RETRY_DELAY_MS = 25;
+const LOCK_MAX_ATTEMPTS = 200;
+
+const ACTIVE_BOOKING_STATUSES = ['pending', 'confirmed', 'in-progress'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const reservationError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class SlotReservationService {
+  // Run `task` while holding the business's schedule lock. The lock document
+  // is claimed with a single atomic upsert: if another request holds it the
+  // filter misses, the upsert collides on the unique userId and we retry.
+  async withScheduleLock(userId, task) {
+    const token = new mongoose.Types.ObjectId();
+
+    for (let attempt = 0; attempt < LOCK_MAX_ATTEMPTS; attempt++) {
+      try {
+        await ScheduleLock.findOneAndUpdate(
+          { userId, lockedUntil: { $lt: new Date() } },
+          { $set: { lockedUntil: new Date(Date.now() + LOCK_TTL_MS), token } },
+          { upsert: true, new: true }
+        );
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        await sleep(LOCK_RETRY_DELAY_MS + Math.random() * LOCK_RETRY_DELAY_MS);
+        continue;
+      }
+
+      // Keep the lock for tasks that outlast it, such as a whole series
+      let renewing = Promise.resolve();
+      const renewal = setInterval(() => {
+        renewing = ScheduleLock.updateOne(
+          { userId, token },
+          { $set: { lockedUntil: new Date(Date.now() + LOCK_TTL_MS) } }
+        ).catch(error => console.error('Schedule lock renewal error:', error));
+      }, LOCK_TTL_MS / 2);
+
+      try {
+        return await task();
+      } finally {
+        clearInterval(renewal);
+        await renewing;
+        await ScheduleLock.updateOne({ userId, token }, { $set: { lockedUntil: new Date(0) } });
+      }
+    }
+
+    throw reservationError('Schedule is busy, please try again', 503);
+  }
+
+  // Active bookings and unexpired holds whose blocked range (buffers included)
+  // overlaps [blockedStart, blockedEnd), limited to one staff member when
+  // `staffId` is given. `excludeBookingId` may be a list, e.g. a series being
+  // moved.
+  async findOverlaps(userId, blockedStart, blockedEnd, { staffId, excludeHoldId, excludeBookingId } = {}) {
+    const overlap = {
+      userId,
+      ...Booking.staffQuery(userId, staffId),
+      ...Booking.blockedOverlapQuery(blockedStart, blockedEnd)
+    };
+
+    const holdQuery = { ...overlap, expiresAt: { $gt: new Date() } };
+    if (excludeHoldId) holdQuery._id = { $ne: excludeHoldId };
+
+    const bookingQuery = { ...overlap, status: { $in: ACTIVE_BOOKING_STATUSES } };
+    if (excludeBookingId) bookingQuery._id = { $nin: [].concat(excludeBookingId) };
+
+    const [bookings, holds] = await Promise.all([
+      Booking.find(bookingQuery),
+      SlotHold.find(holdQuery)
+    ]);
+
+    return { bookings, holds };
+  }
+
+  // First staff member free for `interval` (start/end plus the blocked range,
+  // e.g. a Booking or the result of buildInterval). Staff whose working hours
+  // cover the job come first; with `requireWorkingHours` off, anyone free will do.
+  // People closed that day (holiday, time off) are skipped unless `allowClosed`.
+  // `preferStaffId` is tried first among those working, e.g. to keep a moved
+  // booking with the same person. Must be called while holding the schedule lock.
+  async pickStaff(business, interval, {
+    staffId,
+    preferStaffId,
+    requireWorkingHours = true,
+    allowClosed = false,
+    excludeHoldId,
+    excludeBookingId
+  } = {}) {
+    const { startDateTime, endDateTime, blockedStartDateTime, blockedEndDateTime } = interval;
+
+    let candidates = await User.getBookableStaff(business._id);
+
+    if (staffId) {
+      candidates = candidates.filter(member => member._id.toString() === staffId.toString());
+      if (candidates.length === 0) {
+        throw reservationError('Staff member not found', 404);
+      }
+    }
+
+    const timezone = business.timezone || DEFAULT_TIMEZONE;
+    const overrides = await ScheduleOverride.findForDate(business._id, getZonedParts(startDateTime, timezone).date);
+
+    if (!allowClosed) {
+      candidates = candidates.filter(member => {
+        const override = ScheduleOverride.pickOverride(overrides, member._id);
+        return !override || override.type !== 'closed';
+      });
+    }
+
+    const working = candidates.filter(member => member.isWorkingDuring(startDateTime, endDateTime, timezone, overrides));
+    if (preferStaffId) {
+      const isPreferred = (member) => member._id.toString() === preferStaffId.toString();
+      working.sort((a, b) => isPreferred(b) - isPreferred(a));
+    }
+    const offHours = candidates.filter(member => !working.includes(member));
+    const ordered = requireWorkingHours ? working : [...working, ...offHours];
+
+    for (const member of ordered) {
+      const { bookings, holds } = await this.findOverlaps(business._id, blockedStartDateTime, blockedEndDateTime, {
+        staffId: member._id,
+        excludeHoldId,
+        excludeBookingId
+      });
+      if (bookings.length === 0 && holds.length === 0) {
+        return member._id;
+      }
+    }
+
+    return null;
+  }
+
+  // Check that a booking moved or reassigned by the business keeps clear of
+  // its staff member's other bookings and holds (unassigned bookings are the
+  // owner's), throwing a 409 listing the overlaps. It need not be an offered
+  // slot. Must be called while holding the schedule lock, with the booking's
+  // times synced.
+  async assertFree(booking, { excludeBookingId = booking._id } = {}) {
+    if (!ACTIVE_BOOKING_STATUSES.includes(booking.status)) return;
+
+    const { bookings, holds } = await this.findOverlaps(booking.userId, booking.blockedStartDateTime, booking.blockedEndDateTime, {
+      staffId: booking.staffId || booking.userId,
+      excludeBookingId
+    });
+    const conflicts = [...bookings, ...holds];
+    if (conflicts.length > 0) {
+      const error = reservationError('Time slot conflicts with existing booking', 409);
+      error.conflicts = conflicts.map(conflict => ({
+        id: conflict._id,
+        startDateTime: conflict.startDateTime,
+        endDateTime: conflict.endDateTime
+      }));
+      throw error;
+    }
+  }
+
+  // Save a booking whose time, length or staff member the business changed,
+  // once assertFree passes under the schedule lock
+  async saveMoved(booking) {
+    return this.withScheduleLock(booking.userId, async () => {
+      booking.syncDateTimes();
+      await this.assertFree(booking);
+      return booking.save();
+    });
+  }
+
+  // Check the requested time is one of the slots the business actually offers
+  async assertBookable(business, service, date, time, { excludeBookingId } = {}) {
+    const slots = await Booking.getAvailableTimeSlots(
+      business._id,
+      date,
+      service.duration,
+      { ...Booking.getBuffers(service, business), excludeBookingId }
+    );
+    const now = new Date();
+    const isOffered = slots.some(slot => slot.timeString === time && slot.startTime > now);
+
+    if (!isOffered) {
+      throw reservationError('Time slot is not available', 409);
+    }
+  }
+
+  buildInterval(business, service, date, time) {
+    const timezone = business.timezone || DEFAULT_TIMEZONE;
+    const { bufferBefore, bufferAfter } = Booking.getBuffers(service, business);
+    const startDateTime = zonedTimeToUtc(date, time, timezone);
+    const endDateTime = new Date(startDateTime.getTime() + service.duration * 60000);
+    return {
+      date: new Date(`${toDateString(date)}T00:00:00Z`),
+      time,
+      duration: service.duration,
+      bufferBefore,
+      bufferAfter,
+      timezone,
+      startDateTime,
+      endDateTime,
+      blockedStartDateTime: new Date(startDateTime.getTime() - bufferBefore * 60000),
+      blockedEndDateTime: new Date(endDateTime.getTime() + bufferAfter * 60000)
+    };
+  }
+
+  // Reserve a slot for a few minutes while the customer fills in their details
+  // (or longer, e.g. while a waitlisted customer decides on an offer).
+  // `service` is configured (see Service#configure); its options and price
+  // are kept with the hold.
+  async holdSlot(business, service, date, time, { minutes = HOLD_DURATION_MINUTES } = {}) {
+    await this.assertBookable(business, service, date, time);
+    const interval = this.buildInterval(business, service, date, time);
+
+    return this.withScheduleLock(business._id, async () => {
+      const staffId = await this.pickStaff(business, interval);
+      if (!staffId) {
+        throw reservationError('Time slot already booked', 409);
+      }
+
+      return SlotHold.create({
+        userId: business._id,
+        serviceId: service._id,
+        staffId,
+        variantId: service.variant?.id,
+        addOnIds: service.addOns.map(addOn => addOn.id),
+        price: service.price,
+        ...interval,
+        expiresAt: new Date(Date.now() + minutes * 60000)
+      });
+    });
+  }
+
+  // The service configured as it was held, at the price quoted then, for
+  // confirming the hold with reserve. Options, date or time that differ
+  // from the hold's are rejected rather than booked into its slot.
+  async configureHeld(business, service, holdId, { variantId, addOnIds, date, time }) {
+    const hold = await SlotHold.findOne({ _id: holdId, userId: business._id, serviceId: service._id });
+    if (!hold || !hold.isActive()) {
+      throw reservationError('Your reserved time has expired, please pick a slot again', 410);
+    }
+
+    const heldAddOnIds = hold.addOnIds.map(String).sort().join(',');
+    const changed = (variantId && String(variantId) !== String(hold.variantId)) ||
+      (addOnIds && [].concat(addOnIds).filter(Boolean).map(String).sort().join(',') !== heldAddOnIds) ||
+      (date && toDateString(date) !== toDateString(hold.date)) ||
+      (time && time !== hold.time);
+    if (changed) {
+      throw reservationError('These options or this time are not what was reserved, please pick a slot again', 409);
+    }
+
+    const configured = service.configure({
+      variantId: hold.variantId,
+      addOnIds: hold.addOnIds,
+      date: hold.date,
+      time: hold.time
+    });
+    return { ...configured, price: hold.price ?? configured.price, duration: hold.duration };
+  }
+
+  async releaseHold(holdId) {
+    await SlotHold.deleteOne({ _id: holdId });
+  }
+
+  // Turn a hold (or, without one, a freshly checked slot) into a booking.
+  // `createBooking(interval)` runs inside the lock once a staff member is known
+  // to be free; `interval.staffId` is who the booking should be assigned to.
+  async reserve(business, service, { holdId, date, time }, createBooking) {
+    let interval;
+    if (holdId) {
+      const hold = await SlotHold.findOne({ _id: holdId, userId: business._id, serviceId: service._id });
+      if (!hold || !hold.isActive()) {
+        throw reservationError('Your reserved time has expired, please pick a slot again', 410);
+      }
+      interval = {
+        staffId: hold.staffId,
+        date: hold.date,
+        time: hold.time,
+        duration: hold.duration,
+        bufferBefore: hold.bufferBefore,
+        bufferAfter: hold.bufferAfter,
+        timezone: hold.timezone,
+        startDateTime: hold.startDateTime,
+        endDateTime: hold.endDateTime,
+        blockedStartDateTime: hold.blockedStartDateTime,
+        blockedEndDateTime: hold.blockedEndDateTime
+      };
+    } else {
+      await this.assertBookable(business, service, date, time);
+      interval = this.buildInterval(business, service, date, time);
+    }
+
+    return this.withScheduleLock(business._id, async () => {
+      // A hold already names its staff member; re-check they are still free
+      const staffId = await this.pickStaff(business, interval, {
+        staffId: interval.staffId,
+        requireWorkingHours: !holdId,
+        excludeHoldId: holdId
+      });
+      if (!staffId) {
+        throw reservationError('Time slot already booked', 409);
+      }
+
+      // The hold must still exist: it may have expired while we waited
+      if (holdId) {
+        const released = await SlotHold.findOneAndDelete({ _id: holdId, expiresAt: { $gt: new Date() } });
+        if (!released) {
+          throw reservationError('Your reserved time has expired, please pick a slot again', 410);
+        }
+      }
+
+      return createBooking({ ...interval, staffId });
+    });
+  }
+
+  // Move an existing booking to another offered slot. Its current time does
+  // not count as busy, and it stays with the same staff member when they are
+  // free, otherwise it goes to whoever is.
+  async rescheduleBooking(business, service, booking, { date, time }, reason, rescheduledBy) {
+    await this.assertBookable(business, service, date, time, { excludeBookingId: booking._id });
+    const interval = this.buildInterval(business, service, date, time);
+
+    return this.withScheduleLock(business._id, async () => {
+      const staffId = await this.pickStaff(business, interval, {
+        preferStaffId: booking.staffId,
+        excludeBookingId: booking._id
+      });
+      if (!staffId) {
+        throw reservationError('Time slot already booked', 409);
+      }
+
+      booking.staffId = staffId;
+      booking.duration = interval.duration;
+      booking.bufferBefore = interval.bufferBefore;
+      booking.bufferAfter = interval.bufferAfter;
+      booking.timezone = interval.timezone;
+      return booking.reschedule(interval.startDateTime, reason, rescheduledBy);
+    });
+  }
+}
+
+export default new SlotReservationService();
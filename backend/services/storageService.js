@@ -0,0 +1,78 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Files on the server's own disk, under STORAGE_DIR (default ./uploads)
+class LocalDiskStorage {
+  constructor(root) {
+    this.root = path.resolve(root);
+  }
+
+  // Keys are generated by the app, but never let one point outside the root
+  resolve(key) {
+    const filepath = path.resolve(this.root, key);
+    if (!filepath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filepath;
+  }
+
+  async put(key, data) {
+    const filepath = this.resolve(key);
+    await fs.mkdir(path.dirname(filepath), { recursive: true });
+    await fs.writeFile(filepath, data);
+  }
+
+  async get(key) {
+    return fs.readFile(this.resolve(key));
+  }
+
+  async remove(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+}
+
+// Where uploaded files are kept. A driver is any object with
+//   put(key, data: Buffer, contentType): Promise
+//   get(key): Promise<Buffer>
+//   remove(key): Promise
+// Local disk is built in. Another backend, such as an S3-compatible bucket,
+// is plugged in with registerDriver('s3', () => driver) at startup and
+// chosen with STORAGE_DRIVER=s3.
+class StorageService {
+  constructor() {
+    this.factories = {
+      local: () => new LocalDiskStorage(process.env.STORAGE_DIR || path.join(process.cwd(), 'uploads'))
+    };
+    this.driver = null;
+  }
+
+  registerDriver(name, factory) {
+    this.factories[name] = factory;
+    this.driver = null;
+  }
+
+  // Created on first use, so drivers registered at startup are picked up
+  getDriver() {
+    if (!this.driver) {
+      const name = process.env.STORAGE_DRIVER || 'local';
+      const factory = this.factories[name];
+      if (!factory) throw new Error(`Unknown storage driver: ${name}`);
+      this.driver = factory();
+    }
+    return this.driver;
+  }
+
+  put(key, data, contentType) {
+    return this.getDriver().put(key, data, contentType);
+  }
+
+  get(key) {
+    return this.getDriver().get(key);
+  }
+
+  remove(key) {
+    return this.getDriver().remove(key);
+  }
+}
+
+export default new StorageService();
@@ -0,0 +1,133 @@
+import Booking from '../models/Booking.js';
+import User from '../models/User.js';
+import SlotHold from '../models/SlotHold.js';
+import WaitlistEntry from '../models/WaitlistEntry.js';
+import slotReservationService from './slotReservationService.js';
+import { toDateString } from '../utils/timezone.js';
+
+// How long a waitlisted customer has to claim an offered slot
+const OFFER_DURATION_MINUTES = 60;
+
+class WaitlistService {
+  // First bookable slot on the entry's day that falls inside its window.
+  // `service` defaults to the entry's populated serviceId.
+  async findSlotFor(business, entry, service = entry.serviceId) {
+    const now = new Date();
+    const slots = await Booking.getAvailableTimeSlots(
+      business._id,
+      entry.date,
+      service.duration,
+      Booking.getBuffers(service, business)
+    );
+
+    return slots.find(slot => slot.startTime > now && entry.acceptsTime(slot.timeString)) || null;
+  }
+
+  // Hold the first fitting slot for one entry (its serviceId populated) and
+  // let the customer know. Returns the entry, or null when nothing fits.
+  async offerSlot(business, entry) {
+    const slot = await this.findSlotFor(business, entry);
+    if (!slot) return null;
+
+    let hold;
+    try {
+      const service = entry.serviceId.configure({ date: entry.date, time: slot.timeString });
+      hold = await slotReservationService.holdSlot(business, service, entry.date, slot.timeString, {
+        minutes: OFFER_DURATION_MINUTES
+      });
+    } catch (error) {
+      // Taken between the availability check and the hold
+      if (error.statusCode === 409) return null;
+      throw error;
+    }
+
+    entry.status = 'offered';
+    entry.offer = {
+      holdId: hold._id,
+      time: slot.timeString,
+      offeredAt: new Date(),
+      expiresAt: hold.expiresAt
+    };
+    await entry.save();
+
+    this.notifyOffer(entry);
+    return entry;
+  }
+
+  // Time opened up on these business-local dates (a booking was cancelled or
+  // moved away): offer it to the customers waiting for those days, first come
+  // first served. Never throws, so callers can run it once their own change
+  // has been saved.
+  async offerFreedSlots(userId, dates) {
+    try {
+      const business = await User.findById(userId);
+      if (!business) return;
+
+      const days = [...new Set([].concat(dates).filter(Boolean).map(date => toDateString(date)))];
+
+      for (const day of days) {
+        const entries = await WaitlistEntry.find({
+          userId,
+          date: new Date(`${day}T00:00:00Z`),
+          status: 'waiting'
+        })
+          .populate('serviceId')
+          .sort({ createdAt: 1 });
+
+        for (const entry of entries) {
+          if (!entry.serviceId) continue;
+          await this.offerSlot(business, entry);
+        }
+      }
+    } catch (error) {
+      console.error('Error offering freed slots to waitlist:', error);
+    }
+  }
+
+  // Withdraw an entry's offer and pass the held time on to the next customer
+  async releaseOffer(entry) {
+    if (entry.offer?.holdId) {
+      await slotReservationService.releaseHold(entry.offer.holdId);
+    }
+    await this.offerFreedSlots(entry.userId, entry.date);
+  }
+
+  // Offers nobody claimed in time drop off the list and their slot goes to
+  // the next customer waiting. Run periodically by the server.
+  async expireOffers() {
+    try {
+      const expired = await WaitlistEntry.find({
+        status: 'offered',
+        'offer.expiresAt': { $lte: new Date() }
+      });
+
+      const datesByBusiness = new Map();
+      for (const entry of expired) {
+        entry.status = 'expired';
+        await entry.save();
+        await SlotHold.deleteOne({ _id: entry.offer.holdId });
+
+        const key = entry.userId.toString();
+        if (!datesByBusiness.has(key)) datesByBusiness.set(key, []);
+        datesByBusiness.get(key).push(entry.date);
+      }
+
+      for (const [userId, dates] of datesByBusiness) {
+        await this.offerFreedSlots(userId, dates);
+      }
+    } catch (error) {
+      console.error('Error expiring waitlist offers:', error);
+    }
+  }
+
+  // The notification service needs Redis, SMTP and Twilio, none of which are
+  // required to run the app, so it is only loaded when there is an offer to
+  // send. Owners can still share the claim link from the Bookings page.
+  notifyOffer(entry) {
+    import('./notificationService.js')
+      .then(({ default: notificationService }) => notificationService.sendWaitlistOffer(entry._id))
+      .catch(error => console.error('Error sending waitlist offer:', error));
+  }
+}
+
+export default new WaitlistService();
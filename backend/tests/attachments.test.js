@@ -0,0 +1,98 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import {
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createBusiness,
+  createService,
+  createCustomer,
+  authHeader,
+  daysFromNow
+} from './helpers.js';
+import app from '../app.js';
+import Attachment from '../models/Attachment.js';
+import Booking from '../models/Booking.js';
+import Subscription from '../models/Subscription.js';
+import attachmentService from '../services/attachmentService.js';
+import { createManageToken } from '../utils/manageLink.js';
+
+const KB = 1024;
+const PARALLEL_UPLOADS = 4;
+
+const statuses = (responses) => responses.map(response => response.status).sort();
+
+describe('attachment limits under concurrent uploads', () => {
+  let business;
+  let booking;
+  let storageDir;
+
+  before(async () => {
+    storageDir = await fs.mkdtemp(path.join(os.tmpdir(), 'attachments-'));
+    process.env.STORAGE_DIR = storageDir;
+    await startDatabase();
+  });
+  after(async () => {
+    await stopDatabase();
+    await fs.rm(storageDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+    business = await createBusiness();
+    const service = await createService(business);
+    const customer = await createCustomer(business);
+    const created = await request(app)
+      .post('/api/bookings')
+      .set('Authorization', authHeader(business))
+      .send({ customerId: customer._id, serviceId: service._id, date: daysFromNow(7), time: '10:00' });
+    assert.equal(created.status, 201);
+    booking = created.body.booking;
+  });
+
+  const pdf = (kilobytes) => Buffer.alloc(kilobytes * KB, 1);
+
+  it('never goes over the storage quota, even with uploads at once', async () => {
+    await Subscription.create({ userId: business._id, plan: 'free', currentPeriodEnd: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) });
+    await Subscription.updateOne({ userId: business._id }, { $set: { 'limits.maxStorageMB': 1 } });
+
+    const responses = await Promise.all(Array.from({ length: PARALLEL_UPLOADS }, () => request(app)
+      .post(`/api/bookings/${booking._id}/attachments?filename=quote.pdf`)
+      .set('Authorization', authHeader(business))
+      .set('Content-Type', 'application/pdf')
+      .send(pdf(400))));
+
+    assert.deepEqual(statuses(responses), [201, 201, 403, 403]);
+    assert.equal(await Attachment.getStorageUsed(business._id), 800 * KB);
+  });
+
+  it('caps the files a customer can add to a booking', async () => {
+    const maxCustomerFiles = attachmentService.maxCustomerFiles;
+    attachmentService.maxCustomerFiles = 2;
+    const token = createManageToken(await Booking.findById(booking._id));
+    const customerUpload = () => request(app)
+      .post(`/api/public/manage/${token}/attachments?filename=fridge.pdf`)
+      .set('Content-Type', 'application/pdf')
+      .send(pdf(10));
+
+    try {
+      const responses = await Promise.all(Array.from({ length: PARALLEL_UPLOADS }, customerUpload));
+      assert.deepEqual(statuses(responses), [201, 201, 403, 403]);
+
+      // Taking one away makes room for another
+      const [kept] = responses.filter(response => response.status === 201);
+      const removed = await request(app)
+        .delete(`/api/bookings/${booking._id}/attachments/${kept.body.attachment._id}`)
+        .set('Authorization', authHeader(business));
+      assert.equal(removed.status, 200);
+      assert.equal((await customerUpload()).status, 201);
+      assert.equal(await Attachment.countDocuments({ bookingId: booking._id }), 2);
+    } finally {
+      attachmentService.maxCustomerFiles = maxCustomerFiles;
+    }
+  });
+});
@@ -0,0 +1,183 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import {
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createBusiness,
+  createService,
+  createCustomer,
+  authHeader,
+  daysFromNow
+} from './helpers.js';
+import app from '../app.js';
+import Booking from '../models/Booking.js';
+import Customer from '../models/Customer.js';
+import Payment from '../models/Payment.js';
+import Subscription from '../models/Subscription.js';
+import fakeProvider from '../services/paymentProviders/fake.js';
+
+describe('billing through the fake provider', () => {
+  let business;
+
+  before(async () => {
+    process.env.BILLING_PROVIDER = 'fake';
+    await startDatabase();
+  });
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    fakeProvider.reset();
+    business = await createBusiness();
+  });
+
+  const sendWebhook = ({ headers, rawBody }) => request(app)
+    .post('/api/subscriptions/webhook')
+    .set(headers)
+    .set('Content-Type', 'application/json')
+    .send(rawBody.toString());
+
+  const subscribe = () => request(app)
+    .post('/api/subscriptions/create')
+    .set('Authorization', authHeader(business))
+    .send({ planId: 'pro', paymentMethodId: 'pm_card_visa' });
+
+  describe('booking checkout', () => {
+    let booking;
+    let customer;
+
+    beforeEach(async () => {
+      const service = await createService(business);
+      customer = await createCustomer(business);
+      const created = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', authHeader(business))
+        .send({ customerId: customer._id, serviceId: service._id, date: daysFromNow(7), time: '10:00' });
+      assert.equal(created.status, 201);
+      booking = created.body.booking;
+    });
+
+    const checkout = () => request(app)
+      .post('/api/subscriptions/payment-intent')
+      .set('Authorization', authHeader(business))
+      .send({ bookingId: booking._id });
+
+    it('charges what is owed in the business currency', async () => {
+      const response = await checkout();
+
+      assert.equal(response.status, 200);
+      assert.ok(response.body.clientSecret);
+      const paymentIntent = fakeProvider.getPaymentIntent(response.body.paymentIntentId);
+      assert.equal(paymentIntent.amount, 100);
+      assert.equal(paymentIntent.currency, 'ETB');
+      assert.equal((await Booking.findById(booking._id)).stripePaymentIntentId, paymentIntent.id);
+    });
+
+    it('marks the booking paid once, however often the webhook arrives', async () => {
+      const { body } = await checkout();
+      const webhook = fakeProvider.succeedPaymentIntent(body.paymentIntentId);
+
+      assert.equal((await sendWebhook(webhook)).status, 200);
+      assert.equal((await sendWebhook(webhook)).status, 200);
+
+      const payments = await Payment.find({ booking: booking._id });
+      assert.equal(payments.length, 1);
+      assert.equal(payments[0].status, 'succeeded');
+      assert.equal(payments[0].amount, 100);
+
+      const paid = await Booking.findById(booking._id);
+      assert.equal(paid.paymentStatus, 'paid');
+      assert.equal(paid.amountPaid, 100);
+      assert.equal((await Customer.findById(customer._id)).totalSpent, 100);
+    });
+
+    it('records the payment once when the webhook arrives twice at once', async () => {
+      const { body } = await checkout();
+      const webhook = fakeProvider.succeedPaymentIntent(body.paymentIntentId);
+
+      const responses = await Promise.all([sendWebhook(webhook), sendWebhook(webhook)]);
+
+      assert.deepEqual(responses.map(response => response.status), [200, 200]);
+      assert.equal(await Payment.countDocuments({ booking: booking._id }), 1);
+      assert.equal((await Booking.findById(booking._id)).amountPaid, 100);
+    });
+
+    it('ignores webhooks with a bad signature', async () => {
+      const { body } = await checkout();
+      const webhook = fakeProvider.succeedPaymentIntent(body.paymentIntentId);
+
+      const response = await sendWebhook({ ...webhook, headers: { 'x-fake-signature': 'forged' } });
+
+      assert.equal(response.status, 400);
+      assert.equal(await Payment.countDocuments(), 0);
+      assert.equal((await Booking.findById(booking._id)).paymentStatus, 'pending');
+    });
+  });
+
+  describe('subscriptions', () => {
+    it('subscribes the business to a plan', async () => {
+      const response = await subscribe();
+
+      assert.equal(response.status, 201);
+      assert.equal(response.body.subscription.status, 'active');
+      const subscription = await Subscription.findOne({ userId: business._id });
+      assert.equal(subscription.plan, 'pro');
+      assert.equal(subscription.status, 'active');
+      assert.equal(subscription.stripeSubscriptionId, response.body.subscription.subscriptionId);
+    });
+
+    it('cancels at the end of the period, or straight away when asked', async () => {
+      const { body } = await subscribe();
+      const cancel = (fields = {}) => request(app)
+        .post('/api/subscriptions/cancel')
+        .set('Authorization', authHeader(business))
+        .send(fields);
+
+      const atPeriodEnd = await cancel();
+      assert.equal(atPeriodEnd.status, 200);
+      assert.equal(atPeriodEnd.body.subscription.cancelAtPeriodEnd, true);
+      assert.equal(atPeriodEnd.body.subscription.status, 'active');
+      assert.equal((await fakeProvider.retrieveSubscription(body.subscription.subscriptionId)).cancelAtPeriodEnd, true);
+
+      const immediate = await cancel({ immediate: true });
+      assert.equal(immediate.status, 200);
+      assert.equal(immediate.body.subscription.status, 'cancelled');
+      assert.equal((await fakeProvider.retrieveSubscription(body.subscription.subscriptionId)).status, 'cancelled');
+    });
+
+    it('follows the subscription through the provider webhooks', async () => {
+      const { body } = await subscribe();
+      const providerSubscription = await fakeProvider.retrieveSubscription(body.subscription.subscriptionId);
+      const current = () => Subscription.findOne({ userId: business._id });
+
+      const { stripeCustomerId } = await current();
+
+      await sendWebhook(fakeProvider.webhook('invoice.payment_failed', { id: 'in_1', customerId: stripeCustomerId }));
+      assert.equal((await current()).status, 'past_due');
+
+      await sendWebhook(fakeProvider.webhook('subscription.updated', { ...providerSubscription, status: 'active' }));
+      assert.equal((await current()).status, 'active');
+
+      const paidAt = new Date();
+      await sendWebhook(fakeProvider.webhook('invoice.paid', {
+        id: 'in_2',
+        customerId: stripeCustomerId,
+        amount: 1500,
+        currency: 'ETB',
+        paidAt
+      }));
+      const { invoices } = await current();
+      assert.equal(invoices.length, 1);
+      assert.equal(invoices[0].stripeInvoiceId, 'in_2');
+      assert.equal(invoices[0].status, 'paid');
+
+      await sendWebhook(fakeProvider.webhook('subscription.deleted', providerSubscription));
+      const deleted = await current();
+      assert.equal(deleted.status, 'cancelled');
+      assert.ok(deleted.cancelledAt);
+      assert.equal(deleted.webhookEvents.at(-1).eventType, 'subscription.deleted');
+    });
+  });
+});
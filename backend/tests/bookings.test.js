@@ -0,0 +1,92 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import {
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createBusiness,
+  createService,
+  createCustomer,
+  authHeader,
+  daysFromNow
+} from './helpers.js';
+import app from '../app.js';
+import Booking from '../models/Booking.js';
+import ScheduleOverride from '../models/ScheduleOverride.js';
+
+describe('dashboard bookings', () => {
+  let business;
+  let service;
+  let customer;
+  const date = daysFromNow(7);
+
+  before(startDatabase);
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    business = await createBusiness();
+    service = await createService(business);
+    customer = await createCustomer(business);
+  });
+
+  const dashboardBooking = (time, fields = {}) => request(app)
+    .post('/api/bookings')
+    .set('Authorization', authHeader(business))
+    .send({ customerId: customer._id, serviceId: service._id, date, time, ...fields });
+
+  describe('staff conflicts', () => {
+    // Bookings from before staff could be assigned have no staffId
+    const unassignedBooking = (time) => Booking.create({
+      userId: business._id,
+      customerId: customer._id,
+      serviceId: service._id,
+      date: new Date(`${date}T00:00:00Z`),
+      time,
+      duration: 60,
+      totalAmount: 100
+    });
+
+    it('counts an unassigned booking as the owner\'s', async () => {
+      const assistant = await createBusiness({ role: 'assistant', ownerId: business._id });
+      assert.equal((await dashboardBooking('10:00', { staffId: assistant._id })).status, 201);
+      assert.equal((await dashboardBooking('13:00', { staffId: business._id })).status, 201);
+
+      assert.equal((await unassignedBooking('10:00')).hasConflicts, false);
+      assert.equal((await unassignedBooking('13:00')).hasConflicts, true);
+    });
+  });
+
+  describe('closures', () => {
+    const closeOn = (day) => ScheduleOverride.create({
+      userId: business._id,
+      type: 'closed',
+      startDate: new Date(`${day}T00:00:00Z`),
+      endDate: new Date(`${day}T00:00:00Z`),
+      reason: 'Timkat'
+    });
+
+    it('does not move a series onto a closed date unless forced', async () => {
+      const series = await dashboardBooking('10:00', { recurringRule: { frequency: 'weekly', count: 3 } });
+      assert.equal(series.status, 201);
+      const closed = daysFromNow(15);
+      await closeOn(closed);
+
+      const move = (fields = {}) => request(app)
+        .put(`/api/bookings/${series.body.booking._id}`)
+        .set('Authorization', authHeader(business))
+        .send({ date: daysFromNow(8), scope: 'all', ...fields });
+
+      const rejected = await move();
+      assert.equal(rejected.status, 400);
+      assert.deepEqual(rejected.body.closedDates, [closed]);
+      const unmoved = await Booking.find({ seriesId: series.body.seriesId }).sort({ startDateTime: 1 });
+      assert.deepEqual(unmoved.map(occurrence => occurrence.date.toISOString().slice(0, 10)), [7, 14, 21].map(daysFromNow));
+
+      const forced = await move({ force: true });
+      assert.equal(forced.status, 200);
+      assert.deepEqual(forced.body.occurrences.map(occurrence => occurrence.date.slice(0, 10)), [8, 15, 22].map(daysFromNow));
+    });
+  });
+});
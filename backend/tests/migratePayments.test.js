@@ -0,0 +1,123 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import {
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createBusiness,
+  createService,
+  createCustomer,
+  authHeader,
+  daysFromNow
+} from './helpers.js';
+import app from '../app.js';
+import Booking from '../models/Booking.js';
+import Payment from '../models/Payment.js';
+import { migrate } from '../scripts/migratePayments.js';
+
+describe('payment migration', () => {
+  let business;
+  let customer;
+  let bookings;
+
+  before(startDatabase);
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    business = await createBusiness();
+    customer = await createCustomer(business);
+    const service = await createService(business);
+
+    bookings = [];
+    for (const time of ['09:00', '11:00', '13:00']) {
+      const created = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', authHeader(business))
+        .send({ customerId: customer._id, serviceId: service._id, date: daysFromNow(7), time });
+      assert.equal(created.status, 201);
+      bookings.push(await Booking.findById(created.body.booking._id));
+    }
+  });
+
+  // A payment as the old payments route wrote it
+  const insertOldPayment = (fields) => Payment.collection.insertOne({
+    userId: business._id,
+    customerId: customer._id,
+    status: 'completed',
+    paidAt: new Date('2025-03-01T10:00:00Z'),
+    createdAt: new Date('2025-03-01T10:00:00Z'),
+    ...fields
+  });
+
+  // The old route also marked the booking paid, whatever was paid
+  const markPaid = (booking) => Booking.collection.updateOne({ _id: booking._id }, { $set: { paymentStatus: 'paid' } });
+
+  it('converts old payments to the Payment schema and works out what each booking has paid', async () => {
+    const [partlyPaid, byTelebirr] = bookings;
+    const { insertedId: cardId } = await insertOldPayment({ bookingId: partlyPaid._id, amount: 40, method: 'card', transactionId: 'ch_123' });
+    const { insertedId: telebirrId } = await insertOldPayment({ bookingId: byTelebirr._id, amount: 100, method: 'telebirr', transactionId: 'TB-9' });
+    const { insertedId: oneTimeId } = await insertOldPayment({ amount: 15, method: 'cash' });
+    await markPaid(partlyPaid);
+    await markPaid(byTelebirr);
+
+    await migrate();
+
+    const card = await Payment.findById(cardId).lean();
+    assert.equal(card.user.toString(), business._id.toString());
+    assert.equal(card.booking.toString(), partlyPaid._id.toString());
+    assert.equal(card.customer.toString(), customer._id.toString());
+    assert.equal(card.status, 'succeeded');
+    assert.equal(card.type, 'booking');
+    assert.equal(card.method, 'other');
+    assert.equal(card.metadata.transactionId, 'ch_123');
+    assert.deepEqual(card.processedAt, new Date('2025-03-01T10:00:00Z'));
+    for (const field of ['userId', 'bookingId', 'customerId', 'paidAt', 'transactionId']) {
+      assert.equal(card[field], undefined, `${field} is left over`);
+    }
+
+    const telebirr = await Payment.findById(telebirrId).lean();
+    assert.equal(telebirr.telebirrTransactionId, 'TB-9');
+    assert.equal((await Payment.findById(oneTimeId)).type, 'one_time');
+
+    const partly = await Booking.findById(partlyPaid._id);
+    assert.equal(partly.amountPaid, 40);
+    assert.equal(partly.paymentStatus, 'partially_paid');
+    assert.equal((await Booking.findById(byTelebirr._id)).paymentStatus, 'paid');
+  });
+
+  it('records a payment for bookings that were only marked paid', async () => {
+    const [, , markedPaid] = bookings;
+    await markPaid(markedPaid);
+
+    await migrate();
+
+    const payments = await Payment.find({ booking: markedPaid._id });
+    assert.equal(payments.length, 1);
+    assert.equal(payments[0].amount, 100);
+    assert.equal(payments[0].method, 'cash');
+    assert.equal(payments[0].status, 'succeeded');
+
+    const paid = await Booking.findById(markedPaid._id);
+    assert.equal(paid.amountPaid, 100);
+    assert.equal(paid.paymentStatus, 'paid');
+    assert.equal(paid.balanceDue, 0);
+  });
+
+  it('changes nothing when run again', async () => {
+    const [partlyPaid, , markedPaid] = bookings;
+    await insertOldPayment({ bookingId: partlyPaid._id, amount: 40, method: 'cash' });
+    await markPaid(partlyPaid);
+    await markPaid(markedPaid);
+
+    await migrate();
+    const payments = await Payment.find().sort({ _id: 1 }).lean();
+    const amountsPaid = (await Booking.find().sort({ _id: 1 })).map(booking => booking.amountPaid);
+
+    await migrate();
+
+    assert.deepEqual(await Payment.find().sort({ _id: 1 }).lean(), payments);
+    assert.deepEqual((await Booking.find().sort({ _id: 1 })).map(booking => booking.amountPaid), amountsPaid);
+  });
+});
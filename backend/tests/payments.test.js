@@ -0,0 +1,270 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import {
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createBusiness,
+  createService,
+  createCustomer,
+  authHeader,
+  daysFromNow
+} from './helpers.js';
+import app from '../app.js';
+import Booking from '../models/Booking.js';
+import Customer from '../models/Customer.js';
+import Payment from '../models/Payment.js';
+import User from '../models/User.js';
+import paymentRecordService from '../services/paymentRecordService.js';
+import mobilePaymentService from '../services/mobilePaymentService.js';
+import refundService from '../services/refundService.js';
+import fakeProvider from '../services/paymentProviders/fake.js';
+import mockProvider from '../services/paymentProviders/mock.js';
+import { formatCalendarDate } from '../utils/ethiopianCalendar.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('payments routes', () => {
+  let business;
+  let customer;
+  let booking;
+
+  before(async () => {
+    process.env.BILLING_PROVIDER = 'fake';
+    process.env.PAYMENT_MOCK = 'true';
+    await startDatabase();
+  });
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    fakeProvider.reset();
+    business = await createBusiness();
+    customer = await createCustomer(business);
+    const service = await createService(business);
+    const created = await request(app)
+      .post('/api/bookings')
+      .set('Authorization', authHeader(business))
+      .send({ customerId: customer._id, serviceId: service._id, date: daysFromNow(7), time: '10:00' });
+    assert.equal(created.status, 201);
+    booking = created.body.booking;
+  });
+
+  const api = (method, path) => request(app)[method](`/api${path}`).set('Authorization', authHeader(business));
+
+  const recordPayment = (fields = {}) => api('post', '/payments')
+    .send({ bookingId: booking._id, amount: 40, method: 'cash', ...fields });
+
+  const refund = (payment, fields = {}) => api('post', `/payments/${payment._id}/refunds`).send(fields);
+
+  const currentBooking = () => Booking.findById(booking._id);
+  const totalSpent = async () => (await Customer.findById(customer._id)).totalSpent;
+
+  // Pay the whole booking by card through the fake billing provider
+  const payByCard = async () => {
+    const { body } = await api('post', '/subscriptions/payment-intent').send({ bookingId: booking._id });
+    const { headers, rawBody } = fakeProvider.succeedPaymentIntent(body.paymentIntentId);
+    await request(app)
+      .post('/api/subscriptions/webhook')
+      .set(headers)
+      .set('Content-Type', 'application/json')
+      .send(rawBody.toString());
+    return Payment.findOne({ stripePaymentIntentId: body.paymentIntentId });
+  };
+
+  describe('recording and listing', () => {
+    it('records part payments against the booking', async () => {
+      const first = await recordPayment();
+      assert.equal(first.status, 201);
+      assert.equal(first.body.payment.status, 'succeeded');
+
+      let paid = await currentBooking();
+      assert.equal(paid.paymentStatus, 'partially_paid');
+      assert.equal(paid.balanceDue, 60);
+
+      assert.equal((await recordPayment({ amount: 60, method: 'bank_transfer', transactionId: 'BT-1' })).status, 201);
+      paid = await currentBooking();
+      assert.equal(paid.paymentStatus, 'paid');
+      assert.equal(paid.amountPaid, 100);
+      assert.equal(await totalSpent(), 100);
+    });
+
+    it('dates the payment in the business calendar', async () => {
+      await User.updateOne({ _id: business._id }, { $set: { calendar: 'ethiopian' } });
+
+      const { body } = await recordPayment();
+
+      const date = formatCalendarDate(daysFromNow(7), { calendar: 'ethiopian' });
+      assert.equal(body.payment.description, `Payment for booking on ${date}`);
+    });
+
+    it('refuses more than is owed', async () => {
+      const response = await recordPayment({ amount: 150 });
+
+      assert.equal(response.status, 400);
+      assert.equal(await Payment.countDocuments(), 0);
+    });
+
+    it('lists the business payments by status and method', async () => {
+      await recordPayment();
+      await recordPayment({ amount: 10, method: 'telebirr', transactionId: 'TB-1' });
+
+      const all = await api('get', '/payments');
+      assert.equal(all.status, 200);
+      assert.equal(all.body.total, 2);
+
+      const telebirr = await api('get', '/payments?method=telebirr');
+      assert.equal(telebirr.body.total, 1);
+      assert.equal(telebirr.body.payments[0].telebirrTransactionId, 'TB-1');
+    });
+
+    it('settles a pending cash payment from the payments page', async () => {
+      const pending = await paymentRecordService.createForBooking(await currentBooking(), { amount: 50, method: 'cash' });
+
+      const response = await api('put', `/payments/${pending._id}`).send({ status: 'succeeded' });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.payment.status, 'succeeded');
+      assert.equal((await currentBooking()).amountPaid, 50);
+    });
+
+    it('does not let a booking be marked paid without a payment', async () => {
+      const response = await api('put', `/bookings/${booking._id}`).send({ paymentStatus: 'paid' });
+
+      assert.equal(response.status, 400);
+      const unpaid = await currentBooking();
+      assert.equal(unpaid.paymentStatus, 'pending');
+      assert.equal(unpaid.balanceDue, 100);
+    });
+  });
+
+  describe('refunds', () => {
+    it('rolls the booking and the customer back', async () => {
+      const { body } = await recordPayment();
+
+      const response = await refund(body.payment, { amount: 30, reason: 'Missed a room' });
+
+      assert.equal(response.status, 201);
+      assert.equal(response.body.refund.status, 'succeeded');
+      assert.equal(response.body.refund.manual, true);
+      assert.equal(response.body.payment.status, 'partially_refunded');
+      assert.equal((await currentBooking()).amountPaid, 10);
+      assert.equal(await totalSpent(), 10);
+    });
+
+    it('refunds a hand-recorded Telebirr payment by hand', async () => {
+      const { body } = await recordPayment({ method: 'telebirr', transactionId: 'TB-2' });
+
+      const response = await refund(body.payment);
+
+      assert.equal(response.status, 201);
+      assert.equal(response.body.refund.manual, true);
+      assert.equal(response.body.payment.status, 'refunded');
+    });
+
+    it('never refunds more than was paid, even when asked twice at once', async () => {
+      const { body } = await recordPayment();
+
+      const responses = await Promise.all([refund(body.payment, { amount: 30 }), refund(body.payment, { amount: 30 })]);
+
+      assert.deepEqual(responses.map(response => response.status).sort(), [201, 400]);
+      const payment = await Payment.findById(body.payment._id);
+      assert.equal(payment.getTotalRefunded(), 30);
+      assert.equal((await currentBooking()).amountPaid, 10);
+    });
+
+    it('waits for a pending card refund to finish before rolling back', async () => {
+      const payment = await payByCard();
+      fakeProvider.setRefundStatus('pending');
+
+      const response = await refund(payment, { amount: 30 });
+      assert.equal(response.status, 201);
+      assert.equal(response.body.refund.status, 'pending');
+      assert.equal((await currentBooking()).amountPaid, 100);
+      assert.equal(await totalSpent(), 100);
+
+      // The provider's webhook can arrive more than once
+      const webhook = fakeProvider.finishRefund(response.body.refund.stripeRefundId);
+      for (let attempt = 0; attempt < 2; attempt++) {
+        const delivered = await request(app)
+          .post('/api/subscriptions/webhook')
+          .set(webhook.headers)
+          .set('Content-Type', 'application/json')
+          .send(webhook.rawBody.toString());
+        assert.equal(delivered.status, 200);
+      }
+
+      assert.equal((await Payment.findById(payment._id)).status, 'partially_refunded');
+      assert.equal((await currentBooking()).amountPaid, 70);
+      assert.equal(await totalSpent(), 70);
+    });
+
+    it('finds refunds the provider finished without a webhook', async () => {
+      const payment = await payByCard();
+      fakeProvider.setRefundStatus('pending');
+      const { body } = await refund(payment);
+      fakeProvider.finishRefund(body.refund.stripeRefundId);
+      await Payment.updateOne(
+        { _id: payment._id, 'refunds._id': body.refund._id },
+        { $set: { 'refunds.$.processedAt': new Date(Date.now() - DAY_MS) } }
+      );
+
+      await refundService.reconcilePending();
+
+      assert.equal((await Payment.findById(payment._id)).status, 'refunded');
+      const unpaid = await currentBooking();
+      assert.equal(unpaid.amountPaid, 0);
+      assert.equal(unpaid.paymentStatus, 'pending');
+    });
+  });
+
+  describe('mobile-money checkout', () => {
+    const checkout = () => api('post', '/payments/checkout').send({ bookingId: booking._id, provider: 'mock' });
+
+    const notify = ({ headers, rawBody }) => request(app)
+      .post('/api/payments/notify/mock')
+      .set(headers)
+      .set('Content-Type', 'application/json')
+      .send(rawBody.toString());
+
+    it('marks the booking paid from the signed notification', async () => {
+      const started = await checkout();
+      assert.equal(started.status, 201);
+      assert.ok(started.body.checkoutUrl);
+
+      const response = await notify(mockProvider.complete(started.body.payment._id));
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.status, 'succeeded');
+      assert.equal((await currentBooking()).paymentStatus, 'paid');
+    });
+
+    it('rejects notifications with a bad signature', async () => {
+      const started = await checkout();
+      const notification = mockProvider.complete(started.body.payment._id);
+
+      const response = await notify({ ...notification, headers: { 'x-signature': 'forged' } });
+
+      assert.equal(response.status, 401);
+      assert.equal((await Payment.findById(started.body.payment._id)).status, 'pending');
+    });
+
+    it('still takes a payment the customer finished after it was given up on', async () => {
+      const started = await checkout();
+      // Mongoose keeps createdAt out of updates
+      await Payment.collection.updateOne(
+        { _id: new mongoose.Types.ObjectId(started.body.payment._id) },
+        { $set: { createdAt: new Date(Date.now() - 2 * DAY_MS) } }
+      );
+      await mobilePaymentService.reconcilePending();
+      assert.equal((await Payment.findById(started.body.payment._id)).status, 'cancelled');
+
+      const response = await notify(mockProvider.complete(started.body.payment._id));
+
+      assert.equal(response.body.status, 'succeeded');
+      assert.equal((await currentBooking()).paymentStatus, 'paid');
+    });
+  });
+});
@@ -0,0 +1,114 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { startDatabase, stopDatabase, clearDatabase, createBusiness, createCustomer } from './helpers.js';
+import Payment from '../models/Payment.js';
+import paymentRecordService from '../services/paymentRecordService.js';
+
+describe('revenue analytics', () => {
+  let business;
+
+  before(startDatabase);
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    business = await createBusiness();
+    const customer = await createCustomer(business);
+    const other = await createBusiness();
+    const [firstBooking, secondBooking] = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+
+    const payment = (fields) => ({
+      user: business._id,
+      customer: customer._id,
+      type: 'booking',
+      method: 'cash',
+      status: 'succeeded',
+      ...fields
+    });
+
+    await Payment.create([
+      payment({ booking: firstBooking, amount: 100, processedAt: new Date('2025-01-10T09:00:00Z') }),
+      // Refunds count once they have gone through
+      payment({
+        booking: firstBooking,
+        amount: 50,
+        method: 'stripe_card',
+        status: 'partially_refunded',
+        processedAt: new Date('2025-01-20T09:00:00Z'),
+        refunds: [{ amount: 20, status: 'succeeded' }, { amount: 10, status: 'pending' }]
+      }),
+      payment({
+        booking: secondBooking,
+        amount: 80,
+        status: 'refunded',
+        processedAt: new Date('2025-01-25T09:00:00Z'),
+        refunds: [{ amount: 80, status: 'succeeded' }]
+      }),
+      payment({ booking: secondBooking, amount: 200, processedAt: new Date('2025-02-05T09:00:00Z') }),
+      payment({ type: 'one_time', amount: 15, processedAt: new Date('2025-02-05T12:00:00Z') }),
+      // Not money from customers, or not collected
+      payment({ type: 'subscription', amount: 29, processedAt: new Date('2025-01-15T09:00:00Z') }),
+      payment({ booking: secondBooking, amount: 500, status: 'pending' }),
+      payment({ booking: secondBooking, amount: 60, status: 'failed', processedAt: new Date('2025-01-12T09:00:00Z') }),
+      payment({ user: other._id, amount: 1000, processedAt: new Date('2025-01-10T09:00:00Z') })
+    ]);
+  });
+
+  it('adds up what was collected, less refunds', async () => {
+    const [revenue] = await paymentRecordService.getRevenue(business._id);
+
+    assert.equal(revenue.total, 100 + 30 + 0 + 200 + 15);
+    assert.equal(revenue.count, 5);
+    assert.equal(revenue.bookings, 2);
+  });
+
+  it('groups by month and by day', async () => {
+    const months = await paymentRecordService.getRevenue(business._id, { groupBy: 'month' });
+    assert.deepEqual(months.map(({ _id, total }) => ({ ..._id, total })), [
+      { year: 2025, month: 1, total: 130 },
+      { year: 2025, month: 2, total: 215 }
+    ]);
+
+    const days = await paymentRecordService.getRevenue(business._id, { groupBy: 'day' });
+    assert.deepEqual(days.map(({ _id, total, count }) => ({ day: _id.day, total, count })), [
+      { day: 10, total: 100, count: 1 },
+      { day: 20, total: 30, count: 1 },
+      { day: 25, total: 0, count: 1 },
+      { day: 5, total: 215, count: 2 }
+    ]);
+  });
+
+  it('puts a payment in the month it was made in the business timezone', async () => {
+    // 01:00 on 1 April in Addis Ababa
+    await Payment.create({
+      user: business._id,
+      type: 'one_time',
+      method: 'cash',
+      status: 'succeeded',
+      amount: 40,
+      processedAt: new Date('2025-03-31T22:00:00Z')
+    });
+
+    const months = await paymentRecordService.getRevenue(business._id, { groupBy: 'month' });
+
+    assert.deepEqual(months.at(-1)._id, { year: 2025, month: 4 });
+    assert.equal(months.at(-1).total, 40);
+  });
+
+  it('only counts payments made between from and to', async () => {
+    const [revenue] = await paymentRecordService.getRevenue(business._id, {
+      from: new Date('2025-01-15T00:00:00Z'),
+      to: new Date('2025-01-31T23:59:59Z')
+    });
+
+    assert.equal(revenue.total, 30);
+    assert.equal(revenue.count, 2);
+  });
+
+  it('is empty for a business with no payments', async () => {
+    const newcomer = await createBusiness();
+
+    assert.deepEqual(await paymentRecordService.getRevenue(newcomer._id), []);
+  });
+});
@@ -0,0 +1,207 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import {
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createBusiness,
+  createService,
+  createCustomer,
+  authHeader,
+  daysFromNow
+} from './helpers.js';
+import app from '../app.js';
+import Booking from '../models/Booking.js';
+import SlotHold from '../models/SlotHold.js';
+
+const PARALLEL_REQUESTS = 8;
+
+const statuses = (responses) => responses.map(response => response.status).sort();
+
+describe('slot reservation under concurrent requests', () => {
+  let business;
+  let service;
+  const date = daysFromNow(7);
+
+  before(startDatabase);
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    business = await createBusiness();
+    service = await createService(business);
+  });
+
+  const publicBooking = (index, fields = {}) => request(app)
+    .post('/api/public/bookings')
+    .send({
+      businessId: business._id,
+      serviceId: service._id,
+      date,
+      time: '10:00',
+      customerInfo: { name: `Customer ${index}`, email: `parallel${index}@example.com`, phone: '+251911000000' },
+      ...fields
+    });
+
+  const dashboardBooking = (customer, time, fields = {}) => request(app)
+    .post('/api/bookings')
+    .set('Authorization', authHeader(business))
+    .send({ customerId: customer._id, serviceId: service._id, date, time, ...fields });
+
+  it('books a public slot for exactly one of several simultaneous customers', async () => {
+    const responses = await Promise.all(
+      Array.from({ length: PARALLEL_REQUESTS }, (_, index) => publicBooking(index))
+    );
+
+    assert.deepEqual(statuses(responses), [201, ...Array(PARALLEL_REQUESTS - 1).fill(409)]);
+    assert.equal(await Booking.countDocuments({ userId: business._id }), 1);
+  });
+
+  it('holds a slot for exactly one of several simultaneous customers', async () => {
+    const responses = await Promise.all(Array.from({ length: PARALLEL_REQUESTS }, () => request(app)
+      .post('/api/public/holds')
+      .send({ businessId: business._id, serviceId: service._id, date, time: '10:00' })));
+
+    assert.deepEqual(statuses(responses), [201, ...Array(PARALLEL_REQUESTS - 1).fill(409)]);
+    assert.equal(await SlotHold.countDocuments({ userId: business._id }), 1);
+  });
+
+  it('keeps a held slot for the customer holding it', async () => {
+    const hold = await request(app)
+      .post('/api/public/holds')
+      .send({ businessId: business._id, serviceId: service._id, date, time: '10:00' });
+    assert.equal(hold.status, 201);
+
+    const [other, holder] = await Promise.all([
+      publicBooking(1),
+      publicBooking(2, { holdId: hold.body.hold.id })
+    ]);
+
+    assert.equal(other.status, 409);
+    assert.equal(holder.status, 201);
+    assert.equal(await SlotHold.countDocuments(), 0);
+  });
+
+  it('books a hold with the options and price it was held at', async () => {
+    service.variants.push({ name: 'Whole house', price: 300, duration: 180 });
+    service.variants.push({ name: 'One room', price: 50, duration: 30 });
+    await service.save();
+    const [wholeHouse, oneRoom] = service.variants;
+
+    const hold = await request(app)
+      .post('/api/public/holds')
+      .send({ businessId: business._id, serviceId: service._id, variantId: wholeHouse._id, date, time: '10:00' });
+    assert.equal(hold.status, 201);
+
+    const switched = await publicBooking(1, { holdId: hold.body.hold.id, variantId: oneRoom._id });
+    assert.equal(switched.status, 409);
+
+    const booked = await publicBooking(1, { holdId: hold.body.hold.id });
+    assert.equal(booked.status, 201);
+    assert.equal(booked.body.booking.totalAmount, 300);
+    const booking = await Booking.findById(booked.body.booking.id);
+    assert.equal(booking.duration, 180);
+    assert.equal(booking.lineItems[0].variant.name, 'Whole house');
+  });
+
+  it('books a dashboard slot for exactly one of several simultaneous requests', async () => {
+    const customer = await createCustomer(business);
+
+    const responses = await Promise.all(
+      Array.from({ length: PARALLEL_REQUESTS }, () => dashboardBooking(customer, '10:00'))
+    );
+
+    assert.deepEqual(statuses(responses), [201, ...Array(PARALLEL_REQUESTS - 1).fill(409)]);
+    const rejected = responses.find(response => response.status === 409);
+    assert.equal(rejected.body.conflicts.length, 1);
+    assert.equal(await Booking.countDocuments({ userId: business._id }), 1);
+  });
+
+  it('lets only one of two bookings be moved into the same slot at once', async () => {
+    const customer = await createCustomer(business);
+    const first = await dashboardBooking(customer, '09:00');
+    const second = await dashboardBooking(customer, '12:00');
+    assert.equal(first.status, 201);
+    assert.equal(second.status, 201);
+
+    const responses = await Promise.all([first, second].map(created => request(app)
+      .put(`/api/bookings/${created.body.booking._id}`)
+      .set('Authorization', authHeader(business))
+      .send({ time: '15:00' })));
+
+    assert.deepEqual(statuses(responses), [200, 409]);
+    assert.equal(await Booking.countDocuments({ time: '15:00' }), 1);
+  });
+
+  it('lets only one of two calendar drags land on the same slot', async () => {
+    const customer = await createCustomer(business);
+    const first = await dashboardBooking(customer, '09:00');
+    const second = await dashboardBooking(customer, '12:00');
+
+    const responses = await Promise.all([first, second].map(created => request(app)
+      .put(`/api/bookings/${created.body.booking._id}/reschedule`)
+      .set('Authorization', authHeader(business))
+      .send({ date, time: '15:00' })));
+
+    assert.deepEqual(statuses(responses), [200, 409]);
+    const rejected = responses.find(response => response.status === 409);
+    assert.equal(rejected.body.conflicts.length, 1);
+    assert.equal(await Booking.countDocuments({ time: '15:00' }), 1);
+  });
+
+  it('marks recurring occurrences that overlap a booking, or skips them when told to', async () => {
+    const customer = await createCustomer(business);
+    const taken = daysFromNow(14);
+    assert.equal((await dashboardBooking(customer, '10:00', { date: taken })).status, 201);
+
+    const series = (fields = {}) => request(app)
+      .post('/api/bookings')
+      .set('Authorization', authHeader(business))
+      .send({
+        customerId: customer._id,
+        serviceId: service._id,
+        date,
+        time: '10:00',
+        recurringRule: { frequency: 'weekly', count: 3 },
+        ...fields
+      });
+
+    const marked = await series();
+    assert.equal(marked.status, 201);
+    assert.equal(marked.body.count, 3);
+    assert.deepEqual(marked.body.conflictDates, [taken]);
+    const flagged = await Booking.find({ seriesId: marked.body.seriesId, hasConflicts: true });
+    assert.deepEqual(flagged.map(occurrence => occurrence.date.toISOString().slice(0, 10)), [taken]);
+    assert.equal(flagged[0].conflictsWith.length, 1);
+
+    await Booking.deleteMany({ seriesId: marked.body.seriesId });
+    const skipped = await series({ skipConflicts: true });
+    assert.equal(skipped.status, 201);
+    assert.equal(skipped.body.count, 2);
+    assert.deepEqual(skipped.body.skippedDates, [taken]);
+    assert.equal(await Booking.countDocuments({ seriesId: skipped.body.seriesId, hasConflicts: true }), 0);
+  });
+
+  it('never leaves two active bookings overlapping after a burst of mixed requests', async () => {
+    const customer = await createCustomer(business);
+    const existing = await dashboardBooking(customer, '09:00');
+
+    await Promise.all([
+      ...Array.from({ length: 4 }, (_, index) => publicBooking(index, { time: '11:00' })),
+      dashboardBooking(customer, '11:00'),
+      request(app)
+        .put(`/api/bookings/${existing.body.booking._id}/reschedule`)
+        .set('Authorization', authHeader(business))
+        .send({ date, time: '11:00' })
+    ]);
+
+    const bookings = await Booking.find({ userId: business._id }).sort({ blockedStartDateTime: 1 });
+    for (let index = 1; index < bookings.length; index++) {
+      assert.ok(
+        bookings[index].blockedStartDateTime >= bookings[index - 1].blockedEndDateTime,
+        `${bookings[index - 1].time} and ${bookings[index].time} overlap`
+      );
+    }
+  });
+});
@@ -0,0 +1,62 @@
+// Ethiopian (Ge'ez) calendar conversion. The year has twelve 30-day months
+// plus Pagume, which has 5 days (6 in the year before a Gregorian leap year).
+// Conversions go through the Julian Day Number and work on calendar dates
+// ('YYYY-MM-DD'), never on instants, so they are timezone-free.
+import { toDateString, getZonedParts, DEFAULT_TIMEZONE } from './timezone.js';
+
+// Julian Day Number of 1 Meskerem, year 0 (Amete Mihret era). Counting from
+// year 0 puts the leap year (y % 4 === 3) last in each 4-year cycle.
+const ETHIOPIAN_EPOCH = 1723856;
+// Julian Day Number of 1970-01-01
+const UNIX_EPOCH = 2440588;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const ETHIOPIAN_MONTHS = {
+  en: ['Meskerem', 'Tikimt', 'Hidar', 'Tahsas', 'Tir', 'Yekatit', 'Megabit', 'Miyazya', 'Ginbot', 'Sene', 'Hamle', 'Nehase', 'Pagume'],
+  am: ['መስከረም', 'ጥቅምት', 'ኅዳር', 'ታኅሣሥ', 'ጥር', 'የካቲት', 'መጋቢት', 'ሚያዝያ', 'ግንቦት', 'ሰኔ', 'ሐምሌ', 'ነሐሴ', 'ጳጉሜን'],
+  or: ['Fulbaana', 'Onkoloolessa', 'Sadaasa', 'Muddee', 'Amajjii', 'Guraandhala', 'Bitootessa', 'Ebla', 'Caamsaa', 'Waxabajjii', 'Adoolessa', 'Hagayya', 'Qaammee']
+};
+
+// Ethiopian year, month (1-13) and day of a calendar date
+export const toEthiopian = (dateValue) => {
+  const jdn = Date.parse(`${toDateString(dateValue)}T00:00:00Z`) / DAY_MS + UNIX_EPOCH;
+  const daysSinceEpoch = jdn - ETHIOPIAN_EPOCH;
+  const r = ((daysSinceEpoch % 1461) + 1461) % 1461;
+  const n = (r % 365) + 365 * Math.floor(r / 1460);
+
+  return {
+    year: 4 * Math.floor(daysSinceEpoch / 1461) + Math.floor(r / 365) - Math.floor(r / 1460),
+    month: Math.floor(n / 30) + 1,
+    day: (n % 30) + 1
+  };
+};
+
+// Gregorian 'YYYY-MM-DD' of an Ethiopian date
+export const fromEthiopian = (year, month, day) => {
+  const jdn = ETHIOPIAN_EPOCH + 365 * year + Math.floor(year / 4) + 30 * (month - 1) + day - 1;
+  return new Date((jdn - UNIX_EPOCH) * DAY_MS).toISOString().slice(0, 10);
+};
+
+// Amharic and Afan Oromo readers get Ethiopian dates, as does anyone who
+// picked the Ethiopian calendar in their settings
+export const usesEthiopianCalendar = (language, calendar) => {
+  return calendar === 'ethiopian' || ['am', 'or'].includes(language);
+};
+
+// Format a calendar date, e.g. 'መስከረም 1, 2019' or 'Sep 11, 2026'
+export const formatCalendarDate = (dateValue, { language = 'en', calendar } = {}) => {
+  const dateString = toDateString(dateValue);
+
+  if (!usesEthiopianCalendar(language, calendar)) {
+    return new Date(`${dateString}T00:00:00Z`).toLocaleDateString('en-US', { timeZone: 'UTC' });
+  }
+
+  const { year, month, day } = toEthiopian(dateString);
+  const months = ETHIOPIAN_MONTHS[language] || ETHIOPIAN_MONTHS.en;
+  return `${months[month - 1]} ${day}, ${year}`;
+};
+
+// Format the local calendar date of an instant in the given timezone
+export const formatInstantDate = (instant, timeZone = DEFAULT_TIMEZONE, options = {}) => {
+  return formatCalendarDate(getZonedParts(instant, timeZone).date, options);
+};
@@ -0,0 +1,53 @@
+// Signed links that let a customer act on a booking without logging in: the
+// manage link for a public booking and the claim link for a waitlist offer.
+// Tokens are JWTs signed with the app secret under their own purpose, so they
+// can never be used as a login token (or for each other's purpose).
+import jwt from 'jsonwebtoken';
+
+const MANAGE_PURPOSE = 'manage-booking';
+const CLAIM_PURPOSE = 'claim-waitlist';
+const MANAGE_LINK_TTL = '180d';
+
+// CORS_ORIGIN is where the frontend is served
+const getFrontendOrigin = () => process.env.CORS_ORIGIN || 'http://localhost:5173';
+
+const signLinkToken = (purpose, subjectId, expiresIn) => {
+  return jwt.sign(
+    { subjectId: subjectId.toString(), purpose },
+    process.env.JWT_SECRET,
+    { expiresIn }
+  );
+};
+
+// Id the token was issued for, or null if it is invalid, expired or for
+// another purpose
+const verifyLinkToken = (purpose, token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded.subjectId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const createManageToken = (booking) => signLinkToken(MANAGE_PURPOSE, booking._id, MANAGE_LINK_TTL);
+
+// Booking id from a manage token
+export const verifyManageToken = (token) => verifyLinkToken(MANAGE_PURPOSE, token);
+
+export const getManageUrl = (booking) => {
+  return `${getFrontendOrigin()}/manage/${createManageToken(booking)}`;
+};
+
+// Claim links stop working when the offer does
+export const createClaimToken = (entry) => {
+  const secondsLeft = Math.max(1, Math.ceil((entry.offer.expiresAt.getTime() - Date.now()) / 1000));
+  return signLinkToken(CLAIM_PURPOSE, entry._id, secondsLeft);
+};
+
+// Waitlist entry id from a claim token
+export const verifyClaimToken = (token) => verifyLinkToken(CLAIM_PURPOSE, token);
+
+export const getClaimUrl = (entry) => {
+  return `${getFrontendOrigin()}/waitlist/claim/${createClaimToken(entry)}`;
+};
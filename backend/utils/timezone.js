@@ -0,0 +1,117 @@
+// Timezone helpers built on Intl so that scheduling never depends on the
+// server's own TZ setting. Calendar dates travel as 'YYYY-MM-DD' strings and
+// wall times as 'HH:MM' strings; instants are plain Date objects (UTC).
+
+export const DEFAULT_TIMEZONE = 'Africa/Addis_Ababa';
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const formatterCache = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timeZone);
+};
+
+const pad = (value) => value.toString().padStart(2, '0');
+
+// Check that a string is an IANA timezone name the runtime understands
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock parts of an instant in the given timezone
+export const getZonedParts = (instant, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(instant))) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+
+  const date = `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+  return {
+    ...parts,
+    date,
+    time: `${pad(parts.hour)}:${pad(parts.minute)}`,
+    dayOfWeek: DAY_NAMES[new Date(`${date}T00:00:00Z`).getUTCDay()]
+  };
+};
+
+// Offset (ms) between the timezone's wall clock and UTC at the given instant
+const getOffset = (instant, timeZone) => {
+  const parts = getZonedParts(instant, timeZone);
+  const wallClockAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClockAsUtc - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+// Normalise a Date or date-like string to its 'YYYY-MM-DD' calendar date.
+// Dates stored on bookings are UTC midnight of the business-local day.
+export const toDateString = (value) => {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  return new Date(value).toISOString().slice(0, 10);
+};
+
+// Day name ('monday', ...) of a calendar date
+export const getDayOfWeek = (dateValue) => {
+  return DAY_NAMES[new Date(`${toDateString(dateValue)}T00:00:00Z`).getUTCDay()];
+};
+
+// Instant at which the wall clock in `timeZone` shows `date` `time`
+export const zonedTimeToUtc = (dateValue, time = '00:00', timeZone = DEFAULT_TIMEZONE) => {
+  const [year, month, day] = toDateString(dateValue).split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hours, minutes);
+
+  // Re-check the offset at the candidate instant to handle DST transitions
+  const firstGuess = new Date(wallClockAsUtc - getOffset(new Date(wallClockAsUtc), timeZone));
+  return new Date(wallClockAsUtc - getOffset(firstGuess, timeZone));
+};
+
+// First and last instants of a calendar day in the given timezone
+export const getZonedDayBounds = (dateValue, timeZone = DEFAULT_TIMEZONE) => {
+  const dateString = toDateString(dateValue);
+  const nextDay = new Date(`${dateString}T00:00:00Z`);
+  nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+
+  return {
+    start: zonedTimeToUtc(dateString, '00:00', timeZone),
+    end: new Date(zonedTimeToUtc(nextDay, '00:00', timeZone).getTime() - 1)
+  };
+};
+
+// Parse a range boundary: bare dates are read as business-local days,
+// anything with a time component is taken as an absolute instant
+export const parseZonedBoundary = (value, timeZone = DEFAULT_TIMEZONE, edge = 'start') => {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return getZonedDayBounds(value, timeZone)[edge];
+  }
+  return new Date(value);
+};
+
+// UTC instant plus the matching local wall time, for API responses
+export const describeInstant = (instant, timeZone = DEFAULT_TIMEZONE) => {
+  if (!instant) return null;
+  const parts = getZonedParts(instant, timeZone);
+  return {
+    utc: new Date(instant).toISOString(),
+    date: parts.date,
+    time: parts.time,
+    timezone: timeZone
+  };
+};
@@ -13,6 +13,8 @@ import Payments from './pages/Payments';
 import Settings from './pages/Settings';
 import ShareableLink from './pages/ShareableLink';
 import PublicBooking from './pages/PublicBooking';
+import ManageBooking from './pages/ManageBooking';
+import ClaimWaitlistOffer from './pages/ClaimWaitlistOffer';
 import BusinessProfile from './pages/BusinessProfile';
 import OAuthCallback from './components/OAuthCallback';
 
@@ -24,6 +26,8 @@ function App() {
           {/* Public Routes */}
           <Route path="/business/:businessId" element={<BusinessProfile />} />
           <Route path="/book/:businessId" element={<PublicBooking />} />
+          <Route path="/manage/:token" element={<ManageBooking />} />
+          <Route path="/waitlist/claim/:token" element={<ClaimWaitlistOffer />} />
           
           {/* OAuth Callback Route */}
           <Route path="/auth/google/callback" element={<OAuthCallback />} />
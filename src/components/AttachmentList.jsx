@@ -0,0 +1,180 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Paperclip, FileText, Trash2, Upload } from 'lucide-react';
+import api from '../utils/api';
+
+const ACCEPT = 'image/jpeg,image/png,image/webp,image/heic,application/pdf';
+
+const FileTile = ({ attachment }) => (
+  <div className="text-center px-1">
+    <FileText className="h-6 w-6 text-gray-400 mx-auto" />
+    <p className="text-xs text-gray-600 truncate">{attachment.filename}</p>
+  </div>
+);
+
+// An image's server-made thumbnail, fetched once the tile scrolls into view.
+// Falls back to the file tile for images without one (such as HEIC).
+const Thumbnail = ({ attachment, fetchThumbnail }) => {
+  const ref = useRef(null);
+  const [url, setUrl] = useState(null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    let objectUrl;
+    let cancelled = false;
+    const observer = new IntersectionObserver(async ([entry]) => {
+      if (!entry.isIntersecting) return;
+      observer.disconnect();
+      try {
+        objectUrl = await fetchThumbnail(attachment);
+        if (cancelled) URL.revokeObjectURL(objectUrl);
+        else setUrl(objectUrl);
+      } catch {
+        if (!cancelled) setFailed(true);
+      }
+    });
+    observer.observe(ref.current);
+
+    return () => {
+      cancelled = true;
+      observer.disconnect();
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [attachment._id]);
+
+  return (
+    <div ref={ref} className="w-full h-full flex items-center justify-center">
+      {url ? (
+        <img src={url} alt={attachment.filename} className="w-full h-full object-cover" />
+      ) : failed ? (
+        <FileTile attachment={attachment} />
+      ) : null}
+    </div>
+  );
+};
+
+// Photos and documents of a booking or customer, with thumbnails for images.
+// `basePath` is the API path of the list, e.g. `/bookings/${id}/attachments`.
+// Files are fetched through the API client because they need the signed-in
+// user's token.
+const AttachmentList = ({ basePath, canDelete = true }) => {
+  const { t } = useTranslation();
+  const [attachments, setAttachments] = useState([]);
+  const [uploading, setUploading] = useState(false);
+
+  useEffect(() => {
+    fetchAttachments();
+  }, [basePath]);
+
+  const fetchFile = async (path) => {
+    const response = await api.get(path, { responseType: 'blob' });
+    return URL.createObjectURL(response.data);
+  };
+
+  const fetchThumbnail = (attachment) => fetchFile(`${basePath}/${attachment._id}/thumbnail`);
+
+  const fetchAttachments = async () => {
+    try {
+      const response = await api.get(basePath);
+      setAttachments(response.data.attachments);
+    } catch (error) {
+      console.error('Error fetching attachments:', error);
+    }
+  };
+
+  const handleUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setUploading(true);
+    try {
+      await api.post(basePath, file, {
+        headers: { 'Content-Type': file.type },
+        params: { filename: file.name }
+      });
+      fetchAttachments();
+    } catch (error) {
+      console.error('Error uploading attachment:', error);
+      alert(error.response?.data?.message || t('attachments.uploadFailed'));
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleOpen = async (attachment) => {
+    try {
+      const url = await fetchFile(`${basePath}/${attachment._id}`);
+      window.open(url, '_blank');
+      // The opened tab has loaded it by then
+      setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+    } catch (error) {
+      console.error('Error opening attachment:', error);
+    }
+  };
+
+  const handleDelete = async (attachment) => {
+    if (!window.confirm(t('attachments.deleteConfirm'))) return;
+    try {
+      await api.delete(`${basePath}/${attachment._id}`);
+      fetchAttachments();
+    } catch (error) {
+      console.error('Error deleting attachment:', error);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center space-x-2">
+          <Paperclip className="h-4 w-4 text-gray-500" />
+          <label className="text-sm font-medium text-gray-700">{t('attachments.title')}</label>
+        </div>
+        <label className={`flex items-center space-x-1 text-sm text-blue-600 hover:text-blue-700 cursor-pointer ${uploading ? 'opacity-50 pointer-events-none' : ''}`}>
+          <Upload className="h-4 w-4" />
+          <span>{uploading ? t('attachments.uploading') : t('attachments.upload')}</span>
+          <input type="file" accept={ACCEPT} onChange={handleUpload} className="hidden" />
+        </label>
+      </div>
+
+      {attachments.length === 0 && (
+        <p className="text-sm text-gray-500">{t('attachments.none')}</p>
+      )}
+
+      <div className="grid grid-cols-3 gap-2">
+        {attachments.map((attachment) => (
+          <div key={attachment._id} className="relative group">
+            <button
+              type="button"
+              onClick={() => handleOpen(attachment)}
+              title={attachment.filename}
+              className="w-full h-20 rounded-lg border border-gray-200 overflow-hidden flex items-center justify-center bg-gray-50"
+            >
+              {attachment.isImage ? (
+                <Thumbnail attachment={attachment} fetchThumbnail={fetchThumbnail} />
+              ) : (
+                <FileTile attachment={attachment} />
+              )}
+            </button>
+            {canDelete && (
+              <button
+                type="button"
+                onClick={() => handleDelete(attachment)}
+                className="absolute top-1 right-1 p-1 bg-white rounded-full shadow text-gray-500 hover:text-red-600 opacity-0 group-hover:opacity-100"
+              >
+                <Trash2 className="h-3 w-3" />
+              </button>
+            )}
+            {attachment.uploadedBy?.type === 'customer' && (
+              <span className="absolute bottom-1 left-1 px-1 text-[10px] bg-white/90 rounded text-gray-600">
+                {t('bookings.history.actors.customer')}
+              </span>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default AttachmentList;
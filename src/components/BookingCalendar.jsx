@@ -0,0 +1,488 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useTranslation } from 'react-i18next';
+import { DndProvider, useDrag, useDrop } from 'react-dnd';
+import { HTML5Backend } from 'react-dnd-html5-backend';
+import { ChevronLeft, ChevronRight, AlertTriangle } from 'lucide-react';
+import api from '../utils/api';
+import { useAuth } from '../contexts/AuthContext';
+import { formatCalendarDate } from '../utils/ethiopianCalendar';
+
+const BOOKING_ITEM = 'booking';
+const SLOT_MINUTES = 30;
+const SLOT_HEIGHT = 32;
+const RESIZE_STEP_MINUTES = 15;
+const MIN_DURATION = 15;
+const DEFAULT_HOURS = { start: '08:00', end: '18:00' };
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Days are 'YYYY-MM-DD' strings and times 'HH:MM' strings on the business's
+// wall clock, as the API sends them. Date objects are only used for UTC day
+// arithmetic, so the browser's own timezone never shifts a booking.
+const parseDay = (day) => new Date(`${day}T00:00:00Z`);
+
+const addDays = (day, count) => {
+  const date = parseDay(day);
+  date.setUTCDate(date.getUTCDate() + count);
+  return date.toISOString().slice(0, 10);
+};
+
+const getWeekday = (day) => DAYS[parseDay(day).getUTCDay()];
+
+// Weeks start on Monday, like businessHours
+const startOfWeek = (day) => addDays(day, -((parseDay(day).getUTCDay() + 6) % 7));
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const toTime = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+const getToday = (timeZone) => new Intl.DateTimeFormat('en-CA', {
+  timeZone,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+}).format(new Date());
+
+const getRange = (view, anchor) => {
+  if (view === 'day') return { start: anchor, end: anchor };
+  if (view === 'week') return { start: startOfWeek(anchor), end: addDays(startOfWeek(anchor), 6) };
+
+  const firstOfMonth = `${anchor.slice(0, 7)}-01`;
+  const lastOfMonth = addDays(`${addDays(firstOfMonth, 31).slice(0, 7)}-01`, -1);
+  return { start: startOfWeek(firstOfMonth), end: addDays(startOfWeek(lastOfMonth), 6) };
+};
+
+const listDays = (start, end) => {
+  const days = [];
+  for (let day = start; day <= end; day = addDays(day, 1)) days.push(day);
+  return days;
+};
+
+// Opening hours per weekday across everyone who takes bookings
+const mergeHours = (staff) => {
+  const hours = {};
+  for (const day of DAYS) {
+    const open = staff
+      .map(member => member.businessHours?.[day])
+      .filter(dayHours => dayHours?.isOpen && dayHours.start && dayHours.end);
+    hours[day] = open.length === 0 ? null : {
+      start: toMinutes(open.map(dayHours => dayHours.start).sort()[0]),
+      end: toMinutes(open.map(dayHours => dayHours.end).sort().reverse()[0])
+    };
+  }
+  return hours;
+};
+
+// Calendar events as flat items placed on the business's wall clock
+const toItems = (events) => events.map(event => {
+  const start = toMinutes(event.extendedProps.localStart.time);
+  const duration = Math.round((new Date(event.end) - new Date(event.start)) / 60000);
+  return {
+    id: event.id,
+    title: event.title,
+    color: event.backgroundColor,
+    date: event.extendedProps.localStart.date,
+    start,
+    duration: Math.min(duration, 24 * 60 - start),
+    status: event.extendedProps.status,
+    staffName: event.extendedProps.staffName,
+    hasConflicts: event.extendedProps.hasConflicts
+  };
+});
+
+// Side-by-side lanes for overlapping bookings on one day
+const layoutDay = (items) => {
+  const laneEnds = [];
+  const placed = [...items]
+    .sort((a, b) => a.start - b.start)
+    .map(item => {
+      let lane = laneEnds.findIndex(end => end <= item.start);
+      if (lane === -1) lane = laneEnds.length;
+      laneEnds[lane] = item.start + item.duration;
+      return { ...item, lane };
+    });
+  return placed.map(item => ({ ...item, lanes: laneEnds.length }));
+};
+
+const EventBlock = ({ item, gridStart, onClick, onResize }) => {
+  const { t } = useTranslation();
+  const [previewDuration, setPreviewDuration] = useState(null);
+  const resizing = useRef(false);
+  const [{ isDragging }, drag] = useDrag(() => ({
+    type: BOOKING_ITEM,
+    item: { id: item.id, date: item.date, time: toTime(item.start), duration: item.duration },
+    canDrag: () => !resizing.current,
+    collect: (monitor) => ({ isDragging: monitor.isDragging() })
+  }), [item]);
+
+  // Drag the bottom edge to change the duration, in 15-minute steps
+  const handleResizeStart = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const startY = e.clientY;
+    let duration = item.duration;
+    resizing.current = true;
+
+    const handleMove = (moveEvent) => {
+      const minutes = ((moveEvent.clientY - startY) / SLOT_HEIGHT) * SLOT_MINUTES;
+      duration = Math.max(MIN_DURATION, item.duration + Math.round(minutes / RESIZE_STEP_MINUTES) * RESIZE_STEP_MINUTES);
+      setPreviewDuration(duration);
+    };
+
+    const handleUp = () => {
+      window.removeEventListener('mousemove', handleMove);
+      window.removeEventListener('mouseup', handleUp);
+      setPreviewDuration(null);
+      // Let the click that ends the resize pass before dragging is allowed again
+      setTimeout(() => {
+        resizing.current = false;
+      }, 0);
+      if (duration !== item.duration) onResize(item, duration);
+    };
+
+    window.addEventListener('mousemove', handleMove);
+    window.addEventListener('mouseup', handleUp);
+  };
+
+  const duration = previewDuration ?? item.duration;
+  const width = 100 / item.lanes;
+
+  return (
+    <div
+      ref={drag}
+      onClick={(e) => {
+        e.stopPropagation();
+        if (!resizing.current) onClick(item);
+      }}
+      className={`absolute rounded-md px-2 py-1 text-xs text-white overflow-hidden cursor-move shadow-sm ${
+        item.hasConflicts ? 'ring-2 ring-red-500' : ''
+      } ${isDragging ? 'opacity-50' : ''}`}
+      style={{
+        top: ((item.start - gridStart) / SLOT_MINUTES) * SLOT_HEIGHT,
+        height: Math.max((duration / SLOT_MINUTES) * SLOT_HEIGHT - 2, 16),
+        left: `${item.lane * width}%`,
+        width: `calc(${width}% - 2px)`,
+        backgroundColor: item.color
+      }}
+      title={item.hasConflicts ? t('bookings.calendar.conflict') : item.title}
+    >
+      <div className="flex items-center space-x-1 font-medium">
+        {item.hasConflicts && <AlertTriangle className="h-3 w-3 flex-shrink-0" />}
+        <span className="truncate">{toTime(item.start)} {item.title}</span>
+      </div>
+      {item.staffName && <div className="truncate opacity-90">{item.staffName}</div>}
+      <div
+        onMouseDown={handleResizeStart}
+        className="absolute bottom-0 left-0 right-0 h-2 cursor-ns-resize"
+      />
+    </div>
+  );
+};
+
+const SlotCell = ({ day, minutes, isOpen, onMove, onCreate }) => {
+  const [{ isOver }, drop] = useDrop(() => ({
+    accept: BOOKING_ITEM,
+    drop: (dragged) => onMove(dragged, { date: day, time: toTime(minutes) }),
+    collect: (monitor) => ({ isOver: monitor.isOver() })
+  }), [day, minutes, onMove]);
+
+  return (
+    <div
+      ref={drop}
+      onClick={() => onCreate(day, toTime(minutes))}
+      className={`border-t ${minutes % 60 === 0 ? 'border-gray-200' : 'border-gray-100 border-dashed'} ${
+        isOver ? 'bg-blue-100' : isOpen ? 'hover:bg-blue-50' : 'bg-gray-50'
+      } cursor-pointer`}
+      style={{ height: SLOT_HEIGHT }}
+    />
+  );
+};
+
+const MonthCell = ({ day, inMonth, isToday, items, label, onMove, onCreate, onOpen }) => {
+  const [{ isOver }, drop] = useDrop(() => ({
+    accept: BOOKING_ITEM,
+    // Moving to another day keeps the time of day
+    drop: (dragged) => onMove(dragged, { date: day, time: dragged.time }),
+    collect: (monitor) => ({ isOver: monitor.isOver() })
+  }), [day, onMove]);
+
+  return (
+    <div
+      ref={drop}
+      onClick={() => onCreate(day)}
+      className={`min-h-[96px] border-t border-l border-gray-200 p-1 cursor-pointer ${
+        isOver ? 'bg-blue-100' : inMonth ? 'bg-white hover:bg-blue-50' : 'bg-gray-50'
+      }`}
+    >
+      <div className={`text-xs mb-1 ${isToday ? 'font-bold text-blue-600' : 'text-gray-500'}`}>{label}</div>
+      <div className="space-y-1">
+        {items.map(item => (
+          <MonthChip key={item.id} item={item} onOpen={onOpen} />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const MonthChip = ({ item, onOpen }) => {
+  const [{ isDragging }, drag] = useDrag(() => ({
+    type: BOOKING_ITEM,
+    item: { id: item.id, date: item.date, time: toTime(item.start), duration: item.duration },
+    collect: (monitor) => ({ isDragging: monitor.isDragging() })
+  }), [item]);
+
+  return (
+    <div
+      ref={drag}
+      onClick={(e) => {
+        e.stopPropagation();
+        onOpen(item);
+      }}
+      className={`truncate rounded px-1 text-xs text-white cursor-move ${item.hasConflicts ? 'ring-2 ring-red-500' : ''} ${
+        isDragging ? 'opacity-50' : ''
+      }`}
+      style={{ backgroundColor: item.color }}
+    >
+      {toTime(item.start)} {item.title}
+    </div>
+  );
+};
+
+// Day, week and month views of the bookings. Drag a booking to move it,
+// drag its bottom edge to change its length, click an empty slot to book.
+const BookingCalendar = ({ onBookingClick, onCreateAt, refreshKey }) => {
+  const { t, i18n } = useTranslation();
+  const { user } = useAuth();
+  const [view, setView] = useState('week');
+  const [timezone, setTimezone] = useState(user?.timezone || 'Africa/Addis_Ababa');
+  const [anchor, setAnchor] = useState(() => getToday(user?.timezone || 'Africa/Addis_Ababa'));
+  const [items, setItems] = useState([]);
+  const [hours, setHours] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const range = getRange(view, anchor);
+  const dateOptions = { language: i18n.language, calendar: user?.calendar };
+  const locale = i18n.language === 'am' ? 'am-ET' : i18n.language === 'or' ? 'om-ET' : 'en-US';
+
+  useEffect(() => {
+    fetchHours();
+  }, []);
+
+  useEffect(() => {
+    fetchEvents();
+  }, [view, anchor, refreshKey]);
+
+  const fetchHours = async () => {
+    try {
+      const response = await api.get('/staff');
+      setHours(mergeHours(response.data.staff.filter(member => member.acceptsBookings !== false)));
+    } catch (error) {
+      console.error('Error fetching business hours:', error);
+    }
+  };
+
+  const fetchEvents = async () => {
+    setLoading(true);
+    try {
+      const response = await api.get('/bookings/calendar/view', {
+        params: { startDate: range.start, endDate: range.end }
+      });
+      setTimezone(response.data.timezone);
+      setItems(toItems(response.data.events));
+    } catch (error) {
+      console.error('Error fetching calendar:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const reschedule = async (id, changes, force = false) => {
+    try {
+      await api.put(`/bookings/${id}/reschedule`, { ...changes, force });
+    } catch (error) {
+      const data = error.response?.data;
+      // Closed that day: the owner may still move it there on purpose
+      if (data?.closedDates && window.confirm(`${data.message}\n\n${t('bookings.calendar.bookAnyway')}`)) {
+        return reschedule(id, changes, true);
+      }
+      alert(data?.message || t('messages.error.general'));
+    }
+    fetchEvents();
+  };
+
+  const handleMove = (dragged, target) => {
+    if (dragged.date === target.date && dragged.time === target.time) return;
+    setItems(prev => prev.map(item => (
+      item.id === dragged.id ? { ...item, date: target.date, start: toMinutes(target.time) } : item
+    )));
+    reschedule(dragged.id, target);
+  };
+
+  const handleResize = (item, duration) => {
+    setItems(prev => prev.map(other => (other.id === item.id ? { ...other, duration } : other)));
+    reschedule(item.id, { date: item.date, time: toTime(item.start), duration });
+  };
+
+  const handleOpen = async (item) => {
+    try {
+      const response = await api.get(`/bookings/${item.id}`);
+      onBookingClick(response.data.booking);
+    } catch (error) {
+      console.error('Error fetching booking:', error);
+    }
+  };
+
+  const step = (direction) => {
+    if (view === 'day') setAnchor(addDays(anchor, direction));
+    else if (view === 'week') setAnchor(addDays(anchor, 7 * direction));
+    else setAnchor(`${addDays(`${anchor.slice(0, 7)}-15`, 30 * direction).slice(0, 7)}-01`);
+  };
+
+  const formatWeekday = (day) => new Intl.DateTimeFormat(locale, { weekday: 'short', timeZone: 'UTC' }).format(parseDay(day));
+
+  const title = view === 'month'
+    ? new Intl.DateTimeFormat(locale, { month: 'long', year: 'numeric', timeZone: 'UTC' }).format(parseDay(anchor))
+    : view === 'day'
+      ? formatCalendarDate(range.start, dateOptions)
+      : `${formatCalendarDate(range.start, dateOptions)} – ${formatCalendarDate(range.end, dateOptions)}`;
+
+  const days = listDays(range.start, range.end);
+  const today = getToday(timezone);
+
+  // The grid covers opening hours, stretched to fit any booking outside them
+  const renderTimeGrid = () => {
+    const openDays = days.map(day => hours?.[getWeekday(day)]).filter(Boolean);
+    const visibleItems = items.filter(item => days.includes(item.date));
+    let gridStart = openDays.length ? Math.min(...openDays.map(dayHours => dayHours.start)) : toMinutes(DEFAULT_HOURS.start);
+    let gridEnd = openDays.length ? Math.max(...openDays.map(dayHours => dayHours.end)) : toMinutes(DEFAULT_HOURS.end);
+    for (const item of visibleItems) {
+      gridStart = Math.min(gridStart, item.start);
+      gridEnd = Math.max(gridEnd, item.start + item.duration);
+    }
+    gridStart = Math.floor(gridStart / SLOT_MINUTES) * SLOT_MINUTES;
+    gridEnd = Math.ceil(gridEnd / SLOT_MINUTES) * SLOT_MINUTES;
+
+    const slots = [];
+    for (let minutes = gridStart; minutes < gridEnd; minutes += SLOT_MINUTES) slots.push(minutes);
+
+    return (
+      <div className="flex overflow-x-auto">
+        <div className="w-14 flex-shrink-0">
+          <div className="h-12" />
+          {slots.map(minutes => (
+            <div key={minutes} className="text-xs text-gray-400 text-right pr-2 -mt-2" style={{ height: SLOT_HEIGHT }}>
+              {minutes % 60 === 0 ? toTime(minutes) : ''}
+            </div>
+          ))}
+        </div>
+        {days.map(day => {
+          const dayHours = hours?.[getWeekday(day)];
+          return (
+            <div key={day} className="flex-1 min-w-[120px] border-l border-gray-200">
+              <div className={`h-12 text-center text-sm border-b border-gray-200 ${day === today ? 'text-blue-600 font-semibold' : 'text-gray-700'}`}>
+                <div>{formatWeekday(day)}</div>
+                <div className="text-xs">{formatCalendarDate(day, dateOptions)}</div>
+              </div>
+              <div className="relative">
+                {slots.map(minutes => (
+                  <SlotCell
+                    key={minutes}
+                    day={day}
+                    minutes={minutes}
+                    isOpen={!!dayHours && minutes >= dayHours.start && minutes < dayHours.end}
+                    onMove={handleMove}
+                    onCreate={onCreateAt}
+                  />
+                ))}
+                {layoutDay(visibleItems.filter(item => item.date === day)).map(item => (
+                  <EventBlock
+                    key={item.id}
+                    item={item}
+                    gridStart={gridStart}
+                    onClick={handleOpen}
+                    onResize={handleResize}
+                  />
+                ))}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    );
+  };
+
+  const renderMonth = () => {
+    const month = anchor.slice(0, 7);
+    const openingTime = (day) => {
+      const dayHours = hours?.[getWeekday(day)];
+      return dayHours ? toTime(dayHours.start) : DEFAULT_HOURS.start;
+    };
+
+    return (
+      <div className="border-r border-b border-gray-200">
+        <div className="grid grid-cols-7">
+          {days.slice(0, 7).map(day => (
+            <div key={day} className="text-center text-xs font-medium text-gray-500 py-2">{formatWeekday(day)}</div>
+          ))}
+        </div>
+        <div className="grid grid-cols-7">
+          {days.map(day => (
+            <MonthCell
+              key={day}
+              day={day}
+              inMonth={day.startsWith(month)}
+              isToday={day === today}
+              label={Number(day.slice(8))}
+              items={items.filter(item => item.date === day).sort((a, b) => a.start - b.start)}
+              onMove={handleMove}
+              onCreate={(date) => onCreateAt(date, openingTime(date))}
+              onOpen={handleOpen}
+            />
+          ))}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <DndProvider backend={HTML5Backend}>
+      <div className="bg-white rounded-xl shadow-sm p-6">
+        <div className="flex flex-wrap justify-between items-center gap-4 mb-4">
+          <div className="flex items-center space-x-2">
+            <button onClick={() => step(-1)} className="p-2 hover:bg-gray-100 rounded-lg transition-colors duration-200">
+              <ChevronLeft className="h-5 w-5 text-gray-600" />
+            </button>
+            <button
+              onClick={() => setAnchor(today)}
+              className="px-3 py-1 text-sm border border-gray-300 rounded-lg hover:bg-gray-50"
+            >
+              {t('common.today')}
+            </button>
+            <button onClick={() => step(1)} className="p-2 hover:bg-gray-100 rounded-lg transition-colors duration-200">
+              <ChevronRight className="h-5 w-5 text-gray-600" />
+            </button>
+            <h2 className="text-lg font-semibold text-gray-900 ml-2">{title}</h2>
+            {loading && <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600"></div>}
+          </div>
+          <div className="flex rounded-lg border border-gray-300 overflow-hidden">
+            {['day', 'week', 'month'].map(option => (
+              <button
+                key={option}
+                onClick={() => setView(option)}
+                className={`px-3 py-1 text-sm ${view === option ? 'bg-blue-600 text-white' : 'text-gray-700 hover:bg-gray-50'}`}
+              >
+                {t(`bookings.calendar.${option}`)}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {view === 'month' ? renderMonth() : renderTimeGrid()}
+      </div>
+    </DndProvider>
+  );
+};
+
+export default BookingCalendar;
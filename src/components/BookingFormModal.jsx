@@ -0,0 +1,365 @@
+import React, { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { X, Plus, Trash2 } from 'lucide-react';
+import api from '../utils/api';
+
+// Create a booking for an existing customer, optionally starting from a
+// date and time picked on the calendar. A booking can cover several
+// services, each with its option and add-ons, a quantity and an optional
+// price override. A booking can also start a daily, weekly or monthly
+// series; dates that clash with other bookings are booked and flagged, or
+// left out when the owner asks to skip them.
+const BookingFormModal = ({ initialDate = '', initialTime = '', onClose, onCreated }) => {
+  const { t } = useTranslation();
+  const [customers, setCustomers] = useState([]);
+  const [services, setServices] = useState([]);
+  const [staff, setStaff] = useState([]);
+  const [formData, setFormData] = useState({
+    customerId: '',
+    staffId: '',
+    date: initialDate,
+    time: initialTime,
+    notes: ''
+  });
+  const [lineItems, setLineItems] = useState([{ serviceId: '', variantId: '', addOnIds: [], quantity: 1, price: '' }]);
+  const [repeat, setRepeat] = useState({ frequency: '', interval: 1, count: 4, skipConflicts: false });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchOptions();
+  }, []);
+
+  const fetchOptions = async () => {
+    try {
+      const [customersResponse, servicesResponse, staffResponse] = await Promise.all([
+        api.get('/customers'),
+        api.get('/services'),
+        api.get('/staff')
+      ]);
+      setCustomers(customersResponse.data.customers);
+      setServices(servicesResponse.data.services.filter(service => service.isActive !== false));
+      setStaff(staffResponse.data.staff);
+    } catch (error) {
+      console.error('Error fetching booking options:', error);
+    }
+  };
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const updateRepeat = (field, value) => {
+    setRepeat(current => ({ ...current, [field]: value }));
+  };
+
+  const updateLineItem = (index, field, value) => {
+    setLineItems(items => items.map((item, itemIndex) => (itemIndex === index ? { ...item, [field]: value } : item)));
+  };
+
+  // A new service starts on its first option with no add-ons
+  const selectService = (index, serviceId) => {
+    const service = services.find(option => option._id === serviceId);
+    setLineItems(items => items.map((item, itemIndex) => (itemIndex === index
+      ? { ...item, serviceId, variantId: service?.variants?.[0]?._id || '', addOnIds: [] }
+      : item)));
+  };
+
+  const toggleAddOn = (index, addOnId) => {
+    const { addOnIds } = lineItems[index];
+    updateLineItem(index, 'addOnIds', addOnIds.includes(addOnId)
+      ? addOnIds.filter(id => id !== addOnId)
+      : [...addOnIds, addOnId]);
+  };
+
+  const addLineItem = () => {
+    setLineItems(items => [...items, { serviceId: '', variantId: '', addOnIds: [], quantity: 1, price: '' }]);
+  };
+
+  const removeLineItem = (index) => {
+    setLineItems(items => items.filter((item, itemIndex) => itemIndex !== index));
+  };
+
+  // Totals as the server will work them out, before any day or time surcharges
+  const totals = lineItems.reduce((sum, item) => {
+    const service = services.find(option => option._id === item.serviceId);
+    if (!service) return sum;
+    const variant = service.variants?.find(option => option._id === item.variantId);
+    const addOns = (service.addOns || []).filter(addOn => item.addOnIds.includes(addOn._id));
+    const duration = (variant ? variant.duration : service.duration) + addOns.reduce((total, addOn) => total + addOn.duration, 0);
+    const price = (variant ? variant.price : service.price) + addOns.reduce((total, addOn) => total + addOn.price, 0);
+    const quantity = Number(item.quantity) || 1;
+    return {
+      duration: sum.duration + duration * quantity,
+      amount: sum.amount + (item.price === '' ? price : Number(item.price)) * quantity
+    };
+  }, { duration: 0, amount: 0 });
+
+  const submit = async (force = false) => {
+    setSaving(true);
+    setError('');
+
+    try {
+      const response = await api.post('/bookings', {
+        ...formData,
+        lineItems: lineItems.map(item => ({
+          serviceId: item.serviceId,
+          variantId: item.variantId || undefined,
+          addOnIds: item.addOnIds,
+          quantity: Number(item.quantity) || 1,
+          price: item.price === '' ? undefined : Number(item.price)
+        })),
+        staffId: formData.staffId || undefined,
+        recurringRule: repeat.frequency
+          ? { frequency: repeat.frequency, interval: Number(repeat.interval) || 1, count: Number(repeat.count) || 1 }
+          : undefined,
+        skipConflicts: repeat.frequency ? repeat.skipConflicts : undefined,
+        force
+      });
+      const { conflictDates = [], skippedDates = [] } = response.data;
+      if (conflictDates.length > 0) {
+        window.alert(t('bookings.recurring.conflictsMarked', { dates: conflictDates.join(', ') }));
+      } else if (skippedDates.length > 0) {
+        window.alert(t('bookings.recurring.conflictsSkipped', { dates: skippedDates.join(', ') }));
+      }
+      onCreated(response.data.booking);
+    } catch (error) {
+      const data = error.response?.data;
+      // Closed that day: the owner may still book on purpose
+      if (data?.closedDates && window.confirm(`${data.message}\n\n${t('bookings.calendar.bookAnyway')}`)) {
+        return submit(true);
+      }
+      setError(data?.message || t('messages.error.general'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    submit();
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-xl p-6 max-w-md w-full mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold">{t('bookings.createBooking')}</h3>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 rounded-lg transition-colors duration-200"
+          >
+            <X className="h-5 w-5 text-gray-500" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">{t('bookings.customer')}</label>
+            <select name="customerId" required value={formData.customerId} onChange={handleChange} className={inputClass}>
+              <option value="">{t('bookings.selectCustomer')}</option>
+              {customers.map((customer) => (
+                <option key={customer._id} value={customer._id}>{customer.name}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">{t('bookings.serviceType')}</label>
+            <div className="space-y-2">
+              {lineItems.map((item, index) => {
+                const service = services.find(option => option._id === item.serviceId);
+                return (
+                <div key={index} className="space-y-2">
+                <div className="flex items-center space-x-2">
+                  <select
+                    required
+                    value={item.serviceId}
+                    onChange={(e) => selectService(index, e.target.value)}
+                    className={`${inputClass} flex-1`}
+                  >
+                    <option value="">{t('bookings.selectService')}</option>
+                    {services.map((service) => (
+                      <option key={service._id} value={service._id}>
+                        {service.name} ({service.duration} {t('services.minutes')})
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    min="1"
+                    step="1"
+                    title={t('bookings.lineItems.quantity')}
+                    value={item.quantity}
+                    onChange={(e) => updateLineItem(index, 'quantity', e.target.value)}
+                    className={`${inputClass} w-16`}
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    title={t('bookings.lineItems.price')}
+                    placeholder={t('bookings.lineItems.price')}
+                    value={item.price}
+                    onChange={(e) => updateLineItem(index, 'price', e.target.value)}
+                    className={`${inputClass} w-24`}
+                  />
+                  {lineItems.length > 1 && (
+                    <button
+                      type="button"
+                      onClick={() => removeLineItem(index)}
+                      title={t('bookings.lineItems.remove')}
+                      className="p-2 text-gray-400 hover:text-red-600"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  )}
+                </div>
+                {service?.variants?.length > 0 && (
+                  <select
+                    value={item.variantId}
+                    onChange={(e) => updateLineItem(index, 'variantId', e.target.value)}
+                    className={inputClass}
+                  >
+                    {service.variants.map((variant) => (
+                      <option key={variant._id} value={variant._id}>
+                        {variant.name} (${variant.price}, {variant.duration} {t('services.minutes')})
+                      </option>
+                    ))}
+                  </select>
+                )}
+                {service?.addOns?.length > 0 && (
+                  <div className="flex flex-wrap gap-3">
+                    {service.addOns.map((addOn) => (
+                      <label key={addOn._id} className="flex items-center space-x-1 text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={item.addOnIds.includes(addOn._id)}
+                          onChange={() => toggleAddOn(index, addOn._id)}
+                          className="rounded border-gray-300"
+                        />
+                        <span>{addOn.name} (+${addOn.price})</span>
+                      </label>
+                    ))}
+                  </div>
+                )}
+                </div>
+                );
+              })}
+            </div>
+            <div className="flex justify-between items-center mt-2">
+              <button
+                type="button"
+                onClick={addLineItem}
+                className="flex items-center space-x-1 text-sm text-blue-600 hover:text-blue-700"
+              >
+                <Plus className="h-4 w-4" />
+                <span>{t('bookings.lineItems.add')}</span>
+              </button>
+              {totals.duration > 0 && (
+                <span className="text-sm text-gray-600">
+                  {t('bookings.lineItems.total', { duration: totals.duration, amount: Math.round(totals.amount * 100) / 100 })}
+                </span>
+              )}
+            </div>
+          </div>
+
+          {staff.length > 1 && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">{t('bookings.assignedTo')}</label>
+              <select name="staffId" value={formData.staffId} onChange={handleChange} className={inputClass}>
+                <option value="">{t('bookings.calendar.anyStaff')}</option>
+                {staff.map((member) => (
+                  <option key={member._id} value={member._id}>{member.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">{t('bookings.selectDate')}</label>
+              <input type="date" name="date" required value={formData.date} onChange={handleChange} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">{t('bookings.selectTime')}</label>
+              <input type="time" name="time" required value={formData.time} onChange={handleChange} className={inputClass} />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">{t('bookings.recurring.repeat')}</label>
+            <select value={repeat.frequency} onChange={(e) => updateRepeat('frequency', e.target.value)} className={inputClass}>
+              <option value="">{t('bookings.recurring.never')}</option>
+              <option value="daily">{t('bookings.recurring.daily')}</option>
+              <option value="weekly">{t('bookings.recurring.weekly')}</option>
+              <option value="monthly">{t('bookings.recurring.monthly')}</option>
+            </select>
+            {repeat.frequency && (
+              <div className="mt-2 space-y-2">
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-xs text-gray-600 mb-1">{t('bookings.recurring.interval')}</label>
+                    <input
+                      type="number"
+                      min="1"
+                      step="1"
+                      value={repeat.interval}
+                      onChange={(e) => updateRepeat('interval', e.target.value)}
+                      className={inputClass}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs text-gray-600 mb-1">{t('bookings.recurring.count')}</label>
+                    <input
+                      type="number"
+                      min="1"
+                      max="100"
+                      step="1"
+                      value={repeat.count}
+                      onChange={(e) => updateRepeat('count', e.target.value)}
+                      className={inputClass}
+                    />
+                  </div>
+                </div>
+                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={repeat.skipConflicts}
+                    onChange={(e) => updateRepeat('skipConflicts', e.target.checked)}
+                    className="rounded border-gray-300"
+                  />
+                  <span>{t('bookings.recurring.skipConflicts')}</span>
+                </label>
+              </div>
+            )}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">{t('bookings.notes')}</label>
+            <textarea name="notes" rows={3} value={formData.notes} onChange={handleChange} className={inputClass} />
+          </div>
+
+          {error && (
+            <div className="p-3 rounded-lg text-sm bg-red-50 text-red-700">{error}</div>
+          )}
+
+          <button
+            type="submit"
+            disabled={saving}
+            className="w-full bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 transition-colors duration-200 disabled:opacity-50"
+          >
+            {saving ? t('common.loading') : t('bookings.createBooking')}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default BookingFormModal;
@@ -0,0 +1,73 @@
+import React, { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { History } from 'lucide-react';
+import api from '../utils/api';
+import { useAuth } from '../contexts/AuthContext';
+import { formatCalendarDate, formatTimestampDate } from '../utils/ethiopianCalendar';
+
+// Who changed a booking, what changed and why, oldest first
+const BookingHistory = ({ bookingId, refreshKey }) => {
+  const { t, i18n } = useTranslation();
+  const { user } = useAuth();
+  const [history, setHistory] = useState([]);
+  const dateOptions = { language: i18n.language, calendar: user?.calendar };
+
+  useEffect(() => {
+    fetchHistory();
+  }, [bookingId, refreshKey]);
+
+  const fetchHistory = async () => {
+    try {
+      const response = await api.get(`/bookings/${bookingId}/history`);
+      setHistory(response.data.history);
+    } catch (error) {
+      console.error('Error fetching booking history:', error);
+    }
+  };
+
+  const formatValue = (field, value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    if (field === 'date') return formatCalendarDate(value, dateOptions);
+    if (field === 'status') return t(`bookings.status.${value}`, value);
+    return String(value);
+  };
+
+  const formatActor = (actor) => {
+    const type = t(`bookings.history.actors.${actor.type}`);
+    return actor.name ? `${actor.name} (${type})` : type;
+  };
+
+  return (
+    <div>
+      <div className="flex items-center space-x-2 mb-2">
+        <History className="h-4 w-4 text-gray-500" />
+        <label className="text-sm font-medium text-gray-700">{t('bookings.history.title')}</label>
+      </div>
+
+      {history.length === 0 && (
+        <p className="text-sm text-gray-500">{t('bookings.history.none')}</p>
+      )}
+
+      <ol className="space-y-3 border-l border-gray-200 pl-4">
+        {history.map((entry) => (
+          <li key={entry._id} className="text-sm">
+            <p className="font-medium text-gray-900">{t(`bookings.history.actions.${entry.action}`)}</p>
+            <p className="text-xs text-gray-500">
+              {formatTimestampDate(entry.createdAt, dateOptions)}{' '}
+              {new Date(entry.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+              {' · '}{formatActor(entry.actor)}
+            </p>
+            {entry.action !== 'created' && entry.changes.map((change) => (
+              <p key={change.field} className="text-gray-700">
+                {t(`bookings.history.fields.${change.field}`)}: {formatValue(change.field, change.oldValue)} → {formatValue(change.field, change.newValue)}
+              </p>
+            ))}
+            {entry.reason && <p className="text-gray-600 italic">{entry.reason}</p>}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+export default BookingHistory;
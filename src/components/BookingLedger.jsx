@@ -0,0 +1,206 @@
+import React, { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Wallet, Plus } from 'lucide-react';
+import api from '../utils/api';
+import { useAuth } from '../contexts/AuthContext';
+import { formatTimestampDate } from '../utils/ethiopianCalendar';
+
+// Ways of paying that can be recorded by hand; card payments come in on
+// their own
+const METHODS = ['cash', 'bank_transfer', 'telebirr', 'mobile_money', 'other'];
+
+const COLLECTED_STATUSES = ['succeeded', 'partially_refunded', 'refunded'];
+
+const emptyForm = { amount: '', method: 'cash', transactionId: '', notes: '', deposit: false };
+
+// A booking's payments, what they add up to and what is still owed, with a
+// form to record money taken by hand. `onChange` gets the booking's new
+// amountPaid, balanceDue, paymentStatus and deposit after a payment.
+const BookingLedger = ({ bookingId, refreshKey, onChange }) => {
+  const { t, i18n } = useTranslation();
+  const { user } = useAuth();
+  const [ledger, setLedger] = useState(null);
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const dateOptions = { language: i18n.language, calendar: user?.calendar };
+
+  useEffect(() => {
+    fetchLedger();
+  }, [bookingId, refreshKey]);
+
+  const fetchLedger = async () => {
+    try {
+      const response = await api.get(`/bookings/${bookingId}/payments`);
+      setLedger(response.data);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching booking payments:', error);
+      return null;
+    }
+  };
+
+  const openForm = () => {
+    const deposit = ledger.deposit?.status === 'pending';
+    setForm({
+      ...emptyForm,
+      amount: String(deposit ? ledger.deposit.amount : ledger.balanceDue),
+      deposit
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await api.post('/payments', {
+        bookingId,
+        amount: Number(form.amount),
+        method: form.method,
+        transactionId: form.transactionId || undefined,
+        notes: form.notes || undefined,
+        purpose: form.deposit ? 'deposit' : undefined
+      });
+      setForm(null);
+      const updated = await fetchLedger();
+      if (updated && onChange) {
+        const { amountPaid, balanceDue, paymentStatus, deposit } = updated;
+        onChange({ amountPaid, balanceDue, paymentStatus, deposit });
+      }
+    } catch (error) {
+      console.error('Error recording payment:', error);
+      alert(error.response?.data?.message || t('payments.ledger.recordFailed'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!ledger) return null;
+
+  const netAmount = (payment) => payment.amount - (payment.refunds || [])
+    .filter(refund => refund.status === 'succeeded')
+    .reduce((sum, refund) => sum + refund.amount, 0);
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center space-x-2">
+          <Wallet className="h-4 w-4 text-gray-500" />
+          <label className="text-sm font-medium text-gray-700">{t('payments.ledger.title')}</label>
+        </div>
+        {!form && ledger.balanceDue > 0 && (
+          <button
+            onClick={openForm}
+            className="inline-flex items-center space-x-1 text-sm text-blue-600 hover:text-blue-700"
+          >
+            <Plus className="h-4 w-4" />
+            <span>{t('payments.ledger.record')}</span>
+          </button>
+        )}
+      </div>
+
+      <dl className="grid grid-cols-3 gap-2 text-sm mb-2">
+        <div>
+          <dt className="text-gray-500">{t('payments.ledger.total')}</dt>
+          <dd className="font-medium text-gray-900">${ledger.totalAmount}</dd>
+        </div>
+        <div>
+          <dt className="text-gray-500">{t('payments.ledger.paid')}</dt>
+          <dd className="font-medium text-gray-900">${ledger.amountPaid}</dd>
+        </div>
+        <div>
+          <dt className="text-gray-500">{t('payments.ledger.balance')}</dt>
+          <dd className={`font-medium ${ledger.balanceDue > 0 ? 'text-red-600' : 'text-green-600'}`}>${ledger.balanceDue}</dd>
+        </div>
+      </dl>
+
+      {ledger.payments.length === 0 ? (
+        <p className="text-sm text-gray-500">{t('payments.ledger.none')}</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 text-sm">
+          {ledger.payments.map((payment) => (
+            <li key={payment._id} className="flex justify-between py-1">
+              <span className="text-gray-700">
+                {formatTimestampDate(payment.processedAt || payment.createdAt, dateOptions)}
+                {' · '}{t(`payments.ledger.methods.${payment.method}`, payment.method)}
+                {payment.metadata?.purpose === 'deposit' && ` · ${t('payments.ledger.deposit')}`}
+                {!COLLECTED_STATUSES.includes(payment.status) && ` · ${payment.status}`}
+              </span>
+              <span className={COLLECTED_STATUSES.includes(payment.status) ? 'text-gray-900' : 'text-gray-400 line-through'}>
+                ${Math.round(netAmount(payment) * 100) / 100}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {form && (
+        <form onSubmit={handleSubmit} className="mt-3 space-y-2 p-3 bg-gray-50 rounded-lg">
+          <div className="flex space-x-2">
+            <input
+              type="number"
+              min="0.01"
+              step="0.01"
+              max={ledger.balanceDue}
+              required
+              value={form.amount}
+              onChange={(e) => setForm({ ...form, amount: e.target.value })}
+              placeholder={t('payments.ledger.amount')}
+              className="w-1/2 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+            <select
+              value={form.method}
+              onChange={(e) => setForm({ ...form, method: e.target.value })}
+              className="w-1/2 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            >
+              {METHODS.map(method => (
+                <option key={method} value={method}>{t(`payments.ledger.methods.${method}`)}</option>
+              ))}
+            </select>
+          </div>
+          <input
+            type="text"
+            value={form.transactionId}
+            onChange={(e) => setForm({ ...form, transactionId: e.target.value })}
+            placeholder={t('payments.ledger.reference')}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+          <input
+            type="text"
+            value={form.notes}
+            onChange={(e) => setForm({ ...form, notes: e.target.value })}
+            placeholder={t('payments.ledger.note')}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+          {ledger.deposit?.status === 'pending' && (
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={form.deposit}
+                onChange={(e) => setForm({ ...form, deposit: e.target.checked })}
+              />
+              <span>{t('payments.ledger.payDeposit', { amount: `$${ledger.deposit.amount}` })}</span>
+            </label>
+          )}
+          <div className="flex space-x-2">
+            <button
+              type="button"
+              onClick={() => setForm(null)}
+              className="flex-1 px-3 py-1 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-white"
+            >
+              {t('common.cancel')}
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="flex-1 px-3 py-1 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              {t('payments.ledger.save')}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default BookingLedger;
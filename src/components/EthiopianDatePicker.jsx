@@ -0,0 +1,66 @@
+import React, { useState, useEffect } from 'react';
+import {
+  ETHIOPIAN_MONTHS,
+  toEthiopian,
+  fromEthiopian,
+  daysInEthiopianMonth
+} from '../utils/ethiopianCalendar';
+
+const emptyParts = { year: '', month: '', day: '' };
+const selectClass = 'px-3 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Day / month / year selects in the Ethiopian calendar. Like <input type="date">,
+// value, min and onChange use Gregorian 'YYYY-MM-DD' strings, so callers and the
+// API never deal with Ethiopian dates.
+const EthiopianDatePicker = ({ value, min, onChange, language = 'en', className = '' }) => {
+  const [parts, setParts] = useState(value ? toEthiopian(value) : emptyParts);
+
+  useEffect(() => {
+    setParts(value ? toEthiopian(value) : emptyParts);
+  }, [value]);
+
+  const months = ETHIOPIAN_MONTHS[language] || ETHIOPIAN_MONTHS.en;
+  const minParts = min ? toEthiopian(min) : null;
+  const firstYear = minParts ? minParts.year : toEthiopian(new Date()).year - 1;
+  const years = [firstYear, firstYear + 1, firstYear + 2];
+  const dayCount = parts.year && parts.month ? daysInEthiopianMonth(parts.year, parts.month) : 30;
+
+  const handleChange = (field, fieldValue) => {
+    const next = { ...parts, [field]: fieldValue ? Number(fieldValue) : '' };
+    // Pagume is shorter than the other months
+    if (next.year && next.month && next.day) {
+      next.day = Math.min(next.day, daysInEthiopianMonth(next.year, next.month));
+    }
+    setParts(next);
+
+    if (next.year && next.month && next.day) {
+      const date = fromEthiopian(next.year, next.month, next.day);
+      onChange(min && date < min ? min : date);
+    }
+  };
+
+  return (
+    <div className={`grid grid-cols-3 gap-2 ${className}`}>
+      <select value={parts.day} onChange={(e) => handleChange('day', e.target.value)} className={selectClass}>
+        <option value="">--</option>
+        {Array.from({ length: dayCount }, (_, index) => index + 1).map((day) => (
+          <option key={day} value={day}>{day}</option>
+        ))}
+      </select>
+      <select value={parts.month} onChange={(e) => handleChange('month', e.target.value)} className={selectClass}>
+        <option value="">--</option>
+        {months.map((name, index) => (
+          <option key={name} value={index + 1}>{name}</option>
+        ))}
+      </select>
+      <select value={parts.year} onChange={(e) => handleChange('year', e.target.value)} className={selectClass}>
+        <option value="">--</option>
+        {years.map((year) => (
+          <option key={year} value={year}>{year}</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default EthiopianDatePicker;
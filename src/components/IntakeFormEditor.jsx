@@ -0,0 +1,127 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import { Plus, Trash2 } from 'lucide-react';
+
+const LANGUAGES = ['en', 'am', 'or'];
+const FIELD_TYPES = ['text', 'select', 'checkbox', 'date', 'number'];
+
+const inputClass = 'w-full px-2 py-1 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Questions customers answer when booking the service online.
+// `onChange(fields)` receives the whole updated list.
+const IntakeFormEditor = ({ fields, onChange }) => {
+  const { t } = useTranslation();
+
+  const updateField = (index, changes) => {
+    onChange(fields.map((field, fieldIndex) => (fieldIndex === index ? { ...field, ...changes } : field)));
+  };
+
+  const updateOption = (index, optionIndex, language, value) => {
+    const options = fields[index].options.map((option, position) => (
+      position === optionIndex ? { ...option, [language]: value } : option
+    ));
+    updateField(index, { options });
+  };
+
+  // English is required, Amharic and Oromo fall back to it
+  const textInputs = (text, onTextChange) => (
+    <div className="grid grid-cols-3 gap-2">
+      {LANGUAGES.map((language) => (
+        <input
+          key={language}
+          type="text"
+          required={language === 'en'}
+          placeholder={t(`services.intake.languages.${language}`)}
+          value={text?.[language] || ''}
+          onChange={(e) => onTextChange(language, e.target.value)}
+          className={inputClass}
+        />
+      ))}
+    </div>
+  );
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700">{t('services.intake.title')}</label>
+      <p className="text-xs text-gray-500 mb-2">{t('services.intake.hint')}</p>
+
+      <div className="space-y-3">
+        {fields.map((field, index) => (
+          <div key={field._id || index} className="border border-gray-200 rounded-lg p-2 space-y-2">
+            {textInputs(field.label, (language, value) => updateField(index, { label: { ...field.label, [language]: value } }))}
+
+            <div className="flex items-center space-x-3">
+              <select
+                value={field.type}
+                onChange={(e) => updateField(index, {
+                  type: e.target.value,
+                  options: e.target.value === 'select' && field.options.length === 0 ? [{ en: '' }] : field.options
+                })}
+                className={`${inputClass} w-36`}
+              >
+                {FIELD_TYPES.map((type) => (
+                  <option key={type} value={type}>{t(`services.intake.types.${type}`)}</option>
+                ))}
+              </select>
+              <label className="flex items-center space-x-1 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={field.required}
+                  onChange={(e) => updateField(index, { required: e.target.checked })}
+                  className="rounded border-gray-300"
+                />
+                <span>{t('services.intake.required')}</span>
+              </label>
+              <button
+                type="button"
+                onClick={() => onChange(fields.filter((other, fieldIndex) => fieldIndex !== index))}
+                className="p-1 text-gray-400 hover:text-red-600 ml-auto"
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+
+            {field.type === 'select' && (
+              <div className="pl-4 space-y-2">
+                <p className="text-xs text-gray-500">{t('services.intake.options')}</p>
+                {field.options.map((option, optionIndex) => (
+                  <div key={optionIndex} className="flex items-center space-x-2">
+                    <div className="flex-1">
+                      {textInputs(option, (language, value) => updateOption(index, optionIndex, language, value))}
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => updateField(index, { options: field.options.filter((other, position) => position !== optionIndex) })}
+                      className="p-1 text-gray-400 hover:text-red-600"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  onClick={() => updateField(index, { options: [...field.options, { en: '' }] })}
+                  className="flex items-center space-x-1 text-sm text-blue-600 hover:text-blue-700"
+                >
+                  <Plus className="h-4 w-4" />
+                  <span>{t('services.intake.addOption')}</span>
+                </button>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <button
+        type="button"
+        onClick={() => onChange([...fields, { label: { en: '' }, type: 'text', required: false, options: [] }])}
+        className="flex items-center space-x-1 text-sm text-blue-600 hover:text-blue-700 mt-2"
+      >
+        <Plus className="h-4 w-4" />
+        <span>{t('services.intake.addField')}</span>
+      </button>
+    </div>
+  );
+};
+
+export default IntakeFormEditor;
@@ -0,0 +1,73 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import { getLocalizedText } from '../utils/serviceCatalog';
+
+const inputClass = 'w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// A service's intake form for customers. Answers are kept as
+// { [fieldId]: value }, the shape POST /public/bookings expects; select
+// answers are the option's English text.
+const IntakeFormFields = ({ fields = [], answers, onChange }) => {
+  const { i18n } = useTranslation();
+
+  const setAnswer = (fieldId, value) => onChange({ ...answers, [fieldId]: value });
+
+  const renderInput = (field) => {
+    const value = answers[field._id] ?? '';
+
+    switch (field.type) {
+      case 'select':
+        return (
+          <select
+            required={field.required}
+            value={value}
+            onChange={(e) => setAnswer(field._id, e.target.value)}
+            className={inputClass}
+          >
+            <option value="">Choose...</option>
+            {field.options.map((option) => (
+              <option key={option.en} value={option.en}>{getLocalizedText(option, i18n.language)}</option>
+            ))}
+          </select>
+        );
+      case 'checkbox':
+        return null;
+      default:
+        return (
+          <input
+            type={field.type}
+            required={field.required}
+            value={value}
+            onChange={(e) => setAnswer(field._id, e.target.value)}
+            className={inputClass}
+          />
+        );
+    }
+  };
+
+  return fields.map((field) => (
+    <div key={field._id}>
+      {field.type === 'checkbox' ? (
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            required={field.required}
+            checked={!!answers[field._id]}
+            onChange={(e) => setAnswer(field._id, e.target.checked)}
+            className="rounded border-gray-300"
+          />
+          <span>{getLocalizedText(field.label, i18n.language)}{field.required && ' *'}</span>
+        </label>
+      ) : (
+        <>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            {getLocalizedText(field.label, i18n.language)}{field.required && ' *'}
+          </label>
+          {renderInput(field)}
+        </>
+      )}
+    </div>
+  ));
+};
+
+export default IntakeFormFields;
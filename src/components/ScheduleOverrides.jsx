@@ -0,0 +1,205 @@
+import React, { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { CalendarOff, Plus, Trash2 } from 'lucide-react';
+import api from '../utils/api';
+
+const emptyForm = {
+  type: 'closed',
+  startDate: '',
+  endDate: '',
+  start: '09:00',
+  end: '17:00',
+  reason: ''
+};
+
+// Business-wide holidays, closures and date-specific opening hours
+const ScheduleOverrides = () => {
+  const { t } = useTranslation();
+  const [overrides, setOverrides] = useState([]);
+  const [formData, setFormData] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchOverrides();
+  }, []);
+
+  const fetchOverrides = async () => {
+    try {
+      const today = new Date().toISOString().split('T')[0];
+      const response = await api.get('/schedule-overrides', { params: { startDate: today } });
+      setOverrides(response.data.overrides.filter(override => !override.staffId));
+    } catch (error) {
+      console.error('Error fetching schedule overrides:', error);
+    }
+  };
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+
+    try {
+      await api.post('/schedule-overrides', {
+        ...formData,
+        endDate: formData.endDate || formData.startDate
+      });
+      setFormData(emptyForm);
+      fetchOverrides();
+    } catch (error) {
+      setError(error.response?.data?.message || t('messages.error.general'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await api.delete(`/schedule-overrides/${id}`);
+      fetchOverrides();
+    } catch (error) {
+      console.error('Error deleting schedule override:', error);
+    }
+  };
+
+  const formatRange = (override) => {
+    const start = new Date(override.startDate).toLocaleDateString(undefined, { timeZone: 'UTC' });
+    const end = new Date(override.endDate).toLocaleDateString(undefined, { timeZone: 'UTC' });
+    return start === end ? start : `${start} – ${end}`;
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-6">
+      <div className="flex items-center space-x-3 mb-6">
+        <div className="bg-orange-100 p-3 rounded-full">
+          <CalendarOff className="h-6 w-6 text-orange-600" />
+        </div>
+        <h2 className="text-xl font-semibold text-gray-900">{t('settings.closures.title')}</h2>
+      </div>
+
+      <div className="space-y-3 mb-6">
+        {overrides.length === 0 && (
+          <p className="text-sm text-gray-500">{t('settings.closures.none')}</p>
+        )}
+        {overrides.map((override) => (
+          <div key={override._id} className="flex items-center justify-between p-3 border border-gray-200 rounded-lg">
+            <div>
+              <p className="font-medium text-gray-900">{formatRange(override)}</p>
+              <p className="text-sm text-gray-600">
+                {override.type === 'closed'
+                  ? t('settings.closures.closed')
+                  : `${t('settings.closures.specialHours')}: ${override.start} – ${override.end}`}
+                {override.reason && ` · ${override.reason}`}
+              </p>
+            </div>
+            <button
+              onClick={() => handleDelete(override._id)}
+              className="p-2 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors duration-200"
+              title={t('common.delete')}
+            >
+              <Trash2 className="h-4 w-4" />
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">{t('settings.closures.from')}</label>
+            <input
+              type="date"
+              name="startDate"
+              required
+              value={formData.startDate}
+              onChange={handleChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">{t('settings.closures.to')}</label>
+            <input
+              type="date"
+              name="endDate"
+              min={formData.startDate}
+              value={formData.endDate}
+              onChange={handleChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+        </div>
+
+        <select
+          name="type"
+          value={formData.type}
+          onChange={handleChange}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="closed">{t('settings.closures.closed')}</option>
+          <option value="hours">{t('settings.closures.specialHours')}</option>
+        </select>
+
+        {formData.type === 'hours' && (
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">{t('settings.closures.opens')}</label>
+              <input
+                type="time"
+                name="start"
+                required
+                value={formData.start}
+                onChange={handleChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">{t('settings.closures.closes')}</label>
+              <input
+                type="time"
+                name="end"
+                required
+                value={formData.end}
+                onChange={handleChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+          </div>
+        )}
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">{t('settings.closures.reason')}</label>
+          <input
+            type="text"
+            name="reason"
+            value={formData.reason}
+            onChange={handleChange}
+            placeholder={t('settings.closures.reasonPlaceholder')}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+
+        {error && (
+          <div className="p-3 rounded-lg text-sm bg-red-50 text-red-700">{error}</div>
+        )}
+
+        <button
+          type="submit"
+          disabled={saving}
+          className="w-full bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 transition-colors duration-200 flex items-center justify-center space-x-2 disabled:opacity-50"
+        >
+          <Plus className="h-4 w-4" />
+          <span>{saving ? t('common.loading') : t('common.add')}</span>
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ScheduleOverrides;
@@ -0,0 +1,163 @@
+import React, { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { ChevronUp, ChevronDown, Edit, Trash2, X } from 'lucide-react';
+import api from '../utils/api';
+import { getCategoryName } from '../utils/serviceCatalog';
+
+const LANGUAGES = ['en', 'am', 'or'];
+const EMPTY_NAME = { en: '', am: '', or: '' };
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Add, rename, reorder and delete the business's service categories.
+// `onChange(categories)` receives the updated list after every change.
+const ServiceCategoryManager = ({ categories, onChange, onClose }) => {
+  const { t, i18n } = useTranslation();
+  const [name, setName] = useState(EMPTY_NAME);
+  const [editingId, setEditingId] = useState(null);
+
+  const resetForm = () => {
+    setName(EMPTY_NAME);
+    setEditingId(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      if (editingId) {
+        const response = await api.put(`/service-categories/${editingId}`, { name });
+        onChange(categories.map(category => (category._id === editingId ? response.data.category : category)));
+      } else {
+        const response = await api.post('/service-categories', { name });
+        onChange([...categories, response.data.category]);
+      }
+      resetForm();
+    } catch (error) {
+      console.error('Error saving category:', error);
+    }
+  };
+
+  const handleEdit = (category) => {
+    setEditingId(category._id);
+    setName({ ...EMPTY_NAME, ...category.name });
+  };
+
+  const handleDelete = async (category) => {
+    if (!window.confirm(t('services.categories.deleteConfirm'))) return;
+    try {
+      await api.delete(`/service-categories/${category._id}`);
+      onChange(categories.filter(option => option._id !== category._id));
+      if (editingId === category._id) resetForm();
+    } catch (error) {
+      console.error('Error deleting category:', error);
+    }
+  };
+
+  const move = async (index, offset) => {
+    const ordered = [...categories];
+    [ordered[index], ordered[index + offset]] = [ordered[index + offset], ordered[index]];
+    onChange(ordered);
+    try {
+      const response = await api.put('/service-categories/order', {
+        categoryIds: ordered.map(category => category._id)
+      });
+      onChange(response.data.categories);
+    } catch (error) {
+      console.error('Error reordering categories:', error);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-xl p-6 max-w-lg w-full mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold">{t('services.categories.title')}</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        {categories.length === 0 && (
+          <p className="text-sm text-gray-500 mb-4">{t('services.categories.none')}</p>
+        )}
+
+        <ul className="divide-y divide-gray-100 mb-6">
+          {categories.map((category, index) => (
+            <li key={category._id} className="flex items-center justify-between py-2">
+              <span className="text-gray-900">{getCategoryName(category, i18n.language)}</span>
+              <div className="flex items-center space-x-1">
+                <button
+                  onClick={() => move(index, -1)}
+                  disabled={index === 0}
+                  title={t('services.moveUp')}
+                  className="p-1 text-gray-500 hover:text-blue-600 disabled:opacity-30"
+                >
+                  <ChevronUp className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => move(index, 1)}
+                  disabled={index === categories.length - 1}
+                  title={t('services.moveDown')}
+                  className="p-1 text-gray-500 hover:text-blue-600 disabled:opacity-30"
+                >
+                  <ChevronDown className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => handleEdit(category)}
+                  className="p-1 text-gray-500 hover:text-blue-600"
+                >
+                  <Edit className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => handleDelete(category)}
+                  className="p-1 text-gray-500 hover:text-red-600"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <h4 className="text-sm font-medium text-gray-700">
+            {editingId ? t('services.categories.rename') : t('services.categories.add')}
+          </h4>
+          {LANGUAGES.map((language) => (
+            <div key={language}>
+              <label className="block text-xs text-gray-600 mb-1">{t(`services.categories.names.${language}`)}</label>
+              <input
+                type="text"
+                required={language === 'en'}
+                maxLength={50}
+                value={name[language]}
+                onChange={(e) => setName({ ...name, [language]: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+          ))}
+          <p className="text-xs text-gray-500">{t('services.categories.namesHint')}</p>
+          <div className="flex space-x-3">
+            <button
+              type="submit"
+              className="flex-1 bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 transition-colors duration-200"
+            >
+              {editingId ? t('common.save') : t('services.categories.add')}
+            </button>
+            {editingId && (
+              <button
+                type="button"
+                onClick={resetForm}
+                className="flex-1 bg-gray-600 text-white py-2 px-4 rounded-lg hover:bg-gray-700 transition-colors duration-200"
+              >
+                {t('common.cancel')}
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ServiceCategoryManager;
@@ -0,0 +1,178 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import { Plus, Trash2 } from 'lucide-react';
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const inputClass = 'w-full px-2 py-1 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Variants, add-ons and surcharges of a service, edited as lists.
+// `onChange(field, list)` receives the whole updated list.
+const ServicePricingEditor = ({ variants, addOns, surcharges, onChange }) => {
+  const { t, i18n } = useTranslation();
+
+  // 1 January 2024 was a Monday
+  const dayLabel = (index) => new Date(Date.UTC(2024, 0, 1 + index))
+    .toLocaleDateString(i18n.language, { weekday: 'short', timeZone: 'UTC' });
+
+  const updateRow = (field, list, index, changes) => {
+    onChange(field, list.map((row, rowIndex) => (rowIndex === index ? { ...row, ...changes } : row)));
+  };
+
+  const removeRow = (field, list, index) => {
+    onChange(field, list.filter((row, rowIndex) => rowIndex !== index));
+  };
+
+  const toggleDay = (index, day) => {
+    const days = surcharges[index].days || [];
+    updateRow('surcharges', surcharges, index, {
+      days: days.includes(day) ? days.filter(selected => selected !== day) : [...days, day]
+    });
+  };
+
+  const removeButton = (field, list, index) => (
+    <button
+      type="button"
+      onClick={() => removeRow(field, list, index)}
+      className="p-1 text-gray-400 hover:text-red-600"
+    >
+      <Trash2 className="h-4 w-4" />
+    </button>
+  );
+
+  const addButton = (label, onClick) => (
+    <button
+      type="button"
+      onClick={onClick}
+      className="flex items-center space-x-1 text-sm text-blue-600 hover:text-blue-700"
+    >
+      <Plus className="h-4 w-4" />
+      <span>{label}</span>
+    </button>
+  );
+
+  // Name, price and minutes rows shared by variants and add-ons
+  const priceRows = (field, list) => list.map((row, index) => (
+    <div key={row._id || index} className="flex items-center space-x-2">
+      <input
+        type="text"
+        required
+        placeholder={t('services.pricing.name')}
+        value={row.name}
+        onChange={(e) => updateRow(field, list, index, { name: e.target.value })}
+        className={`${inputClass} flex-1`}
+      />
+      <input
+        type="number"
+        required
+        min="0"
+        step="0.01"
+        placeholder={t('services.price')}
+        value={row.price}
+        onChange={(e) => updateRow(field, list, index, { price: e.target.value })}
+        className={`${inputClass} w-20`}
+      />
+      <input
+        type="number"
+        required
+        min={field === 'variants' ? 15 : 0}
+        placeholder={t('services.minutes')}
+        value={row.duration}
+        onChange={(e) => updateRow(field, list, index, { duration: e.target.value })}
+        className={`${inputClass} w-20`}
+      />
+      {removeButton(field, list, index)}
+    </div>
+  ));
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700">{t('services.pricing.variants')}</label>
+        <p className="text-xs text-gray-500 mb-2">{t('services.pricing.variantsHint')}</p>
+        <div className="space-y-2">{priceRows('variants', variants)}</div>
+        {addButton(t('services.pricing.addVariant'), () => onChange('variants', [...variants, { name: '', price: '', duration: '' }]))}
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700">{t('services.pricing.addOns')}</label>
+        <p className="text-xs text-gray-500 mb-2">{t('services.pricing.addOnsHint')}</p>
+        <div className="space-y-2">{priceRows('addOns', addOns)}</div>
+        {addButton(t('services.pricing.addAddOn'), () => onChange('addOns', [...addOns, { name: '', price: '', duration: 0 }]))}
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700">{t('services.pricing.surcharges')}</label>
+        <p className="text-xs text-gray-500 mb-2">{t('services.pricing.surchargesHint')}</p>
+        <div className="space-y-3">
+          {surcharges.map((surcharge, index) => (
+            <div key={surcharge._id || index} className="border border-gray-200 rounded-lg p-2 space-y-2">
+              <div className="flex items-center space-x-2">
+                <input
+                  type="text"
+                  required
+                  placeholder={t('services.pricing.name')}
+                  value={surcharge.name}
+                  onChange={(e) => updateRow('surcharges', surcharges, index, { name: e.target.value })}
+                  className={`${inputClass} flex-1`}
+                />
+                <input
+                  type="number"
+                  required
+                  min="0"
+                  step="0.01"
+                  value={surcharge.value}
+                  onChange={(e) => updateRow('surcharges', surcharges, index, { value: e.target.value })}
+                  className={`${inputClass} w-20`}
+                />
+                <select
+                  value={surcharge.type || 'percent'}
+                  onChange={(e) => updateRow('surcharges', surcharges, index, { type: e.target.value })}
+                  className={`${inputClass} w-28`}
+                >
+                  <option value="percent">{t('services.pricing.percent')}</option>
+                  <option value="fixed">{t('services.pricing.fixed')}</option>
+                </select>
+                {removeButton('surcharges', surcharges, index)}
+              </div>
+              <div className="flex flex-wrap gap-1">
+                {DAYS.map((day, dayIndex) => (
+                  <button
+                    key={day}
+                    type="button"
+                    onClick={() => toggleDay(index, day)}
+                    className={`px-2 py-0.5 rounded text-xs ${
+                      surcharge.days?.includes(day) ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'
+                    }`}
+                  >
+                    {dayLabel(dayIndex)}
+                  </button>
+                ))}
+              </div>
+              <div className="flex items-center space-x-2 text-sm text-gray-600">
+                <span>{t('services.pricing.from')}</span>
+                <input
+                  type="time"
+                  value={surcharge.start || ''}
+                  onChange={(e) => updateRow('surcharges', surcharges, index, { start: e.target.value })}
+                  className={inputClass}
+                />
+                <span>{t('services.pricing.to')}</span>
+                <input
+                  type="time"
+                  value={surcharge.end || ''}
+                  onChange={(e) => updateRow('surcharges', surcharges, index, { end: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+              <p className="text-xs text-gray-500">{t('services.pricing.whenHint')}</p>
+            </div>
+          ))}
+        </div>
+        {addButton(t('services.pricing.addSurcharge'), () => onChange('surcharges', [...surcharges, { name: '', days: [], start: '', end: '', type: 'percent', value: '' }]))}
+      </div>
+    </div>
+  );
+};
+
+export default ServicePricingEditor;
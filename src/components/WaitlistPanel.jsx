@@ -0,0 +1,125 @@
+import React, { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { ListOrdered, Send, Trash2, Copy } from 'lucide-react';
+import api from '../utils/api';
+import { useAuth } from '../contexts/AuthContext';
+import { formatCalendarDate } from '../utils/ethiopianCalendar';
+
+// Customers waiting for a slot on a fully booked day, with any open offers
+const WaitlistPanel = () => {
+  const { t, i18n } = useTranslation();
+  const { user } = useAuth();
+  const [entries, setEntries] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    fetchEntries();
+  }, []);
+
+  const fetchEntries = async () => {
+    try {
+      const today = new Date().toISOString().split('T')[0];
+      const response = await api.get('/waitlist', { params: { startDate: today } });
+      setEntries(response.data.entries);
+    } catch (error) {
+      console.error('Error fetching waitlist:', error);
+    }
+  };
+
+  const handleOffer = async (id) => {
+    setBusyId(id);
+    try {
+      await api.post(`/waitlist/${id}/offer`);
+      fetchEntries();
+    } catch (error) {
+      alert(error.response?.data?.message || t('messages.error.general'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRemove = async (id) => {
+    setBusyId(id);
+    try {
+      await api.delete(`/waitlist/${id}`);
+      fetchEntries();
+    } catch (error) {
+      console.error('Error removing waitlist entry:', error);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const formatWindow = (entry) => {
+    if (!entry.windowStart && !entry.windowEnd) return t('bookings.waitlist.anyTime');
+    return `${entry.windowStart || '00:00'} – ${entry.windowEnd || '23:59'}`;
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-6">
+      <div className="flex items-center space-x-3 mb-4">
+        <div className="bg-purple-100 p-3 rounded-full">
+          <ListOrdered className="h-6 w-6 text-purple-600" />
+        </div>
+        <h2 className="text-xl font-semibold text-gray-900">{t('bookings.waitlist.title')}</h2>
+      </div>
+
+      <div className="space-y-3">
+        {entries.length === 0 && (
+          <p className="text-sm text-gray-500">{t('bookings.waitlist.none')}</p>
+        )}
+        {entries.map((entry) => (
+          <div key={entry._id} className="flex items-center justify-between p-3 border border-gray-200 rounded-lg">
+            <div>
+              <p className="font-medium text-gray-900">
+                {entry.customer.name} · {entry.serviceId?.name}
+              </p>
+              <p className="text-sm text-gray-600">
+                {formatCalendarDate(entry.date, { language: i18n.language, calendar: user?.calendar })} · {formatWindow(entry)} · {entry.customer.phone}
+              </p>
+              {entry.status === 'offered' && (
+                <p className="text-sm text-purple-700">
+                  {t('bookings.waitlist.offered', {
+                    time: entry.offer.time,
+                    expires: new Date(entry.offer.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+                  })}
+                </p>
+              )}
+            </div>
+            <div className="flex items-center space-x-1">
+              {entry.status === 'waiting' && (
+                <button
+                  onClick={() => handleOffer(entry._id)}
+                  disabled={busyId === entry._id}
+                  className="p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors duration-200 disabled:opacity-50"
+                  title={t('bookings.waitlist.offer')}
+                >
+                  <Send className="h-4 w-4" />
+                </button>
+              )}
+              {entry.claimUrl && (
+                <button
+                  onClick={() => navigator.clipboard.writeText(entry.claimUrl)}
+                  className="p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors duration-200"
+                  title={t('bookings.waitlist.copyLink')}
+                >
+                  <Copy className="h-4 w-4" />
+                </button>
+              )}
+              <button
+                onClick={() => handleRemove(entry._id)}
+                disabled={busyId === entry._id}
+                className="p-2 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors duration-200 disabled:opacity-50"
+                title={t('common.delete')}
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default WaitlistPanel;
@@ -128,11 +128,33 @@ const resources = {
         status: {
           pending: 'Pending',
           confirmed: 'Confirmed',
+          'in-progress': 'In Progress',
           completed: 'Completed',
-          cancelled: 'Cancelled'
+          cancelled: 'Cancelled',
+          'no-show': 'No-show'
         },
         confirmBooking: 'Confirm Booking',
         cancelBooking: 'Cancel Booking',
+        markNoShow: 'Mark No-show',
+        lineItems: {
+          add: 'Add another service',
+          remove: 'Remove service',
+          quantity: 'Quantity',
+          price: 'Price',
+          total: '{{duration}} min · ${{amount}}'
+        },
+        lateFee: {
+          waive: 'Waive the late cancellation fee',
+          charged: 'A late change fee of ${{amount}} was recorded.'
+        },
+        deposit: {
+          label: 'Deposit',
+          pending: 'due',
+          paid: 'paid',
+          waived: 'waived',
+          markPaid: 'Mark paid',
+          waive: 'Waive'
+        },
         reschedule: 'Reschedule',
         serviceType: 'Service Type',
         customer: 'Customer',
@@ -140,10 +162,81 @@ const resources = {
         duration: 'Duration',
         price: 'Price',
         notes: 'Notes',
+        intakeAnswers: 'Intake form answers',
         selectCustomer: 'Select Customer',
         selectService: 'Select Service',
         selectDate: 'Select Date',
-        selectTime: 'Select Time'
+        selectTime: 'Select Time',
+        assignedTo: 'Assigned to',
+        waitlist: {
+          title: 'Waitlist',
+          none: 'No one is waiting for a slot',
+          anyTime: 'Any time',
+          offered: 'Offered {{time}}, held until {{expires}}',
+          offer: 'Offer first free slot now',
+          copyLink: 'Copy claim link'
+        },
+        calendar: {
+          list: 'List',
+          calendar: 'Calendar',
+          day: 'Day',
+          week: 'Week',
+          month: 'Month',
+          conflict: 'Overlaps another booking',
+          anyStaff: 'Any available staff',
+          bookAnyway: 'Book it anyway?'
+        },
+        history: {
+          title: 'History',
+          none: 'No changes recorded yet',
+          actors: {
+            owner: 'owner',
+            assistant: 'assistant',
+            customer: 'customer',
+            system: 'system'
+          },
+          actions: {
+            created: 'Booked',
+            rescheduled: 'Rescheduled',
+            reassigned: 'Reassigned',
+            status_changed: 'Status changed',
+            cancelled: 'Cancelled',
+            payment_updated: 'Payment updated',
+            updated: 'Updated',
+            deleted: 'Deleted'
+          },
+          fields: {
+            status: 'Status',
+            date: 'Date',
+            time: 'Time',
+            duration: 'Duration',
+            lineItems: 'Services',
+            staffId: 'Staff',
+            notes: 'Notes',
+            totalAmount: 'Amount',
+            amountPaid: 'Amount paid',
+            paymentStatus: 'Payment status',
+            paymentMethod: 'Payment method'
+          }
+        },
+        recurring: {
+          label: 'Recurring',
+          conflict: 'Conflict',
+          applyTo: 'Apply changes to',
+          scopeThis: 'This booking only',
+          scopeFollowing: 'This and following bookings',
+          scopeAll: 'All bookings in the series',
+          repeat: 'Repeat',
+          never: 'Does not repeat',
+          daily: 'Daily',
+          weekly: 'Weekly',
+          monthly: 'Monthly',
+          interval: 'Every (days, weeks or months)',
+          count: 'Number of bookings',
+          skipConflicts: 'Leave out dates that clash with other bookings',
+          conflictsMarked: 'These dates clash with other bookings and are marked as conflicts: {{dates}}',
+          conflictsSkipped: 'These dates clash with other bookings and were not booked: {{dates}}'
+        }
       },
       // Customers
       customers: {
@@ -159,7 +252,19 @@ const resources = {
         totalSpent: 'Total Spent',
         customerInfo: 'Customer Information',
         contactInfo: 'Contact Information',
-        bookingHistory: 'Booking History'
+        bookingHistory: 'Booking History',
+        noShows: '{{count}} no-shows ({{rate}}% of visits)'
+      },
+      // Attachments
+      attachments: {
+        title: 'Files & Photos',
+        show: 'Files & Photos',
+        hide: 'Hide files',
+        upload: 'Upload',
+        uploading: 'Uploading...',
+        none: 'No files yet',
+        deleteConfirm: 'Delete this file?',
+        uploadFailed: 'The file could not be uploaded'
       },
       // Services
       services: {
@@ -176,13 +281,82 @@ const resources = {
         category: 'Category',
         isActive: 'Active',
         minutes: 'minutes',
-        hours: 'hours'
+        hours: 'hours',
+        bufferBefore: 'Prep time before (minutes)',
+        bufferAfter: 'Clean-up time after (minutes)',
+        image: 'Image URL (optional)',
+        moveUp: 'Move up',
+        moveDown: 'Move down',
+        intake: {
+          title: 'Intake form',
+          hint: 'Questions customers answer when booking online, e.g. what is broken or how to get into the building',
+          addField: 'Add question',
+          required: 'Required',
+          options: 'Choices',
+          addOption: 'Add choice',
+          languages: {
+            en: 'English',
+            am: 'Amharic',
+            or: 'Oromo'
+          },
+          types: {
+            text: 'Text',
+            select: 'Choice list',
+            checkbox: 'Checkbox',
+            date: 'Date',
+            number: 'Number'
+          }
+        },
+        categories: {
+          title: 'Service categories',
+          manage: 'Categories',
+          add: 'Add category',
+          rename: 'Rename category',
+          none: 'No categories yet. Group your services so customers find them faster.',
+          noCategory: 'No category',
+          uncategorized: 'Other services',
+          deleteConfirm: 'Delete this category? Its services will be kept without a category.',
+          namesHint: 'Amharic and Oromo names are optional; English is shown when they are missing',
+          names: {
+            en: 'Name (English)',
+            am: 'Name (Amharic)',
+            or: 'Name (Oromo)'
+          }
+        },
+        pricing: {
+          variants: 'Options',
+          variantsHint: 'Sizes or versions customers choose between, each with its own price and length (e.g. 1-bedroom vs 3-bedroom)',
+          addVariant: 'Add option',
+          addOns: 'Add-ons',
+          addOnsHint: 'Extras that add to the price and the time the job takes',
+          addAddOn: 'Add add-on',
+          surcharges: 'Surcharges',
+          surchargesHint: 'Extra charge for jobs starting on certain days or at certain times, e.g. weekends or evenings',
+          addSurcharge: 'Add surcharge',
+          whenHint: 'No days selected means every day; no times means all day',
+          name: 'Name',
+          percent: '% of price',
+          fixed: 'Fixed amount',
+          from: 'From',
+          to: 'to',
+          summary: '{{variants}} options · {{addOns}} add-ons · {{surcharges}} surcharges'
+        }
       },
       // Settings
       settings: {
         title: 'Settings',
         profile: 'Profile Settings',
         business: 'Business Settings',
+        travelBuffer: 'Travel time between jobs (minutes)',
+        cancellationCutoff: 'Online cancel/reschedule cutoff (hours before)',
+        noShowDepositThreshold: 'Require a deposit after this many no-shows (0 = never)',
+        depositPercent: 'Deposit (% of price)',
+        lateChangeWindowHours: 'Late change window (hours before the appointment)',
+        lateCancellationFeePercent: 'Late cancellation fee (% of price)',
+        lateRescheduleFeePercent: 'Late reschedule fee (% of price)',
+        calendar: 'Calendar',
+        calendarGregorian: 'Gregorian',
+        calendarEthiopian: 'Ethiopian',
         notifications: 'Notification Settings',
         preferences: 'Preferences',
         security: 'Security',
@@ -199,7 +373,19 @@ const resources = {
         confirmNewPassword: 'Confirm New Password',
         accountSettings: 'Account Settings',
         generalSettings: 'General Settings',
-        privacySettings: 'Privacy Settings'
+        privacySettings: 'Privacy Settings',
+        closures: {
+          title: 'Holidays & Special Hours',
+          closed: 'Closed',
+          specialHours: 'Special hours',
+          from: 'From',
+          to: 'To',
+          opens: 'Opens',
+          closes: 'Closes',
+          reason: 'Reason',
+          reasonPlaceholder: 'e.g. Timkat',
+          none: 'No upcoming closures or special hours'
+        }
       },
       // Payments
       payments: {
@@ -222,6 +408,56 @@ const resources = {
         method: 'Method',
         invoice: 'Invoice',
         noBillingHistory: 'No billing history found',
+        ledger: {
+          title: 'Payments on this booking',
+          show: 'Booking payments',
+          total: 'Total',
+          paid: 'Paid',
+          balance: 'Balance due',
+          balanceOf: '{{amount}} due',
+          record: 'Record payment',
+          amount: 'Amount',
+          reference: 'Reference (optional)',
+          note: 'Note (optional)',
+          deposit: 'deposit',
+          payDeposit: 'This pays the {{amount}} deposit',
+          save: 'Record',
+          none: 'No payments yet',
+          recordFailed: 'Could not record the payment',
+          methods: {
+            cash: 'Cash',
+            bank_transfer: 'Bank transfer',
+            telebirr: 'telebirr',
+            mobile_money: 'Mobile money',
+            wallet: 'Wallet',
+            stripe_card: 'Card',
+            stripe_bank: 'Bank debit',
+            other: 'Other'
+          },
+          statuses: {
+            pending: 'Not paid',
+            partially_paid: 'Partially paid',
+            paid: 'Paid',
+            overdue: 'Overdue',
+            cancelled: 'Cancelled'
+          }
+        },
+        refunds: {
+          refund: 'Refund',
+          title: 'Refund Payment',
+          amount: 'Refund amount',
+          remaining: 'Up to {{amount}} can be refunded',
+          reason: 'Reason',
+          manualNote: 'This payment was not taken online. Give the money back to the customer yourself; the refund is only recorded here.',
+          submit: 'Refund',
+          partiallyRefunded: 'Partially refunded',
+          error: 'Could not refund this payment',
+          statuses: {
+            succeeded: 'refunded',
+            pending: 'refund pending',
+            failed: 'refund failed'
+          }
+        },
         paymentStatus: 'Payment Status',
         nextBilling: 'Next Billing',
         setupPayment: 'Setup Payment',
@@ -388,11 +624,33 @@ const resources = {
         status: {
           pending: 'በመጠባበቅ ላይ',
           confirmed: 'ተረጋግጦል',
+          'in-progress': 'በሂደት ላይ',
           completed: 'ተጠናቅቋል',
-          cancelled: 'ተሰርዟል'
+          cancelled: 'ተሰርዟል',
+          'no-show': 'አልመጣም'
         },
         confirmBooking: 'ቦታ ማስያዝ አረጋግጥ',
         cancelBooking: 'ቦታ ማስያዝ ሰርዝ',
+        markNoShow: 'አልመጣም ብለህ መዝግብ',
+        lineItems: {
+          add: 'ሌላ አገልግሎት ጨምር',
+          remove: 'አገልግሎቱን አስወግድ',
+          quantity: 'ብዛት',
+          price: 'ዋጋ',
+          total: '{{duration}} ደቂቃ · ${{amount}}'
+        },
+        lateFee: {
+          waive: 'የዘገየ ስረዛ ክፍያውን ተው',
+          charged: 'የ${{amount}} የዘገየ ለውጥ ክፍያ ተመዝግቧል።'
+        },
+        deposit: {
+          label: 'ቅድመ ክፍያ',
+          pending: 'ያልተከፈለ',
+          paid: 'ተከፍሏል',
+          waived: 'ቀርቷል',
+          markPaid: 'እንደተከፈለ መዝግብ',
+          waive: 'ተው'
+        },
         reschedule: 'እንደገና ይርሐቅ',
         serviceType: 'የአገልግሎት አይነት',
         customer: 'ደንበኛ',
@@ -400,10 +658,81 @@ const resources = {
         duration: 'ጊዜ',
         price: 'ዋጋ',
         notes: 'ማስታወሻዎች',
+        intakeAnswers: 'የቅጽ መልሶች',
         selectCustomer: 'ደንበኛ ይምረጡ',
         selectService: 'አገልግሎት ይምረጡ',
         selectDate: 'ቀን ይምረጡ',
-        selectTime: 'ሰዓት ይምረጡ'
+        selectTime: 'ሰዓት ይምረጡ',
+        assignedTo: 'የተመደበለት',
+        waitlist: {
+          title: 'የጥበቃ ዝርዝር',
+          none: 'ቦታ የሚጠብቅ የለም',
+          anyTime: 'በማንኛውም ሰዓት',
+          offered: '{{time}} ቀርቧል፣ እስከ {{expires}} ተይዟል',
+          offer: 'የመጀመሪያውን ነፃ ቦታ አሁን አቅርብ',
+          copyLink: 'የመቀበያ ሊንክ ቅዳ'
+        },
+        calendar: {
+          list: 'ዝርዝር',
+          calendar: 'የቀን መቁጠሪያ',
+          day: 'ቀን',
+          week: 'ሳምንት',
+          month: 'ወር',
+          conflict: 'ከሌላ ቦታ ማስያዝ ጋር ይጋጫል',
+          anyStaff: 'ማንኛውም ነፃ ሰራተኛ',
+          bookAnyway: 'ቢሆንም ይያዝ?'
+        },
+        history: {
+          title: 'ታሪክ',
+          none: 'እስካሁን የተመዘገበ ለውጥ የለም',
+          actors: {
+            owner: 'ባለቤት',
+            assistant: 'ረዳት',
+            customer: 'ደንበኛ',
+            system: 'ሲስተም'
+          },
+          actions: {
+            created: 'ተይዟል',
+            rescheduled: 'ጊዜው ተቀይሯል',
+            reassigned: 'ለሌላ ሰራተኛ ተሰጥቷል',
+            status_changed: 'ሁኔታው ተቀይሯል',
+            cancelled: 'ተሰርዟል',
+            payment_updated: 'ክፍያ ተዘምኗል',
+            updated: 'ተዘምኗል',
+            deleted: 'ተደምስሷል'
+          },
+          fields: {
+            status: 'ሁኔታ',
+            date: 'ቀን',
+            time: 'ሰዓት',
+            duration: 'ቆይታ',
+            lineItems: 'አገልግሎቶች',
+            staffId: 'ሰራተኛ',
+            notes: 'ማስታወሻ',
+            totalAmount: 'መጠን',
+            amountPaid: 'የተከፈለ መጠን',
+            paymentStatus: 'የክፍያ ሁኔታ',
+            paymentMethod: 'የክፍያ ዘዴ'
+          }
+        },
+        recurring: {
+          label: 'ተደጋጋሚ',
+          conflict: 'ግጭት',
+          applyTo: 'ለውጦቹን ተግብር ለ',
+          scopeThis: 'ይህ ቦታ ማስያዝ ብቻ',
+          scopeFollowing: 'ይህ እና ቀጣዮቹ ቦታ ማስያዞች',
+          scopeAll: 'በተከታታዩ ያሉ ሁሉም ቦታ ማስያዞች',
+          repeat: 'ድገም',
+          never: 'አይደገምም',
+          daily: 'በየቀኑ',
+          weekly: 'በየሳምንቱ',
+          monthly: 'በየወሩ',
+          interval: 'በየ (ቀን፣ ሳምንት ወይም ወር)',
+          count: 'የቦታ ማስያዞች ብዛት',
+          skipConflicts: 'ከሌሎች ቦታ ማስያዞች ጋር የሚጋጩ ቀኖችን ተው',
+          conflictsMarked: 'እነዚህ ቀኖች ከሌሎች ቦታ ማስያዞች ጋር ይጋጫሉ እና እንደ ግጭት ተመዝግበዋል፦ {{dates}}',
+          conflictsSkipped: 'እነዚህ ቀኖች ከሌሎች ቦታ ማስያዞች ጋር ስለሚጋጩ አልተያዙም፦ {{dates}}'
+        }
       },
       customers: {
         title: 'ደንበኞች',
@@ -418,7 +747,18 @@ const resources = {
         totalSpent: 'አጠቃላይ ወጪ',
         customerInfo: 'የደንበኛ መረጃ',
         contactInfo: 'የእውቅያ መረጃ',
-        bookingHistory: 'የቦታ ማስያዝ ታሪክ'
+        bookingHistory: 'የቦታ ማስያዝ ታሪክ',
+        noShows: '{{count}} ጊዜ አልመጣም (ከጉብኝቶች {{rate}}%)'
+      },
+      attachments: {
+        title: 'ፋይሎች እና ፎቶዎች',
+        show: 'ፋይሎች እና ፎቶዎች',
+        hide: 'ፋይሎችን ደብቅ',
+        upload: 'ስቀል',
+        uploading: 'በመስቀል ላይ...',
+        none: 'እስካሁን ምንም ፋይል የለም',
+        deleteConfirm: 'ይህ ፋይል ይሰረዝ?',
+        uploadFailed: 'ፋይሉን መስቀል አልተቻለም'
       },
       services: {
         title: 'አገልግሎቶች',
@@ -434,12 +774,81 @@ const resources = {
         category: 'ምድብ',
         isActive: 'ንቁ',
         minutes: 'ደቂቃዎች',
-        hours: 'ሰዓቶች'
+        hours: 'ሰዓቶች',
+        bufferBefore: 'ከስራ በፊት የዝግጅት ጊዜ (ደቂቃ)',
+        bufferAfter: 'ከስራ በኋላ የማጽጃ ጊዜ (ደቂቃ)',
+        image: 'የምስል አድራሻ (አማራጭ)',
+        moveUp: 'ወደ ላይ',
+        moveDown: 'ወደ ታች',
+        intake: {
+          title: 'የመረጃ መሰብሰቢያ ቅጽ',
+          hint: 'ደንበኞች በመስመር ላይ ሲያስይዙ የሚመልሷቸው ጥያቄዎች፣ ለምሳሌ ምን እንደተበላሸ ወይም ወደ ህንጻው እንዴት እንደሚገባ',
+          addField: 'ጥያቄ ጨምር',
+          required: 'ግዴታ',
+          options: 'ምርጫዎች',
+          addOption: 'ምርጫ ጨምር',
+          languages: {
+            en: 'እንግሊዝኛ',
+            am: 'አማርኛ',
+            or: 'ኦሮምኛ'
+          },
+          types: {
+            text: 'ጽሑፍ',
+            select: 'የምርጫ ዝርዝር',
+            checkbox: 'ምልክት ሳጥን',
+            date: 'ቀን',
+            number: 'ቁጥር'
+          }
+        },
+        categories: {
+          title: 'የአገልግሎት ምድቦች',
+          manage: 'ምድቦች',
+          add: 'ምድብ ጨምር',
+          rename: 'ምድቡን እንደገና ሰይም',
+          none: 'እስካሁን ምድብ የለም። ደንበኞች በፍጥነት እንዲያገኙ አገልግሎቶችዎን ይመድቡ።',
+          noCategory: 'ምድብ የለም',
+          uncategorized: 'ሌሎች አገልግሎቶች',
+          deleteConfirm: 'ይህ ምድብ ይሰረዝ? አገልግሎቶቹ ያለ ምድብ ይቀመጣሉ።',
+          namesHint: 'የአማርኛ እና የኦሮምኛ ስሞች አማራጭ ናቸው፤ ከሌሉ እንግሊዝኛው ይታያል',
+          names: {
+            en: 'ስም (እንግሊዝኛ)',
+            am: 'ስም (አማርኛ)',
+            or: 'ስም (ኦሮምኛ)'
+          }
+        },
+        pricing: {
+          variants: 'አማራጮች',
+          variantsHint: 'ደንበኞች የሚመርጡባቸው መጠኖች ወይም ዓይነቶች፣ እያንዳንዱ የራሱ ዋጋና ጊዜ ያለው (ለምሳሌ ባለ 1 መኝታ እና ባለ 3 መኝታ)',
+          addVariant: 'አማራጭ ጨምር',
+          addOns: 'ተጨማሪዎች',
+          addOnsHint: 'በዋጋውና በስራው ጊዜ ላይ የሚጨመሩ ተጨማሪ አገልግሎቶች',
+          addAddOn: 'ተጨማሪ ጨምር',
+          surcharges: 'ተጨማሪ ክፍያዎች',
+          surchargesHint: 'በተወሰኑ ቀናት ወይም ሰዓቶች ለሚጀምሩ ስራዎች ተጨማሪ ክፍያ፣ ለምሳሌ ቅዳሜና እሁድ ወይም ምሽት',
+          addSurcharge: 'ተጨማሪ ክፍያ ጨምር',
+          whenHint: 'ቀን ካልተመረጠ በየቀኑ፣ ሰዓት ካልተሰጠ ቀኑን ሙሉ ማለት ነው',
+          name: 'ስም',
+          percent: '% ከዋጋው',
+          fixed: 'የተወሰነ መጠን',
+          from: 'ከ',
+          to: 'እስከ',
+          summary: '{{variants}} አማራጮች · {{addOns}} ተጨማሪዎች · {{surcharges}} ተጨማሪ ክፍያዎች'
+        }
       },
       settings: {
         title: 'ቅንብሮች',
         profile: 'የመገለጫ ቅንብሮች',
         business: 'የንግድ ቅንብሮች',
+        travelBuffer: 'በስራዎች መካከል የጉዞ ጊዜ (ደቂቃ)',
+        cancellationCutoff: 'በመስመር ላይ የመሰረዝ/የማዛወር ገደብ (ከቀጠሮው በፊት በሰዓታት)',
+        noShowDepositThreshold: 'ከዚህ ያህል ጊዜ አለመምጣት በኋላ ቅድመ ክፍያ ጠይቅ (0 = በጭራሽ)',
+        depositPercent: 'ቅድመ ክፍያ (ከዋጋው %)',
+        lateChangeWindowHours: 'የዘገየ ለውጥ ጊዜ (ከቀጠሮው በፊት ያሉ ሰዓታት)',
+        lateCancellationFeePercent: 'የዘገየ ስረዛ ክፍያ (ከዋጋው %)',
+        lateRescheduleFeePercent: 'የዘገየ ቀጠሮ ለውጥ ክፍያ (ከዋጋው %)',
+        calendar: 'የቀን መቁጠሪያ',
+        calendarGregorian: 'ግሪጎሪያን',
+        calendarEthiopian: 'የኢትዮጵያ',
         notifications: 'የማሳወቂያ ቅንብሮች',
         preferences: 'ምርጫዎች',
         security: 'ደህንነት',
@@ -456,7 +865,19 @@ const resources = {
         confirmNewPassword: 'አዲስ የይለፍ ቃል አረጋግጥ',
         accountSettings: 'የአካውንት ቅንብሮች',
         generalSettings: 'አጠቃላይ ቅንብሮች',
-        privacySettings: 'የግላዊነት ቅንብሮች'
+        privacySettings: 'የግላዊነት ቅንብሮች',
+        closures: {
+          title: 'በዓላት እና ልዩ ሰዓቶች',
+          closed: 'ዝግ',
+          specialHours: 'ልዩ ሰዓቶች',
+          from: 'ከ',
+          to: 'እስከ',
+          opens: 'ይከፈታል',
+          closes: 'ይዘጋል',
+          reason: 'ምክንያት',
+          reasonPlaceholder: 'ለምሳሌ ጥምቀት',
+          none: 'የሚመጡ መዝጊያዎች ወይም ልዩ ሰዓቶች የሉም'
+        }
       },
       payments: {
         title: 'ክፍያዎች',
@@ -478,6 +899,56 @@ const resources = {
         method: 'መንገድ',
         invoice: 'ደረሰኝ',
         noBillingHistory: 'የክፍያ ታሪክ አልተገኘም',
+        ledger: {
+          title: 'በዚህ ቀጠሮ ላይ ያሉ ክፍያዎች',
+          show: 'የቀጠሮ ክፍያዎች',
+          total: 'ጠቅላላ',
+          paid: 'የተከፈለ',
+          balance: 'ቀሪ ሂሳብ',
+          balanceOf: '{{amount}} ቀሪ',
+          record: 'ክፍያ ይመዝግቡ',
+          amount: 'መጠን',
+          reference: 'ማጣቀሻ (አማራጭ)',
+          note: 'ማስታወሻ (አማራጭ)',
+          deposit: 'ቅድመ ክፍያ',
+          payDeposit: 'ይህ የ{{amount}} ቅድመ ክፍያውን ይከፍላል',
+          save: 'ይመዝግቡ',
+          none: 'እስካሁን ምንም ክፍያ የለም',
+          recordFailed: 'ክፍያውን መመዝገብ አልተቻለም',
+          methods: {
+            cash: 'ጥሬ ገንዘብ',
+            bank_transfer: 'የባንክ ዝውውር',
+            telebirr: 'ቴሌብር',
+            mobile_money: 'የሞባይል ገንዘብ',
+            wallet: 'ዋሌት',
+            stripe_card: 'ካርድ',
+            stripe_bank: 'የባንክ ክፍያ',
+            other: 'ሌላ'
+          },
+          statuses: {
+            pending: 'ያልተከፈለ',
+            partially_paid: 'በከፊል የተከፈለ',
+            paid: 'የተከፈለ',
+            overdue: 'ጊዜው ያለፈበት',
+            cancelled: 'የተሰረዘ'
+          }
+        },
+        refunds: {
+          refund: 'ተመላሽ',
+          title: 'ክፍያ ይመልሱ',
+          amount: 'የሚመለሰው መጠን',
+          remaining: 'እስከ {{amount}} መመለስ ይቻላል',
+          reason: 'ምክንያት',
+          manualNote: 'ይህ ክፍያ በመስመር ላይ አልተከፈለም። ገንዘቡን ለደንበኛው ራስዎ ይመልሱ፤ ተመላሹ እዚህ ብቻ ይመዘገባል።',
+          submit: 'ይመልሱ',
+          partiallyRefunded: 'በከፊል የተመለሰ',
+          error: 'ይህን ክፍያ መመለስ አልተቻለም',
+          statuses: {
+            succeeded: 'ተመልሷል',
+            pending: 'ተመላሽ በሂደት ላይ',
+            failed: 'ተመላሽ አልተሳካም'
+          }
+        },
         paymentStatus: 'የክፍያ ሁኔታ',
         nextBilling: 'ቀጣይ ክፍያ',
         setupPayment: 'ክፍያ ያዘጋጁ',
@@ -642,11 +1113,33 @@ const resources = {
         status: {
           pending: 'Eeguu keessa',
           confirmed: 'Mirkaneeffame',
+          'in-progress': 'Hojii irra jira',
           completed: 'Xumurameera',
-          cancelled: 'Haqameera'
+          cancelled: 'Haqameera',
+          'no-show': 'Hin dhufne'
         },
         confirmBooking: 'Qabannoo mirkaneessi',
         cancelBooking: 'Qabannoo haqi',
+        markNoShow: 'Hin dhufne jedhii galmeessi',
+        lineItems: {
+          add: 'Tajaajila biraa dabali',
+          remove: 'Tajaajila haqi',
+          quantity: 'Baay\'ina',
+          price: 'Gatii',
+          total: 'Daqiiqaa {{duration}} · ${{amount}}'
+        },
+        lateFee: {
+          waive: 'Kaffaltii haqiinsa tursiifamaa dhiisi',
+          charged: 'Kaffaltiin jijjiirama tursiifamaa ${{amount}} galmeeffameera.'
+        },
+        deposit: {
+          label: 'Kaffaltii duraa',
+          pending: 'hin kaffalamne',
+          paid: 'kaffalameera',
+          waived: 'dhiifameera',
+          markPaid: 'Kaffalameera jedhi',
+          waive: 'Dhiisi'
+        },
         reschedule: 'Ammaan kaayya',
         serviceType: 'Gosa tajaajilaa',
         customer: 'Maamilaa',
@@ -654,10 +1147,81 @@ const resources = {
         duration: 'Yeroo',
         price: 'Gatii',
         notes: 'Yaadannoo',
+        intakeAnswers: 'Deebii unka odeeffannoo',
         selectCustomer: 'Maamilaa filii',
         selectService: 'Tajaajila filii',
         selectDate: 'Guyyaa filii',
-        selectTime: 'Sa\'aatii filii'
+        selectTime: 'Sa\'aatii filii',
+        assignedTo: 'Kan ramadame',
+        waitlist: {
+          title: 'Tarree eegumsaa',
+          none: 'Namni bakka eegu hin jiru',
+          anyTime: 'Yeroo kamiyyuu',
+          offered: '{{time}} dhiyaateera, hanga {{expires}} qabameera',
+          offer: 'Bakka duwwaa jalqabaa amma dhiyeessi',
+          copyLink: 'Liinkii fudhachuu garagalchi'
+        },
+        calendar: {
+          list: 'Tarree',
+          calendar: 'Kaalaandarii',
+          day: 'Guyyaa',
+          week: 'Torban',
+          month: 'Ji\'a',
+          conflict: 'Qabannoo biraa wajjin walitti bu\'a',
+          anyStaff: 'Hojjetaa bilisaa kamiyyuu',
+          bookAnyway: 'Haa ta\'u malee qabadhu?'
+        },
+        history: {
+          title: 'Seenaa',
+          none: 'Hanga ammaatti jijjiiramni galmaa\'e hin jiru',
+          actors: {
+            owner: 'abbaa qabeenyaa',
+            assistant: 'gargaaraa',
+            customer: 'maamila',
+            system: 'sirna'
+          },
+          actions: {
+            created: 'Qabameera',
+            rescheduled: 'Yeroon jijjiirameera',
+            reassigned: 'Hojjetaa biraaf kennameera',
+            status_changed: 'Haalli jijjiirameera',
+            cancelled: 'Haqameera',
+            payment_updated: 'Kaffaltiin haaromfameera',
+            updated: 'Haaromfameera',
+            deleted: 'Balleeffameera'
+          },
+          fields: {
+            status: 'Haala',
+            date: 'Guyyaa',
+            time: 'Sa\'aatii',
+            duration: 'Turtii',
+            lineItems: 'Tajaajiloota',
+            staffId: 'Hojjetaa',
+            notes: 'Yaadannoo',
+            totalAmount: 'Hanga',
+            amountPaid: 'Hanga kaffalame',
+            paymentStatus: 'Haala kaffaltii',
+            paymentMethod: 'Mala kaffaltii'
+          }
+        },
+        recurring: {
+          label: 'Irra deddeebi\'aa',
+          conflict: 'Walitti bu\'iinsa',
+          applyTo: 'Jijjiirama kana irratti raawwadhu',
+          scopeThis: 'Qabannoo kana qofa',
+          scopeFollowing: 'Kanaa fi qabannoowwan itti aanan',
+          scopeAll: 'Qabannoowwan walitti aansoo keessa jiran hunda',
+          repeat: 'Irra deddeebi\'i',
+          never: 'Irra hin deddeebi\'u',
+          daily: 'Guyyaa guyyaan',
+          weekly: 'Torbee torbeen',
+          monthly: 'Ji\'a ji\'aan',
+          interval: 'Yeroo hundaa (guyyaa, torbee ykn ji\'a)',
+          count: 'Baay\'ina qabannoowwanii',
+          skipConflicts: 'Guyyoota qabannoowwan biroo waliin walitti bu\'an dhiisi',
+          conflictsMarked: 'Guyyoonni kun qabannoowwan biroo waliin walitti bu\'u, walitti bu\'iinsa jedhamanii mallattaa\'aniiru: {{dates}}',
+          conflictsSkipped: 'Guyyoonni kun qabannoowwan biroo waliin walitti bu\'u, hin qabamne: {{dates}}'
+        }
       },
       customers: {
         title: 'Maamiltoota',
@@ -672,7 +1236,18 @@ const resources = {
         totalSpent: 'Kaffalame waliigalaa',
         customerInfo: 'Odeeffannoo maamilaa',
         contactInfo: 'Odeeffannoo quunnamtii',
-        bookingHistory: 'Seenaa qabannoo'
+        bookingHistory: 'Seenaa qabannoo',
+        noShows: 'Yeroo {{count}} hin dhufne (daawwannaa keessaa {{rate}}%)'
+      },
+      attachments: {
+        title: 'Faayiloota fi suuraalee',
+        show: 'Faayiloota fi suuraalee',
+        hide: 'Faayiloota dhoksi',
+        upload: 'Ol fe\'i',
+        uploading: 'Ol fe\'amaa jira...',
+        none: 'Ammaaf faayilli hin jiru',
+        deleteConfirm: 'Faayilli kun haa haqamu?',
+        uploadFailed: 'Faayilli ol fe\'amuu hin dandeenye'
       },
       services: {
         title: 'Tajaajiloota',
@@ -688,12 +1263,81 @@ const resources = {
         category: 'Ramaddii',
         isActive: 'Socho\'aa',
         minutes: 'daqiiqaalee',
-        hours: 'sa\'aatilee'
+        hours: 'sa\'aatilee',
+        bufferBefore: 'Yeroo qophii dura (daqiiqaa)',
+        bufferAfter: 'Yeroo qulqulleessuu booda (daqiiqaa)',
+        image: 'URL suuraa (dirqama miti)',
+        moveUp: 'Ol guddisi',
+        moveDown: 'Gad buusi',
+        intake: {
+          title: 'Unka odeeffannoo',
+          hint: 'Gaaffilee maamiltoonni toora interneetiin yeroo qabatan deebisan, fkn. maaltu akka cabe ykn akkamitti gara gamoo akka seenan',
+          addField: 'Gaaffii dabaluu',
+          required: 'Dirqama',
+          options: 'Filannoowwan',
+          addOption: 'Filannoo dabaluu',
+          languages: {
+            en: 'Ingiliffaa',
+            am: 'Amaariffaa',
+            or: 'Afaan Oromoo'
+          },
+          types: {
+            text: 'Barreeffama',
+            select: 'Tarree filannoo',
+            checkbox: 'Saanduqa mallattoo',
+            date: 'Guyyaa',
+            number: 'Lakkoofsa'
+          }
+        },
+        categories: {
+          title: 'Ramaddii tajaajilaa',
+          manage: 'Ramaddiiwwan',
+          add: 'Ramaddii dabaluu',
+          rename: 'Ramaddii maqaa jijjiiruu',
+          none: 'Hanga ammaatti ramaddiin hin jiru. Maamiltoonni dafanii akka argatan tajaajila kee ramadi.',
+          noCategory: 'Ramaddii hin qabu',
+          uncategorized: 'Tajaajila biroo',
+          deleteConfirm: 'Ramaddiin kun haqamu? Tajaajilli isaa ramaddii malee ni turu.',
+          namesHint: 'Maqaan Amaariffaa fi Afaan Oromoo dirqama miti; yoo hin jirre kan Ingiliffaa ni mul\'ata',
+          names: {
+            en: 'Maqaa (Ingiliffaa)',
+            am: 'Maqaa (Amaariffaa)',
+            or: 'Maqaa (Afaan Oromoo)'
+          }
+        },
+        pricing: {
+          variants: 'Filannoowwan',
+          variantsHint: 'Hammaa ykn gosoota maamiltoonni filatan, tokkoon tokkoon gatii fi yeroo mataa isaa qaba (fkn. kutaa ciisichaa 1 fi 3)',
+          addVariant: 'Filannoo dabali',
+          addOns: 'Dabalataalee',
+          addOnsHint: 'Wantoota gatii fi yeroo hojii irratti dabalaman',
+          addAddOn: 'Dabalataa dabali',
+          surcharges: 'Kaffaltii dabalataa',
+          surchargesHint: 'Hojii guyyoota ykn sa\'aatii murtaa\'an jalqabuuf kaffaltii dabalataa, fkn. dhuma torbanii ykn galgala',
+          addSurcharge: 'Kaffaltii dabalataa dabali',
+          whenHint: 'Guyyaan hin filatamne yoo ta\'e guyyaa hunda; sa\'aatiin hin kennamne yoo ta\'e guyyaa guutuu',
+          name: 'Maqaa',
+          percent: '% gatii',
+          fixed: 'Hanga murtaa\'e',
+          from: 'Irraa',
+          to: 'hanga',
+          summary: 'Filannoo {{variants}} · Dabalataa {{addOns}} · Kaffaltii dabalataa {{surcharges}}'
+        }
       },
       settings: {
         title: 'Qindaa\'ina',
         profile: 'Qindaa\'ina seenaa',
         business: 'Qindaa\'ina daldalaa',
+        travelBuffer: 'Yeroo imala hojiiwwan gidduu (daqiiqaa)',
+        cancellationCutoff: 'Daangaa haquu/jijjiiruu toora interneetii (sa\'aatii dura)',
+        noShowDepositThreshold: 'Yeroo kana hin dhufne booda kaffaltii duraa gaafadhu (0 = gonkumaa)',
+        depositPercent: 'Kaffaltii duraa (% gatii)',
+        lateChangeWindowHours: 'Yeroo jijjiirama tursiifamaa (sa\'aatii beellamaa dura)',
+        lateCancellationFeePercent: 'Kaffaltii haqiinsa tursiifamaa (% gatii)',
+        lateRescheduleFeePercent: 'Kaffaltii beellama jijjiiruu tursiifamaa (% gatii)',
+        calendar: 'Dhaha guyyaa',
+        calendarGregorian: 'Gorgooriyaa',
+        calendarEthiopian: 'Itoophiyaa',
         notifications: 'Qindaa\'ina beeksisaa',
         preferences: 'Filannoo',
         security: 'Nageenya',
@@ -710,7 +1354,19 @@ const resources = {
         confirmNewPassword: 'Jecha icciitii haaraa mirkaneessi',
         accountSettings: 'Qindaa\'ina akkaawuntii',
         generalSettings: 'Qindaa\'ina waliigalaa',
-        privacySettings: 'Qindaa\'ina dhuunfaa'
+        privacySettings: 'Qindaa\'ina dhuunfaa',
+        closures: {
+          title: 'Ayyaanota fi Sa\'aatii Addaa',
+          closed: 'Cufaa',
+          specialHours: 'Sa\'aatii addaa',
+          from: 'Irraa',
+          to: 'Hanga',
+          opens: 'Banama',
+          closes: 'Cufama',
+          reason: 'Sababa',
+          reasonPlaceholder: 'Fkn. Ayyaana Cuuphaa',
+          none: 'Cufinsi ykn sa\'aatiin addaa dhufu hin jiru'
+        }
       },
       payments: {
         title: 'Kaffaltii',
@@ -732,6 +1388,56 @@ const resources = {
         method: 'Mala',
         invoice: 'Waraqaa kaffaltii',
         noBillingHistory: 'Seenaan kaffaltii hin argamne',
+        ledger: {
+          title: 'Kaffaltiiwwan beellama kanaa',
+          show: 'Kaffaltii beellamaa',
+          total: 'Waliigala',
+          paid: 'Kaffalame',
+          balance: 'Hafe',
+          balanceOf: '{{amount}} hafe',
+          record: 'Kaffaltii galmeessi',
+          amount: 'Hanga',
+          reference: 'Lakkoofsa wabii (filannoo)',
+          note: 'Yaadannoo (filannoo)',
+          deposit: 'kaffaltii duraa',
+          payDeposit: 'Kun kaffaltii duraa {{amount}} kaffala',
+          save: 'Galmeessi',
+          none: 'Hanga ammaatti kaffaltiin hin jiru',
+          recordFailed: 'Kaffaltii galmeessuun hin danda\'amne',
+          methods: {
+            cash: 'Maallaqa callaa',
+            bank_transfer: 'Dabarsa baankii',
+            telebirr: 'telebirr',
+            mobile_money: 'Maallaqa moobaayilaa',
+            wallet: 'Waalleetii',
+            stripe_card: 'Kaardii',
+            stripe_bank: 'Kaffaltii baankii',
+            other: 'Kan biroo'
+          },
+          statuses: {
+            pending: 'Hin kaffalamne',
+            partially_paid: 'Gartokkoon kaffalame',
+            paid: 'Kaffalame',
+            overdue: 'Yeroon darbe',
+            cancelled: 'Haqame'
+          }
+        },
+        refunds: {
+          refund: 'Deebisi',
+          title: 'Kaffaltii Deebisi',
+          amount: 'Hanga deebi\'u',
+          remaining: 'Hanga {{amount}} deebisuun ni danda\'ama',
+          reason: 'Sababa',
+          manualNote: 'Kaffaltiin kun toora interneetiin hin kaffalamne. Maallaqa maamilaaf ofii keessan deebisaa; deebiin asitti qofa galmaa\'a.',
+          submit: 'Deebisi',
+          partiallyRefunded: 'Gartokkeen deebi\'e',
+          error: 'Kaffaltii kana deebisuun hin danda\'amne',
+          statuses: {
+            succeeded: 'deebi\'eera',
+            pending: 'deebiin adeemsa irra jira',
+            failed: 'deebiin hin milkoofne'
+          }
+        },
         paymentStatus: 'Haala kaffaltii',
         nextBilling: 'Kaffaltii itti aanu',
         setupPayment: 'Kaffaltii qopheessi',
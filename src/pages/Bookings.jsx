@@ -1,7 +1,15 @@
 import React, { useState, useEffect } from 'react';
-import { Plus, Calendar, Clock, User, Phone, MapPin, Filter, X } from 'lucide-react';
+import { Plus, Calendar, Clock, User, Phone, MapPin, Filter, X, Repeat, List } from 'lucide-react';
 import { useTranslation } from 'react-i18next';
 import api from '../utils/api';
+import { useAuth } from '../contexts/AuthContext';
+import { formatCalendarDate } from '../utils/ethiopianCalendar';
+import WaitlistPanel from '../components/WaitlistPanel';
+import BookingCalendar from '../components/BookingCalendar';
+import BookingFormModal from '../components/BookingFormModal';
+import BookingHistory from '../components/BookingHistory';
+import AttachmentList from '../components/AttachmentList';
+import BookingLedger from '../components/BookingLedger';
 
 const Bookings = () => {
   const [bookings, setBookings] = useState([]);
@@ -9,11 +17,18 @@ const Bookings = () => {
   const [showModal, setShowModal] = useState(false);
   const [selectedBooking, setSelectedBooking] = useState(null);
   const [updating, setUpdating] = useState(false);
+  const [seriesScope, setSeriesScope] = useState('this');
+  const [waiveFee, setWaiveFee] = useState(false);
+  const [viewMode, setViewMode] = useState('list');
+  const [newBookingAt, setNewBookingAt] = useState(null);
+  const [calendarVersion, setCalendarVersion] = useState(0);
   const [filters, setFilters] = useState({
     status: '',
     date: ''
   });
-  const { t } = useTranslation();
+  const { t, i18n } = useTranslation();
+  const { user } = useAuth();
+  const dateOptions = { language: i18n.language, calendar: user?.calendar };
 
   useEffect(() => {
     fetchBookings();
@@ -46,6 +61,8 @@ const Bookings = () => {
         return 'bg-red-100 text-red-800';
       case 'in-progress':
         return 'bg-purple-100 text-purple-800';
+      case 'no-show':
+        return 'bg-orange-100 text-orange-800';
       default:
         return 'bg-gray-100 text-gray-800';
     }
@@ -58,40 +75,84 @@ const Bookings = () => {
   const handleStatusUpdate = async (bookingId, newStatus) => {
     setUpdating(true);
     try {
-      await api.put(`/bookings/${bookingId}`, { status: newStatus });
+      const response = await api.put(`/bookings/${bookingId}`, { status: newStatus, scope: seriesScope, waiveFee });
+      const { status, nextStatuses } = response.data.booking;
+      
+      // Series edits touch other occurrences too, so reload the list
+      if (seriesScope !== 'this') {
+        await fetchBookings();
+      }
       
       // Update the booking in the local state
       setBookings(prevBookings => 
         prevBookings.map(booking => 
           booking._id === bookingId 
-            ? { ...booking, status: newStatus }
+            ? { ...booking, status, nextStatuses }
             : booking
         )
       );
       
       // Update selected booking if it's the one being updated
       if (selectedBooking && selectedBooking._id === bookingId) {
-        setSelectedBooking(prev => ({ ...prev, status: newStatus }));
+        setSelectedBooking(prev => ({ ...prev, status, nextStatuses }));
       }
       
-      // Show success message
-      alert(t('messages.success.updated'));
+      setCalendarVersion(version => version + 1);
+
+      // Show success message, with any late fee it cost
+      const fees = response.data.fees || (response.data.fee ? [response.data.fee] : []);
+      const feeTotal = fees.reduce((total, fee) => total + fee.amount, 0);
+      alert(feeTotal
+        ? `${t('messages.success.updated')} ${t('bookings.lateFee.charged', { amount: feeTotal })}`
+        : t('messages.success.updated'));
     } catch (error) {
       console.error('Error updating booking:', error);
-      alert(t('messages.error.general'));
+      alert(error.response?.data?.message || t('messages.error.general'));
     } finally {
       setUpdating(false);
     }
   };
 
+  const handleDepositUpdate = async (bookingId, depositStatus) => {
+    setUpdating(true);
+    try {
+      const response = await api.put(`/bookings/${bookingId}`, { depositStatus });
+      const { deposit } = response.data.booking;
+      setBookings(prevBookings => prevBookings.map(booking => (booking._id === bookingId ? { ...booking, deposit } : booking)));
+      setSelectedBooking(prev => ({ ...prev, deposit }));
+    } catch (error) {
+      console.error('Error updating deposit:', error);
+      alert(error.response?.data?.message || t('messages.error.general'));
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  // A payment was recorded from the booking's ledger
+  const handlePaymentRecorded = (bookingId, payment) => {
+    setBookings(prevBookings => prevBookings.map(booking => (booking._id === bookingId ? { ...booking, ...payment } : booking)));
+    setSelectedBooking(prev => ({ ...prev, ...payment }));
+    setCalendarVersion(version => version + 1);
+  };
+
   const handleBookingClick = (booking) => {
     setSelectedBooking(booking);
+    setSeriesScope('this');
+    setWaiveFee(false);
     setShowModal(true);
   };
 
   const closeModal = () => {
     setShowModal(false);
     setSelectedBooking(null);
+    setSeriesScope('this');
+    setWaiveFee(false);
+  };
+
+  const handleBookingCreated = () => {
+    setNewBookingAt(null);
+    fetchBookings();
+    setCalendarVersion(version => version + 1);
   };
 
   if (loading) {
@@ -106,92 +167,161 @@ const Bookings = () => {
     <div className="space-y-6">
       <div className="flex justify-between items-center">
         <h1 className="text-2xl font-bold text-gray-900">{t('bookings.title')}</h1>
-        <button
-          onClick={() => setShowModal(true)}
-          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors duration-200 flex items-center space-x-2"
-        >
-          <Plus className="h-4 w-4" />
-          <span>{t('bookings.newBooking')}</span>
-        </button>
+        <div className="flex items-center space-x-3">
+          <div className="flex rounded-lg border border-gray-300 overflow-hidden">
+            <button
+              onClick={() => setViewMode('list')}
+              className={`px-3 py-2 text-sm flex items-center space-x-1 ${viewMode === 'list' ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+            >
+              <List className="h-4 w-4" />
+              <span>{t('bookings.calendar.list')}</span>
+            </button>
+            <button
+              onClick={() => setViewMode('calendar')}
+              className={`px-3 py-2 text-sm flex items-center space-x-1 ${viewMode === 'calendar' ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+            >
+              <Calendar className="h-4 w-4" />
+              <span>{t('bookings.calendar.calendar')}</span>
+            </button>
+          </div>
+          <button
+            onClick={() => setNewBookingAt({ date: '', time: '' })}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors duration-200 flex items-center space-x-2"
+          >
+            <Plus className="h-4 w-4" />
+            <span>{t('bookings.newBooking')}</span>
+          </button>
+        </div>
       </div>
 
+      {viewMode === 'calendar' && (
+        <BookingCalendar
+          refreshKey={calendarVersion}
+          onBookingClick={handleBookingClick}
+          onCreateAt={(date, time) => setNewBookingAt({ date, time })}
+        />
+      )}
+
       {/* Filters */}
-      <div className="bg-white rounded-xl shadow-sm p-6">
-        <div className="flex items-center space-x-4">
-          <div className="flex items-center space-x-2">
-            <Filter className="h-5 w-5 text-gray-400" />
-            <span className="text-sm font-medium text-gray-700">{t('common.filter')} by:</span>
+      {viewMode === 'list' && (
+        <div className="bg-white rounded-xl shadow-sm p-6">
+          <div className="flex items-center space-x-4">
+            <div className="flex items-center space-x-2">
+              <Filter className="h-5 w-5 text-gray-400" />
+              <span className="text-sm font-medium text-gray-700">{t('common.filter')} by:</span>
+            </div>
+            <select
+              value={filters.status}
+              onChange={(e) => setFilters({ ...filters, status: e.target.value })}
+              className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            >
+              <option value="">All {t('common.status')}</option>
+              <option value="pending">{t('bookings.status.pending')}</option>
+              <option value="confirmed">{t('bookings.status.confirmed')}</option>
+              <option value="in-progress">{t('bookings.status.in-progress')}</option>
+              <option value="completed">{t('bookings.status.completed')}</option>
+              <option value="cancelled">{t('bookings.status.cancelled')}</option>
+              <option value="no-show">{t('bookings.status.no-show')}</option>
+            </select>
+            <input
+              type="date"
+              value={filters.date}
+              onChange={(e) => setFilters({ ...filters, date: e.target.value })}
+              className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            />
           </div>
-          <select
-            value={filters.status}
-            onChange={(e) => setFilters({ ...filters, status: e.target.value })}
-            className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
-          >
-            <option value="">All {t('common.status')}</option>
-            <option value="pending">{t('bookings.status.pending')}</option>
-            <option value="confirmed">{t('bookings.status.confirmed')}</option>
-            <option value="in-progress">In Progress</option>
-            <option value="completed">{t('bookings.status.completed')}</option>
-            <option value="cancelled">{t('bookings.status.cancelled')}</option>
-          </select>
-          <input
-            type="date"
-            value={filters.date}
-            onChange={(e) => setFilters({ ...filters, date: e.target.value })}
-            className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
-          />
         </div>
-      </div>
+      )}
+
+      {/* Waitlist */}
+      <WaitlistPanel />
 
       {/* Bookings Grid */}
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-        {bookings.map((booking) => (
-          <div
-            key={booking._id}
-            className="bg-white rounded-xl shadow-sm p-6 hover:shadow-md transition-shadow duration-200 cursor-pointer"
-            onClick={() => handleBookingClick(booking)}
-          >
-            <div className="flex justify-between items-start mb-4">
-              <div className="flex items-center space-x-2">
-                <User className="h-5 w-5 text-gray-400" />
-                <h3 className="font-semibold text-gray-900">{booking.customerId?.name}</h3>
-              </div>
-              <span className={`px-2 py-1 text-xs font-medium rounded-full ${getStatusColor(booking.status)}`}>
-                {booking.localizedStatus || getStatusText(booking.status)}
-              </span>
-            </div>
+      {viewMode === 'list' && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {bookings.map((booking) => (
+              <div
+                key={booking._id}
+                className="bg-white rounded-xl shadow-sm p-6 hover:shadow-md transition-shadow duration-200 cursor-pointer"
+                onClick={() => handleBookingClick(booking)}
+              >
+                <div className="flex justify-between items-start mb-4">
+                  <div className="flex items-center space-x-2">
+                    <User className="h-5 w-5 text-gray-400" />
+                    <h3 className="font-semibold text-gray-900">{booking.customerId?.name}</h3>
+                  </div>
+                  <span className={`px-2 py-1 text-xs font-medium rounded-full ${getStatusColor(booking.status)}`}>
+                    {booking.localizedStatus || getStatusText(booking.status)}
+                  </span>
+                </div>
 
-            <div className="space-y-2 mb-4">
-              <div className="flex items-center space-x-2 text-sm text-gray-600">
-                <Calendar className="h-4 w-4" />
-                <span>{new Date(booking.date).toLocaleDateString()}</span>
-              </div>
-              <div className="flex items-center space-x-2 text-sm text-gray-600">
-                <Clock className="h-4 w-4" />
-                <span>{booking.time}</span>
-              </div>
-              <div className="flex items-center space-x-2 text-sm text-gray-600">
-                <Phone className="h-4 w-4" />
-                <span>{booking.customerId?.phone}</span>
-              </div>
-            </div>
+                <div className="space-y-2 mb-4">
+                  <div className="flex items-center space-x-2 text-sm text-gray-600">
+                    <Calendar className="h-4 w-4" />
+                    <span>{formatCalendarDate(booking.date, dateOptions)}</span>
+                  </div>
+                  <div className="flex items-center space-x-2 text-sm text-gray-600">
+                    <Clock className="h-4 w-4" />
+                    <span>{booking.time}</span>
+                  </div>
+                  <div className="flex items-center space-x-2 text-sm text-gray-600">
+                    <Phone className="h-4 w-4" />
+                    <span>{booking.customerId?.phone}</span>
+                  </div>
+                  {booking.staffId?.name && (
+                    <div className="flex items-center space-x-2 text-sm text-gray-600">
+                      <User className="h-4 w-4" />
+                      <span>{t('bookings.assignedTo')}: {booking.staffId.name}</span>
+                    </div>
+                  )}
+                  {booking.seriesId && (
+                    <div className="flex items-center space-x-2 text-sm text-gray-600">
+                      <Repeat className="h-4 w-4" />
+                      <span>{t('bookings.recurring.label')}</span>
+                      {booking.hasConflicts && (
+                        <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-red-100 text-red-800">
+                          {t('bookings.recurring.conflict')}
+                        </span>
+                      )}
+                    </div>
+                  )}
+                </div>
 
-            <div className="border-t pt-4">
-              <p className="text-sm text-gray-600 mb-2">{booking.serviceId?.name}</p>
-              <div className="flex justify-between items-center">
-                <span className="text-lg font-bold text-gray-900">${booking.totalAmount}</span>
-                <span className="text-sm text-gray-500">{booking.duration} {t('services.minutes')}</span>
+                <div className="border-t pt-4">
+                  <p className="text-sm text-gray-600 mb-2">{booking.serviceSummary || booking.serviceId?.name}</p>
+                  <div className="flex justify-between items-center">
+                    <span className="text-lg font-bold text-gray-900">
+                      ${booking.totalAmount}
+                      {booking.paymentStatus === 'partially_paid' && (
+                        <span className="ml-2 text-xs font-normal text-amber-600">
+                          {t('payments.ledger.balanceOf', { amount: `$${booking.balanceDue}` })}
+                        </span>
+                      )}
+                    </span>
+                    <span className="text-sm text-gray-500">{booking.duration} {t('services.minutes')}</span>
+                  </div>
+                </div>
               </div>
-            </div>
+            ))}
           </div>
-        ))}
-      </div>
 
-      {bookings.length === 0 && (
-        <div className="text-center py-12">
-          <Calendar className="h-12 w-12 text-gray-400 mx-auto mb-4" />
-          <p className="text-gray-500">{t('bookings.noBookings')}</p>
-        </div>
+          {bookings.length === 0 && (
+            <div className="text-center py-12">
+              <Calendar className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+              <p className="text-gray-500">{t('bookings.noBookings')}</p>
+            </div>
+          )}
+        </>
+      )}
+
+      {newBookingAt && (
+        <BookingFormModal
+          initialDate={newBookingAt.date}
+          initialTime={newBookingAt.time}
+          onClose={() => setNewBookingAt(null)}
+          onCreated={handleBookingCreated}
+        />
       )}
 
       {/* Booking Detail Modal */}
@@ -218,15 +348,45 @@ const Bookings = () => {
               
               <div>
                 <label className="text-sm font-medium text-gray-700">{t('bookings.serviceType')}</label>
-                <p className="text-gray-900">{selectedBooking.serviceId?.name}</p>
+                {selectedBooking.lineItems?.length > 0 ? (
+                  <ul className="text-gray-900">
+                    {selectedBooking.lineItems.map((item, index) => (
+                      <li key={index}>
+                        <div className="flex justify-between">
+                          <span>
+                            {item.name}{item.variant?.name && ` (${item.variant.name})`}{item.quantity > 1 && ` × ${item.quantity}`}
+                          </span>
+                          <span className="text-sm text-gray-600">${item.unitPrice * item.quantity}</span>
+                        </div>
+                        {(item.addOns?.length > 0 || item.surcharges?.length > 0) && (
+                          <p className="text-xs text-gray-500">
+                            {[
+                              ...(item.addOns || []).map(addOn => `+ ${addOn.name}`),
+                              ...(item.surcharges || []).map(surcharge => `${surcharge.name} +$${surcharge.amount}`)
+                            ].join(' · ')}
+                          </p>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <p className="text-gray-900">{selectedBooking.serviceId?.name}</p>
+                )}
                 <p className="text-sm text-gray-600">{t('bookings.duration')}: {selectedBooking.duration} {t('services.minutes')}</p>
                 <p className="text-sm text-gray-600">{t('common.price')}: ${selectedBooking.totalAmount}</p>
               </div>
+
+              {selectedBooking.staffId?.name && (
+                <div>
+                  <label className="text-sm font-medium text-gray-700">{t('bookings.assignedTo')}</label>
+                  <p className="text-gray-900">{selectedBooking.staffId.name}</p>
+                </div>
+              )}
               
               <div>
                 <label className="text-sm font-medium text-gray-700">{t('bookings.dateTime')}</label>
                 <p className="text-gray-900">
-                  {new Date(selectedBooking.date).toLocaleDateString()} at {selectedBooking.time}
+                  {formatCalendarDate(selectedBooking.date, dateOptions)} at {selectedBooking.time}
                 </p>
               </div>
               
@@ -246,18 +406,102 @@ const Bookings = () => {
                 </div>
               )}
 
+              {selectedBooking.intakeAnswers?.length > 0 && (
+                <div>
+                  <label className="text-sm font-medium text-gray-700">{t('bookings.intakeAnswers')}</label>
+                  <dl className="text-sm">
+                    {selectedBooking.intakeAnswers.map((answer) => (
+                      <div key={answer.fieldId} className="flex justify-between space-x-4">
+                        <dt className="text-gray-600">{answer.label}</dt>
+                        <dd className="text-gray-900 text-right">
+                          {answer.type === 'checkbox'
+                            ? t(answer.value ? 'common.yes' : 'common.no')
+                            : answer.type === 'date' ? formatCalendarDate(answer.value, dateOptions) : String(answer.value)}
+                        </dd>
+                      </div>
+                    ))}
+                  </dl>
+                </div>
+              )}
+
               <div>
                 <label className="text-sm font-medium text-gray-700">Payment {t('common.status')}</label>
-                <p className="text-gray-900 capitalize">{selectedBooking.paymentStatus || 'pending'}</p>
+                <p className="text-gray-900">{t(`payments.ledger.statuses.${selectedBooking.paymentStatus || 'pending'}`)}</p>
               </div>
+
+              {selectedBooking.deposit?.status && (
+                <div>
+                  <label className="text-sm font-medium text-gray-700">{t('bookings.deposit.label')}</label>
+                  <p className="text-gray-900">
+                    ${selectedBooking.deposit.amount} · {t(`bookings.deposit.${selectedBooking.deposit.status}`)}
+                  </p>
+                  {selectedBooking.deposit.status === 'pending' && (
+                    <div className="flex space-x-2 mt-2">
+                      <button
+                        onClick={() => handleDepositUpdate(selectedBooking._id, 'paid')}
+                        disabled={updating}
+                        className="px-3 py-1 text-sm border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                      >
+                        {t('bookings.deposit.markPaid')}
+                      </button>
+                      <button
+                        onClick={() => handleDepositUpdate(selectedBooking._id, 'waived')}
+                        disabled={updating}
+                        className="px-3 py-1 text-sm border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                      >
+                        {t('bookings.deposit.waive')}
+                      </button>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              <BookingLedger
+                bookingId={selectedBooking._id}
+                refreshKey={calendarVersion}
+                onChange={(payment) => handlePaymentRecorded(selectedBooking._id, payment)}
+              />
+
+              <AttachmentList basePath={`/bookings/${selectedBooking._id}/attachments`} />
+
+              <BookingHistory bookingId={selectedBooking._id} refreshKey={calendarVersion} />
             </div>
 
             {/* Status Update Buttons */}
             <div className="space-y-3">
-              <p className="text-sm font-medium text-gray-700">{t('common.update')} {t('common.status')}:</p>
+              {selectedBooking.seriesId && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">{t('bookings.recurring.applyTo')}</label>
+                  <select
+                    value={seriesScope}
+                    onChange={(e) => setSeriesScope(e.target.value)}
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                  >
+                    <option value="this">{t('bookings.recurring.scopeThis')}</option>
+                    <option value="following">{t('bookings.recurring.scopeFollowing')}</option>
+                    <option value="all">{t('bookings.recurring.scopeAll')}</option>
+                  </select>
+                </div>
+              )}
+
+              {selectedBooking.nextStatuses?.length > 0 && (
+                <p className="text-sm font-medium text-gray-700">{t('common.update')} {t('common.status')}:</p>
+              )}
+
+              {selectedBooking.nextStatuses?.includes('cancelled') && user?.lateCancellationFeePercent > 0 && (
+                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={waiveFee}
+                    onChange={(e) => setWaiveFee(e.target.checked)}
+                    className="rounded border-gray-300"
+                  />
+                  <span>{t('bookings.lateFee.waive')}</span>
+                </label>
+              )}
               
               <div className="grid grid-cols-2 gap-3">
-                {selectedBooking.status !== 'confirmed' && (
+                {selectedBooking.nextStatuses?.includes('confirmed') && (
                   <button
                     onClick={() => handleStatusUpdate(selectedBooking._id, 'confirmed')}
                     disabled={updating}
@@ -267,7 +511,7 @@ const Bookings = () => {
                   </button>
                 )}
                 
-                {selectedBooking.status !== 'in-progress' && selectedBooking.status !== 'completed' && (
+                {selectedBooking.nextStatuses?.includes('in-progress') && (
                   <button
                     onClick={() => handleStatusUpdate(selectedBooking._id, 'in-progress')}
                     disabled={updating}
@@ -277,7 +521,7 @@ const Bookings = () => {
                   </button>
                 )}
                 
-                {selectedBooking.status !== 'completed' && (
+                {selectedBooking.nextStatuses?.includes('completed') && (
                   <button
                     onClick={() => handleStatusUpdate(selectedBooking._id, 'completed')}
                     disabled={updating}
@@ -287,7 +531,7 @@ const Bookings = () => {
                   </button>
                 )}
                 
-                {selectedBooking.status !== 'cancelled' && selectedBooking.status !== 'completed' && (
+                {selectedBooking.nextStatuses?.includes('cancelled') && (
                   <button
                     onClick={() => handleStatusUpdate(selectedBooking._id, 'cancelled')}
                     disabled={updating}
@@ -296,6 +540,16 @@ const Bookings = () => {
                     {updating ? 'Updating...' : t('bookings.cancelBooking')}
                   </button>
                 )}
+
+                {selectedBooking.nextStatuses?.includes('no-show') && (
+                  <button
+                    onClick={() => handleStatusUpdate(selectedBooking._id, 'no-show')}
+                    disabled={updating}
+                    className="bg-orange-600 text-white py-2 px-4 rounded-lg hover:bg-orange-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed text-sm"
+                  >
+                    {updating ? 'Updating...' : t('bookings.markNoShow')}
+                  </button>
+                )}
               </div>
             </div>
 
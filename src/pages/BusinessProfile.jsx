@@ -1,12 +1,16 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, Link } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
 import { Building, MapPin, Phone, Mail, Clock, Star, Calendar } from 'lucide-react';
 import api from '../utils/api';
+import { getCategoryName, groupServicesByCategory } from '../utils/serviceCatalog';
 
 const BusinessProfile = () => {
   const { businessId } = useParams();
   const [business, setBusiness] = useState(null);
   const [services, setServices] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const { i18n } = useTranslation();
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -18,6 +22,7 @@ const BusinessProfile = () => {
       const response = await api.get(`/public/business/${businessId}`);
       setBusiness(response.data.business);
       setServices(response.data.services);
+      setCategories(response.data.categories || []);
     } catch (error) {
       console.error('Error fetching business profile:', error);
     } finally {
@@ -88,36 +93,48 @@ const BusinessProfile = () => {
             <p className="text-gray-600">Professional services tailored to your needs</p>
           </div>
 
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
-            {services.map((service) => (
-              <div key={service._id} className="bg-white rounded-xl shadow-sm p-6 hover:shadow-lg transition-shadow duration-200">
-                <div className="flex items-center space-x-3 mb-4">
-                  <div className="bg-blue-100 p-3 rounded-full">
-                    <Building className="h-6 w-6 text-blue-600" />
-                  </div>
-                  <h3 className="text-xl font-semibold text-gray-900">{service.name}</h3>
-                </div>
-                
-                <p className="text-gray-600 mb-4">{service.description}</p>
-                
-                <div className="flex justify-between items-center mb-4">
-                  <div className="flex items-center space-x-2">
-                    <Clock className="h-4 w-4 text-gray-500" />
-                    <span className="text-sm text-gray-600">{service.duration} minutes</span>
-                  </div>
-                  <span className="text-2xl font-bold text-blue-600">${service.price}</span>
-                </div>
+          {groupServicesByCategory(services, categories).map((group) => (
+            <div key={group.category?._id || 'uncategorized'} className="mb-10">
+              {categories.length > 0 && (
+                <h3 className="text-2xl font-semibold text-gray-900 mb-6">
+                  {group.category ? getCategoryName(group.category, i18n.language) : 'Other Services'}
+                </h3>
+              )}
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
+                {group.services.map((service) => (
+                  <div key={service._id} className="bg-white rounded-xl shadow-sm p-6 hover:shadow-lg transition-shadow duration-200">
+                    {service.image && (
+                      <img src={service.image} alt={service.name} className="w-full h-40 object-cover rounded-lg mb-4" />
+                    )}
+                    <div className="flex items-center space-x-3 mb-4">
+                      <div className="bg-blue-100 p-3 rounded-full">
+                        <Building className="h-6 w-6 text-blue-600" />
+                      </div>
+                      <h3 className="text-xl font-semibold text-gray-900">{service.name}</h3>
+                    </div>
+                    
+                    <p className="text-gray-600 mb-4">{service.description}</p>
+                    
+                    <div className="flex justify-between items-center mb-4">
+                      <div className="flex items-center space-x-2">
+                        <Clock className="h-4 w-4 text-gray-500" />
+                        <span className="text-sm text-gray-600">{service.duration} minutes</span>
+                      </div>
+                      <span className="text-2xl font-bold text-blue-600">${service.price}</span>
+                    </div>
 
-                <Link
-                  to={`/book/${businessId}?service=${service._id}`}
-                  className="w-full bg-blue-600 text-white py-3 px-4 rounded-lg hover:bg-blue-700 transition-colors duration-200 flex items-center justify-center space-x-2"
-                >
-                  <Calendar className="h-4 w-4" />
-                  <span>Book Now</span>
-                </Link>
+                    <Link
+                      to={`/book/${businessId}?service=${service._id}`}
+                      className="w-full bg-blue-600 text-white py-3 px-4 rounded-lg hover:bg-blue-700 transition-colors duration-200 flex items-center justify-center space-x-2"
+                    >
+                      <Calendar className="h-4 w-4" />
+                      <span>Book Now</span>
+                    </Link>
+                  </div>
+                ))}
               </div>
-            ))}
-          </div>
+            </div>
+          ))}
         </div>
 
         {/* CTA Section */}
@@ -0,0 +1,129 @@
+import React, { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import { Calendar, Clock, Building, Check } from 'lucide-react';
+import api from '../utils/api';
+import { formatCalendarDate } from '../utils/ethiopianCalendar';
+
+// Customer-facing page behind the time-limited link sent with a waitlist offer
+const ClaimWaitlistOffer = () => {
+  const { token } = useParams();
+  const [offer, setOffer] = useState(null);
+  const [error, setError] = useState('');
+  const [claiming, setClaiming] = useState(false);
+  const [booking, setBooking] = useState(null);
+
+  useEffect(() => {
+    fetchOffer();
+  }, [token]);
+
+  const fetchOffer = async () => {
+    try {
+      const response = await api.get(`/public/waitlist/claim/${token}`);
+      setOffer(response.data.offer);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Offer not found');
+    }
+  };
+
+  const handleClaim = async () => {
+    setClaiming(true);
+    try {
+      const response = await api.post(`/public/waitlist/claim/${token}`);
+      setBooking(response.data.booking);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Error claiming this time. Please try again.');
+    } finally {
+      setClaiming(false);
+    }
+  };
+
+  if (error) {
+    return (
+      <div className="min-h-screen flex items-center justify-center p-4">
+        <div className="max-w-md w-full bg-white rounded-2xl shadow-xl p-8 text-center">
+          <h2 className="text-2xl font-bold text-gray-900 mb-4">Offer unavailable</h2>
+          <p className="text-gray-600">{error}</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!offer) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-32 w-32 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  const offerDate = formatCalendarDate(offer.date, {
+    language: offer.business.language,
+    calendar: offer.business.calendar
+  });
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-green-50 flex items-center justify-center p-4">
+      <div className="max-w-md w-full bg-white rounded-2xl shadow-xl p-8">
+        <div className="flex items-center space-x-3 mb-6">
+          <div className="bg-blue-100 p-3 rounded-full">
+            <Building className="h-6 w-6 text-blue-600" />
+          </div>
+          <h1 className="text-xl font-bold text-gray-900">{offer.business.businessName}</h1>
+        </div>
+
+        {booking ? (
+          <div className="text-center">
+            <div className="bg-green-100 p-4 rounded-full w-20 h-20 mx-auto mb-6 flex items-center justify-center">
+              <Check className="h-10 w-10 text-green-600" />
+            </div>
+            <h2 className="text-2xl font-bold text-gray-900 mb-4">Booking Confirmed!</h2>
+            <p className="text-gray-600 mb-6">
+              You're booked for {offer.service?.name} on {offerDate} at {offer.time}.
+            </p>
+            {booking.deposit && (
+              <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 mb-6 text-sm text-amber-800">
+                A deposit of ${booking.deposit.amount} is needed before this booking is confirmed. {offer.business.businessName} will send you the payment details.
+              </div>
+            )}
+            <a href={booking.manageUrl} className="text-blue-600 hover:text-blue-700 font-medium">
+              Reschedule or cancel your booking
+            </a>
+          </div>
+        ) : (
+          <>
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">A spot opened up!</h2>
+            <p className="text-gray-600 mb-6">Hi {offer.customer.name}, this time is being held for you.</p>
+
+            <div className="bg-gray-50 rounded-lg p-4 mb-6 space-y-2 text-gray-700">
+              <p className="font-semibold">{offer.service?.name}</p>
+              <div className="flex items-center space-x-2">
+                <Calendar className="h-4 w-4 text-gray-500" />
+                <span>{offerDate}</span>
+              </div>
+              <div className="flex items-center space-x-2">
+                <Clock className="h-4 w-4 text-gray-500" />
+                <span>{offer.time} ({offer.service?.duration} minutes)</span>
+              </div>
+              <p>Price: ${offer.service?.price}</p>
+            </div>
+
+            <p className="text-sm text-gray-500 mb-6">
+              Claim it before {new Date(offer.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}, after that it goes to the next person on the waitlist.
+            </p>
+
+            <button
+              onClick={handleClaim}
+              disabled={claiming}
+              className="w-full bg-blue-600 text-white py-3 px-4 rounded-lg hover:bg-blue-700 transition-colors duration-200 disabled:opacity-50 flex items-center justify-center space-x-2"
+            >
+              <span>{claiming ? 'Booking...' : 'Book This Time'}</span>
+              <Check className="h-4 w-4" />
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ClaimWaitlistOffer;
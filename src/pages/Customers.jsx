@@ -1,13 +1,17 @@
 import React, { useState, useEffect } from 'react';
-import { Plus, User, Phone, Mail, MapPin, Search } from 'lucide-react';
+import { Plus, User, Phone, Mail, MapPin, Search, Paperclip } from 'lucide-react';
 import { useTranslation } from 'react-i18next';
 import api from '../utils/api';
+import { useAuth } from '../contexts/AuthContext';
+import { formatCalendarDate } from '../utils/ethiopianCalendar';
+import AttachmentList from '../components/AttachmentList';
 
 const Customers = () => {
   const [customers, setCustomers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
   const [searchTerm, setSearchTerm] = useState('');
+  const [filesFor, setFilesFor] = useState(null);
   const [formData, setFormData] = useState({
     name: '',
     email: '',
@@ -15,7 +19,8 @@ const Customers = () => {
     address: '',
     notes: ''
   });
-  const { t } = useTranslation();
+  const { t, i18n } = useTranslation();
+  const { user } = useAuth();
 
   useEffect(() => {
     fetchCustomers();
@@ -99,6 +104,11 @@ const Customers = () => {
               <div>
                 <h3 className="font-semibold text-gray-900">{customer.name}</h3>
                 <p className="text-sm text-gray-500">{customer.totalBookings} {t('nav.bookings').toLowerCase()}</p>
+                {customer.noShowCount > 0 && (
+                  <p className="text-xs text-orange-600">
+                    {t('customers.noShows', { count: customer.noShowCount, rate: Math.round(customer.noShowRate * 100) })}
+                  </p>
+                )}
               </div>
             </div>
 
@@ -126,10 +136,25 @@ const Customers = () => {
               </div>
               {customer.lastBooking && (
                 <p className="text-xs text-gray-400 mt-1">
-                  {t('customers.lastBooking')}: {new Date(customer.lastBooking).toLocaleDateString()}
+                  {t('customers.lastBooking')}: {formatCalendarDate(customer.lastBooking, { language: i18n.language, calendar: user?.calendar })}
                 </p>
               )}
             </div>
+
+            <div className="border-t pt-3 mt-4">
+              <button
+                onClick={() => setFilesFor(filesFor === customer._id ? null : customer._id)}
+                className="flex items-center space-x-1 text-sm text-blue-600 hover:text-blue-700"
+              >
+                <Paperclip className="h-4 w-4" />
+                <span>{filesFor === customer._id ? t('attachments.hide') : t('attachments.show')}</span>
+              </button>
+              {filesFor === customer._id && (
+                <div className="mt-3">
+                  <AttachmentList basePath={`/customers/${customer._id}/attachments`} />
+                </div>
+              )}
+            </div>
           </div>
         ))}
       </div>
@@ -2,11 +2,15 @@ import React, { useState, useEffect } from 'react';
 import { Calendar, Users, DollarSign, TrendingUp, Clock, CheckCircle } from 'lucide-react';
 import { useTranslation } from 'react-i18next';
 import api from '../utils/api';
+import { useAuth } from '../contexts/AuthContext';
+import { formatCalendarDate, formatTimestampDate, usesEthiopianCalendar } from '../utils/ethiopianCalendar';
 
 const Dashboard = () => {
   const [analytics, setAnalytics] = useState(null);
   const [loading, setLoading] = useState(true);
   const { t, i18n } = useTranslation();
+  const { user } = useAuth();
+  const dateOptions = { language: i18n.language, calendar: user?.calendar };
 
   useEffect(() => {
     fetchAnalytics();
@@ -25,6 +29,10 @@ const Dashboard = () => {
 
   // Date formatting based on current language
   const formatDate = (date) => {
+    if (usesEthiopianCalendar(i18n.language, user?.calendar)) {
+      return formatTimestampDate(date, dateOptions);
+    }
+
     const dateObj = new Date(date);
     const locale = i18n.language === 'am' ? 'am-ET' : i18n.language === 'or' ? 'om-ET' : 'en-US';
     
@@ -87,6 +95,8 @@ const Dashboard = () => {
         return 'bg-blue-100 text-blue-800';
       case 'cancelled':
         return 'bg-red-100 text-red-800';
+      case 'no-show':
+        return 'bg-orange-100 text-orange-800';
       default:
         return 'bg-gray-100 text-gray-800';
     }
@@ -144,7 +154,7 @@ const Dashboard = () => {
                     </div>
                     <div>
                       <p className="font-medium text-gray-900">{booking.customerId?.name}</p>
-                      <p className="text-sm text-gray-600">{booking.serviceId?.name}</p>
+                      <p className="text-sm text-gray-600">{booking.serviceSummary || booking.serviceId?.name}</p>
                     </div>
                   </div>
                   <div className="text-right">
@@ -152,7 +162,7 @@ const Dashboard = () => {
                       {booking.localizedStatus || booking.status}
                     </span>
                     <p className="text-sm text-gray-600 mt-1">
-                      {new Date(booking.date).toLocaleDateString()}
+                      {formatCalendarDate(booking.date, dateOptions)}
                     </p>
                   </div>
                 </div>
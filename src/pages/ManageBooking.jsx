@@ -0,0 +1,405 @@
+import React, { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import { Calendar, Clock, Building, Phone, X, RefreshCw, Check, Smartphone } from 'lucide-react';
+import api from '../utils/api';
+import EthiopianDatePicker from '../components/EthiopianDatePicker';
+import AttachmentList from '../components/AttachmentList';
+import { formatCalendarDate, usesEthiopianCalendar } from '../utils/ethiopianCalendar';
+
+// Customer-facing page behind the signed link from the booking confirmation
+const ManageBooking = () => {
+  const { token } = useParams();
+  const [booking, setBooking] = useState(null);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [mode, setMode] = useState(null);
+  const [selectedDate, setSelectedDate] = useState('');
+  const [selectedTime, setSelectedTime] = useState('');
+  const [timeSlots, setTimeSlots] = useState([]);
+  const [loadingSlots, setLoadingSlots] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [payerPhone, setPayerPhone] = useState('');
+
+  // Payment started before the customer left for the provider's checkout
+  const paymentKey = `payment:${token}`;
+
+  useEffect(() => {
+    fetchBooking();
+    const paymentId = sessionStorage.getItem(paymentKey);
+    if (paymentId) checkPayment(paymentId);
+  }, [token]);
+
+  useEffect(() => {
+    setSelectedTime('');
+    if (selectedDate) {
+      fetchAvailability();
+    } else {
+      setTimeSlots([]);
+    }
+  }, [selectedDate]);
+
+  const fetchBooking = async () => {
+    try {
+      const response = await api.get(`/public/manage/${token}`);
+      setBooking(response.data.booking);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Booking not found');
+    }
+  };
+
+  const fetchAvailability = async () => {
+    setLoadingSlots(true);
+    try {
+      const response = await api.get(`/public/manage/${token}/availability`, {
+        params: { date: selectedDate }
+      });
+      setTimeSlots(response.data.availableSlots);
+    } catch (error) {
+      console.error('Error fetching availability:', error);
+      setTimeSlots([]);
+    } finally {
+      setLoadingSlots(false);
+    }
+  };
+
+  // Back from the checkout: wait a little for the provider to confirm
+  const checkPayment = async (paymentId, attempt = 0) => {
+    try {
+      const response = await api.get(`/public/manage/${token}/payments/${paymentId}`);
+      const { status } = response.data;
+      if (status === 'pending' && attempt < 10) {
+        setMessage('Waiting for your payment to be confirmed...');
+        setTimeout(() => checkPayment(paymentId, attempt + 1), 3000);
+        return;
+      }
+
+      sessionStorage.removeItem(paymentKey);
+      if (status === 'succeeded') {
+        setMessage('Thank you, your payment was received.');
+      } else if (status === 'pending') {
+        setMessage('Your payment has not been confirmed yet. Your booking will be updated once it is.');
+      } else {
+        setMessage('Your payment did not go through. Please try again.');
+      }
+      fetchBooking();
+    } catch (error) {
+      console.error('Error checking payment:', error);
+      sessionStorage.removeItem(paymentKey);
+    }
+  };
+
+  const handlePay = async (provider) => {
+    setSubmitting(true);
+    setMessage('');
+    try {
+      const response = await api.post(`/public/manage/${token}/pay`, {
+        provider,
+        phone: payerPhone || undefined
+      });
+      sessionStorage.setItem(paymentKey, response.data.paymentId);
+      window.location.href = response.data.checkoutUrl;
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Error starting the payment. Please try again.');
+      setSubmitting(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    setSubmitting(true);
+    setMessage('');
+    try {
+      const response = await api.post(`/public/manage/${token}/cancel`);
+      setBooking(response.data.booking);
+      setMode(null);
+      setMessage(response.data.fee
+        ? `Your booking has been cancelled. A late cancellation fee of $${response.data.fee.amount} applies.`
+        : 'Your booking has been cancelled.');
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Error cancelling booking. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleReschedule = async () => {
+    if (!selectedDate || !selectedTime) return;
+
+    setSubmitting(true);
+    setMessage('');
+    try {
+      const response = await api.post(`/public/manage/${token}/reschedule`, {
+        date: selectedDate,
+        time: selectedTime
+      });
+      setBooking(response.data.booking);
+      setMode(null);
+      setSelectedDate('');
+      setMessage(response.data.fee
+        ? `Your booking has been moved. A late reschedule fee of $${response.data.fee.amount} applies.`
+        : 'Your booking has been moved.');
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Error rescheduling booking. Please try again.');
+      if (error.response?.status === 409) fetchAvailability();
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const getMinDate = () => {
+    const today = new Date();
+    return today.toISOString().split('T')[0];
+  };
+
+  if (error) {
+    return (
+      <div className="min-h-screen flex items-center justify-center p-4">
+        <div className="max-w-md w-full bg-white rounded-2xl shadow-xl p-8 text-center">
+          <h2 className="text-2xl font-bold text-gray-900 mb-4">Link not valid</h2>
+          <p className="text-gray-600">{error}</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!booking) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-32 w-32 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  const ethiopianCalendar = usesEthiopianCalendar(booking.business.language, booking.business.calendar);
+  const formatDate = (date) => formatCalendarDate(date, {
+    calendar: ethiopianCalendar ? 'ethiopian' : 'gregorian'
+  });
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50">
+      <div className="bg-white shadow-sm border-b">
+        <div className="max-w-2xl mx-auto px-4 py-6">
+          <div className="flex items-center space-x-4">
+            <div className="bg-blue-100 p-3 rounded-full">
+              <Building className="h-8 w-8 text-blue-600" />
+            </div>
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">{booking.business.businessName}</h1>
+              <p className="text-gray-600">Manage your booking</p>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-2xl mx-auto px-4 py-8 space-y-6">
+        <div className="bg-white rounded-xl shadow-sm p-6">
+          <div className="flex justify-between items-start mb-4">
+            <h2 className="text-xl font-semibold text-gray-900">{booking.service?.name}</h2>
+            <span className="px-2 py-1 text-xs font-medium rounded-full bg-gray-100 text-gray-800 capitalize">
+              {booking.status}
+            </span>
+          </div>
+          <div className="space-y-2 text-gray-700">
+            <div className="flex items-center space-x-2">
+              <Calendar className="h-4 w-4 text-gray-500" />
+              <span>{formatDate(booking.date)}</span>
+            </div>
+            <div className="flex items-center space-x-2">
+              <Clock className="h-4 w-4 text-gray-500" />
+              <span>{booking.time} ({booking.duration} minutes)</span>
+            </div>
+            {booking.business.phone && (
+              <div className="flex items-center space-x-2">
+                <Phone className="h-4 w-4 text-gray-500" />
+                <span>{booking.business.phone}</span>
+              </div>
+            )}
+            <p className="font-semibold">Price: ${booking.totalAmount}</p>
+            {booking.amountPaid > 0 && (
+              <p className="text-sm text-gray-600">
+                Paid so far: ${booking.amountPaid}{booking.balanceDue > 0 && ` · Still to pay: $${booking.balanceDue}`}
+              </p>
+            )}
+          </div>
+
+          {message && (
+            <div className="mt-4 p-3 rounded-lg text-sm bg-blue-50 text-blue-700">{message}</div>
+          )}
+
+          {booking.canChange ? (
+            <>
+              <p className="text-sm text-gray-500 mt-4">
+                You can reschedule or cancel online until {new Date(booking.changeDeadline).toLocaleString()}.
+              </p>
+              {booking.feePolicy && (
+                <p className="text-sm text-gray-500 mt-2">{booking.feePolicy}</p>
+              )}
+              {mode === null && (
+                <div className="flex space-x-4 mt-6">
+                  <button
+                    onClick={() => setMode('reschedule')}
+                    className="flex-1 bg-blue-600 text-white py-3 px-4 rounded-lg hover:bg-blue-700 transition-colors duration-200 flex items-center justify-center space-x-2"
+                  >
+                    <RefreshCw className="h-4 w-4" />
+                    <span>Reschedule</span>
+                  </button>
+                  <button
+                    onClick={() => setMode('cancel')}
+                    className="flex-1 bg-red-600 text-white py-3 px-4 rounded-lg hover:bg-red-700 transition-colors duration-200 flex items-center justify-center space-x-2"
+                  >
+                    <X className="h-4 w-4" />
+                    <span>Cancel Booking</span>
+                  </button>
+                </div>
+              )}
+            </>
+          ) : (
+            !['cancelled', 'completed'].includes(booking.status) && (
+              <p className="text-sm text-gray-500 mt-4">
+                This booking can no longer be changed online. Please contact {booking.business.businessName} directly.
+              </p>
+            )
+          )}
+        </div>
+
+        {mode === 'cancel' && (
+          <div className="bg-white rounded-xl shadow-sm p-6">
+            <p className="text-gray-700 mb-6">Are you sure you want to cancel this booking?</p>
+            {booking.fees?.cancel && (
+              <p className="mb-6 p-3 rounded-lg text-sm bg-amber-50 text-amber-800">
+                This is a late cancellation, so a fee of ${booking.fees.cancel.amount} ({booking.fees.cancel.percent}%) will be charged.
+              </p>
+            )}
+            <div className="flex space-x-4">
+              <button
+                onClick={() => setMode(null)}
+                className="flex-1 bg-gray-600 text-white py-3 px-4 rounded-lg hover:bg-gray-700 transition-colors duration-200"
+              >
+                Keep Booking
+              </button>
+              <button
+                onClick={handleCancel}
+                disabled={submitting}
+                className="flex-1 bg-red-600 text-white py-3 px-4 rounded-lg hover:bg-red-700 transition-colors duration-200 disabled:opacity-50"
+              >
+                {submitting ? 'Cancelling...' : 'Yes, Cancel'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {mode === 'reschedule' && (
+          <div className="bg-white rounded-xl shadow-sm p-6 space-y-6">
+            {booking.fees?.reschedule && (
+              <p className="p-3 rounded-lg text-sm bg-amber-50 text-amber-800">
+                Moving this booking at short notice costs a fee of ${booking.fees.reschedule.amount} ({booking.fees.reschedule.percent}%).
+              </p>
+            )}
+            <div>
+              <label className="block text-lg font-semibold text-gray-900 mb-4">Select New Date</label>
+              {ethiopianCalendar ? (
+                <EthiopianDatePicker min={getMinDate()} value={selectedDate} onChange={setSelectedDate} />
+              ) : (
+                <input
+                  type="date"
+                  min={getMinDate()}
+                  value={selectedDate}
+                  onChange={(e) => setSelectedDate(e.target.value)}
+                  className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              )}
+            </div>
+
+            {selectedDate && (
+              <div>
+                <label className="block text-lg font-semibold text-gray-900 mb-4">Select New Time</label>
+                {loadingSlots && (
+                  <div className="flex justify-center py-8">
+                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                  </div>
+                )}
+                {!loadingSlots && timeSlots.length === 0 && (
+                  <p className="text-gray-500">No available times on this date. Please choose another day.</p>
+                )}
+                <div className="grid grid-cols-4 gap-2">
+                  {!loadingSlots && timeSlots.map((time) => (
+                    <button
+                      key={time}
+                      onClick={() => setSelectedTime(time)}
+                      className={`py-2 px-3 rounded-lg text-sm font-medium transition-colors duration-200 ${
+                        selectedTime === time
+                          ? 'bg-blue-600 text-white'
+                          : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                      }`}
+                    >
+                      {time}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <div className="flex space-x-4">
+              <button
+                onClick={() => setMode(null)}
+                className="flex-1 bg-gray-600 text-white py-3 px-4 rounded-lg hover:bg-gray-700 transition-colors duration-200"
+              >
+                Back
+              </button>
+              <button
+                onClick={handleReschedule}
+                disabled={!selectedDate || !selectedTime || submitting}
+                className="flex-1 bg-blue-600 text-white py-3 px-4 rounded-lg hover:bg-blue-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center space-x-2"
+              >
+                <span>{submitting ? 'Saving...' : 'Confirm New Time'}</span>
+                <Check className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+        )}
+
+        {booking.paymentProviders?.length > 0 && !['cancelled', 'no-show'].includes(booking.status) &&
+          (booking.deposit?.status === 'pending' || booking.balanceDue > 0) && (
+          <div className="bg-white rounded-xl shadow-sm p-6">
+            <h3 className="font-semibold text-gray-900 mb-1">Pay online</h3>
+            <p className="text-sm text-gray-500 mb-4">
+              {booking.deposit?.status === 'pending'
+                ? `Pay your deposit of $${booking.deposit.amount} to confirm the booking.`
+                : `Pay $${booking.balanceDue} now from your phone.`}
+            </p>
+            <input
+              type="tel"
+              value={payerPhone}
+              onChange={(e) => setPayerPhone(e.target.value)}
+              placeholder="Phone number to pay from (optional)"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent mb-4"
+            />
+            <div className="flex flex-wrap gap-3">
+              {booking.paymentProviders.map((provider) => (
+                <button
+                  key={provider.name}
+                  onClick={() => handlePay(provider.name)}
+                  disabled={submitting}
+                  className="flex-1 bg-green-600 text-white py-3 px-4 rounded-lg hover:bg-green-700 disabled:opacity-50 transition-colors duration-200 flex items-center justify-center space-x-2"
+                >
+                  <Smartphone className="h-4 w-4" />
+                  <span>Pay with {provider.label}</span>
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {!['cancelled', 'no-show'].includes(booking.status) && (
+          <div className="bg-white rounded-xl shadow-sm p-6">
+            <p className="text-sm text-gray-500 mb-4">
+              Share photos or documents with {booking.business.businessName} ahead of your appointment.
+            </p>
+            <AttachmentList basePath={`/public/manage/${token}/attachments`} canDelete={false} />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ManageBooking;
@@ -1,7 +1,36 @@
 import React, { useState, useEffect } from 'react';
-import { Plus, DollarSign, CreditCard, Calendar, User, Filter } from 'lucide-react';
+import { Plus, DollarSign, CreditCard, Calendar, User, Filter, RotateCcw, Wallet } from 'lucide-react';
 import { useTranslation } from 'react-i18next';
 import api from '../utils/api';
+import { useAuth } from '../contexts/AuthContext';
+import { formatTimestampDate } from '../utils/ethiopianCalendar';
+import BookingLedger from '../components/BookingLedger';
+
+// Payments no provider has a transaction for (recorded by hand, whatever
+// the method) are refunded by hand
+const isManualPayment = (payment) => {
+  return !payment.stripePaymentIntentId && !payment.provider;
+};
+
+// What is left to refund; refunds still being processed count as given back
+const getRefundable = (payment) => {
+  const refunded = (payment.refunds || [])
+    .filter(refund => refund.status !== 'failed')
+    .reduce((sum, refund) => sum + refund.amount, 0);
+  return Math.round((payment.amount - refunded) * 100) / 100;
+};
+
+// What a payment has brought in, less its refunds
+const getCollected = (payment) => {
+  if (!['succeeded', 'partially_refunded', 'refunded'].includes(payment.status)) return 0;
+  return payment.amount - (payment.refunds || [])
+    .filter(refund => refund.status === 'succeeded')
+    .reduce((sum, refund) => sum + refund.amount, 0);
+};
+
+const canRefund = (payment) => {
+  return ['succeeded', 'partially_refunded'].includes(payment.status) && getRefundable(payment) > 0;
+};
 
 const Payments = () => {
   const [payments, setPayments] = useState([]);
@@ -10,7 +39,12 @@ const Payments = () => {
     status: '',
     method: ''
   });
-  const { t } = useTranslation();
+  const [refunding, setRefunding] = useState(null);
+  const [refundForm, setRefundForm] = useState({ amount: '', reason: '' });
+  const [submitting, setSubmitting] = useState(false);
+  const [ledgerFor, setLedgerFor] = useState(null);
+  const { t, i18n } = useTranslation();
+  const { user } = useAuth();
 
   useEffect(() => {
     fetchPayments();
@@ -31,9 +65,33 @@ const Payments = () => {
     }
   };
 
+  const openRefund = (payment) => {
+    setRefunding(payment);
+    setRefundForm({ amount: getRefundable(payment).toString(), reason: '' });
+  };
+
+  const handleRefund = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      await api.post(`/payments/${refunding._id}/refunds`, {
+        amount: Number(refundForm.amount),
+        reason: refundForm.reason || undefined
+      });
+      setRefunding(null);
+      fetchPayments();
+    } catch (error) {
+      console.error('Error refunding payment:', error);
+      alert(error.response?.data?.message || t('payments.refunds.error'));
+      fetchPayments();
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
   const getStatusColor = (status) => {
     switch (status) {
-      case 'completed':
+      case 'succeeded':
         return 'bg-green-100 text-green-800';
       case 'pending':
         return 'bg-yellow-100 text-yellow-800';
@@ -41,6 +99,8 @@ const Payments = () => {
         return 'bg-red-100 text-red-800';
       case 'refunded':
         return 'bg-gray-100 text-gray-800';
+      case 'partially_refunded':
+        return 'bg-purple-100 text-purple-800';
       default:
         return 'bg-gray-100 text-gray-800';
     }
@@ -48,7 +108,7 @@ const Payments = () => {
 
   const getMethodIcon = (method) => {
     switch (method) {
-      case 'card':
+      case 'stripe_card':
         return <CreditCard className="h-4 w-4" />;
       case 'cash':
         return <DollarSign className="h-4 w-4" />;
@@ -72,7 +132,7 @@ const Payments = () => {
       <div className="flex justify-between items-center">
         <h1 className="text-2xl font-bold text-gray-900">{t('payments.title')}</h1>
         <div className="text-sm text-gray-500">
-          {t('common.total')}: ${payments.reduce((sum, payment) => sum + payment.amount, 0).toFixed(2)}
+          {t('common.total')}: ${payments.reduce((sum, payment) => sum + getCollected(payment), 0).toFixed(2)}
         </div>
       </div>
 
@@ -89,10 +149,12 @@ const Payments = () => {
             className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
           >
             <option value="">All {t('common.status')}</option>
-            <option value="completed">Completed</option>
+            <option value="succeeded">Succeeded</option>
             <option value="pending">Pending</option>
             <option value="failed">Failed</option>
+            <option value="cancelled">Cancelled</option>
             <option value="refunded">Refunded</option>
+            <option value="partially_refunded">{t('payments.refunds.partiallyRefunded')}</option>
           </select>
           <select
             value={filters.method}
@@ -100,10 +162,9 @@ const Payments = () => {
             className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
           >
             <option value="">All {t('payments.method')}</option>
-            <option value="cash">Cash</option>
-            <option value="card">Card</option>
-            <option value="bank_transfer">Bank Transfer</option>
-            <option value="other">Other</option>
+            {['cash', 'stripe_card', 'bank_transfer', 'telebirr', 'mobile_money', 'other'].map(method => (
+              <option key={method} value={method}>{t(`payments.ledger.methods.${method}`)}</option>
+            ))}
           </select>
         </div>
       </div>
@@ -129,48 +190,85 @@ const Payments = () => {
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   {t('common.date')}
                 </th>
+                <th className="px-6 py-3"></th>
               </tr>
             </thead>
             <tbody className="bg-white divide-y divide-gray-200">
               {payments.map((payment) => (
-                <tr key={payment._id} className="hover:bg-gray-50">
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    <div className="flex items-center">
-                      <div className="bg-blue-100 p-2 rounded-full mr-3">
-                        <User className="h-4 w-4 text-blue-600" />
-                      </div>
-                      <div>
-                        <div className="text-sm font-medium text-gray-900">
-                          {payment.customerId?.name}
+                <React.Fragment key={payment._id}>
+                  <tr className="hover:bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="flex items-center">
+                        <div className="bg-blue-100 p-2 rounded-full mr-3">
+                          <User className="h-4 w-4 text-blue-600" />
                         </div>
-                        <div className="text-sm text-gray-500">
-                          {payment.customerId?.email}
+                        <div>
+                          <div className="text-sm font-medium text-gray-900">
+                            {payment.customer?.name}
+                          </div>
+                          <div className="text-sm text-gray-500">
+                            {payment.customer?.email}
+                          </div>
+                        </div>
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="text-sm font-medium text-gray-900">
+                        ${payment.amount}
+                      </div>
+                      {payment.refunds?.map((refund) => (
+                        <div key={refund._id} className={`text-xs ${refund.status === 'failed' ? 'text-red-600' : 'text-gray-500'}`}>
+                          -${refund.amount} {t(`payments.refunds.statuses.${refund.status}`)}
+                          {refund.processedAt && ` · ${formatTimestampDate(refund.processedAt, { language: i18n.language, calendar: user?.calendar })}`}
+                          {refund.reason && ` · ${refund.reason}`}
                         </div>
+                      ))}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="flex items-center space-x-2">
+                        {getMethodIcon(payment.method)}
+                        <span className="text-sm text-gray-900">
+                          {t(`payments.ledger.methods.${payment.method}`, payment.method)}
+                        </span>
                       </div>
-                    </div>
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    <div className="text-sm font-medium text-gray-900">
-                      ${payment.amount}
-                    </div>
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    <div className="flex items-center space-x-2">
-                      {getMethodIcon(payment.method)}
-                      <span className="text-sm text-gray-900 capitalize">
-                        {payment.method.replace('_', ' ')}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`inline-flex px-2 py-1 text-xs font-medium rounded-full ${getStatusColor(payment.status)}`}>
+                        {payment.status}
                       </span>
-                    </div>
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    <span className={`inline-flex px-2 py-1 text-xs font-medium rounded-full ${getStatusColor(payment.status)}`}>
-                      {payment.status}
-                    </span>
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    {new Date(payment.createdAt).toLocaleDateString()}
-                  </td>
-                </tr>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {formatTimestampDate(payment.processedAt || payment.createdAt, { language: i18n.language, calendar: user?.calendar })}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right space-x-3">
+                      {payment.booking && (
+                        <button
+                          onClick={() => setLedgerFor(ledgerFor === payment._id ? null : payment._id)}
+                          className="inline-flex items-center space-x-1 text-sm text-blue-600 hover:text-blue-700"
+                        >
+                          <Wallet className="h-4 w-4" />
+                          <span>{t('payments.ledger.show')}</span>
+                        </button>
+                      )}
+                      {canRefund(payment) && (
+                        <button
+                          onClick={() => openRefund(payment)}
+                          className="inline-flex items-center space-x-1 text-sm text-blue-600 hover:text-blue-700"
+                        >
+                          <RotateCcw className="h-4 w-4" />
+                          <span>{t('payments.refunds.refund')}</span>
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                  {ledgerFor === payment._id && (
+                    <tr>
+                      <td colSpan={6} className="px-6 py-4 bg-gray-50">
+                        <BookingLedger bookingId={payment.booking._id || payment.booking} onChange={fetchPayments} />
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
               ))}
             </tbody>
           </table>
@@ -183,6 +281,63 @@ const Payments = () => {
           <p className="text-gray-500">{t('payments.noBillingHistory')}</p>
         </div>
       )}
+
+      {/* Refund Modal */}
+      {refunding && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-xl p-6 max-w-md w-full mx-4">
+            <h3 className="text-lg font-semibold mb-4">{t('payments.refunds.title')}</h3>
+
+            <form onSubmit={handleRefund} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">{t('payments.refunds.amount')}</label>
+                <input
+                  type="number"
+                  min="0.01"
+                  step="0.01"
+                  max={getRefundable(refunding)}
+                  required
+                  value={refundForm.amount}
+                  onChange={(e) => setRefundForm({ ...refundForm, amount: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  {t('payments.refunds.remaining', { amount: `$${getRefundable(refunding)}` })}
+                </p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">{t('payments.refunds.reason')}</label>
+                <input
+                  type="text"
+                  value={refundForm.reason}
+                  onChange={(e) => setRefundForm({ ...refundForm, reason: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+              {isManualPayment(refunding) && (
+                <p className="p-3 rounded-lg text-sm bg-amber-50 text-amber-800">{t('payments.refunds.manualNote')}</p>
+              )}
+
+              <div className="flex space-x-3 pt-4">
+                <button
+                  type="button"
+                  onClick={() => setRefunding(null)}
+                  className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors duration-200"
+                >
+                  {t('common.cancel')}
+                </button>
+                <button
+                  type="submit"
+                  disabled={submitting}
+                  className="flex-1 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 transition-colors duration-200"
+                >
+                  {t('payments.refunds.submit')}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -1,14 +1,24 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
 import { Calendar, Clock, User, Phone, Mail, MapPin, Building, ArrowRight, Check } from 'lucide-react';
 import api from '../utils/api';
+import EthiopianDatePicker from '../components/EthiopianDatePicker';
+import IntakeFormFields from '../components/IntakeFormFields';
+import { formatCalendarDate, usesEthiopianCalendar } from '../utils/ethiopianCalendar';
+import { getCategoryName, groupServicesByCategory } from '../utils/serviceCatalog';
 
 const PublicBooking = () => {
   const { businessId } = useParams();
   const navigate = useNavigate();
   const [business, setBusiness] = useState(null);
   const [services, setServices] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const { i18n } = useTranslation();
   const [selectedService, setSelectedService] = useState(null);
+  const [variantId, setVariantId] = useState('');
+  const [addOnIds, setAddOnIds] = useState([]);
+  const [intakeAnswers, setIntakeAnswers] = useState({});
   const [selectedDate, setSelectedDate] = useState('');
   const [selectedTime, setSelectedTime] = useState('');
   const [customerInfo, setCustomerInfo] = useState({
@@ -21,12 +31,18 @@ const PublicBooking = () => {
   const [step, setStep] = useState(1);
   const [loading, setLoading] = useState(false);
   const [bookingComplete, setBookingComplete] = useState(false);
-
-  const timeSlots = [
-    '09:00', '09:30', '10:00', '10:30', '11:00', '11:30',
-    '12:00', '12:30', '13:00', '13:30', '14:00', '14:30',
-    '15:00', '15:30', '16:00', '16:30', '17:00', '17:30'
-  ];
+  const [manageUrl, setManageUrl] = useState('');
+  const [deposit, setDeposit] = useState(null);
+  const [feePolicy, setFeePolicy] = useState(null);
+  const [timeSlots, setTimeSlots] = useState([]);
+  const [slotPrices, setSlotPrices] = useState({});
+  const [closedReason, setClosedReason] = useState(null);
+  const [loadingSlots, setLoadingSlots] = useState(false);
+  const [hold, setHold] = useState(null);
+  const [ethiopianCalendar, setEthiopianCalendar] = useState(false);
+  const [showWaitlist, setShowWaitlist] = useState(false);
+  const [waitlistWindow, setWaitlistWindow] = useState({ start: '', end: '' });
+  const [waitlistJoined, setWaitlistJoined] = useState(false);
 
   useEffect(() => {
     if (businessId) {
@@ -34,26 +50,119 @@ const PublicBooking = () => {
     }
   }, [businessId]);
 
+  useEffect(() => {
+    setSelectedTime('');
+    setShowWaitlist(false);
+    setWaitlistJoined(false);
+    if (selectedService && selectedDate) {
+      fetchAvailability();
+    } else {
+      setTimeSlots([]);
+    }
+  }, [selectedService, selectedDate, variantId, addOnIds]);
+
+  // The service as configured: chosen option and add-ons, and the price at
+  // the chosen time (surcharges included) once one is picked
+  const selectedVariant = selectedService?.variants?.find(variant => variant._id === variantId);
+  const selectedAddOns = (selectedService?.addOns || []).filter(addOn => addOnIds.includes(addOn._id));
+  const configuredName = selectedVariant ? `${selectedService.name} (${selectedVariant.name})` : selectedService?.name;
+  const configuredDuration = (selectedVariant ? selectedVariant.duration : selectedService?.duration || 0) +
+    selectedAddOns.reduce((total, addOn) => total + addOn.duration, 0);
+  const basePrice = (selectedVariant ? selectedVariant.price : selectedService?.price || 0) +
+    selectedAddOns.reduce((total, addOn) => total + addOn.price, 0);
+  const configuredPrice = slotPrices[selectedTime] ?? basePrice;
+
   const fetchBusinessInfo = async () => {
     try {
       // This would be a public endpoint to get business info
       const response = await api.get(`/public/business/${businessId}`);
       setBusiness(response.data.business);
       setServices(response.data.services);
+      setCategories(response.data.categories || []);
+      setFeePolicy(response.data.feePolicy || null);
+      setEthiopianCalendar(usesEthiopianCalendar(response.data.business.language, response.data.business.calendar));
     } catch (error) {
       console.error('Error fetching business info:', error);
     }
   };
 
+  const fetchAvailability = async () => {
+    setLoadingSlots(true);
+    try {
+      const response = await api.get(`/public/availability/${businessId}`, {
+        params: { date: selectedDate, serviceId: selectedService._id, variantId: variantId || undefined, addOnIds }
+      });
+      setTimeSlots(response.data.availableSlots);
+      setSlotPrices(Object.fromEntries(response.data.slots.map(slot => [slot.timeString, slot.price])));
+      setClosedReason(response.data.closed ? (response.data.closedReason || '') : null);
+    } catch (error) {
+      console.error('Error fetching availability:', error);
+      setTimeSlots([]);
+      setClosedReason(null);
+    } finally {
+      setLoadingSlots(false);
+    }
+  };
+
   const handleServiceSelect = (service) => {
     setSelectedService(service);
+    setVariantId(service.variants?.[0]?._id || '');
+    setAddOnIds([]);
+    setIntakeAnswers({});
     setStep(2);
   };
 
-  const handleDateTimeSelect = () => {
-    if (selectedDate && selectedTime) {
+  const toggleAddOn = (addOnId) => {
+    setAddOnIds(ids => (ids.includes(addOnId) ? ids.filter(id => id !== addOnId) : [...ids, addOnId]));
+  };
+
+  // Someone else took the slot or the hold ran out: send the customer back to pick again
+  const handleSlotLost = (error) => {
+    setHold(null);
+    setSelectedTime('');
+    setStep(2);
+    fetchAvailability();
+    alert(error.response.data.message);
+  };
+
+  const handleDateTimeSelect = async () => {
+    if (!selectedDate || !selectedTime) return;
+
+    setLoading(true);
+    try {
+      const response = await api.post('/public/holds', {
+        businessId,
+        serviceId: selectedService._id,
+        variantId: variantId || undefined,
+        addOnIds,
+        date: selectedDate,
+        time: selectedTime
+      });
+      setHold(response.data.hold);
       setStep(3);
+    } catch (error) {
+      console.error('Error holding time slot:', error);
+      if (error.response?.status === 409) {
+        handleSlotLost(error);
+      } else {
+        alert('Error reserving time slot. Please try again.');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleBackToDateTime = async () => {
+    if (hold) {
+      try {
+        await api.delete(`/public/holds/${hold.id}`);
+      } catch (error) {
+        console.error('Error releasing hold:', error);
+      }
+      setHold(null);
+      fetchAvailability();
     }
+    setStep(2);
   };
 
   const handleBookingSubmit = async (e) => {
@@ -64,16 +173,51 @@ const PublicBooking = () => {
       const bookingData = {
         businessId,
         serviceId: selectedService._id,
+        variantId: variantId || undefined,
+        addOnIds,
         date: selectedDate,
         time: selectedTime,
-        customerInfo
+        holdId: hold?.id,
+        customerInfo,
+        intakeAnswers
       };
 
-      await api.post('/public/bookings', bookingData);
+      const response = await api.post('/public/bookings', bookingData);
+      setManageUrl(response.data.booking.manageUrl);
+      setDeposit(response.data.booking.deposit || null);
+      setHold(null);
       setBookingComplete(true);
     } catch (error) {
       console.error('Error creating booking:', error);
-      alert('Error creating booking. Please try again.');
+      if ([409, 410].includes(error.response?.status)) {
+        handleSlotLost(error);
+      } else {
+        alert(error.response?.data?.message || 'Error creating booking. Please try again.');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleJoinWaitlist = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      await api.post('/public/waitlist', {
+        businessId,
+        serviceId: selectedService._id,
+        date: selectedDate,
+        windowStart: waitlistWindow.start,
+        windowEnd: waitlistWindow.end,
+        customerInfo,
+        intakeAnswers
+      });
+      setWaitlistJoined(true);
+      setShowWaitlist(false);
+    } catch (error) {
+      console.error('Error joining waitlist:', error);
+      alert(error.response?.data?.message || 'Error joining waitlist. Please try again.');
     } finally {
       setLoading(false);
     }
@@ -84,6 +228,10 @@ const PublicBooking = () => {
     return today.toISOString().split('T')[0];
   };
 
+  const formatDate = (date) => formatCalendarDate(date, {
+    calendar: ethiopianCalendar ? 'ethiopian' : 'gregorian'
+  });
+
   if (bookingComplete) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-green-50 flex items-center justify-center p-4">
@@ -97,12 +245,32 @@ const PublicBooking = () => {
           </p>
           <div className="bg-gray-50 rounded-lg p-4 mb-6">
             <h3 className="font-semibold text-gray-900 mb-2">Booking Details</h3>
-            <p className="text-sm text-gray-600">Service: {selectedService?.name}</p>
-            <p className="text-sm text-gray-600">Date: {new Date(selectedDate).toLocaleDateString()}</p>
+            <p className="text-sm text-gray-600">Service: {configuredName}</p>
+            {selectedAddOns.length > 0 && (
+              <p className="text-sm text-gray-600">Add-ons: {selectedAddOns.map(addOn => addOn.name).join(', ')}</p>
+            )}
+            <p className="text-sm text-gray-600">Date: {formatDate(selectedDate)}</p>
             <p className="text-sm text-gray-600">Time: {selectedTime}</p>
-            <p className="text-sm text-gray-600">Duration: {selectedService?.duration} minutes</p>
-            <p className="text-sm text-gray-600">Price: ${selectedService?.price}</p>
+            <p className="text-sm text-gray-600">Duration: {configuredDuration} minutes</p>
+            <p className="text-sm text-gray-600">Price: ${configuredPrice}</p>
           </div>
+          {deposit && (
+            <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 mb-6 text-sm text-amber-800">
+              A deposit of ${deposit.amount} is needed before this booking is confirmed. {business?.businessName} will send you the payment details.
+            </div>
+          )}
+          {manageUrl && (
+            <p className="text-sm text-gray-600 mb-6">
+              Need to change plans?{' '}
+              <a href={manageUrl} className="text-blue-600 hover:text-blue-700 font-medium">
+                Reschedule or cancel your booking
+              </a>
+              {' '}— keep this link, no login needed.
+            </p>
+          )}
+          {feePolicy && (
+            <p className="text-xs text-gray-500 mb-6">{feePolicy}</p>
+          )}
           <button
             onClick={() => window.location.reload()}
             className="w-full bg-blue-600 text-white py-3 px-4 rounded-lg hover:bg-blue-700 transition-colors duration-200"
@@ -165,32 +333,48 @@ const PublicBooking = () => {
               <p className="text-gray-600">Select the service you'd like to book</p>
             </div>
 
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-              {services.map((service) => (
-                <div
-                  key={service._id}
-                  onClick={() => handleServiceSelect(service)}
-                  className="bg-white rounded-xl shadow-sm p-6 hover:shadow-lg transition-all duration-200 cursor-pointer border-2 border-transparent hover:border-blue-200"
-                >
-                  <div className="flex items-center space-x-3 mb-4">
-                    <div className="bg-blue-100 p-3 rounded-full">
-                      <Building className="h-6 w-6 text-blue-600" />
+            {groupServicesByCategory(services, categories).map((group) => (
+              <div key={group.category?._id || 'uncategorized'}>
+                {categories.length > 0 && (
+                  <h3 className="text-xl font-semibold text-gray-900 mb-4">
+                    {group.category ? getCategoryName(group.category, i18n.language) : 'Other Services'}
+                  </h3>
+                )}
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                  {group.services.map((service) => (
+                    <div
+                      key={service._id}
+                      onClick={() => handleServiceSelect(service)}
+                      className="bg-white rounded-xl shadow-sm p-6 hover:shadow-lg transition-all duration-200 cursor-pointer border-2 border-transparent hover:border-blue-200"
+                    >
+                      {service.image && (
+                        <img src={service.image} alt={service.name} className="w-full h-32 object-cover rounded-lg mb-4" />
+                      )}
+                      <div className="flex items-center space-x-3 mb-4">
+                        <div className="bg-blue-100 p-3 rounded-full">
+                          <Building className="h-6 w-6 text-blue-600" />
+                        </div>
+                        <h3 className="font-semibold text-gray-900">{service.name}</h3>
+                      </div>
+                      
+                      <p className="text-gray-600 mb-4">{service.description}</p>
+                      
+                      <div className="flex justify-between items-center">
+                        <div className="flex items-center space-x-2">
+                          <Clock className="h-4 w-4 text-gray-500" />
+                          <span className="text-sm text-gray-600">{service.duration} min</span>
+                        </div>
+                        <span className="text-2xl font-bold text-blue-600">
+                          {service.variants?.length > 0
+                            ? `From $${Math.min(...service.variants.map(variant => variant.price))}`
+                            : `$${service.price}`}
+                        </span>
+                      </div>
                     </div>
-                    <h3 className="font-semibold text-gray-900">{service.name}</h3>
-                  </div>
-                  
-                  <p className="text-gray-600 mb-4">{service.description}</p>
-                  
-                  <div className="flex justify-between items-center">
-                    <div className="flex items-center space-x-2">
-                      <Clock className="h-4 w-4 text-gray-500" />
-                      <span className="text-sm text-gray-600">{service.duration} min</span>
-                    </div>
-                    <span className="text-2xl font-bold text-blue-600">${service.price}</span>
-                  </div>
+                  ))}
                 </div>
-              ))}
-            </div>
+              </div>
+            ))}
           </div>
         )}
 
@@ -202,25 +386,189 @@ const PublicBooking = () => {
               <p className="text-gray-600">Choose when you'd like your {selectedService.name} service</p>
             </div>
 
+            {(selectedService.variants?.length > 0 || selectedService.addOns?.length > 0) && (
+              <div className="bg-white rounded-xl shadow-sm p-6 space-y-4">
+                {selectedService.variants?.length > 0 && (
+                  <div>
+                    <label className="block text-lg font-semibold text-gray-900 mb-3">Choose an option</label>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                      {selectedService.variants.map((variant) => (
+                        <label
+                          key={variant._id}
+                          className={`flex items-center justify-between p-3 border-2 rounded-lg cursor-pointer ${
+                            variantId === variant._id ? 'border-blue-600 bg-blue-50' : 'border-gray-200'
+                          }`}
+                        >
+                          <span className="flex items-center space-x-2">
+                            <input
+                              type="radio"
+                              name="variant"
+                              checked={variantId === variant._id}
+                              onChange={() => setVariantId(variant._id)}
+                            />
+                            <span className="font-medium text-gray-900">{variant.name}</span>
+                          </span>
+                          <span className="text-sm text-gray-600">${variant.price} · {variant.duration} min</span>
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                )}
+                {selectedService.addOns?.length > 0 && (
+                  <div>
+                    <label className="block text-lg font-semibold text-gray-900 mb-3">Add-ons</label>
+                    <div className="space-y-2">
+                      {selectedService.addOns.map((addOn) => (
+                        <label key={addOn._id} className="flex items-center justify-between p-3 border border-gray-200 rounded-lg cursor-pointer">
+                          <span className="flex items-center space-x-2">
+                            <input
+                              type="checkbox"
+                              checked={addOnIds.includes(addOn._id)}
+                              onChange={() => toggleAddOn(addOn._id)}
+                            />
+                            <span className="text-gray-900">{addOn.name}</span>
+                          </span>
+                          <span className="text-sm text-gray-600">
+                            +${addOn.price}{addOn.duration > 0 && ` · +${addOn.duration} min`}
+                          </span>
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+
             <div className="bg-white rounded-xl shadow-sm p-6">
               <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
                 {/* Date Selection */}
                 <div>
-                  <label className="block text-lg font-semibold text-gray-900 mb-4">Select Date</label>
-                  <input
-                    type="date"
-                    min={getMinDate()}
-                    value={selectedDate}
-                    onChange={(e) => setSelectedDate(e.target.value)}
-                    className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 text-lg"
-                  />
+                  <div className="flex items-center justify-between mb-4">
+                    <label className="block text-lg font-semibold text-gray-900">Select Date</label>
+                    <button
+                      type="button"
+                      onClick={() => setEthiopianCalendar(!ethiopianCalendar)}
+                      className="text-sm text-blue-600 hover:text-blue-700"
+                    >
+                      {ethiopianCalendar ? 'Use Gregorian calendar' : 'Use Ethiopian calendar'}
+                    </button>
+                  </div>
+                  {ethiopianCalendar ? (
+                    <EthiopianDatePicker
+                      min={getMinDate()}
+                      value={selectedDate}
+                      onChange={setSelectedDate}
+                      className="text-lg"
+                    />
+                  ) : (
+                    <input
+                      type="date"
+                      min={getMinDate()}
+                      value={selectedDate}
+                      onChange={(e) => setSelectedDate(e.target.value)}
+                      className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 text-lg"
+                    />
+                  )}
+                  {ethiopianCalendar && selectedDate && (
+                    <p className="text-sm text-gray-500 mt-2">
+                      {formatCalendarDate(selectedDate, { calendar: 'gregorian' })}
+                    </p>
+                  )}
                 </div>
 
                 {/* Time Selection */}
                 <div>
                   <label className="block text-lg font-semibold text-gray-900 mb-4">Select Time</label>
+                  {!selectedDate && (
+                    <p className="text-gray-500">Pick a date to see available times</p>
+                  )}
+                  {selectedDate && loadingSlots && (
+                    <div className="flex justify-center py-8">
+                      <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                    </div>
+                  )}
+                  {selectedDate && !loadingSlots && timeSlots.length === 0 && (
+                    <p className="text-gray-500">
+                      {closedReason !== null
+                        ? `Closed on this date${closedReason ? ` (${closedReason})` : ''}. Please choose another day.`
+                        : 'No available times on this date. Please choose another day.'}
+                    </p>
+                  )}
+                  {selectedDate && !loadingSlots && timeSlots.length === 0 && closedReason === null && (
+                    <div className="mt-4">
+                      {waitlistJoined ? (
+                        <p className="text-green-700 bg-green-50 rounded-lg p-3 text-sm">
+                          You are on the waitlist. If a time opens up we will email and text you a link to claim it.
+                        </p>
+                      ) : !showWaitlist ? (
+                        <button
+                          type="button"
+                          onClick={() => setShowWaitlist(true)}
+                          className="text-blue-600 hover:text-blue-700 font-medium"
+                        >
+                          Join the waitlist for this day
+                        </button>
+                      ) : (
+                        <form onSubmit={handleJoinWaitlist} className="space-y-3">
+                          <p className="text-sm text-gray-600">Which start times could you make?</p>
+                          <div className="grid grid-cols-2 gap-2">
+                            <input
+                              type="time"
+                              value={waitlistWindow.start}
+                              onChange={(e) => setWaitlistWindow({ ...waitlistWindow, start: e.target.value })}
+                              className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                              title="Earliest"
+                            />
+                            <input
+                              type="time"
+                              value={waitlistWindow.end}
+                              onChange={(e) => setWaitlistWindow({ ...waitlistWindow, end: e.target.value })}
+                              className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                              title="Latest"
+                            />
+                          </div>
+                          <input
+                            type="text"
+                            required
+                            value={customerInfo.name}
+                            onChange={(e) => setCustomerInfo({ ...customerInfo, name: e.target.value })}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            placeholder="Your full name"
+                          />
+                          <input
+                            type="email"
+                            required
+                            value={customerInfo.email}
+                            onChange={(e) => setCustomerInfo({ ...customerInfo, email: e.target.value })}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            placeholder="your@email.com"
+                          />
+                          <input
+                            type="tel"
+                            required
+                            value={customerInfo.phone}
+                            onChange={(e) => setCustomerInfo({ ...customerInfo, phone: e.target.value })}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            placeholder="Your phone number"
+                          />
+                          <IntakeFormFields
+                            fields={selectedService.intakeForm}
+                            answers={intakeAnswers}
+                            onChange={setIntakeAnswers}
+                          />
+                          <button
+                            type="submit"
+                            disabled={loading}
+                            className="w-full bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 transition-colors duration-200 disabled:opacity-50"
+                          >
+                            Join Waitlist
+                          </button>
+                        </form>
+                      )}
+                    </div>
+                  )}
                   <div className="grid grid-cols-3 gap-2 max-h-64 overflow-y-auto">
-                    {timeSlots.map((time) => (
+                    {!loadingSlots && timeSlots.map((time) => (
                       <button
                         key={time}
                         onClick={() => setSelectedTime(time)}
@@ -231,6 +579,9 @@ const PublicBooking = () => {
                         }`}
                       >
                         {time}
+                        {slotPrices[time] > basePrice && (
+                          <span className="block text-xs opacity-75">+${Math.round((slotPrices[time] - basePrice) * 100) / 100}</span>
+                        )}
                       </button>
                     ))}
                   </div>
@@ -240,11 +591,17 @@ const PublicBooking = () => {
               {selectedDate && selectedTime && (
                 <div className="mt-8 p-4 bg-blue-50 rounded-lg">
                   <h3 className="font-semibold text-gray-900 mb-2">Booking Summary</h3>
-                  <p className="text-gray-700">Service: {selectedService.name}</p>
-                  <p className="text-gray-700">Date: {new Date(selectedDate).toLocaleDateString()}</p>
+                  <p className="text-gray-700">Service: {configuredName}</p>
+                  {selectedAddOns.length > 0 && (
+                    <p className="text-gray-700">Add-ons: {selectedAddOns.map(addOn => addOn.name).join(', ')}</p>
+                  )}
+                  <p className="text-gray-700">Date: {formatDate(selectedDate)}</p>
                   <p className="text-gray-700">Time: {selectedTime}</p>
-                  <p className="text-gray-700">Duration: {selectedService.duration} minutes</p>
-                  <p className="text-gray-700 font-semibold">Price: ${selectedService.price}</p>
+                  <p className="text-gray-700">Duration: {configuredDuration} minutes</p>
+                  <p className="text-gray-700 font-semibold">
+                    Price: ${configuredPrice}
+                    {configuredPrice > basePrice && ' (includes a surcharge for this time)'}
+                  </p>
                 </div>
               )}
 
@@ -257,7 +614,7 @@ const PublicBooking = () => {
                 </button>
                 <button
                   onClick={handleDateTimeSelect}
-                  disabled={!selectedDate || !selectedTime}
+                  disabled={!selectedDate || !selectedTime || loading}
                   className="flex-1 bg-blue-600 text-white py-3 px-4 rounded-lg hover:bg-blue-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center space-x-2"
                 >
                   <span>Continue</span>
@@ -352,16 +709,36 @@ const PublicBooking = () => {
                   />
                 </div>
 
+                {selectedService.intakeForm?.length > 0 && (
+                  <div className="space-y-4">
+                    <h3 className="font-semibold text-gray-900">A few questions about the job</h3>
+                    <IntakeFormFields
+                      fields={selectedService.intakeForm}
+                      answers={intakeAnswers}
+                      onChange={setIntakeAnswers}
+                    />
+                  </div>
+                )}
+
+                {hold && (
+                  <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 text-sm text-yellow-800 flex items-center space-x-2">
+                    <Clock className="h-4 w-4" />
+                    <span>
+                      This time is reserved for you until {new Date(hold.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                    </span>
+                  </div>
+                )}
+
                 <div className="bg-blue-50 rounded-lg p-4">
                   <h3 className="font-semibold text-gray-900 mb-2">Final Booking Summary</h3>
                   <div className="grid grid-cols-2 gap-4 text-sm">
                     <div>
                       <p className="text-gray-600">Service:</p>
-                      <p className="font-medium">{selectedService.name}</p>
+                      <p className="font-medium">{configuredName}</p>
                     </div>
                     <div>
                       <p className="text-gray-600">Date:</p>
-                      <p className="font-medium">{new Date(selectedDate).toLocaleDateString()}</p>
+                      <p className="font-medium">{formatDate(selectedDate)}</p>
                     </div>
                     <div>
                       <p className="text-gray-600">Time:</p>
@@ -369,19 +746,26 @@ const PublicBooking = () => {
                     </div>
                     <div>
                       <p className="text-gray-600">Duration:</p>
-                      <p className="font-medium">{selectedService.duration} minutes</p>
+                      <p className="font-medium">{configuredDuration} minutes</p>
                     </div>
                     <div>
                       <p className="text-gray-600">Price:</p>
-                      <p className="font-medium text-lg">${selectedService.price}</p>
+                      <p className="font-medium text-lg">${configuredPrice}</p>
                     </div>
                   </div>
                 </div>
 
+                {feePolicy && (
+                  <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 text-sm text-gray-700">
+                    <p className="font-semibold text-gray-900 mb-1">Cancellation policy</p>
+                    <p>{feePolicy}</p>
+                  </div>
+                )}
+
                 <div className="flex space-x-4">
                   <button
                     type="button"
-                    onClick={() => setStep(2)}
+                    onClick={handleBackToDateTime}
                     className="flex-1 bg-gray-600 text-white py-3 px-4 rounded-lg hover:bg-gray-700 transition-colors duration-200"
                   >
                     Back
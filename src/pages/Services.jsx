@@ -1,30 +1,38 @@
 import React, { useState, useEffect } from 'react';
-import { Plus, Wrench, DollarSign, Clock, Edit, Trash2 } from 'lucide-react';
+import { Plus, Wrench, DollarSign, Clock, Edit, Trash2, ChevronUp, ChevronDown, Tags } from 'lucide-react';
 import { useTranslation } from 'react-i18next';
 import api from '../utils/api';
+import { getCategoryName, groupServicesByCategory } from '../utils/serviceCatalog';
+import ServicePricingEditor from '../components/ServicePricingEditor';
+import IntakeFormEditor from '../components/IntakeFormEditor';
+import ServiceCategoryManager from '../components/ServiceCategoryManager';
+
+const EMPTY_FORM = {
+  name: '',
+  description: '',
+  price: '',
+  duration: '',
+  bufferBefore: 0,
+  bufferAfter: 0,
+  variants: [],
+  addOns: [],
+  surcharges: [],
+  intakeForm: [],
+  categoryId: '',
+  image: ''
+};
 
 const Services = () => {
   const [services, setServices] = useState([]);
+  const [categories, setCategories] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
+  const [showCategories, setShowCategories] = useState(false);
   const [editingService, setEditingService] = useState(null);
-  const [formData, setFormData] = useState({
-    name: '',
-    description: '',
-    price: '',
-    duration: '',
-    category: 'other'
-  });
-  const { t } = useTranslation();
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const { t, i18n } = useTranslation();
 
-  const categories = [
-    { value: 'repair', label: 'Repair' },
-    { value: 'maintenance', label: 'Maintenance' },
-    { value: 'installation', label: 'Installation' },
-    { value: 'cleaning', label: 'Cleaning' },
-    { value: 'consultation', label: 'Consultation' },
-    { value: 'other', label: 'Other' }
-  ];
+  const groups = groupServicesByCategory(services, categories);
 
   useEffect(() => {
     fetchServices();
@@ -32,8 +40,11 @@ const Services = () => {
 
   const fetchServices = async () => {
     try {
+      // Services first: listing them converts any old fixed categories
       const response = await api.get('/services');
       setServices(response.data.services);
+      const categoriesResponse = await api.get('/service-categories');
+      setCategories(categoriesResponse.data.categories);
     } catch (error) {
       console.error('Error fetching services:', error);
     } finally {
@@ -49,7 +60,7 @@ const Services = () => {
       } else {
         await api.post('/services', formData);
       }
-      setFormData({ name: '', description: '', price: '', duration: '', category: 'other' });
+      setFormData(EMPTY_FORM);
       setEditingService(null);
       setShowModal(false);
       fetchServices();
@@ -65,7 +76,14 @@ const Services = () => {
       description: service.description,
       price: service.price,
       duration: service.duration,
-      category: service.category
+      bufferBefore: service.bufferBefore || 0,
+      bufferAfter: service.bufferAfter || 0,
+      variants: service.variants || [],
+      addOns: service.addOns || [],
+      surcharges: service.surcharges || [],
+      intakeForm: service.intakeForm || [],
+      categoryId: service.categoryId || '',
+      image: service.image || ''
     });
     setShowModal(true);
   };
@@ -81,20 +99,18 @@ const Services = () => {
     }
   };
 
-  const getCategoryColor = (category) => {
-    switch (category) {
-      case 'repair':
-        return 'bg-red-100 text-red-800';
-      case 'maintenance':
-        return 'bg-orange-100 text-orange-800';
-      case 'installation':
-        return 'bg-blue-100 text-blue-800';
-      case 'cleaning':
-        return 'bg-green-100 text-green-800';
-      case 'consultation':
-        return 'bg-purple-100 text-purple-800';
-      default:
-        return 'bg-gray-100 text-gray-800';
+  // Move a service up or down within its category and save the catalog order
+  const moveService = async (groupIndex, index, offset) => {
+    const reordered = groups.map(group => [...group.services]);
+    const list = reordered[groupIndex];
+    [list[index], list[index + offset]] = [list[index + offset], list[index]];
+    const ordered = reordered.flat();
+    setServices(ordered);
+    try {
+      const response = await api.put('/services/order', { serviceIds: ordered.map(service => service._id) });
+      setServices(response.data.services);
+    } catch (error) {
+      console.error('Error reordering services:', error);
     }
   };
 
@@ -110,65 +126,107 @@ const Services = () => {
     <div className="space-y-6">
       <div className="flex justify-between items-center">
         <h1 className="text-2xl font-bold text-gray-900">{t('services.title')}</h1>
-        <button
-          onClick={() => setShowModal(true)}
-          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors duration-200 flex items-center space-x-2"
-        >
-          <Plus className="h-4 w-4" />
-          <span>{t('services.addService')}</span>
-        </button>
+        <div className="flex space-x-3">
+          <button
+            onClick={() => setShowCategories(true)}
+            className="bg-white text-gray-700 border border-gray-300 px-4 py-2 rounded-lg hover:bg-gray-50 transition-colors duration-200 flex items-center space-x-2"
+          >
+            <Tags className="h-4 w-4" />
+            <span>{t('services.categories.manage')}</span>
+          </button>
+          <button
+            onClick={() => setShowModal(true)}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors duration-200 flex items-center space-x-2"
+          >
+            <Plus className="h-4 w-4" />
+            <span>{t('services.addService')}</span>
+          </button>
+        </div>
       </div>
 
-      {/* Services Grid */}
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-        {services.map((service) => (
-          <div
-            key={service._id}
-            className="bg-white rounded-xl shadow-sm p-6 hover:shadow-md transition-shadow duration-200"
-          >
-            <div className="flex justify-between items-start mb-4">
-              <div className="flex items-center space-x-3">
-                <div className="bg-blue-100 p-3 rounded-full">
-                  <Wrench className="h-6 w-6 text-blue-600" />
+      {/* Services grouped by category */}
+      {groups.map((group, groupIndex) => (
+        <div key={group.category?._id || 'uncategorized'}>
+          <h2 className="text-lg font-semibold text-gray-900 mb-3">
+            {group.category ? getCategoryName(group.category, i18n.language) : t('services.categories.uncategorized')}
+          </h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {group.services.map((service, index) => (
+              <div
+                key={service._id}
+                className="bg-white rounded-xl shadow-sm p-6 hover:shadow-md transition-shadow duration-200"
+              >
+                {service.image && (
+                  <img src={service.image} alt={service.name} className="w-full h-32 object-cover rounded-lg mb-4" />
+                )}
+                <div className="flex justify-between items-start mb-4">
+                  <div className="flex items-center space-x-3">
+                    <div className="bg-blue-100 p-3 rounded-full">
+                      <Wrench className="h-6 w-6 text-blue-600" />
+                    </div>
+                    <div>
+                      <h3 className="font-semibold text-gray-900">{service.name}</h3>
+                    </div>
+                  </div>
+                  <div className="flex space-x-1">
+                    <button
+                      onClick={() => moveService(groupIndex, index, -1)}
+                      disabled={index === 0}
+                      title={t('services.moveUp')}
+                      className="p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors duration-200 disabled:opacity-30"
+                    >
+                      <ChevronUp className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => moveService(groupIndex, index, 1)}
+                      disabled={index === group.services.length - 1}
+                      title={t('services.moveDown')}
+                      className="p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors duration-200 disabled:opacity-30"
+                    >
+                      <ChevronDown className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => handleEdit(service)}
+                      className="p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors duration-200"
+                    >
+                      <Edit className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(service._id)}
+                      className="p-2 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors duration-200"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
                 </div>
-                <div>
-                  <h3 className="font-semibold text-gray-900">{service.name}</h3>
-                  <span className={`inline-flex px-2 py-1 text-xs font-medium rounded-full ${getCategoryColor(service.category)}`}>
-                    {service.category}
-                  </span>
+    
+                <p className="text-sm text-gray-600 mb-4">{service.description}</p>
+    
+                <div className="flex justify-between items-center">
+                  <div className="flex items-center space-x-2">
+                    <DollarSign className="h-4 w-4 text-green-600" />
+                    <span className="text-lg font-bold text-gray-900">${service.price}</span>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <Clock className="h-4 w-4 text-gray-500" />
+                    <span className="text-sm text-gray-600">{service.duration} {t('services.minutes')}</span>
+                  </div>
                 </div>
-              </div>
-              <div className="flex space-x-2">
-                <button
-                  onClick={() => handleEdit(service)}
-                  className="p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors duration-200"
-                >
-                  <Edit className="h-4 w-4" />
-                </button>
-                <button
-                  onClick={() => handleDelete(service._id)}
-                  className="p-2 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors duration-200"
-                >
-                  <Trash2 className="h-4 w-4" />
-                </button>
-              </div>
-            </div>
-
-            <p className="text-sm text-gray-600 mb-4">{service.description}</p>
 
-            <div className="flex justify-between items-center">
-              <div className="flex items-center space-x-2">
-                <DollarSign className="h-4 w-4 text-green-600" />
-                <span className="text-lg font-bold text-gray-900">${service.price}</span>
+                {(service.variants?.length > 0 || service.addOns?.length > 0 || service.surcharges?.length > 0) && (
+                  <p className="text-xs text-gray-500 mt-3">
+                    {t('services.pricing.summary', {
+                      variants: service.variants?.length || 0,
+                      addOns: service.addOns?.length || 0,
+                      surcharges: service.surcharges?.length || 0
+                    })}
+                  </p>
+                )}
               </div>
-              <div className="flex items-center space-x-2">
-                <Clock className="h-4 w-4 text-gray-500" />
-                <span className="text-sm text-gray-600">{service.duration} {t('services.minutes')}</span>
-              </div>
-            </div>
+            ))}
           </div>
-        ))}
-      </div>
+        </div>
+      ))}
 
       {services.length === 0 && (
         <div className="text-center py-12">
@@ -180,7 +238,7 @@ const Services = () => {
       {/* Add/Edit Service Modal */}
       {showModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-          <div className="bg-white rounded-xl p-6 max-w-md w-full mx-4">
+          <div className="bg-white rounded-xl p-6 max-w-lg w-full mx-4 max-h-[90vh] overflow-y-auto">
             <h3 className="text-lg font-semibold mb-4">
               {editingService ? t('services.editService') : t('services.newService')}
             </h3>
@@ -233,21 +291,68 @@ const Services = () => {
                 />
               </div>
 
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">{t('services.bufferBefore')}</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={formData.bufferBefore}
+                    onChange={(e) => setFormData({ ...formData, bufferBefore: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">{t('services.bufferAfter')}</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={formData.bufferAfter}
+                    onChange={(e) => setFormData({ ...formData, bufferAfter: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+              </div>
+
+              <ServicePricingEditor
+                variants={formData.variants}
+                addOns={formData.addOns}
+                surcharges={formData.surcharges}
+                onChange={(field, list) => setFormData({ ...formData, [field]: list })}
+              />
+
+              <IntakeFormEditor
+                fields={formData.intakeForm}
+                onChange={(intakeForm) => setFormData({ ...formData, intakeForm })}
+              />
+
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">{t('services.category')}</label>
                 <select
-                  value={formData.category}
-                  onChange={(e) => setFormData({ ...formData, category: e.target.value })}
+                  value={formData.categoryId}
+                  onChange={(e) => setFormData({ ...formData, categoryId: e.target.value })}
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
                 >
+                  <option value="">{t('services.categories.noCategory')}</option>
                   {categories.map((category) => (
-                    <option key={category.value} value={category.value}>
-                      {category.label}
+                    <option key={category._id} value={category._id}>
+                      {getCategoryName(category, i18n.language)}
                     </option>
                   ))}
                 </select>
               </div>
 
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">{t('services.image')}</label>
+                <input
+                  type="url"
+                  placeholder="https://"
+                  value={formData.image}
+                  onChange={(e) => setFormData({ ...formData, image: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+
               <div className="flex space-x-3 pt-4">
                 <button
                   type="submit"
@@ -260,7 +365,7 @@ const Services = () => {
                   onClick={() => {
                     setShowModal(false);
                     setEditingService(null);
-                    setFormData({ name: '', description: '', price: '', duration: '', category: 'other' });
+                    setFormData(EMPTY_FORM);
                   }}
                   className="flex-1 bg-gray-600 text-white py-2 px-4 rounded-lg hover:bg-gray-700 transition-colors duration-200"
                 >
@@ -271,6 +376,17 @@ const Services = () => {
           </div>
         </div>
       )}
+
+      {showCategories && (
+        <ServiceCategoryManager
+          categories={categories}
+          onChange={setCategories}
+          onClose={() => {
+            setShowCategories(false);
+            fetchServices();
+          }}
+        />
+      )}
     </div>
   );
 };
@@ -3,16 +3,26 @@ import { User, Building, Save, Shield } from 'lucide-react';
 import { useTranslation } from 'react-i18next';
 import { useAuth } from '../contexts/AuthContext';
 import api from '../utils/api';
+import ScheduleOverrides from '../components/ScheduleOverrides';
+import { formatTimestampDate } from '../utils/ethiopianCalendar';
 
 const Settings = () => {
-  const { user } = useAuth();
-  const { t } = useTranslation();
+  const { user, setUser } = useAuth();
+  const { t, i18n } = useTranslation();
   const [formData, setFormData] = useState({
     name: user?.name || '',
     businessName: user?.businessName || '',
     businessType: user?.businessType || 'other',
     phone: user?.phone || '',
-    address: user?.address || ''
+    address: user?.address || '',
+    travelBufferMinutes: user?.travelBufferMinutes ?? 0,
+    calendar: user?.calendar || 'gregorian',
+    cancellationCutoffHours: user?.cancellationCutoffHours ?? 24,
+    noShowDepositThreshold: user?.noShowDepositThreshold ?? 0,
+    depositPercent: user?.depositPercent ?? 50,
+    lateChangeWindowHours: user?.lateChangeWindowHours ?? 24,
+    lateCancellationFeePercent: user?.lateCancellationFeePercent ?? 0,
+    lateRescheduleFeePercent: user?.lateRescheduleFeePercent ?? 0
   });
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState('');
@@ -33,6 +43,9 @@ const Settings = () => {
 
     try {
       const response = await api.put('/auth/profile', formData);
+      const updatedUser = { ...user, ...response.data.user };
+      localStorage.setItem('user', JSON.stringify(updatedUser));
+      setUser(updatedUser);
       setMessage(t('messages.success.updated'));
       setTimeout(() => setMessage(''), 3000);
     } catch (error) {
@@ -43,6 +56,8 @@ const Settings = () => {
     }
   };
 
+  const noLateFees = Number(formData.lateCancellationFeePercent) === 0 && Number(formData.lateRescheduleFeePercent) === 0;
+
   const handleChange = (e) => {
     setFormData({
       ...formData,
@@ -140,6 +155,130 @@ const Settings = () => {
               />
             </div>
 
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                {t('settings.travelBuffer')}
+              </label>
+              <input
+                type="number"
+                name="travelBufferMinutes"
+                min="0"
+                max="240"
+                value={formData.travelBufferMinutes}
+                onChange={handleChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                {t('settings.cancellationCutoff')}
+              </label>
+              <input
+                type="number"
+                name="cancellationCutoffHours"
+                min="0"
+                max="720"
+                value={formData.cancellationCutoffHours}
+                onChange={handleChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  {t('settings.noShowDepositThreshold')}
+                </label>
+                <input
+                  type="number"
+                  name="noShowDepositThreshold"
+                  min="0"
+                  max="20"
+                  value={formData.noShowDepositThreshold}
+                  onChange={handleChange}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  {t('settings.depositPercent')}
+                </label>
+                <input
+                  type="number"
+                  name="depositPercent"
+                  min="1"
+                  max="100"
+                  value={formData.depositPercent}
+                  onChange={handleChange}
+                  disabled={Number(formData.noShowDepositThreshold) === 0}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+                />
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                {t('settings.lateChangeWindowHours')}
+              </label>
+              <input
+                type="number"
+                name="lateChangeWindowHours"
+                min="0"
+                max="720"
+                value={formData.lateChangeWindowHours}
+                onChange={handleChange}
+                disabled={noLateFees}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+              />
+            </div>
+
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  {t('settings.lateCancellationFeePercent')}
+                </label>
+                <input
+                  type="number"
+                  name="lateCancellationFeePercent"
+                  min="0"
+                  max="100"
+                  value={formData.lateCancellationFeePercent}
+                  onChange={handleChange}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  {t('settings.lateRescheduleFeePercent')}
+                </label>
+                <input
+                  type="number"
+                  name="lateRescheduleFeePercent"
+                  min="0"
+                  max="100"
+                  value={formData.lateRescheduleFeePercent}
+                  onChange={handleChange}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                {t('settings.calendar')}
+              </label>
+              <select
+                name="calendar"
+                value={formData.calendar}
+                onChange={handleChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="gregorian">{t('settings.calendarGregorian')}</option>
+                <option value="ethiopian">{t('settings.calendarEthiopian')}</option>
+              </select>
+            </div>
+
             {message && (
               <div className={`p-3 rounded-lg text-sm ${
                 message.includes(t('messages.success.updated').split(' ')[0]) 
@@ -192,7 +331,7 @@ const Settings = () => {
               </label>
               <input
                 type="text"
-                value={user?.createdAt ? new Date(user.createdAt).toLocaleDateString() : 'N/A'}
+                value={user?.createdAt ? formatTimestampDate(user.createdAt, { language: i18n.language, calendar: user.calendar }) : 'N/A'}
                 disabled
                 className="w-full px-3 py-2 border border-gray-300 rounded-lg bg-gray-50 text-gray-500"
               />
@@ -204,13 +343,16 @@ const Settings = () => {
               </label>
               <input
                 type="text"
-                value={user?.lastLogin ? new Date(user.lastLogin).toLocaleDateString() : 'N/A'}
+                value={user?.lastLogin ? formatTimestampDate(user.lastLogin, { language: i18n.language, calendar: user.calendar }) : 'N/A'}
                 disabled
                 className="w-full px-3 py-2 border border-gray-300 rounded-lg bg-gray-50 text-gray-500"
               />
             </div>
           </div>
         </div>
+
+        {/* Holidays & Special Hours */}
+        <ScheduleOverrides />
       </div>
     </div>
   );
@@ -0,0 +1,74 @@
+// Ethiopian (Ge'ez) calendar conversion, mirroring backend/utils/ethiopianCalendar.js.
+// Twelve 30-day months plus Pagume (5 days, 6 in the year before a Gregorian
+// leap year). Works on Gregorian calendar dates ('YYYY-MM-DD').
+
+// Julian Day Number of 1 Meskerem, year 0 (Amete Mihret era)
+const ETHIOPIAN_EPOCH = 1723856;
+// Julian Day Number of 1970-01-01
+const UNIX_EPOCH = 2440588;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const ETHIOPIAN_MONTHS = {
+  en: ['Meskerem', 'Tikimt', 'Hidar', 'Tahsas', 'Tir', 'Yekatit', 'Megabit', 'Miyazya', 'Ginbot', 'Sene', 'Hamle', 'Nehase', 'Pagume'],
+  am: ['መስከረም', 'ጥቅምት', 'ኅዳር', 'ታኅሣሥ', 'ጥር', 'የካቲት', 'መጋቢት', 'ሚያዝያ', 'ግንቦት', 'ሰኔ', 'ሐምሌ', 'ነሐሴ', 'ጳጉሜን'],
+  or: ['Fulbaana', 'Onkoloolessa', 'Sadaasa', 'Muddee', 'Amajjii', 'Guraandhala', 'Bitootessa', 'Ebla', 'Caamsaa', 'Waxabajjii', 'Adoolessa', 'Hagayya', 'Qaammee']
+};
+
+// 'YYYY-MM-DD' of a date string or a Date holding a calendar day at UTC midnight
+const toDateString = (dateValue) => {
+  if (typeof dateValue === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(dateValue)) return dateValue;
+  return new Date(dateValue).toISOString().slice(0, 10);
+};
+
+// Ethiopian year, month (1-13) and day of a Gregorian calendar date
+export const toEthiopian = (dateValue) => {
+  const jdn = Date.parse(`${toDateString(dateValue)}T00:00:00Z`) / DAY_MS + UNIX_EPOCH;
+  const daysSinceEpoch = jdn - ETHIOPIAN_EPOCH;
+  const r = ((daysSinceEpoch % 1461) + 1461) % 1461;
+  const n = (r % 365) + 365 * Math.floor(r / 1460);
+
+  return {
+    year: 4 * Math.floor(daysSinceEpoch / 1461) + Math.floor(r / 365) - Math.floor(r / 1460),
+    month: Math.floor(n / 30) + 1,
+    day: (n % 30) + 1
+  };
+};
+
+// Gregorian 'YYYY-MM-DD' of an Ethiopian date
+export const fromEthiopian = (year, month, day) => {
+  const jdn = ETHIOPIAN_EPOCH + 365 * year + Math.floor(year / 4) + 30 * (month - 1) + day - 1;
+  return new Date((jdn - UNIX_EPOCH) * DAY_MS).toISOString().slice(0, 10);
+};
+
+export const daysInEthiopianMonth = (year, month) => {
+  if (month < 13) return 30;
+  return year % 4 === 3 ? 6 : 5;
+};
+
+// Amharic and Afan Oromo readers get Ethiopian dates, as does anyone who
+// picked the Ethiopian calendar in their settings
+export const usesEthiopianCalendar = (language, calendar) => {
+  return calendar === 'ethiopian' || ['am', 'or'].includes(language);
+};
+
+// Format a calendar date (Booking.date, 'YYYY-MM-DD') in the reader's calendar
+export const formatCalendarDate = (dateValue, { language = 'en', calendar } = {}) => {
+  if (!dateValue) return '';
+  const dateString = toDateString(dateValue);
+
+  if (!usesEthiopianCalendar(language, calendar)) {
+    return new Date(`${dateString}T00:00:00Z`).toLocaleDateString(undefined, { timeZone: 'UTC' });
+  }
+
+  const { year, month, day } = toEthiopian(dateString);
+  const months = ETHIOPIAN_MONTHS[language] || ETHIOPIAN_MONTHS.en;
+  return `${months[month - 1]} ${day}, ${year}`;
+};
+
+// Format the browser-local calendar date of a timestamp (createdAt, lastLogin)
+export const formatTimestampDate = (instant, options = {}) => {
+  if (!instant) return '';
+  const date = new Date(instant);
+  const pad = (value) => String(value).padStart(2, '0');
+  return formatCalendarDate(`${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`, options);
+};
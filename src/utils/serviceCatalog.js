@@ -0,0 +1,29 @@
+// Helpers for a business's service catalog: services grouped by its own
+// categories, as returned by /services, /service-categories and
+// /public/business/:id (both lists already in catalog order), and the
+// localized texts of categories and intake forms.
+
+// Text stored as { en, am, or } in a language, falling back to English
+export const getLocalizedText = (text, language) => {
+  const code = (language || 'en').split('-')[0];
+  return text?.[code] || text?.en || '';
+};
+
+export const getCategoryName = (category, language) => getLocalizedText(category.name, language);
+
+// [{ category, services }] in category order, skipping empty categories.
+// Services without a category come last with `category: null`.
+export const groupServicesByCategory = (services, categories = []) => {
+  const groups = categories.map(category => ({
+    category,
+    services: services.filter(service => service.categoryId === category._id)
+  }));
+
+  const known = new Set(categories.map(category => category._id));
+  groups.push({
+    category: null,
+    services: services.filter(service => !known.has(service.categoryId))
+  });
+
+  return groups.filter(group => group.services.length > 0);
+};